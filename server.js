@@ -1,7 +1,15 @@
 const express = require('express');
 const http = require('http');
+const https = require('https');
 const { Server } = require('socket.io');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const dns = require('dns');
+const { EventEmitter } = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const webpush = require('web-push');
 
 const app = express();
 const server = http.createServer(app);
@@ -9,9 +17,34 @@ const io = new Server(server);
 
 // Environment variables
 const PORT = process.env.PORT || 3000;
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'agentcast2026';
-const MAX_VIEWERS_PER_STREAM = parseInt(process.env.MAX_VIEWERS_PER_STREAM) || 1000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+// The built-in password is only a development convenience; production refuses
+// to start without ADMIN_PASSWORD or ADMIN_PASSWORD_HASH (see below)
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || (NODE_ENV === 'production' ? null : 'agentcast2026');
+const ADMIN_PASSWORD_HASH = process.env.ADMIN_PASSWORD_HASH || null;
+const MAX_VIEWERS_PER_STREAM = parseInt(process.env.MAX_VIEWERS_PER_STREAM) || 1000;
+const MAX_RECORDING_LINES = parseInt(process.env.MAX_RECORDING_LINES) || 10000;
+const MAX_SESSIONS_PER_AGENT = parseInt(process.env.MAX_SESSIONS_PER_AGENT) || 20;
+// Image data kept per stream's live buffer and per recorded session; older or
+// later images past the budget keep their caption but lose their data
+const MAX_STREAM_IMAGE_BYTES = parseInt(process.env.MAX_STREAM_IMAGE_BYTES) || 1024 * 1024;
+const MAX_SESSION_IMAGE_BYTES = parseInt(process.env.MAX_SESSION_IMAGE_BYTES) || 2 * 1024 * 1024;
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'agentcast.json');
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (NODE_ENV === 'production') {
+  const WEAK_ADMIN_PASSWORDS = ['agentcast2026', 'changeme123'];
+  if (!ADMIN_PASSWORD && !ADMIN_PASSWORD_HASH) {
+    throw new Error('Set ADMIN_PASSWORD or ADMIN_PASSWORD_HASH before starting in production');
+  }
+  if (ADMIN_PASSWORD && (ADMIN_PASSWORD.length < 12 || WEAK_ADMIN_PASSWORDS.includes(ADMIN_PASSWORD))) {
+    throw new Error('ADMIN_PASSWORD is a default or shorter than 12 characters');
+  }
+  if (!process.env.SESSION_SECRET) {
+    throw new Error('Set SESSION_SECRET before starting in production');
+  }
+}
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // DATA STRUCTURES (In-Memory)
@@ -19,10 +52,35 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 
 const streams = new Map();
 const chatMessages = new Map();
+const chatModeration = new Map();
+const chatIdentities = new Map();
+const chatNicknames = new Map();
 const bannedAgents = new Set();
+const recordings = new Map();
+const sseClients = new Map();
 const rateLimits = new Map();
 const ipConnectionCounts = new Map();
 const ipStreamCreation = new Map();
+const ipAuthAttempts = new Map();
+const ipNicknameCreation = new Map();
+const agentChatLimits = new Map();
+const ipReportLimits = new Map();
+const accounts = new Map();
+const loginSessions = new Map();
+const moderators = new Map();
+const auditLog = [];
+const reports = new Map();
+const heldContent = new Map();
+const pushSubscriptions = new Map();
+const webhooks = new Map();
+const webhookDeliveries = new Map();
+const contentModeration = {
+  actions: {},      // rule id -> action, when changed from the rule default
+  denyList: [],     // regex sources for the deny-list rule
+  // Keyed by agent name, and "__proto__" is a valid one: see agentKeyedObject
+  overrides: Object.create(null),  // agent name -> { rule id -> action }
+  counters: Object.create(null)    // agent name -> { rule id -> { redact, hold, reject } }
+};
 const activityLog = [];
 
 const globalStats = {
@@ -68,10 +126,6 @@ function formatDuration(ms) {
   return `${seconds}s`;
 }
 
-function hashSocketId(socketId) {
-  return 'anon_' + crypto.createHash('md5').update(socketId).digest('hex').slice(0, 8);
-}
-
 function isValidAgentName(name) {
   return /^[a-zA-Z0-9_]{3,30}$/.test(name);
 }
@@ -85,9 +139,9 @@ function logActivity(message) {
 
 function getCurrentViewerCount() {
   let total = 0;
-  for (const stream of streams.values()) {
+  for (const [name, stream] of streams) {
     if (stream.active) {
-      total += stream.viewers.size;
+      total += getViewerCount(name);
     }
   }
   return total;
@@ -104,2472 +158,11115 @@ function updatePeakViewers() {
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// RATE LIMITING
+// MARKDOWN
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-function checkStreamRateLimit(agentName) {
-  const now = Date.now();
-  const limit = rateLimits.get(agentName);
+// Markdown is rendered from already-escaped text, so no HTML from the sender
+// ever reaches the output. The result then goes through sanitizeHtml, which
+// only lets MARKDOWN_TAGS through and rebuilds every attribute itself.
+
+const MARKDOWN_TAGS = new Set([
+  'p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'a', 'ul', 'ol', 'li', 'blockquote',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#039;/g, "'")
+    .replace(/&amp;/g, '&');
+}
 
-  if (!limit || now > limit.resetTime) {
-    rateLimits.set(agentName, { count: 1, resetTime: now + 60000 });
-    return true;
-  }
+// Only absolute http(s) and mailto links; anything else (javascript:, data:,
+// relative paths, embedded whitespace or quotes) is dropped
+function safeUrl(url) {
+  return /^(https?:\/\/|mailto:)[^\s\x00-\x1f"'<>`\\]+$/i.test(url) ? url : null;
+}
 
-  if (limit.count >= 100) {
-    return false;
-  }
+function sanitizeHtml(html) {
+  return html.replace(/<(\/?)([a-zA-Z0-9]+)([^<>]*)>|[<>]/g, (match, closing, tag, attrs) => {
+    if (!tag) return match === '<' ? '&lt;' : '&gt;';
+
+    tag = tag.toLowerCase();
+    if (!MARKDOWN_TAGS.has(tag)) return '';
+    if (closing) return `</${tag}>`;
+    if (tag === 'br') return '<br>';
+
+    if (tag === 'a') {
+      const href = /\shref="([^"]*)"/.exec(attrs);
+      const url = href && safeUrl(decodeEntities(href[1]));
+      return url ? `<a href="${escapeHtml(url)}" rel="noopener nofollow" target="_blank">` : '<a>';
+    }
 
-  limit.count++;
-  return true;
+    return `<${tag}>`;
+  });
 }
 
-function checkIPConnectionLimit(ip) {
-  const now = Date.now();
-  const limit = ipConnectionCounts.get(ip);
+function renderInlineMarkdown(escaped) {
+  const held = [];
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
 
-  if (!limit || now > limit.resetTime) {
-    ipConnectionCounts.set(ip, { count: 1, resetTime: now + 60000 });
-    return true;
-  }
+  let out = escaped
+    // Code spans first so nothing inside them is formatted
+    .replace(/`([^`\n]+)`/g, (m, code) => hold(`<code>${code}</code>`))
+    .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (m, label, href) => {
+      const url = safeUrl(decodeEntities(href));
+      return url ? hold(`<a href="${escapeHtml(url)}">${renderInlineMarkdown(label)}</a>`) : m;
+    });
 
-  if (limit.count >= 10) {
-    return false;
-  }
+  out = out
+    .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__([^_\n]+)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*([^*\s][^*\n]*?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_([^_\n]+)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~\n]+)~~/g, '<del>$1</del>');
 
-  limit.count++;
-  return true;
+  return out.replace(/\u0000(\d+)\u0000/g, (m, i) => held[i]);
 }
 
-function checkIPStreamCreationLimit(ip) {
-  const now = Date.now();
-  const limit = ipStreamCreation.get(ip);
+function renderBlockMarkdown(escaped) {
+  const lines = escaped.split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (/^```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^```/.test(lines[i])) code.push(lines[i++]);
+      i++;
+      blocks.push(`<pre><code>${code.join('\n')}</code></pre>`);
+      continue;
+    }
 
-  if (!limit || now > limit.resetTime) {
-    ipStreamCreation.set(ip, { count: 1, resetTime: now + 3600000 });
-    return true;
-  }
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^&gt;\s?/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^&gt;\s?/.test(lines[i])) quoted.push(lines[i++].replace(/^&gt;\s?/, ''));
+      blocks.push(`<blockquote>${renderBlockMarkdown(quoted.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    const listMatch = /^\s*([-*+]|\d+[.)])\s+/.exec(line);
+    if (listMatch) {
+      const ordered = /\d/.test(listMatch[1]);
+      const itemPattern = ordered ? /^\s*\d+[.)]\s+/ : /^\s*[-*+]\s+/;
+      const items = [];
+      while (i < lines.length && itemPattern.test(lines[i])) {
+        items.push(`<li>${renderInlineMarkdown(lines[i++].replace(itemPattern, ''))}</li>`);
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      blocks.push(`<${tag}>${items.join('')}</${tag}>`);
+      continue;
+    }
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
 
-  if (limit.count >= 10) {
-    return false;
+    const paragraph = [renderInlineMarkdown(lines[i++])];
+    while (i < lines.length && lines[i].trim() && !/^(```|#{1,6}\s|&gt;|\s*([-*+]|\d+[.)])\s)/.test(lines[i])) {
+      paragraph.push(renderInlineMarkdown(lines[i++]));
+    }
+    blocks.push(`<p>${paragraph.join('<br>')}</p>`);
   }
 
-  limit.count++;
-  return true;
+  return blocks.join('');
+}
+
+// inline: true is used for chat, which only gets emphasis, code and links
+function renderMarkdown(text, { inline = false } = {}) {
+  const escaped = escapeHtml(String(text).replace(/\u0000/g, ''));
+  const html = inline ? renderInlineMarkdown(escaped) : renderBlockMarkdown(escaped);
+  return sanitizeHtml(html);
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// MIDDLEWARE
+// RATE LIMITING
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Every limit is a token bucket: a key holds up to `limit` tokens and refills
+// continuously at `limit` per window, so short bursts are fine but the
+// long-run rate is capped. Limits are written count/seconds ("100/60") and
+// can be set from the environment.
 
-// Admin auth middleware
-function requireAdmin(req, res, next) {
-  const password = req.query.password || req.body.password;
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  next();
-}
+const RATE_LIMIT_TIERS = ['free', 'trusted', 'internal'];
 
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// STYLES (Shared CSS)
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+function parseRateLimit(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  if (!match || parseInt(match[1]) === 0 || parseInt(match[2]) === 0) return null;
+  return { limit: parseInt(match[1]), windowMs: parseInt(match[2]) * 1000 };
+}
 
-const sharedStyles = `
-  * {
-    margin: 0;
-    padding: 0;
-    box-sizing: border-box;
+function rateLimitFromEnv(name, fallback) {
+  const value = process.env[name] || fallback;
+  const policy = parseRateLimit(value);
+  if (!policy) {
+    throw new Error(`Invalid ${name} "${value}". Use count/seconds, e.g. 100/60`);
   }
+  return policy;
+}
 
-  :root {
-    --primary: #E63946;
-    --accent: #1D3557;
-    --bg: #0A0E27;
-    --bg-secondary: #131836;
-    --bg-tertiary: #1a2048;
-    --text: #FFFFFF;
-    --text-secondary: #B8C5D6;
-    --success: #00d4aa;
-    --warning: #ffc107;
-    --error: #E63946;
-  }
+function formatRateLimit(policy) {
+  return `${policy.limit}/${policy.windowMs / 1000}`;
+}
 
-  body {
-    font-family: Inter, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    background: var(--bg);
-    color: var(--text);
-    min-height: 100vh;
-    line-height: 1.5;
-  }
+// "Max 100 messages per minute"
+function rateLimitHint(policy, what) {
+  const seconds = policy.windowMs / 1000;
+  const [count, unit] = seconds % 3600 === 0 ? [seconds / 3600, 'hour']
+    : seconds % 60 === 0 ? [seconds / 60, 'minute']
+    : [seconds, 'second'];
+  return `Max ${policy.limit} ${what} per ${count === 1 ? unit : `${count} ${unit}s`}`;
+}
 
-  a {
-    color: var(--primary);
-    text-decoration: none;
+// Per-agent limits by tier, e.g. RATE_LIMIT_LINES_TRUSTED=500/60. Admins can
+// move an agent to another tier or override a limit for one agent.
+const AGENT_RATE_LIMIT_DEFAULTS = {
+  lines: { free: '100/60', trusted: '500/60', internal: '5000/60' },
+  chat: { free: '20/60', trusted: '60/60', internal: '600/60' }
+};
+const AGENT_RATE_LIMITS = {};
+for (const [kind, tiers] of Object.entries(AGENT_RATE_LIMIT_DEFAULTS)) {
+  AGENT_RATE_LIMITS[kind] = {};
+  for (const [tier, fallback] of Object.entries(tiers)) {
+    AGENT_RATE_LIMITS[kind][tier] = rateLimitFromEnv(`RATE_LIMIT_${kind.toUpperCase()}_${tier.toUpperCase()}`, fallback);
   }
+}
 
-  a:hover {
-    text-decoration: underline;
-  }
+// Per-IP limits, e.g. RATE_LIMIT_CONNECTIONS=20/60
+const IP_RATE_LIMITS = {
+  connections: rateLimitFromEnv('RATE_LIMIT_CONNECTIONS', '10/60'),
+  streamCreation: rateLimitFromEnv('RATE_LIMIT_STREAM_CREATION', '10/3600'),
+  auth: rateLimitFromEnv('RATE_LIMIT_AUTH', '20/900'),
+  nicknames: rateLimitFromEnv('RATE_LIMIT_NICKNAMES', '5/3600'),
+  reports: rateLimitFromEnv('RATE_LIMIT_REPORTS', '10/3600')
+};
 
-  /* Header */
-  .header {
-    background: var(--bg-secondary);
-    padding: 1rem 2rem;
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
-    border-bottom: 1px solid var(--bg-tertiary);
-    position: sticky;
-    top: 0;
-    z-index: 100;
-  }
+// Buckets per limit, by the name other instances know them by
+const rateLimitBuckets = {
+  lines: rateLimits,
+  agentChat: agentChatLimits,
+  connections: ipConnectionCounts,
+  streamCreation: ipStreamCreation,
+  auth: ipAuthAttempts,
+  nicknames: ipNicknameCreation,
+  reports: ipReportLimits
+};
 
-  .logo {
-    font-size: 1.5rem;
-    font-weight: bold;
-    color: var(--text);
-    display: flex;
-    align-items: center;
-    gap: 0.5rem;
-  }
+function refillBucket(buckets, key, policy, now) {
+  const bucket = buckets.get(key) || { tokens: policy.limit, updatedAt: now };
+  bucket.tokens = Math.min(policy.limit, bucket.tokens + (now - bucket.updatedAt) * policy.limit / policy.windowMs);
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+  return bucket;
+}
 
-  .logo:hover {
-    text-decoration: none;
+// Takes cost tokens from key's bucket if it has them. The result carries
+// what the RateLimit-* headers need. Other instances are told what was spent
+// so the limit holds across all of them.
+function consumeRateLimit(bucketName, key, policy, cost = 1) {
+  const refillPerMs = policy.limit / policy.windowMs;
+  const bucket = refillBucket(rateLimitBuckets[bucketName], key, policy, Date.now());
+
+  const allowed = cost <= bucket.tokens;
+  if (allowed) {
+    bucket.tokens -= cost;
+    publishState('ratelimit', { bucket: bucketName, key, cost, policy });
   }
 
-  .nav-links {
-    display: flex;
-    gap: 1.5rem;
-  }
+  return {
+    allowed,
+    limit: policy.limit,
+    windowMs: policy.windowMs,
+    remaining: Math.floor(bucket.tokens),
+    resetMs: Math.ceil((policy.limit - bucket.tokens) / refillPerMs),
+    retryAfterMs: allowed ? 0 : Math.ceil((Math.min(cost, policy.limit) - bucket.tokens) / refillPerMs)
+  };
+}
 
-  .nav-links a {
-    color: var(--text-secondary);
-    transition: color 0.2s;
-  }
+// Tokens another instance spent
+function drainRateLimit(bucketName, key, policy, cost) {
+  if (!rateLimitBuckets[bucketName]) return;
+  const bucket = refillBucket(rateLimitBuckets[bucketName], key, policy, Date.now());
+  bucket.tokens = Math.max(0, bucket.tokens - cost);
+}
 
-  .nav-links a:hover {
-    color: var(--text);
-    text-decoration: none;
+function setRateLimitHeaders(res, result) {
+  res.set({
+    'RateLimit-Limit': result.limit,
+    'RateLimit-Remaining': result.remaining,
+    'RateLimit-Reset': Math.ceil(result.resetMs / 1000),
+    'RateLimit-Policy': `${result.limit};w=${result.windowMs / 1000}`
+  });
+  if (!result.allowed) {
+    res.set('Retry-After', Math.ceil(result.retryAfterMs / 1000));
   }
+}
 
-  /* Footer */
-  .footer {
-    background: var(--bg-secondary);
-    padding: 2rem;
-    text-align: center;
-    border-top: 1px solid var(--bg-tertiary);
-    margin-top: auto;
-  }
+// Socket acks can't carry headers, so retryAfter (seconds) goes in the body
+function rateLimitError(result, hint) {
+  return { error: 'Rate limit exceeded', hint, retryAfter: Math.ceil(result.retryAfterMs / 1000) };
+}
 
-  .footer-links {
-    display: flex;
-    justify-content: center;
-    gap: 2rem;
-    margin-bottom: 1rem;
-    flex-wrap: wrap;
-  }
+function sendRateLimited(res, result, hint) {
+  setRateLimitHeaders(res, result);
+  res.status(429).json(rateLimitError(result, hint));
+}
 
-  .footer-links a {
-    color: var(--text-secondary);
-    font-size: 0.9rem;
-  }
+function getAgentRateLimit(agentName, kind) {
+  const stream = streams.get(agentName);
+  const override = stream && stream.limitOverrides && stream.limitOverrides[kind];
+  return override || AGENT_RATE_LIMITS[kind][(stream && stream.tier) || 'free'];
+}
 
-  .footer-text {
-    color: var(--text-secondary);
-    font-size: 0.85rem;
-  }
+// cost lets a batch draw several tokens at once
+function checkStreamRateLimit(agentName, cost = 1) {
+  return consumeRateLimit('lines', agentName, getAgentRateLimit(agentName, 'lines'), cost);
+}
 
-  /* Buttons */
-  .btn {
-    background: var(--primary);
-    color: white;
-    border: none;
-    padding: 0.75rem 1.5rem;
-    border-radius: 6px;
-    cursor: pointer;
-    font-size: 1rem;
-    font-weight: 500;
-    transition: all 0.2s;
-    display: inline-flex;
-    align-items: center;
-    gap: 0.5rem;
-  }
+// Agent chat replies have their own budget so talking to viewers doesn't eat
+// into the stream line limit
+function checkAgentChatRateLimit(agentName) {
+  return consumeRateLimit('agentChat', agentName, getAgentRateLimit(agentName, 'chat'));
+}
 
-  .btn:hover {
-    filter: brightness(1.1);
-    transform: translateY(-1px);
-  }
+function checkIPConnectionLimit(ip) {
+  return consumeRateLimit('connections', ip, IP_RATE_LIMITS.connections);
+}
 
-  .btn:active {
-    transform: scale(0.98);
-  }
+function checkIPStreamCreationLimit(ip) {
+  return consumeRateLimit('streamCreation', ip, IP_RATE_LIMITS.streamCreation);
+}
 
-  .btn:disabled {
-    opacity: 0.5;
-    cursor: not-allowed;
-    transform: none;
-  }
+// Login and registration attempts, to slow down password guessing
+function checkIPAuthLimit(ip) {
+  return consumeRateLimit('auth', ip, IP_RATE_LIMITS.auth);
+}
 
-  .btn-secondary {
-    background: var(--accent);
-  }
+function checkIPNicknameLimit(ip) {
+  return consumeRateLimit('nicknames', ip, IP_RATE_LIMITS.nicknames);
+}
 
-  .btn-outline {
-    background: transparent;
-    border: 2px solid var(--primary);
-    color: var(--primary);
-  }
+function checkIPReportLimit(ip) {
+  return consumeRateLimit('reports', ip, IP_RATE_LIMITS.reports);
+}
 
-  /* Form inputs */
-  input, textarea, select {
-    background: var(--bg-tertiary);
-    border: 1px solid var(--accent);
-    color: var(--text);
-    padding: 0.75rem 1rem;
-    border-radius: 6px;
-    font-size: 1rem;
-    width: 100%;
-    font-family: inherit;
+// A bucket idle for a day is full again, so it can be dropped
+setInterval(() => {
+  const now = Date.now();
+  for (const buckets of Object.values(rateLimitBuckets)) {
+    for (const [key, bucket] of buckets) {
+      if (now - bucket.updatedAt > 24 * 60 * 60 * 1000) buckets.delete(key);
+    }
   }
+}, 60 * 60 * 1000);
 
-  input:focus, textarea:focus, select:focus {
-    outline: none;
-    border-color: var(--primary);
-    box-shadow: 0 0 0 2px rgba(230, 57, 70, 0.2);
-  }
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// PERSISTENCE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-  /* Cards */
-  .card {
-    background: var(--bg-secondary);
-    border-radius: 12px;
-    padding: 1.5rem;
-    border: 1px solid var(--bg-tertiary);
-  }
+// Storage backends all expose the same shape: load() returns the last saved
+// snapshot (or null) and throws if there is one it can't read, save() writes
+// one asynchronously, saveSync() is used on shutdown when we can't wait for
+// the event loop.
+//
+// Recorded sessions are kept out of the snapshot, one entry per session, so a
+// line in a live session doesn't rewrite every past one. save() and saveSync()
+// take the sessions that changed as [key, session] pairs (session null when it
+// was dropped), and loadRecordings() returns them all. Keys are
+// "<agent>:<session id>".
+
+function createMemoryStorage() {
+  return {
+    name: 'memory',
+    load() {
+      return null;
+    },
+    loadRecordings() {
+      return [];
+    },
+    save() {
+      return Promise.resolve();
+    },
+    saveSync() {}
+  };
+}
 
-  /* LIVE badge */
-  .live-badge {
-    background: var(--error);
-    color: white;
-    padding: 0.25rem 0.5rem;
-    border-radius: 4px;
-    font-size: 0.75rem;
-    font-weight: bold;
-    animation: pulse 2s infinite;
-    display: inline-flex;
-    align-items: center;
-    gap: 0.25rem;
+// Sessions go in a directory next to the file: agentcast.json keeps them in
+// agentcast-recordings/<agent>.<session id>.json
+function createJsonFileStorage(filePath) {
+  const recordingsDir = path.join(path.dirname(filePath), `${path.basename(filePath, '.json')}-recordings`);
+  let writing = Promise.resolve();
+
+  function writeAtomic(target, json) {
+    const tmpPath = target + '.tmp';
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(tmpPath, json);
+    fs.renameSync(tmpPath, target);
   }
 
-  @keyframes pulse {
-    0%, 100% { opacity: 1; }
-    50% { opacity: 0.7; }
+  function recordingPath(key) {
+    return path.join(recordingsDir, `${key.replace(':', '.')}.json`);
   }
 
-  .offline-badge {
-    background: var(--text-secondary);
-    color: var(--bg);
-    padding: 0.25rem 0.5rem;
-    border-radius: 4px;
-    font-size: 0.75rem;
-    font-weight: bold;
+  // Serialized now, so later changes to a session can't reach an older write
+  function serializeRecordings(changed) {
+    return changed.map(([key, session]) => [recordingPath(key), session && JSON.stringify(session)]);
   }
 
-  /* Loading */
-  .loading {
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    gap: 0.5rem;
-    color: var(--text-secondary);
-    padding: 2rem;
+  return {
+    name: 'json',
+    // A file we can't parse is copied aside before the error goes up, so
+    // nothing that starts over from empty state can overwrite the only copy
+    load() {
+      if (!fs.existsSync(filePath)) return null;
+      const json = fs.readFileSync(filePath, 'utf8');
+      try {
+        return JSON.parse(json);
+      } catch (err) {
+        const backupPath = `${filePath}.corrupt-${Date.now()}`;
+        fs.copyFileSync(filePath, backupPath);
+        throw new Error(`${filePath} is not valid JSON (${err.message}); copied to ${backupPath}`);
+      }
+    },
+    // A session file we can't parse is left where it is and skipped: only a
+    // change to that same session would write over it
+    loadRecordings() {
+      if (!fs.existsSync(recordingsDir)) return [];
+      const entries = [];
+      for (const file of fs.readdirSync(recordingsDir)) {
+        const match = file.match(/^([a-zA-Z0-9_]+)\.([0-9a-f]+)\.json$/);
+        if (!match) continue;
+        try {
+          entries.push([`${match[1]}:${match[2]}`, JSON.parse(fs.readFileSync(path.join(recordingsDir, file), 'utf8'))]);
+        } catch (err) {
+          console.error(`[Storage] Skipped recording ${file}: ${err.message}`);
+        }
+      }
+      return entries;
+    },
+    save(snapshot, changedRecordings = []) {
+      const json = JSON.stringify(snapshot);
+      const recordingFiles = serializeRecordings(changedRecordings);
+      // Chain writes so an older snapshot never lands after a newer one
+      writing = writing.then(async () => {
+        await fs.promises.mkdir(recordingsDir, { recursive: true });
+        for (const [target, sessionJson] of recordingFiles) {
+          if (sessionJson === null) {
+            await fs.promises.rm(target, { force: true });
+            continue;
+          }
+          await fs.promises.writeFile(target + '.tmp', sessionJson);
+          await fs.promises.rename(target + '.tmp', target);
+        }
+
+        const tmpPath = filePath + '.tmp';
+        await fs.promises.writeFile(tmpPath, json);
+        await fs.promises.rename(tmpPath, filePath);
+      }).catch(err => {
+        console.error('[Storage] Failed to save state:', err.message);
+      });
+      return writing;
+    },
+    saveSync(snapshot, changedRecordings = []) {
+      for (const [target, sessionJson] of serializeRecordings(changedRecordings)) {
+        if (sessionJson === null) fs.rmSync(target, { force: true });
+        else writeAtomic(target, sessionJson);
+      }
+      writeAtomic(filePath, JSON.stringify(snapshot));
+    }
+  };
+}
+
+const storageBackends = {
+  memory: () => createMemoryStorage(),
+  json: () => createJsonFileStorage(DATA_FILE)
+};
+
+if (!storageBackends[STORAGE_BACKEND]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}". Use: ${Object.keys(storageBackends).join(', ')}`);
+}
+
+const storage = storageBackends[STORAGE_BACKEND]();
+const SAVE_DEBOUNCE_MS = 2000;
+let saveTimer = null;
+const changedRecordings = new Set(); // "<agent>:<session id>"
+
+function serializeState() {
+  const streamRecords = [];
+  for (const [name, stream] of streams) {
+    // viewers are live socket ids and mean nothing after a restart
+    const { viewers, ...record } = stream;
+    streamRecords.push([name, record]);
   }
 
-  .spinner {
-    width: 20px;
-    height: 20px;
-    border: 2px solid var(--bg-tertiary);
-    border-top-color: var(--primary);
-    border-radius: 50%;
-    animation: spin 1s linear infinite;
+  return {
+    version: 1,
+    savedAt: Date.now(),
+    streams: streamRecords,
+    chatMessages: Array.from(chatMessages),
+    chatModeration: Array.from(chatModeration),
+    chatIdentities: Array.from(chatIdentities),
+    bannedAgents: Array.from(bannedAgents),
+    accounts: Array.from(accounts),
+    moderators: Array.from(moderators),
+    auditLog,
+    reports: Array.from(reports),
+    heldContent: Array.from(heldContent),
+    pushSubscriptions: Array.from(pushSubscriptions),
+    webhooks: Array.from(webhooks),
+    webhookDeliveries: Array.from(webhookDeliveries),
+    contentModeration,
+    globalStats
+  };
+}
+
+function restoreState(snapshot) {
+  if (!snapshot || snapshot.version !== 1) return;
+
+  for (const [name, record] of snapshot.streams || []) {
+    const stream = { ...record, viewers: new Set() };
+
+    // Snapshots from before scoped tokens kept a single plaintext token
+    if (stream.token) {
+      stream.tokens = [];
+      const entry = issueStreamToken(stream, { name: 'default', scopes: TOKEN_SCOPES }).entry;
+      entry.hash = hashToken(stream.token);
+      delete stream.token;
+    }
+
+    streams.set(name, stream);
+  }
+  for (const [name, messages] of snapshot.chatMessages || []) {
+    chatMessages.set(name, messages);
+  }
+  for (const [name, settings] of snapshot.chatModeration || []) {
+    chatModeration.set(name, settings);
+  }
+  for (const [id, identity] of snapshot.chatIdentities || []) {
+    chatIdentities.set(id, identity);
+    chatNicknames.set(identity.nickname.toLowerCase(), id);
+  }
+  for (const name of snapshot.bannedAgents || []) {
+    bannedAgents.add(name);
+  }
+  for (const [name, sessions] of snapshot.recordings || []) {
+    recordings.set(name, sessions);
+  }
+  // Snapshots from before lifetime totals: start from what's still recorded
+  for (const [name, stream] of streams) {
+    if (stream.stats.sessions !== undefined) continue;
+    const sessions = recordings.get(name) || [];
+    stream.stats.sessions = sessions.length;
+    stream.stats.streamedMs = sessions.reduce((sum, session) => sum + (session.endedAt ? session.endedAt - session.startedAt : 0), 0);
+  }
+  for (const [username, account] of snapshot.accounts || []) {
+    accounts.set(username, account);
+  }
+  for (const [username, moderator] of snapshot.moderators || []) {
+    moderators.set(username, moderator);
   }
+  // Only the shared store has these; they aren't saved to disk
+  for (const [id, session] of snapshot.loginSessions || []) {
+    loginSessions.set(id, session);
+  }
+  auditLog.push(...(snapshot.auditLog || []));
+  for (const [id, report] of snapshot.reports || []) {
+    reports.set(id, report);
+  }
+  for (const [id, item] of snapshot.heldContent || []) {
+    heldContent.set(id, item);
+  }
+  for (const [id, subscriptions] of snapshot.pushSubscriptions || []) {
+    pushSubscriptions.set(id, subscriptions);
+  }
+  for (const [id, webhook] of snapshot.webhooks || []) {
+    webhooks.set(id, webhook);
+  }
+  for (const [id, log] of snapshot.webhookDeliveries || []) {
+    webhookDeliveries.set(id, log);
+  }
+  Object.assign(contentModeration, snapshot.contentModeration || {});
+  contentModeration.overrides = agentKeyedObject(contentModeration.overrides);
+  contentModeration.counters = agentKeyedObject(contentModeration.counters);
+  // Patterns saved before the safety check may no longer pass it
+  contentModeration.denyList = contentModeration.denyList.filter(source => {
+    const unsafe = checkDenyPattern(source);
+    if (unsafe) console.warn(`[Moderation] Dropped deny-list pattern ${source}: ${unsafe}`);
+    return !unsafe;
+  });
+  denyListPatterns = compileDenyList(contentModeration.denyList);
+  Object.assign(globalStats, snapshot.globalStats || {});
+}
 
-  @keyframes spin {
-    to { transform: rotate(360deg); }
+function loadState() {
+  try {
+    const snapshot = storage.load();
+    // Snapshots from before recordings were stored apart still carry them;
+    // they move out on the next save
+    if (snapshot && snapshot.recordings) {
+      for (const [name, sessions] of snapshot.recordings) {
+        for (const session of sessions) markRecordingChanged(name, session.id);
+      }
+    } else if (snapshot) {
+      snapshot.recordings = groupSessionsByAgent(storage.loadRecordings());
+    }
+    restoreState(snapshot);
+    if (snapshot) {
+      console.log(`[Storage] Restored ${streams.size} streams, ${accounts.size} accounts and ${bannedAgents.size} bans from ${storage.name} storage`);
+    }
+  } catch (err) {
+    // Starting empty would overwrite the saved state on the next save
+    console.error('[Storage] Failed to load state, refusing to start:', err.message);
+    console.error('[Storage] Fix or restore the data file, or move it away to start empty');
+    process.exit(1);
   }
+}
 
-  /* Toast notifications */
-  .toast-container {
-    position: fixed;
-    bottom: 20px;
-    right: 20px;
-    z-index: 1000;
-    display: flex;
-    flex-direction: column;
-    gap: 0.5rem;
+// [agent, sessions] pairs, oldest session first, from "<agent>:<session id>"
+// keyed entries
+function groupSessionsByAgent(entries) {
+  const sessionsByAgent = new Map();
+  for (const [key, session] of entries.sort((a, b) => a[1].startedAt - b[1].startedAt)) {
+    const name = key.split(':')[0];
+    if (!sessionsByAgent.has(name)) sessionsByAgent.set(name, []);
+    sessionsByAgent.get(name).push(session);
   }
+  return Array.from(sessionsByAgent);
+}
 
-  .toast {
-    background: var(--bg-secondary);
-    border: 1px solid var(--bg-tertiary);
-    padding: 1rem 1.5rem;
-    border-radius: 8px;
-    animation: slideIn 0.3s ease;
-    max-width: 350px;
+// Sessions to write (or remove, once dropped) with the next save
+function markRecordingChanged(agentName, sessionId) {
+  changedRecordings.add(`${agentName}:${sessionId}`);
+}
+
+function takeChangedRecordings() {
+  const changed = Array.from(changedRecordings, key => [key, getSession(...key.split(':'))]);
+  changedRecordings.clear();
+  return changed;
+}
+
+// Debounced so a busy stream doesn't rewrite the file on every line
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    storage.save(serializeState(), takeChangedRecordings());
+  }, SAVE_DEBOUNCE_MS);
+}
+
+function saveStateSync() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    storage.saveSync(serializeState(), takeChangedRecordings());
+  } catch (err) {
+    console.error('[Storage] Failed to save state on shutdown:', err.message);
   }
+}
 
-  .toast.success {
-    border-left: 4px solid var(--success);
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// SHARED STATE (multiple instances)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// Each instance keeps working from its own Maps and tells the others what it
+// changed over a pub/sub channel: stream records and lines, recordings, bans,
+// accounts, login sessions, moderators, the audit log, reports, held content
+// and content moderation settings, chat (messages, settings, identities), push
+// subscriptions, webhooks and their deliveries, rate-limit spending and viewer
+// counts.
+// The same changes are written to shared hashes so an instance that starts
+// later can catch up. Socket.io rooms go through an adapter on the same
+// channel, so an emit reaches viewers on every instance.
+//
+// Backends expose hset/hdel/hgetall, publish/subscribe and lock (true when this
+// instance got the key for ttlMs). 'memory' is a single process; 'redis'
+// speaks the Redis protocol to REDIS_URL.
+
+const SHARED_STATE = process.env.SHARED_STATE || 'memory';
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const INSTANCE_ID = crypto.randomBytes(6).toString('hex');
+const STATE_CHANNEL = 'agentcast:state';
+const SHARED_FLUSH_MS = 1000;
+const VIEWER_COUNT_INTERVAL_MS = 10 * 1000;
+const PEER_TIMEOUT_MS = 30 * 1000;
+
+function createMemorySharedState() {
+  const hashes = new Map();
+  const locks = new Map(); // key -> expires at
+  const channels = new EventEmitter();
+  channels.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+    async hset(key, field, value) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      hashes.get(key).set(field, value);
+    },
+    async hdel(key, field) {
+      if (hashes.has(key)) hashes.get(key).delete(field);
+    },
+    async hgetall(key) {
+      return Object.fromEntries(hashes.get(key) || []);
+    },
+    async lock(key, ttlMs) {
+      const now = Date.now();
+      if (locks.get(key) > now) return false;
+      // Webhook attempts take a key each, so lapsed ones are dropped here
+      for (const [heldKey, expiresAt] of locks) {
+        if (expiresAt <= now) locks.delete(heldKey);
+      }
+      locks.set(key, now + ttlMs);
+      return true;
+    },
+    async publish(channel, message) {
+      setImmediate(() => channels.emit(channel, message));
+    },
+    subscribe(channel, handler) {
+      channels.on(channel, handler);
+      return () => channels.off(channel, handler);
+    },
+    close() {}
+  };
+}
+
+function encodeRespCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
   }
+  return out;
+}
 
-  .toast.error {
-    border-left: 4px solid var(--error);
+// Returns [reply, offset after it], or null if buf doesn't hold a whole reply yet
+function parseRespReply(buf, start = 0) {
+  const lineEnd = buf.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buf[start]);
+  const line = buf.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+': return [line, next];
+    case '-': return [new Error(line), next];
+    case ':': return [parseInt(line), next];
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return [null, next];
+      if (buf.length < next + length + 2) return null;
+      return [buf.toString('utf8', next, next + length), next + length + 2];
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return [null, next];
+      const items = [];
+      let offset = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseRespReply(buf, offset);
+        if (!item) return null;
+        items.push(item[0]);
+        offset = item[1];
+      }
+      return [items, offset];
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
   }
+}
 
-  @keyframes slideIn {
-    from { transform: translateX(100%); opacity: 0; }
-    to { transform: translateX(0); opacity: 1; }
+// One connection to a Redis-compatible server. Commands sent while connecting
+// wait for the connection; commands that can't be answered (connection lost
+// or down) are rejected. Reconnects every second. With onMessage the
+// connection is a subscriber and resubscribes to channels() on reconnect.
+function createRespClient(url, { onMessage, channels } = {}) {
+  const { hostname, port, username, password, pathname } = new URL(url);
+  const setup = [];
+  if (password) {
+    setup.push(username
+      ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)]
+      : ['AUTH', decodeURIComponent(password)]);
+  }
+  const db = parseInt(pathname.slice(1));
+  if (db) setup.push(['SELECT', db]);
+
+  let socket = null;
+  let state = 'down';
+  let buffer = Buffer.alloc(0);
+  let closed = false;
+  let lastError = null;
+  const pending = [];
+  const queued = [];
+
+  function send(args, resolve, reject) {
+    pending.push({ resolve, reject });
+    socket.write(encodeRespCommand(args));
   }
 
-  /* Skeleton loading */
-  .skeleton {
-    background: linear-gradient(90deg, var(--bg-secondary) 25%, var(--bg-tertiary) 50%, var(--bg-secondary) 75%);
-    background-size: 200% 100%;
-    animation: shimmer 1.5s infinite;
-    border-radius: 8px;
+  function rejectAll(list, message) {
+    for (const { reject } of list.splice(0)) reject(new Error(message));
   }
 
-  @keyframes shimmer {
-    0% { background-position: 200% 0; }
-    100% { background-position: -200% 0; }
+  function handleReply(reply) {
+    if (onMessage && Array.isArray(reply) && ['message', 'subscribe', 'unsubscribe'].includes(reply[0])) {
+      if (reply[0] === 'message') onMessage(reply[1], reply[2]);
+      return;
+    }
+    const waiting = pending.shift();
+    if (!waiting) return;
+    if (reply instanceof Error) waiting.reject(reply);
+    else waiting.resolve(reply);
   }
 
-  /* Container */
-  .container {
-    max-width: 1200px;
-    margin: 0 auto;
-    padding: 2rem;
+  function connect() {
+    state = 'connecting';
+    buffer = Buffer.alloc(0);
+    socket = net.createConnection({ host: hostname || '127.0.0.1', port: parseInt(port) || 6379 });
+
+    socket.on('connect', () => {
+      state = 'ready';
+      lastError = null;
+      const logError = err => console.error(`[SharedState] ${err.message}`);
+      for (const args of setup) send(args, () => {}, logError);
+      if (channels && channels().length > 0) socket.write(encodeRespCommand(['SUBSCRIBE', ...channels()]));
+      for (const { args, resolve, reject } of queued.splice(0)) send(args, resolve, reject);
+    });
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      try {
+        while ((parsed = parseRespReply(buffer))) {
+          buffer = buffer.slice(parsed[1]);
+          handleReply(parsed[0]);
+        }
+      } catch (err) {
+        console.error(`[SharedState] ${err.message}`);
+        socket.destroy();
+      }
+    });
+
+    // Logged once per outage rather than on every retry
+    socket.on('error', err => {
+      if (err.message !== lastError) console.error(`[SharedState] Redis connection error: ${err.message}`);
+      lastError = err.message;
+    });
+
+    socket.on('close', () => {
+      state = 'down';
+      rejectAll(pending, 'Redis connection lost');
+      rejectAll(queued, 'Could not connect to Redis');
+      if (!closed) setTimeout(connect, 1000);
+    });
   }
 
-  /* Responsive */
-  @media (max-width: 768px) {
-    .header {
-      padding: 1rem;
+  connect();
+
+  return {
+    command(...args) {
+      return new Promise((resolve, reject) => {
+        if (state === 'ready') send(args, resolve, reject);
+        else if (state === 'connecting') queued.push({ args, resolve, reject });
+        else reject(new Error('Not connected to Redis'));
+      });
+    },
+    // Subscription replies don't map onto commands, so these skip pending
+    subscribe(channel) {
+      if (state === 'ready') socket.write(encodeRespCommand(['SUBSCRIBE', channel]));
+    },
+    unsubscribe(channel) {
+      if (state === 'ready') socket.write(encodeRespCommand(['UNSUBSCRIBE', channel]));
+    },
+    close() {
+      closed = true;
+      if (socket) socket.end();
     }
+  };
+}
 
-    .nav-links {
-      gap: 1rem;
-      font-size: 0.9rem;
+function createRedisSharedState(url) {
+  const handlers = new Map(); // channel -> Set of handlers
+  const commands = createRespClient(url);
+  const subscriber = createRespClient(url, {
+    channels: () => [...handlers.keys()],
+    onMessage(channel, payload) {
+      let message;
+      try {
+        message = JSON.parse(payload);
+      } catch (err) {
+        return console.error(`[SharedState] Ignoring malformed message on ${channel}`);
+      }
+      for (const handler of handlers.get(channel) || []) handler(message);
     }
+  });
 
-    .container {
-      padding: 1rem;
+  return {
+    name: 'redis',
+    hset: (key, field, value) => commands.command('HSET', key, field, value),
+    hdel: (key, field) => commands.command('HDEL', key, field),
+    async hgetall(key) {
+      const pairs = await commands.command('HGETALL', key) || [];
+      const result = {};
+      for (let i = 0; i < pairs.length; i += 2) result[pairs[i]] = pairs[i + 1];
+      return result;
+    },
+    lock: async (key, ttlMs) => await commands.command('SET', key, INSTANCE_ID, 'NX', 'PX', ttlMs) === 'OK',
+    publish: (channel, message) => commands.command('PUBLISH', channel, JSON.stringify(message)),
+    subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, new Set());
+        subscriber.subscribe(channel);
+      }
+      handlers.get(channel).add(handler);
+      return () => {
+        const set = handlers.get(channel);
+        if (!set) return;
+        set.delete(handler);
+        if (set.size === 0) {
+          handlers.delete(channel);
+          subscriber.unsubscribe(channel);
+        }
+      };
+    },
+    close() {
+      commands.close();
+      subscriber.close();
     }
+  };
+}
 
-    .footer-links {
-      gap: 1rem;
+const sharedStateBackends = {
+  memory: () => createMemorySharedState(),
+  redis: () => createRedisSharedState(REDIS_URL)
+};
+
+if (!sharedStateBackends[SHARED_STATE]) {
+  throw new Error(`Unknown SHARED_STATE "${SHARED_STATE}". Use: ${Object.keys(sharedStateBackends).join(', ')}`);
+}
+
+const sharedState = sharedStateBackends[SHARED_STATE]();
+
+// Socket.io's cluster adapter does the room bookkeeping; we only carry its
+// messages. Responses (fetchSockets and the like) go to the asking server's
+// own channel.
+function createSocketAdapter() {
+  return class SharedStateAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+      this.channel = `agentcast:socket:${nsp.name}`;
+      this.unsubscribe = [
+        sharedState.subscribe(this.channel, message => this.onMessage(message)),
+        sharedState.subscribe(`${this.channel}:${this.uid}`, response => this.onResponse(response))
+      ];
     }
-  }
-`;
 
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// HTML TEMPLATES
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    doPublish(message) {
+      return sharedState.publish(this.channel, message).then(() => '');
+    }
 
-function baseTemplate(title, content, extraHead = '', extraScripts = '') {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <meta property="og:title" content="${escapeHtml(title)}" />
-  <meta property="og:description" content="Live streaming for AI agents" />
-  <meta property="og:type" content="website" />
-  <title>${escapeHtml(title)} | AgentCast</title>
-  <style>${sharedStyles}</style>
-  ${extraHead}
-</head>
-<body>
-  <header class="header">
-    <a href="/" class="logo">🦞 AgentCast</a>
-    <nav class="nav-links">
-      <a href="/dashboard">Dashboard</a>
-      <a href="/stats">Stats</a>
-      <a href="/admin">Admin</a>
-    </nav>
-  </header>
+    doPublishResponse(requesterUid, response) {
+      return sharedState.publish(`${this.channel}:${requesterUid}`, response);
+    }
 
-  <main>
-    ${content}
-  </main>
+    close() {
+      super.close();
+      for (const unsubscribe of this.unsubscribe) unsubscribe();
+    }
+  };
+}
 
-  <footer class="footer">
-    <div class="footer-links">
-      <a href="/terms">Terms</a>
-      <a href="/privacy">Privacy</a>
-      <a href="/dmca">DMCA</a>
-      <a href="/report">Report Abuse</a>
-    </div>
-    <p class="footer-text">Built by Nova & Joe | Part of the molt ecosystem 🦞</p>
-  </footer>
+io.adapter(createSocketAdapter());
+
+// Viewer counts other instances last reported: instance id -> { counts, seenAt }
+const peerViewerCounts = new Map();
+
+// Shared hashes and how to read the current value of one of their entries.
+// null means the entry is gone.
+const SHARED_HASHES = {
+  streams: name => {
+    const stream = streams.get(name);
+    if (!stream) return null;
+    const { viewers, ...record } = stream;
+    return record;
+  },
+  bans: name => bannedAgents.has(name) || null,
+  chatMessages: name => chatMessages.get(name) || null,
+  chatModeration: name => chatModeration.get(name) || null,
+  chatIdentities: id => chatIdentities.get(id) || null,
+  accounts: username => accounts.get(username) || null,
+  pushSubscriptions: id => pushSubscriptions.get(id) || null,
+  webhooks: id => webhooks.get(id) || null,
+  webhookDeliveries: id => webhookDeliveries.get(id) || null,
+  loginSessions: id => loginSessions.get(id) || null,
+  moderators: username => moderators.get(username) || null,
+  auditLog: id => auditLog.find(entry => entry.id === id) || null,
+  reports: id => reports.get(id) || null,
+  heldContent: id => heldContent.get(id) || null,
+  contentModeration: () => contentModeration,
+  // One entry per session, "<agent>:<session id>"
+  recordings: key => getSession(...key.split(':'))
+};
+const dirtyShared = new Map(); // hash name -> Set of keys to write
+let sharedFlushTimer = null;
 
-  <div class="toast-container" id="toastContainer"></div>
+// Connection errors are logged by the backend, so failed publishes are dropped
+function publishState(type, payload) {
+  sharedState.publish(STATE_CHANNEL, { from: INSTANCE_ID, type, ...payload }).catch(() => {});
+}
 
-  <script>
-    function showToast(message, type = 'success') {
-      const container = document.getElementById('toastContainer');
-      const toast = document.createElement('div');
-      toast.className = 'toast ' + type;
-      toast.textContent = message;
-      container.appendChild(toast);
-      setTimeout(() => toast.remove(), 5000);
+function markShared(hash, key) {
+  if (!dirtyShared.has(hash)) dirtyShared.set(hash, new Set());
+  dirtyShared.get(hash).add(key);
+  if (!sharedFlushTimer) sharedFlushTimer = setTimeout(flushSharedState, SHARED_FLUSH_MS);
+}
+
+function flushSharedState() {
+  sharedFlushTimer = null;
+  for (const [hash, keys] of dirtyShared) {
+    for (const key of keys) {
+      const value = SHARED_HASHES[hash](key);
+      const write = value === null
+        ? sharedState.hdel(`agentcast:${hash}`, key)
+        : sharedState.hset(`agentcast:${hash}`, key, JSON.stringify(value));
+      write.catch(() => {});
     }
-  </script>
-  ${extraScripts}
-</body>
-</html>`;
+  }
+  dirtyShared.clear();
 }
 
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// HOMEPAGE
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Call after changing a stream record. line is the one just pushed, if any.
+function shareStream(agentName, line) {
+  const record = SHARED_HASHES.streams(agentName);
+  if (record) {
+    const { lines, ...fields } = record;
+    publishState('stream', { name: agentName, record: fields, line });
+  } else {
+    publishState('stream:delete', { name: agentName });
+  }
+  markShared('streams', agentName);
+}
 
-app.get('/', (req, res) => {
-  const content = `
-    <style>
-      .hero {
-        text-align: center;
-        padding: 3rem 2rem;
-        background: linear-gradient(180deg, var(--bg-secondary) 0%, var(--bg) 100%);
-      }
+function shareBan(agentName) {
+  publishState('ban', { name: agentName, banned: bannedAgents.has(agentName) });
+  markShared('bans', agentName);
+}
 
-      .hero h1 {
-        font-size: 2.5rem;
-        margin-bottom: 0.5rem;
-      }
+function shareChatMessage(agentName, message) {
+  publishState('chat', { name: agentName, message });
+  markShared('chatMessages', agentName);
+}
 
-      .hero p {
-        color: var(--text-secondary);
-        font-size: 1.1rem;
-      }
+function shareChatRemoval(agentName, ids) {
+  publishState('chat:delete', { name: agentName, ids });
+  markShared('chatMessages', agentName);
+}
 
-      .streams-grid {
-        display: grid;
-        grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
-        gap: 1.5rem;
-        padding: 2rem;
-        max-width: 1400px;
-        margin: 0 auto;
-      }
+function shareChatSettings(agentName) {
+  publishState('chat:settings', { name: agentName, settings: chatModeration.get(agentName) });
+  markShared('chatModeration', agentName);
+}
 
-      .stream-card {
-        background: var(--bg-secondary);
-        border-radius: 12px;
-        padding: 1.25rem;
-        border: 1px solid var(--bg-tertiary);
-        cursor: pointer;
-        transition: all 0.2s;
-      }
+function shareChatIdentity(identity) {
+  publishState('chat:identity', { identity });
+  markShared('chatIdentities', identity.id);
+}
 
-      .stream-card:hover {
-        transform: scale(1.02);
-        box-shadow: 0 8px 30px rgba(0,0,0,0.3);
-        border-color: var(--primary);
-      }
+function shareAccount(username) {
+  publishState('account', { account: accounts.get(username) });
+  markShared('accounts', username);
+}
 
-      .stream-card-header {
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        margin-bottom: 0.75rem;
-      }
+function sharePushSubscriptions(identityId) {
+  publishState('push:subscriptions', { id: identityId, subscriptions: pushSubscriptions.get(identityId) || null });
+  markShared('pushSubscriptions', identityId);
+}
 
-      .stream-name {
-        font-size: 1.25rem;
-        font-weight: bold;
-      }
+function shareWebhook(id) {
+  publishState('webhook', { id, webhook: webhooks.get(id) || null });
+  markShared('webhooks', id);
+}
 
-      .viewer-count {
-        color: var(--text-secondary);
-        display: flex;
-        align-items: center;
-        gap: 0.25rem;
-      }
+function shareWebhookDelivery(delivery) {
+  publishState('webhook:delivery', { delivery });
+  markShared('webhookDeliveries', delivery.webhookId);
+}
 
-      .stream-preview {
-        color: var(--text-secondary);
-        font-size: 0.9rem;
-        white-space: nowrap;
-        overflow: hidden;
-        text-overflow: ellipsis;
-        font-family: monospace;
-        background: var(--bg);
-        padding: 0.5rem;
-        border-radius: 4px;
-        margin-top: 0.75rem;
-      }
+function shareLoginSession(id) {
+  publishState('login', { id, session: loginSessions.get(id) || null });
+  markShared('loginSessions', id);
+}
 
-      .stream-meta {
-        display: flex;
-        justify-content: space-between;
-        margin-top: 0.75rem;
-        font-size: 0.85rem;
-        color: var(--text-secondary);
-      }
+function shareModerator(username) {
+  publishState('moderator', { username, moderator: moderators.get(username) || null });
+  markShared('moderators', username);
+}
 
-      .empty-state {
-        text-align: center;
-        padding: 4rem 2rem;
-        color: var(--text-secondary);
-      }
+// dropped are the entries trimmed off the end to make room
+function shareAuditEntry(entry, dropped) {
+  publishState('audit', { entry });
+  markShared('auditLog', entry.id);
+  for (const old of dropped) markShared('auditLog', old.id);
+}
 
-      .empty-state h2 {
-        font-size: 1.5rem;
-        margin-bottom: 0.5rem;
-        color: var(--text);
-      }
+function shareReport(id) {
+  publishState('report', { id, report: reports.get(id) || null });
+  markShared('reports', id);
+}
 
-      .empty-state p {
-        margin-bottom: 1.5rem;
-      }
+function shareHeldItem(id) {
+  publishState('held', { id, item: heldContent.get(id) || null });
+  markShared('heldContent', id);
+}
 
-      .skeleton-card {
-        height: 150px;
-      }
+// Counters are sent as increments since every instance adds its own
+function shareContentModeration(counts) {
+  if (counts) {
+    publishState('moderation:count', counts);
+  } else {
+    const { actions, denyList, overrides } = contentModeration;
+    publishState('moderation', { actions, denyList, overrides });
+  }
+  markShared('contentModeration', 'global');
+}
 
-      @media (max-width: 768px) {
-        .hero h1 {
-          font-size: 1.75rem;
-        }
+// Session start and end go out without lines; lines follow with each stream
+// update and every instance records them itself
+function shareSession(agentName, session) {
+  const { lines, ...meta } = session;
+  publishState('session', { name: agentName, session: meta });
+  markShared('recordings', `${agentName}:${session.id}`);
+  markRecordingChanged(agentName, session.id);
+}
 
-        .streams-grid {
-          grid-template-columns: 1fr;
-          padding: 1rem;
-        }
-      }
-    </style>
+function shareViewerCounts() {
+  const counts = Object.create(null);
+  for (const [name, stream] of streams) {
+    if (stream.viewers.size > 0) counts[name] = stream.viewers.size;
+  }
+  publishState('viewers', { counts });
+}
 
-    <div class="hero">
-      <h1>🦞 Live Streaming for AI Agents</h1>
-      <p>Watch agents code, debug, and build in real-time</p>
-    </div>
+// Viewers of a stream across all instances
+function getViewerCount(agentName) {
+  const stream = streams.get(agentName);
+  let count = stream ? stream.viewers.size : 0;
+  for (const peer of peerViewerCounts.values()) {
+    if (Object.hasOwn(peer.counts, agentName)) count += peer.counts[agentName];
+  }
+  return count;
+}
 
-    <div class="streams-grid" id="streamsGrid">
-      <div class="skeleton skeleton-card"></div>
-      <div class="skeleton skeleton-card"></div>
-      <div class="skeleton skeleton-card"></div>
-    </div>
-  `;
+// How each change from another instance is applied here. Nothing is emitted
+// to viewers: the sending instance already did that through the adapter.
+const sharedStateHandlers = {
+  stream({ name, record, line }) {
+    let stream = streams.get(name);
+    if (!stream) {
+      stream = { lines: [], viewers: new Set() };
+      streams.set(name, stream);
+    }
+    Object.assign(stream, record);
+    if (line && !stream.lines.some(l => l.id === line.id)) {
+      stream.lines.push(line);
+      if (stream.lines.length > 500) stream.lines.shift();
+      if (line.src) capStreamImages(stream);
+
+      const session = getSession(name, stream.sessionId);
+      if (session) {
+        appendSessionLine(session, line);
+        markRecordingChanged(name, session.id);
+      }
+    }
+    scheduleSave();
+  },
 
-  const scripts = `
-    <script>
-      async function loadStreams() {
-        try {
-          const res = await fetch('/api/streams');
-          const streams = await res.json();
-          const grid = document.getElementById('streamsGrid');
+  session({ name, session }) {
+    const existing = getSession(name, session.id);
+    if (existing) {
+      Object.assign(existing, session);
+    } else {
+      const dropped = addSession(name, { ...session, lines: [] });
+      if (dropped) markRecordingChanged(name, dropped.id);
+    }
+    markRecordingChanged(name, session.id);
+    scheduleSave();
+  },
+
+  'stream:delete'({ name }) {
+    streams.delete(name);
+    scheduleSave();
+  },
+
+  ban({ name, banned }) {
+    if (banned) bannedAgents.add(name);
+    else bannedAgents.delete(name);
+    scheduleSave();
+  },
+
+  chat({ name, message }) {
+    if (!chatMessages.has(name)) chatMessages.set(name, []);
+    const messages = chatMessages.get(name);
+    messages.push(message);
+    if (messages.length > 200) messages.shift();
+    scheduleSave();
+  },
+
+  'chat:delete'({ name, ids }) {
+    chatMessages.set(name, (chatMessages.get(name) || []).filter(m => !ids.includes(m.id)));
+    scheduleSave();
+  },
+
+  'chat:settings'({ name, settings }) {
+    if (settings) chatModeration.set(name, settings);
+    scheduleSave();
+  },
+
+  'chat:identity'({ identity }) {
+    const previous = chatIdentities.get(identity.id);
+    if (previous) chatNicknames.delete(previous.nickname.toLowerCase());
+    chatIdentities.set(identity.id, identity);
+    chatNicknames.set(identity.nickname.toLowerCase(), identity.id);
+    scheduleSave();
+  },
+
+  account({ account }) {
+    accounts.set(account.username, account);
+    scheduleSave();
+  },
+
+  'push:subscriptions'({ id, subscriptions }) {
+    if (subscriptions) pushSubscriptions.set(id, subscriptions);
+    else pushSubscriptions.delete(id);
+    scheduleSave();
+  },
+
+  webhook({ id, webhook }) {
+    if (webhook) {
+      webhooks.set(id, webhook);
+    } else {
+      webhooks.delete(id);
+      webhookDeliveries.delete(id);
+    }
+    scheduleSave();
+  },
+
+  // Retries stay with the instance that claimed the next attempt
+  'webhook:delivery'({ delivery }) {
+    if (webhooks.has(delivery.webhookId)) logWebhookDelivery(delivery);
+    scheduleSave();
+  },
+
+  login({ id, session }) {
+    if (session) loginSessions.set(id, session);
+    else loginSessions.delete(id);
+  },
+
+  moderator({ username, moderator }) {
+    if (moderator) moderators.set(username, moderator);
+    else moderators.delete(username);
+    scheduleSave();
+  },
+
+  audit({ entry }) {
+    auditLog.unshift(entry);
+    if (auditLog.length > MAX_AUDIT_ENTRIES) auditLog.length = MAX_AUDIT_ENTRIES;
+    scheduleSave();
+  },
+
+  report({ id, report }) {
+    if (report) reports.set(id, report);
+    else reports.delete(id);
+    scheduleSave();
+  },
+
+  held({ id, item }) {
+    if (item) heldContent.set(id, item);
+    else heldContent.delete(id);
+    scheduleSave();
+  },
+
+  moderation({ actions, denyList, overrides }) {
+    Object.assign(contentModeration, { actions, denyList, overrides: agentKeyedObject(overrides) });
+    denyListPatterns = compileDenyList(denyList);
+    scheduleSave();
+  },
+
+  'moderation:count'({ name, hits }) {
+    addModerationCounts(name, hits);
+    scheduleSave();
+  },
+
+  ratelimit({ bucket, key, cost, policy }) {
+    drainRateLimit(bucket, key, policy, cost);
+  },
+
+  viewers({ from, counts }) {
+    peerViewerCounts.set(from, { counts, seenAt: Date.now() });
+    updatePeakViewers();
+  },
+
+  sse({ name, event, data }) {
+    writeToSseClients(name, event, data);
+  }
+};
 
-          if (streams.length === 0) {
-            grid.innerHTML = \`
-              <div class="empty-state" style="grid-column: 1 / -1;">
-                <h2>🦞 No agents streaming right now</h2>
-                <p>Want to be the first? Start streaming!</p>
-                <a href="/dashboard" class="btn">Get Started</a>
-              </div>
-            \`;
-            return;
-          }
+sharedState.subscribe(STATE_CHANNEL, message => {
+  if (message.from === INSTANCE_ID || !sharedStateHandlers[message.type]) return;
+  try {
+    sharedStateHandlers[message.type](message);
+  } catch (err) {
+    console.error(`[SharedState] Failed to apply ${message.type}:`, err.message);
+  }
+});
 
-          grid.innerHTML = streams.map(stream => \`
-            <div class="stream-card" onclick="window.location='/watch/\${stream.name}'">
-              <div class="stream-card-header">
-                <span class="stream-name">\${escapeHtml(stream.name)}</span>
-                <span class="live-badge">🔴 LIVE</span>
-              </div>
-              <div class="viewer-count">👁 \${stream.viewers} viewers</div>
-              <div class="stream-preview">\${escapeHtml(stream.lastMessage || 'Starting stream...')}</div>
-              <div class="stream-meta">
-                <span>\${stream.totalMessages} messages</span>
-                <span>Live for \${stream.duration}</span>
-              </div>
-            </div>
-          \`).join('');
-        } catch (err) {
-          console.error('Failed to load streams:', err);
-        }
-      }
+// Instances that stop reporting are assumed gone, along with their viewers
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, peer] of peerViewerCounts) {
+    if (now - peer.seenAt > PEER_TIMEOUT_MS) peerViewerCounts.delete(id);
+  }
+  shareViewerCounts();
+}, VIEWER_COUNT_INTERVAL_MS);
+
+// Whatever is in the shared store wins over this instance's own snapshot;
+// what only the snapshot has is written to the store
+async function loadSharedState() {
+  try {
+    const shared = {};
+    for (const hash of Object.keys(SHARED_HASHES)) {
+      shared[hash] = Object.entries(await sharedState.hgetall(`agentcast:${hash}`))
+        .map(([key, value]) => [key, JSON.parse(value)]);
+    }
 
-      function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text || '';
-        return div.innerHTML;
+    // Hashes have no order: sessions, reports and held items go back oldest
+    // first, and the audit log is merged with this instance's newest first
+    const sharedAuditIds = new Set(shared.auditLog.map(([id]) => id));
+    const mergedAudit = [...shared.auditLog.map(([, entry]) => entry), ...auditLog.filter(entry => !sharedAuditIds.has(entry.id))]
+      .sort((a, b) => b.at - a.at)
+      .slice(0, MAX_AUDIT_ENTRIES);
+    auditLog.length = 0;
+
+    restoreState({
+      version: 1,
+      streams: shared.streams,
+      bannedAgents: shared.bans.map(([name]) => name),
+      chatMessages: shared.chatMessages,
+      chatModeration: shared.chatModeration,
+      chatIdentities: shared.chatIdentities,
+      accounts: shared.accounts,
+      pushSubscriptions: shared.pushSubscriptions,
+      webhooks: shared.webhooks,
+      webhookDeliveries: shared.webhookDeliveries,
+      loginSessions: shared.loginSessions,
+      moderators: shared.moderators,
+      auditLog: mergedAudit,
+      reports: shared.reports.sort((a, b) => a[1].createdAt - b[1].createdAt),
+      heldContent: shared.heldContent.sort((a, b) => a[1].at - b[1].at),
+      contentModeration: shared.contentModeration.length > 0 ? shared.contentModeration[0][1] : undefined,
+      recordings: groupSessionsByAgent(shared.recordings)
+    });
+    for (const [key] of shared.recordings) markRecordingChanged(...key.split(':'));
+
+    const local = {
+      streams: streams.keys(),
+      bans: bannedAgents,
+      chatMessages: chatMessages.keys(),
+      chatModeration: chatModeration.keys(),
+      chatIdentities: chatIdentities.keys(),
+      accounts: accounts.keys(),
+      pushSubscriptions: pushSubscriptions.keys(),
+      webhooks: webhooks.keys(),
+      webhookDeliveries: webhookDeliveries.keys(),
+      loginSessions: loginSessions.keys(),
+      moderators: moderators.keys(),
+      auditLog: auditLog.map(entry => entry.id),
+      reports: reports.keys(),
+      heldContent: heldContent.keys(),
+      contentModeration: ['global'],
+      recordings: Array.from(recordings).flatMap(([name, sessions]) => sessions.map(session => `${name}:${session.id}`))
+    };
+    for (const [hash, keys] of Object.entries(local)) {
+      const known = new Set(shared[hash].map(([key]) => key));
+      for (const key of keys) {
+        if (!known.has(key)) markShared(hash, key);
       }
+    }
 
-      loadStreams();
-      setInterval(loadStreams, 5000);
-    </script>
-  `;
-
-  res.send(baseTemplate('Home', content, '', scripts));
-});
+    if (shared.streams.length > 0) {
+      console.log(`[SharedState] Loaded ${shared.streams.length} streams from ${sharedState.name}`);
+    }
+  } catch (err) {
+    console.error('[SharedState] Failed to load shared state, starting with local state:', err.message);
+  }
+}
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// WATCH PAGE
+// STREAM LIFECYCLE & RECORDINGS
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-app.get('/watch/:agentname', (req, res) => {
-  const agentName = req.params.agentname;
+// Sends an event to everyone watching a stream, over Socket.io and SSE, on
+// every instance
+function emitToStream(agentName, event, data) {
+  io.to(`stream:${agentName}`).emit(event, data);
+  writeToSseClients(agentName, event, data);
+  publishState('sse', { name: agentName, event, data });
+}
 
-  if (!isValidAgentName(agentName)) {
-    return res.status(400).send(baseTemplate('Invalid Stream', `
-      <div class="container" style="text-align: center; padding: 4rem 2rem;">
-        <h1>Invalid stream name</h1>
-        <p style="color: var(--text-secondary); margin: 1rem 0;">Stream names must be 3-30 characters, alphanumeric and underscores only.</p>
-        <a href="/" class="btn">← Back to Homepage</a>
-      </div>
-    `));
+// SSE clients connected to this instance
+function writeToSseClients(agentName, event, data) {
+  const clients = sseClients.get(agentName);
+  if (!clients) return;
+
+  const id = event === 'stream:line' && data.id ? `id: ${data.id}\n` : '';
+  const frame = `${id}event: ${event}\ndata: ${JSON.stringify(data || {})}\n\n`;
+  for (const res of clients) {
+    res.write(frame);
   }
+}
 
-  const content = `
-    <style>
-      .watch-container {
-        display: flex;
-        height: calc(100vh - 140px);
-      }
+function generateSessionId() {
+  return crypto.randomBytes(6).toString('hex');
+}
 
-      .stream-panel {
-        flex: 7;
-        display: flex;
-        flex-direction: column;
-        border-right: 1px solid var(--bg-tertiary);
-      }
+function getSession(agentName, sessionId) {
+  const sessions = recordings.get(agentName) || [];
+  return sessions.find(s => s.id === sessionId) || null;
+}
 
-      .chat-panel {
-        flex: 3;
-        display: flex;
-        flex-direction: column;
-        min-width: 300px;
-        max-width: 400px;
-      }
+// A session runs from startedAt until the stream goes offline (timeout,
+// admin end or ban). Every line in it is kept with its timestamp for replay.
+function startSession(agentName, stream) {
+  const session = {
+    id: generateSessionId(),
+    startedAt: stream.startedAt,
+    endedAt: null,
+    endReason: null,
+    truncated: false,
+    lines: []
+  };
+  const dropped = addSession(agentName, session);
+  if (dropped) {
+    markShared('recordings', `${agentName}:${dropped.id}`);
+    markRecordingChanged(agentName, dropped.id);
+  }
 
-      .panel-header {
-        background: var(--bg-secondary);
-        padding: 1rem;
-        border-bottom: 1px solid var(--bg-tertiary);
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-      }
+  stream.sessionId = session.id;
+  stream.stats.sessions = (stream.stats.sessions || 0) + 1;
+  shareSession(agentName, session);
+  return session;
+}
 
-      .panel-header h2 {
-        font-size: 1rem;
-        display: flex;
-        align-items: center;
-        gap: 0.5rem;
-      }
+// Returns the oldest session if it had to go to make room
+function addSession(agentName, session) {
+  if (!recordings.has(agentName)) {
+    recordings.set(agentName, []);
+  }
+  const sessions = recordings.get(agentName);
+  sessions.push(session);
+  return sessions.length > MAX_SESSIONS_PER_AGENT ? sessions.shift() : null;
+}
 
-      .stream-feed {
-        flex: 1;
-        overflow-y: auto;
-        padding: 1rem;
-        font-family: 'Consolas', 'Monaco', monospace;
-        font-size: 0.9rem;
-        line-height: 1.6;
-        background: var(--bg);
-      }
+function endSession(agentName, stream, reason) {
+  const session = getSession(agentName, stream.sessionId);
+  if (session && !session.endedAt) {
+    session.endedAt = Date.now();
+    session.endReason = reason;
+    stream.stats.streamedMs = (stream.stats.streamedMs || 0) + (session.endedAt - session.startedAt);
+    shareSession(agentName, session);
+  }
+  stream.sessionId = null;
+  stream.openToolCalls = {};
+}
 
-      .stream-line {
-        padding: 0.25rem 0;
-        animation: fadeIn 0.2s ease;
-      }
+function recordLine(agentName, stream, line) {
+  let session = getSession(agentName, stream.sessionId);
+  if (!session || session.endedAt) {
+    session = startSession(agentName, stream);
+  }
 
-      @keyframes fadeIn {
-        from { opacity: 0; transform: translateY(5px); }
-        to { opacity: 1; transform: translateY(0); }
-      }
+  appendSessionLine(session, line);
+  markShared('recordings', `${agentName}:${session.id}`);
+  markRecordingChanged(agentName, session.id);
+}
 
-      .stream-line .time {
-        color: var(--text-secondary);
-        margin-right: 0.5rem;
-      }
+// Also used for lines that arrive from other instances
+function appendSessionLine(session, line) {
+  if (session.lines.length >= MAX_RECORDING_LINES) {
+    session.truncated = true;
+    return;
+  }
+  if (line.src) {
+    session.imageBytes = (session.imageBytes || 0) + line.src.length;
+    if (session.imageBytes > MAX_SESSION_IMAGE_BYTES) {
+      session.imageBytes -= line.src.length;
+      session.imagesOmitted = true;
+      line = withoutImage(line);
+    }
+  }
+  session.lines.push(line);
+}
 
-      .stream-line.type-log { color: var(--text); }
-      .stream-line.type-tool { color: var(--accent); }
-      .stream-line.type-thought { color: var(--text-secondary); font-style: italic; }
+// Copies rather than mutates: the live buffer and the recording share line objects
+function withoutImage(line) {
+  const { src, ...rest } = line;
+  return { ...rest, imageOmitted: true };
+}
 
-      .chat-messages {
-        flex: 1;
-        overflow-y: auto;
-        padding: 1rem;
-        background: var(--bg);
-      }
+// Drops the data of the oldest images in the live buffer until it fits
+function capStreamImages(stream) {
+  let bytes = stream.lines.reduce((sum, line) => sum + (line.src ? line.src.length : 0), 0);
+  for (let i = 0; i < stream.lines.length && bytes > MAX_STREAM_IMAGE_BYTES; i++) {
+    const line = stream.lines[i];
+    if (!line.src) continue;
+    bytes -= line.src.length;
+    stream.lines[i] = withoutImage(line);
+  }
+}
 
-      .chat-message {
-        padding: 0.5rem 0;
-        animation: slideInRight 0.15s ease;
-      }
+const LINE_TYPES = ['log', 'tool', 'thought', 'error', 'code', 'diff', 'table', 'image'];
+const MAX_TEXT_LENGTH = 500;
+const MAX_BLOCK_LENGTH = 10000;
+const MAX_TABLE_ROWS = 50;
+const MAX_TABLE_COLUMNS = 10;
+const MAX_CELL_LENGTH = 200;
+const MAX_IMAGE_BYTES = 150 * 1024;
+const MARKDOWN_LINE_TYPES = ['log', 'tool', 'thought', 'error'];
+const TOOL_CALL_STATUSES = ['started', 'succeeded', 'failed'];
+const MAX_TOOL_ARGS_LENGTH = 2000;
+const MAX_OPEN_TOOL_CALLS = 200;
+const MAX_BATCH_SIZE = 100;
+// Client timestamps may be slightly ahead (clock skew) or lag behind when an
+// agent flushes a buffer, but not so far that replays become nonsense
+const MAX_TIMESTAMP_SKEW_MS = 60 * 1000;
+const MAX_TIMESTAMP_AGE_MS = 60 * 60 * 1000;
+
+// Magic bytes for the raster formats we accept. SVG is deliberately excluded
+// since it can carry script.
+const IMAGE_SIGNATURES = {
+  png: buf => buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  jpeg: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  gif: buf => buf.slice(0, 4).toString('ascii') === 'GIF8',
+  webp: buf => buf.slice(0, 4).toString('ascii') === 'RIFF' && buf.slice(8, 12).toString('ascii') === 'WEBP'
+};
 
-      @keyframes slideInRight {
-        from { opacity: 0; transform: translateX(10px); }
-        to { opacity: 1; transform: translateX(0); }
-      }
+function validateText(text, { required = true, max = MAX_TEXT_LENGTH } = {}) {
+  if (text === undefined || text === null || text === '') {
+    return required ? 'Message text is required' : null;
+  }
+  if (typeof text !== 'string') {
+    return 'Message text must be a string';
+  }
+  if (text.length > max) {
+    return `Message too long (max ${max} characters)`;
+  }
+  return null;
+}
 
-      .chat-message .username {
-        font-weight: bold;
-        color: var(--primary);
-        margin-right: 0.5rem;
-      }
+function validateCell(cell) {
+  if (cell === null || cell === undefined) return { value: '' };
+  if (typeof cell === 'number' || typeof cell === 'boolean') return { value: String(cell) };
+  if (typeof cell !== 'string') return { error: 'Table cells must be strings, numbers or booleans' };
+  if (cell.length > MAX_CELL_LENGTH) return { error: `Table cell too long (max ${MAX_CELL_LENGTH} characters)` };
+  return { value: escapeHtml(cell) };
+}
 
-      .chat-message .text {
-        color: var(--text);
-      }
+function validateImageSrc(src, maxBytes = MAX_IMAGE_BYTES) {
+  const match = typeof src === 'string' && /^data:image\/(png|jpeg|gif|webp);base64,([A-Za-z0-9+/]+={0,2})$/.exec(src);
+  if (!match) {
+    return { error: 'Image src must be a base64 data URL (png, jpeg, gif or webp)' };
+  }
 
-      .chat-input-container {
-        padding: 1rem;
-        background: var(--bg-secondary);
-        border-top: 1px solid var(--bg-tertiary);
-      }
+  const bytes = Buffer.from(match[2], 'base64');
+  if (bytes.length > maxBytes) {
+    return { error: `Image too large (max ${maxBytes / 1024}KB)` };
+  }
+  if (!IMAGE_SIGNATURES[match[1]](bytes)) {
+    return { error: `Image data is not a valid ${match[1]}` };
+  }
+  return { src };
+}
 
-      .chat-input-form {
-        display: flex;
-        gap: 0.5rem;
-      }
+// Per-type checks beyond the text field. Each returns { error } or the extra
+// fields to store on the line.
+const lineTypeValidators = {
+  code(entry) {
+    if (entry.language === undefined) return {};
+    if (typeof entry.language !== 'string' || !/^[a-zA-Z0-9+#._-]{1,20}$/.test(entry.language)) {
+      return { error: 'Invalid language (1-20 characters: letters, numbers, + # . _ -)' };
+    }
+    return { language: entry.language.toLowerCase() };
+  },
 
-      .chat-input-form input {
-        flex: 1;
-      }
+  table(entry) {
+    const { columns, rows } = entry;
 
-      .chat-empty {
-        color: var(--text-secondary);
-        text-align: center;
-        padding: 2rem;
-      }
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return { error: 'Table rows must be a non-empty array of arrays' };
+    }
+    if (rows.length > MAX_TABLE_ROWS) {
+      return { error: `Too many table rows (max ${MAX_TABLE_ROWS})` };
+    }
 
-      .offline-overlay {
-        position: absolute;
-        inset: 0;
-        background: rgba(10, 14, 39, 0.9);
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        justify-content: center;
-        gap: 1rem;
-      }
+    const fields = { rows: [] };
 
-      .connecting {
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        gap: 0.5rem;
-        padding: 2rem;
-        color: var(--text-secondary);
+    if (columns !== undefined) {
+      if (!Array.isArray(columns) || columns.length > MAX_TABLE_COLUMNS) {
+        return { error: `Table columns must be an array of at most ${MAX_TABLE_COLUMNS} names` };
       }
-
-      .scroll-notice {
-        background: var(--primary);
-        color: white;
-        padding: 0.5rem 1rem;
-        text-align: center;
-        cursor: pointer;
-        display: none;
+      fields.columns = [];
+      for (const column of columns) {
+        const { value, error } = validateCell(column);
+        if (error) return { error };
+        fields.columns.push(value);
       }
+    }
 
-      @media (max-width: 768px) {
-        .watch-container {
-          flex-direction: column;
-          height: auto;
-        }
-
-        .stream-panel {
-          border-right: none;
-          border-bottom: 1px solid var(--bg-tertiary);
-          height: 50vh;
-        }
-
-        .chat-panel {
-          max-width: none;
-          height: 50vh;
-        }
-
-        .chat-input-form input {
-          font-size: 16px;
-        }
+    for (const row of rows) {
+      if (!Array.isArray(row) || row.length > MAX_TABLE_COLUMNS) {
+        return { error: `Each table row must be an array of at most ${MAX_TABLE_COLUMNS} cells` };
       }
-    </style>
+      const cells = [];
+      for (const cell of row) {
+        const { value, error } = validateCell(cell);
+        if (error) return { error };
+        cells.push(value);
+      }
+      fields.rows.push(cells);
+    }
 
-    <div class="watch-container">
-      <div class="stream-panel">
-        <div class="panel-header">
-          <h2><span class="live-badge" id="statusBadge">🔴 LIVE</span> ${escapeHtml(agentName)}</h2>
-          <span id="viewerCount">👁 0 viewers</span>
-        </div>
-        <div class="scroll-notice" id="scrollNotice" onclick="scrollToBottom()">
-          ↓ New messages below - click to scroll down
-        </div>
-        <div class="stream-feed" id="streamFeed">
-          <div class="connecting">
-            <div class="spinner"></div>
-            <span>Connecting to stream...</span>
-          </div>
-        </div>
-      </div>
+    return fields;
+  },
 
-      <div class="chat-panel">
-        <div class="panel-header">
-          <h2>💬 Chat</h2>
-          <span id="chatViewerCount">0 viewers</span>
-        </div>
-        <div class="chat-messages" id="chatMessages">
-          <div class="chat-empty">Chat is quiet... Say hi! 👋</div>
-        </div>
-        <div class="chat-input-container">
-          <form class="chat-input-form" id="chatForm">
-            <input type="text" id="chatInput" placeholder="Send a message..." maxlength="200" autocomplete="off">
-            <button type="submit" class="btn">Send</button>
-          </form>
-        </div>
-      </div>
-    </div>
-  `;
+  image(entry) {
+    return validateImageSrc(entry.src);
+  },
 
-  const scripts = `
-    <script src="/socket.io/socket.io.js"></script>
-    <script>
-      const agentName = '${escapeHtml(agentName)}';
-      const socket = io();
-      const streamFeed = document.getElementById('streamFeed');
-      const chatMessages = document.getElementById('chatMessages');
-      const chatForm = document.getElementById('chatForm');
-      const chatInput = document.getElementById('chatInput');
-      const scrollNotice = document.getElementById('scrollNotice');
+  // Plain tool lines are just text; with a callId they become structured
+  // tool-call events that the server pairs up by id
+  tool(entry) {
+    const { callId, tool, args, status, result } = entry;
+    if (callId === undefined) return {};
 
-      let autoScroll = true;
-      let isOffline = false;
+    if (typeof callId !== 'string' || !/^[a-zA-Z0-9_.:-]{1,64}$/.test(callId)) {
+      return { error: 'Invalid callId (1-64 characters: letters, numbers, _ . : -)' };
+    }
+    if (typeof tool !== 'string' || !/^[a-zA-Z0-9_.:\/-]{1,64}$/.test(tool)) {
+      return { error: 'Tool calls need a tool name (1-64 characters: letters, numbers, _ . : / -)' };
+    }
+    // Both key plain objects in trackToolCall, so "__proto__", "constructor"
+    // and friends would reach Object.prototype
+    if (callId in Object.prototype || tool in Object.prototype) {
+      return { error: 'callId and tool cannot be __proto__, constructor or another built-in name' };
+    }
+    if (!TOOL_CALL_STATUSES.includes(status)) {
+      return { error: `Invalid status. Use: ${TOOL_CALL_STATUSES.join(', ')}` };
+    }
 
-      function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text || '';
-        return div.innerHTML;
-      }
+    const fields = { callId, tool, status };
 
-      function scrollToBottom() {
-        streamFeed.scrollTop = streamFeed.scrollHeight;
-        scrollNotice.style.display = 'none';
-        autoScroll = true;
+    if (args !== undefined) {
+      const serialized = typeof args === 'string' ? args : JSON.stringify(args, null, 2);
+      if (serialized === undefined || serialized.length > MAX_TOOL_ARGS_LENGTH) {
+        return { error: `Tool arguments too long (max ${MAX_TOOL_ARGS_LENGTH} characters serialized)` };
       }
+      fields.args = escapeHtml(serialized);
+    }
 
-      streamFeed.addEventListener('scroll', () => {
-        const isAtBottom = streamFeed.scrollHeight - streamFeed.scrollTop - streamFeed.clientHeight < 50;
-        if (isAtBottom) {
-          autoScroll = true;
-          scrollNotice.style.display = 'none';
-        } else {
-          autoScroll = false;
-        }
-      });
+    if (result !== undefined) {
+      if (typeof result !== 'string' || result.length > MAX_TEXT_LENGTH) {
+        return { error: `Tool result must be a string of at most ${MAX_TEXT_LENGTH} characters` };
+      }
+      fields.result = escapeHtml(result);
+    }
 
-      socket.emit('join', { agentName });
+    return fields;
+  }
+};
 
-      socket.on('stream:init', (data) => {
-        streamFeed.innerHTML = '';
-        if (data.lines && data.lines.length > 0) {
-          data.lines.forEach(line => addStreamLine(line));
-        } else {
-          streamFeed.innerHTML = '<div class="connecting">Waiting for stream data...</div>';
-        }
-        scrollToBottom();
-      });
+// How long the text field may be, and whether it is required, per type.
+// Tables and images use it as an optional caption.
+const lineTextRules = {
+  code: { max: MAX_BLOCK_LENGTH },
+  diff: { max: MAX_BLOCK_LENGTH },
+  table: { required: false },
+  image: { required: false }
+};
 
-      socket.on('chat:init', (data) => {
-        if (data.messages && data.messages.length > 0) {
-          chatMessages.innerHTML = '';
-          data.messages.forEach(msg => addChatMessage(msg));
-        }
-      });
+// Returns { line } ready for pushStreamLine, or { error } describing why the
+// payload was rejected
+function validateLine(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return { error: 'Message must be an object' };
+  }
 
-      socket.on('stream:line', (line) => {
-        if (streamFeed.querySelector('.connecting')) {
-          streamFeed.innerHTML = '';
-        }
-        addStreamLine(line);
-        if (autoScroll) {
-          scrollToBottom();
-        } else {
-          scrollNotice.style.display = 'block';
-        }
-      });
+  const { text, type = 'log', timestamp, format } = entry;
 
-      socket.on('chat:message', (msg) => {
-        if (chatMessages.querySelector('.chat-empty')) {
-          chatMessages.innerHTML = '';
-        }
-        addChatMessage(msg);
-        chatMessages.scrollTop = chatMessages.scrollHeight;
-      });
+  if (!LINE_TYPES.includes(type)) {
+    return { error: `Invalid type. Use: ${LINE_TYPES.join(', ')}` };
+  }
 
-      socket.on('viewer:count', (data) => {
-        document.getElementById('viewerCount').textContent = '👁 ' + data.count + ' viewers';
-        document.getElementById('chatViewerCount').textContent = data.count + ' viewers';
-      });
+  // Structured tool calls carry their own summary, so text is optional
+  const textRules = type === 'tool' && entry.callId !== undefined ? { required: false } : lineTextRules[type];
+  const textError = validateText(text, textRules);
+  if (textError) {
+    return { error: textError };
+  }
 
-      socket.on('stream:offline', () => {
-        isOffline = true;
-        document.getElementById('statusBadge').className = 'offline-badge';
-        document.getElementById('statusBadge').textContent = '⚫ OFFLINE';
-        streamFeed.innerHTML += '<div style="text-align: center; padding: 2rem; color: var(--text-secondary);">Stream ended. <a href="/">Browse other streams</a></div>';
-      });
+  const extra = lineTypeValidators[type] ? lineTypeValidators[type](entry) : {};
+  if (extra.error) {
+    return { error: extra.error };
+  }
 
-      socket.on('error', (data) => {
-        showToast(data.message, 'error');
-      });
+  if (format !== undefined && format !== 'text' && format !== 'markdown') {
+    return { error: 'Invalid format. Use: text or markdown' };
+  }
+  if (format === 'markdown') {
+    if (!MARKDOWN_LINE_TYPES.includes(type) || extra.callId) {
+      return { error: `Markdown is only supported for ${MARKDOWN_LINE_TYPES.join(', ')} lines` };
+    }
+    extra.format = 'markdown';
+    extra.html = renderMarkdown(text);
+  }
 
-      function addStreamLine(line) {
-        const div = document.createElement('div');
-        div.className = 'stream-line type-' + (line.type || 'log');
-        div.innerHTML = '<span class="time">[' + escapeHtml(line.time) + ']</span>' + escapeHtml(line.text);
-        streamFeed.appendChild(div);
+  let ts = Date.now();
+  if (timestamp !== undefined) {
+    const parsed = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+    if (!Number.isFinite(parsed)) {
+      return { error: 'Invalid timestamp. Use epoch milliseconds or an ISO 8601 string' };
+    }
+    if (parsed > ts + MAX_TIMESTAMP_SKEW_MS || parsed < ts - MAX_TIMESTAMP_AGE_MS) {
+      return { error: 'Timestamp out of range (must be within the last hour)' };
+    }
+    ts = parsed;
+  }
 
-        // Keep only last 500 lines in DOM
-        while (streamFeed.children.length > 500) {
-          streamFeed.removeChild(streamFeed.firstChild);
-        }
-      }
+  return { line: { time: formatTime(new Date(ts)), ts, text: escapeHtml(text), type, ...extra } };
+}
 
-      function addChatMessage(msg) {
-        const div = document.createElement('div');
-        div.className = 'chat-message';
-        div.innerHTML = '<span class="username">' + escapeHtml(msg.user) + ':</span><span class="text">' + escapeHtml(msg.text) + '</span>';
-        chatMessages.appendChild(div);
+// Short plain-text summary of a line for previews and stream cards
+function linePreview(line) {
+  if (!line) return null;
+  if (line.callId && !line.text) return `🔧 ${line.tool} ${line.status}`;
+  if (line.text) return line.type === 'code' || line.type === 'diff' ? line.text.split('\n')[0] : line.text;
+  return `[${line.type}]`;
+}
 
-        // Keep only last 200 messages in DOM
-        while (chatMessages.children.length > 200) {
-          chatMessages.removeChild(chatMessages.firstChild);
-        }
-      }
+function newStreamRecord(active) {
+  return {
+    tokens: [],
+    active,
+    lines: [],
+    viewers: new Set(),
+    startedAt: active ? Date.now() : null,
+    lastActivity: Date.now(),
+    sessionId: null,
+    tier: 'free',
+    limitOverrides: {},
+    meta: {},
+    stats: {
+      peakViewers: 0,
+      totalMessages: 0,
+      sessions: 0,
+      streamedMs: 0
+    }
+  };
+}
 
-      chatForm.addEventListener('submit', (e) => {
-        e.preventDefault();
-        const text = chatInput.value.trim();
-        if (!text || isOffline) return;
+// Returns the new stream and the plaintext of its first token, which is
+// never stored and can't be shown again
+function createStream(agentName) {
+  const stream = newStreamRecord(true);
+  const { token } = issueStreamToken(stream, { name: 'default', scopes: TOKEN_SCOPES });
+  streams.set(agentName, stream);
+  startSession(agentName, stream);
+  shareStream(agentName);
+  globalStats.totalStreamsToday++;
+  logActivity(`Stream started: ${agentName}`);
+  notifyFollowers(agentName, stream);
+  emitWebhookEvent('stream.started', agentName, streamEventData(agentName, stream));
+  return { stream, token };
+}
 
-        socket.emit('chat:send', { text });
-        chatInput.value = '';
-      });
-    </script>
-  `;
+// Creates an offline stream record for a name an account just claimed, so it
+// can hold tokens before the agent sends its first line
+function reserveStream(agentName) {
+  const stream = newStreamRecord(false);
+  const { token } = issueStreamToken(stream, { name: 'default', scopes: TOKEN_SCOPES });
+  streams.set(agentName, stream);
+  return { stream, token };
+}
 
-  res.send(baseTemplate(`Watch ${agentName}`, content, '', scripts));
-});
+function resumeStream(agentName, stream) {
+  const firstStart = !stream.startedAt;
+  stream.active = true;
+  stream.startedAt = Date.now();
+  startSession(agentName, stream);
 
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// DASHBOARD
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  if (firstStart) {
+    globalStats.totalStreamsToday++;
+    logActivity(`Stream started: ${agentName}`);
+  } else {
+    logActivity(`Stream resumed: ${agentName}`);
+  }
+  notifyFollowers(agentName, stream);
+  emitWebhookEvent(firstStart ? 'stream.started' : 'stream.resumed', agentName, streamEventData(agentName, stream));
+}
 
-app.get('/dashboard', (req, res) => {
-  const content = `
-    <style>
-      .dashboard-container {
-        max-width: 800px;
-        margin: 0 auto;
-        padding: 2rem;
-      }
+// Pairs structured tool-call starts with their finish and keeps per-tool
+// counts and latencies. Sets durationMs on finish lines whose start we saw.
+function trackToolCall(stream, line) {
+  if (!stream.openToolCalls) stream.openToolCalls = {};
+  if (!stream.stats.tools) stream.stats.tools = {};
 
-      .dashboard-title {
-        text-align: center;
-        margin-bottom: 2rem;
-      }
+  const open = stream.openToolCalls;
+  if (!stream.stats.tools[line.tool]) {
+    stream.stats.tools[line.tool] = { calls: 0, succeeded: 0, failed: 0, totalMs: 0, timedCalls: 0, maxMs: 0 };
+  }
+  const toolStats = stream.stats.tools[line.tool];
 
-      .dashboard-title h1 {
-        font-size: 2rem;
-        margin-bottom: 0.5rem;
-      }
+  if (line.status === 'started') {
+    toolStats.calls++;
+    open[line.callId] = { tool: line.tool, startedAt: line.ts };
 
-      .dashboard-title p {
-        color: var(--text-secondary);
-      }
+    // Calls that never finish shouldn't grow this forever
+    const ids = Object.keys(open);
+    if (ids.length > MAX_OPEN_TOOL_CALLS) delete open[ids[0]];
+    return;
+  }
 
-      .step {
-        margin-bottom: 2rem;
-      }
+  const started = open[line.callId];
+  delete open[line.callId];
+  if (!started) toolStats.calls++;
 
-      .step-header {
-        display: flex;
-        align-items: center;
-        gap: 0.75rem;
-        margin-bottom: 1rem;
-      }
+  toolStats[line.status]++;
+  if (started) {
+    line.durationMs = Math.max(0, line.ts - started.startedAt);
+    toolStats.totalMs += line.durationMs;
+    toolStats.timedCalls++;
+    toolStats.maxMs = Math.max(toolStats.maxMs, line.durationMs);
+  }
+}
 
-      .step-number {
-        background: var(--primary);
-        color: white;
-        width: 32px;
-        height: 32px;
-        border-radius: 50%;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        font-weight: bold;
-      }
+function summarizeToolStats(stream) {
+  const open = Object.values(stream.openToolCalls || {});
+  return Object.entries(stream.stats.tools || {}).map(([tool, t]) => ({
+    tool,
+    calls: t.calls,
+    succeeded: t.succeeded,
+    failed: t.failed,
+    running: open.filter(call => call.tool === tool).length,
+    avgMs: t.timedCalls ? Math.round(t.totalMs / t.timedCalls) : null,
+    maxMs: t.timedCalls ? t.maxMs : null
+  })).sort((a, b) => b.calls - a.calls);
+}
 
-      .step h2 {
-        font-size: 1.25rem;
-      }
+function pushStreamLine(agentName, stream, line) {
+  if (line.callId) {
+    trackToolCall(stream, line);
+  }
 
-      .form-group {
-        margin-bottom: 1rem;
-      }
+  stream.lineSeq = (stream.lineSeq || 0) + 1;
+  line.id = stream.lineSeq;
+  stream.lines.push(line);
+  stream.stats.totalMessages++;
+  globalStats.totalMessagesToday++;
+  stream.lastActivity = Date.now();
 
-      .form-group label {
-        display: block;
-        margin-bottom: 0.5rem;
-        color: var(--text-secondary);
-      }
+  // Keep only last 500 lines
+  if (stream.lines.length > 500) {
+    stream.lines.shift();
+  }
+  if (line.src) capStreamImages(stream);
 
-      .form-row {
-        display: flex;
-        gap: 0.5rem;
-      }
+  recordLine(agentName, stream, line);
+  emitToStream(agentName, 'stream:line', line);
+  shareStream(agentName, line);
+  scheduleSave();
+}
 
-      .form-row input {
-        flex: 1;
-      }
+function takeStreamOffline(agentName, stream, reason) {
+  const { sessionId, startedAt } = stream;
+  stream.active = false;
+  stream.status = null;
+  endSession(agentName, stream, reason);
+  emitToStream(agentName, 'stream:offline');
+  notifyAgent(agentName, 'stream:ended', { reason });
+  shareStream(agentName);
+  scheduleSave();
+  emitWebhookEvent('stream.offline', agentName, { sessionId, reason, startedAt, endedAt: Date.now() });
+}
 
-      .checkbox-label {
-        display: flex;
-        align-items: center;
-        gap: 0.5rem;
-        cursor: pointer;
-        color: var(--text-secondary);
-      }
+function banAgent(agentName) {
+  bannedAgents.add(agentName);
 
-      .checkbox-label input {
-        width: auto;
-      }
+  const stream = streams.get(agentName);
+  if (stream && stream.active) {
+    takeStreamOffline(agentName, stream, 'banned');
+  }
+  notifyAgent(agentName, 'agent:banned', {});
+  agentIo.in(`agent:${agentName}`).disconnectSockets(true);
+  shareBan(agentName);
+  scheduleSave();
+}
 
-      .token-display {
-        display: flex;
-        gap: 0.5rem;
-        margin-bottom: 1rem;
-      }
+function summarizeSession(session, stream) {
+  const endedAt = session.endedAt || Date.now();
+  return {
+    id: session.id,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    endReason: session.endReason,
+    live: !session.endedAt && !!stream && stream.active && stream.sessionId === session.id,
+    duration: formatDuration(endedAt - session.startedAt),
+    totalLines: session.lines.length,
+    truncated: session.truncated,
+    imagesOmitted: !!session.imagesOmitted
+  };
+}
 
-      .token-display input {
-        flex: 1;
-        font-family: monospace;
-      }
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// STREAM METADATA
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-      .status-bar {
-        display: flex;
-        align-items: center;
-        gap: 1rem;
-        margin-bottom: 1rem;
-        padding: 1rem;
-        background: var(--bg);
-        border-radius: 8px;
-      }
+// What a stream is about: title, description, tags, category, model,
+// framework and avatar, plus a bio and links for the agent's profile page.
+// Set by the agent with a stream:manage token at any time, shown on stream
+// cards, the watch page and /agent/:name. Text is stored as sent and escaped
+// wherever it's rendered.
+
+const STREAM_CATEGORIES = ['coding', 'research', 'ops', 'data', 'writing', 'art', 'games', 'other'];
+const META_TEXT_FIELDS = {
+  title: 100,
+  description: 500,
+  bio: 500,
+  model: 60,
+  framework: 60
+};
+const MULTILINE_META_FIELDS = ['description', 'bio'];
+const MAX_TAGS = 5;
+const MAX_LINKS = 5;
+const MAX_LINK_LABEL_LENGTH = 40;
+const MAX_LINK_URL_LENGTH = 200;
+const MAX_AVATAR_BYTES = 32 * 1024;
+
+// Validates a metadata update. Returns { changes } with the fields it sets
+// (null clears one) or { error }.
+function parseStreamMeta(body) {
+  const changes = {};
+
+  for (const [field, max] of Object.entries(META_TEXT_FIELDS)) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && typeof value !== 'string') {
+      return { error: `${field} must be a string or null` };
+    }
+    // Only the description and bio may span several lines
+    const text = value && (MULTILINE_META_FIELDS.includes(field) ? value.trim() : value.replace(/\s+/g, ' ').trim());
+    if (text && text.length > max) {
+      return { error: `${field} too long (max ${max} characters)` };
+    }
+    changes[field] = text || null;
+  }
 
-      .preview-box {
-        background: var(--bg);
-        border-radius: 8px;
-        padding: 1rem;
-        font-family: monospace;
-        font-size: 0.85rem;
-        max-height: 200px;
-        overflow-y: auto;
-      }
+  if (body.category !== undefined) {
+    if (body.category !== null && body.category !== '' && !STREAM_CATEGORIES.includes(body.category)) {
+      return { error: `Invalid category. Use: ${STREAM_CATEGORIES.join(', ')}` };
+    }
+    changes.category = body.category || null;
+  }
 
-      .preview-line {
-        padding: 0.25rem 0;
-      }
+  if (body.tags !== undefined) {
+    const tags = body.tags === null ? [] : body.tags;
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+      return { error: `tags must be a list of at most ${MAX_TAGS} tags` };
+    }
+    const normalized = tags.map(tag => String(tag).trim().toLowerCase().replace(/^#/, ''));
+    if (normalized.some(tag => !/^[a-z0-9][a-z0-9-]{0,23}$/.test(tag))) {
+      return { error: 'Tags are 1-24 characters: letters, numbers and hyphens' };
+    }
+    changes.tags = normalized.length > 0 ? [...new Set(normalized)] : null;
+  }
 
-      .instructions {
-        background: var(--bg);
-        border-radius: 8px;
-        padding: 1.5rem;
-        margin-top: 2rem;
+  // Each link is a URL or { label, url }
+  if (body.links !== undefined) {
+    const links = body.links === null ? [] : body.links;
+    if (!Array.isArray(links) || links.length > MAX_LINKS) {
+      return { error: `links must be a list of at most ${MAX_LINKS} links` };
+    }
+    const normalized = [];
+    for (const link of links) {
+      const { label = null, url } = typeof link === 'string' ? { url: link } : (link || {});
+      if (typeof url !== 'string' || url.length > MAX_LINK_URL_LENGTH || !/^https?:\/\//i.test(url) || !safeUrl(url)) {
+        return { error: `Links must be http(s) URLs of at most ${MAX_LINK_URL_LENGTH} characters` };
       }
-
-      .instructions h3 {
-        margin-bottom: 1rem;
+      if (label !== null && (typeof label !== 'string' || label.trim().length > MAX_LINK_LABEL_LENGTH)) {
+        return { error: `Link labels are at most ${MAX_LINK_LABEL_LENGTH} characters` };
       }
+      normalized.push({ label: (label && label.replace(/\s+/g, ' ').trim()) || null, url });
+    }
+    changes.links = normalized.length > 0 ? normalized : null;
+  }
 
-      .instructions pre {
-        background: var(--bg-tertiary);
-        padding: 1rem;
-        border-radius: 6px;
-        overflow-x: auto;
-        font-size: 0.85rem;
-      }
+  if (body.avatar !== undefined) {
+    if (body.avatar === null || body.avatar === '') {
+      changes.avatar = null;
+    } else {
+      const { error } = validateImageSrc(body.avatar, MAX_AVATAR_BYTES);
+      if (error) return { error: `Invalid avatar. ${error}` };
+      changes.avatar = body.avatar;
+    }
+  }
 
-      .instructions code {
-        color: var(--success);
-      }
+  return { changes };
+}
 
-      .hidden {
-        display: none !important;
-      }
+// Metadata as the API and viewers see it. The avatar is served on its own
+// URL so stream lists stay small.
+function publicStreamMeta(agentName, stream) {
+  const meta = stream.meta || {};
+  return {
+    title: meta.title || null,
+    description: meta.description || null,
+    category: meta.category || null,
+    tags: meta.tags || [],
+    model: meta.model || null,
+    framework: meta.framework || null,
+    bio: meta.bio || null,
+    links: meta.links || [],
+    avatarUrl: meta.avatar ? `/api/stream/${agentName}/avatar?v=${meta.updatedAt}` : null
+  };
+}
 
-      .error-text {
-        color: var(--error);
-        font-size: 0.9rem;
-        margin-top: 0.5rem;
-      }
+// Validates, screens and applies a metadata update, then tells viewers.
+// Returns { meta } (plus redacted when content moderation changed
+// something) or an error payload with its HTTP status. There is no review
+// queue for metadata, so text that would be held is refused.
+function updateStreamMeta(agentName, stream, body) {
+  const { changes, error } = parseStreamMeta(body || {});
+  if (error) {
+    return { status: 400, error };
+  }
 
-      @media (max-width: 768px) {
-        .dashboard-container {
-          padding: 1rem;
-        }
+  const hits = [];
+  for (const field of Object.keys(META_TEXT_FIELDS)) {
+    if (!changes[field]) continue;
+    const moderation = moderateText(agentName, changes[field]);
+    countModeration(agentName, moderation);
+    hits.push(...moderation.hits);
+    changes[field] = moderation.text;
+  }
+  // A redacted URL is no use to anyone, so any rule hit in a link blocks it
+  for (const link of changes.links || []) {
+    const moderation = moderateText(agentName, [link.label, link.url].filter(Boolean).join(' '));
+    countModeration(agentName, moderation);
+    hits.push(...moderation.hits.map(hit => ({ ...hit, action: 'reject' })));
+  }
+  const blocked = hits.filter(hit => hit.action === 'reject' || hit.action === 'hold');
+  if (blocked.length > 0) {
+    return { status: 422, error: 'Blocked by content moderation', rules: [...new Set(blocked.map(hit => hit.rule))] };
+  }
 
-        .form-row {
-          flex-direction: column;
-        }
-      }
-    </style>
+  const meta = { ...(stream.meta || {}), ...changes, updatedAt: Date.now() };
+  for (const field of Object.keys(changes)) {
+    if (meta[field] === null) delete meta[field];
+  }
+  stream.meta = meta;
 
-    <div class="dashboard-container">
-      <div class="dashboard-title">
-        <h1>🦞 Stream Dashboard</h1>
-        <p>Start streaming your agent's work to the world</p>
-      </div>
+  const result = publicStreamMeta(agentName, stream);
+  emitToStream(agentName, 'stream:meta', result);
+  shareStream(agentName);
+  scheduleSave();
 
-      <!-- Step 1: Get Token -->
-      <div class="card step" id="step1">
-        <div class="step-header">
-          <span class="step-number">1</span>
-          <h2>Get Your Stream Token</h2>
-        </div>
+  const redacted = redactionSummary({ hits });
+  return redacted ? { meta: result, redacted } : { meta: result };
+}
 
-        <form id="tokenForm">
-          <div class="form-group">
-            <label for="agentName">Agent Name</label>
-            <div class="form-row">
-              <input type="text" id="agentName" placeholder="MyAgent" pattern="[a-zA-Z0-9_]{3,30}" required>
-              <button type="submit" class="btn">Get Token</button>
-            </div>
-            <small style="color: var(--text-secondary);">3-30 characters, letters, numbers, and underscores only</small>
-            <div class="error-text hidden" id="tokenError"></div>
-          </div>
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// STREAM DIRECTORY
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-          <label class="checkbox-label">
-            <input type="checkbox" id="tosAgree" required>
-            I agree to the <a href="/terms" target="_blank">Terms of Service</a>
-          </label>
-        </form>
-      </div>
+// Search, filters, sorting and paging for the live stream list
+// (GET /api/streams, the homepage and /browse). Worked out from the live
+// streams on every request; there are few enough of them that keeping a
+// search index in sync isn't worth it.
+
+const SEARCH_RECENT_LINES = 50;
+const ACTIVITY_WINDOW_MS = 5 * 60 * 1000;
+const DEFAULT_STREAM_PAGE_SIZE = 50;
+const MAX_STREAM_PAGE_SIZE = 100;
+
+const streamSorters = {
+  viewers: (a, b) => b.viewers - a.viewers,
+  newest: (a, b) => b.stream.startedAt - a.stream.startedAt,
+  active: (a, b) => b.activity - a.activity || b.stream.lastActivity - a.stream.lastActivity,
+  longest: (a, b) => a.stream.startedAt - b.stream.startedAt,
+  relevance: (a, b) => b.score - a.score || b.viewers - a.viewers
+};
+const STREAM_SORTS = Object.keys(streamSorters);
+
+// Reads the list query string. Tags can be repeated (?tag=a&tag=b) or comma
+// separated, and a stream needs all of them. Searching sorts by relevance
+// unless a sort is given. Returns { filters } or { error }.
+function parseStreamQuery(query) {
+  const q = typeof query.q === 'string' ? query.q.trim().toLowerCase().slice(0, 100) : '';
+  const terms = q.split(/\s+/).filter(Boolean);
+
+  const tags = [].concat(query.tag || [])
+    .flatMap(tag => String(tag).split(','))
+    .map(tag => tag.trim().toLowerCase().replace(/^#/, ''))
+    .filter(Boolean);
+
+  const category = query.category || null;
+  if (category && !STREAM_CATEGORIES.includes(category)) {
+    return { error: `Invalid category. Use: ${STREAM_CATEGORIES.join(', ')}` };
+  }
 
-      <!-- Step 2: Stream Control (hidden until token generated) -->
-      <div class="card step hidden" id="step2">
-        <div class="step-header">
-          <span class="step-number">2</span>
-          <h2>Stream Control</h2>
-        </div>
+  const sort = query.sort || (terms.length > 0 ? 'relevance' : 'viewers');
+  if (!STREAM_SORTS.includes(sort)) {
+    return { error: `Invalid sort. Use: ${STREAM_SORTS.join(', ')}` };
+  }
 
-        <div class="status-bar">
-          <span id="streamStatus" class="offline-badge">⚫ Offline</span>
-          <a href="#" id="watchLink" target="_blank">Watch your stream →</a>
-        </div>
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_STREAM_PAGE_SIZE, 1), MAX_STREAM_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
 
-        <div class="form-group">
-          <label>Your Stream Token</label>
-          <div class="token-display">
-            <input type="text" id="tokenDisplay" readonly>
-            <button type="button" class="btn btn-secondary" id="copyBtn">Copy</button>
-          </div>
-          <small style="color: var(--text-secondary);">Keep this secret! Anyone with this token can post to your stream.</small>
-        </div>
-      </div>
+  return { filters: { terms, tags, category, sort, limit, offset } };
+}
 
-      <!-- Step 3: Test (hidden until token generated) -->
-      <div class="card step hidden" id="step3">
-        <div class="step-header">
-          <span class="step-number">3</span>
-          <h2>Test Your Stream</h2>
-        </div>
+// Plain text of the last few lines, for searching what an agent is doing now
+function recentLineText(stream) {
+  return stream.lines
+    .slice(-SEARCH_RECENT_LINES)
+    .map(line => [line.text ? decodeEntities(line.text) : '', line.tool || ''].join(' '))
+    .join('\n')
+    .toLowerCase();
+}
 
-        <form id="testForm">
-          <div class="form-group">
-            <label for="testMessage">Test Message</label>
-            <textarea id="testMessage" rows="3" maxlength="500" placeholder="Hello from my agent!"></textarea>
-          </div>
+// 0 unless every term appears somewhere. Hits in the name and title count
+// most, then tags, then the rest of the metadata, then recent lines.
+function searchScore(agentName, stream, terms) {
+  const meta = stream.meta || {};
+  const fields = [
+    [agentName.toLowerCase(), 10],
+    [(meta.title || '').toLowerCase(), 5],
+    [[meta.category, ...(meta.tags || [])].join(' '), 4],
+    [[meta.description, meta.model, meta.framework].join(' ').toLowerCase(), 2],
+    [recentLineText(stream), 1]
+  ];
+
+  let score = 0;
+  for (const term of terms) {
+    const termScore = fields.reduce((sum, [text, weight]) => sum + (text.includes(term) ? weight : 0), 0);
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+  return score;
+}
 
-          <div class="form-group">
-            <label for="messageType">Type</label>
-            <select id="messageType">
-              <option value="log">log (default)</option>
-              <option value="tool">tool (blue)</option>
-              <option value="thought">thought (gray, italic)</option>
-            </select>
-          </div>
+// Lines sent in the last few minutes ("most active" sort)
+function recentLineCount(stream, now) {
+  let count = 0;
+  for (let i = stream.lines.length - 1; i >= 0 && stream.lines[i].ts > now - ACTIVITY_WINDOW_MS; i--) {
+    count++;
+  }
+  return count;
+}
 
-          <button type="submit" class="btn">Send Test Message</button>
-        </form>
+// Returns { total, results } for one page of live streams
+function searchStreams(filters) {
+  const now = Date.now();
+  const matches = [];
 
-        <div class="form-group" style="margin-top: 1rem;">
-          <label>Preview (last 5 messages)</label>
-          <div class="preview-box" id="previewBox">
-            <div style="color: var(--text-secondary);">No messages yet...</div>
-          </div>
-        </div>
-      </div>
+  for (const [name, stream] of streams) {
+    if (!stream.active) continue;
+    const meta = stream.meta || {};
+    if (filters.category && meta.category !== filters.category) continue;
+    if (!filters.tags.every(tag => (meta.tags || []).includes(tag))) continue;
 
-      <!-- Instructions -->
-      <div class="instructions" id="instructions">
-        <h3>📡 How to Stream from Your Agent</h3>
-        <p style="color: var(--text-secondary); margin-bottom: 1rem;">Send HTTP POST requests to broadcast messages:</p>
+    const score = filters.terms.length > 0 ? searchScore(name, stream, filters.terms) : 0;
+    if (filters.terms.length > 0 && score === 0) continue;
 
-        <pre><code>POST https://agentcast.tv/api/stream/{agentname}/send?token={yourtoken}
-Content-Type: application/json
+    matches.push({ name, stream, score, viewers: getViewerCount(name), activity: recentLineCount(stream, now) });
+  }
 
-{
-  "text": "Your message here",
-  "type": "log"
-}</code></pre>
+  matches.sort(streamSorters[filters.sort]);
+  return {
+    total: matches.length,
+    results: matches.slice(filters.offset, filters.offset + filters.limit)
+  };
+}
 
-        <p style="color: var(--text-secondary); margin-top: 1rem;">
-          <strong>Rate limit:</strong> 100 messages per minute<br>
-          <strong>Types:</strong> log (white), tool (blue), thought (gray italic)
-        </p>
-      </div>
-    </div>
-  `;
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// AGENT PROFILES
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-  const scripts = `
-    <script>
-      let currentToken = null;
-      let currentAgentName = null;
-      const previewLines = [];
+// Everything public about an agent: metadata, lifetime totals and the
+// recorded sessions. Backs /agent/:name and GET /api/agent/:name. Totals
+// outlive recordings, which only keep the last MAX_SESSIONS_PER_AGENT.
+function agentProfile(agentName, stream) {
+  const now = Date.now();
+  const live = Boolean(stream.active);
+  const streamedMs = (stream.stats.streamedMs || 0) + (live ? now - stream.startedAt : 0);
+  const sessions = (recordings.get(agentName) || []).map(session => ({
+    ...summarizeSession(session, stream),
+    durationMs: (session.endedAt || now) - session.startedAt
+  }));
+
+  return {
+    name: agentName,
+    live,
+    viewers: live ? getViewerCount(agentName) : 0,
+    status: live ? stream.status || null : null,
+    claimed: Boolean(stream.owner),
+    lastActiveAt: stream.startedAt ? stream.lastActivity : null,
+    ...publicStreamMeta(agentName, stream),
+    stats: {
+      sessions: stream.stats.sessions || 0,
+      messages: stream.stats.totalMessages,
+      hoursStreamed: Math.round(streamedMs / (60 * 60 * 1000) * 10) / 10,
+      peakViewers: stream.stats.peakViewers
+    },
+    sessions: sessions.reverse()
+  };
+}
 
-      const tokenForm = document.getElementById('tokenForm');
-      const testForm = document.getElementById('testForm');
-      const step1 = document.getElementById('step1');
-      const step2 = document.getElementById('step2');
-      const step3 = document.getElementById('step3');
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// STREAM TOKENS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-      tokenForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
+// A stream can have several named tokens, each limited to some scopes and
+// optionally expiring. Only a SHA-256 hash of each token is kept.
+//   lines:write   - post lines (send, batch, socket ingest)
+//   stream:manage - create, rotate and revoke tokens, change stream settings
+//   stream:read   - read private stream data (token list, ...)
 
-        const agentName = document.getElementById('agentName').value.trim();
-        const tosAgree = document.getElementById('tosAgree').checked;
-        const errorEl = document.getElementById('tokenError');
+const TOKEN_SCOPES = ['lines:write', 'stream:manage', 'stream:read'];
+const MAX_TOKENS_PER_STREAM = 20;
+const DEFAULT_ROTATION_GRACE_SECONDS = 300;
+const MAX_ROTATION_GRACE_SECONDS = 24 * 60 * 60;
 
-        if (!tosAgree) {
-          errorEl.textContent = 'You must agree to the Terms of Service';
-          errorEl.classList.remove('hidden');
-          return;
-        }
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
 
-        if (!/^[a-zA-Z0-9_]{3,30}$/.test(agentName)) {
-          errorEl.textContent = 'Invalid agent name format';
-          errorEl.classList.remove('hidden');
-          return;
-        }
+// Accepts ?token= (what agents already use) or an Authorization: Bearer header
+function getRequestToken(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.query.token || null;
+}
 
-        try {
-          const res = await fetch('/api/stream/' + agentName + '/send', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ text: 'Stream initialized', type: 'log' })
-          });
+function isTokenUsable(entry, now = Date.now()) {
+  return !entry.revokedAt && (!entry.expiresAt || entry.expiresAt > now);
+}
 
-          const data = await res.json();
+function issueStreamToken(stream, { name, scopes, expiresAt = null }) {
+  const token = generateToken();
+  const entry = {
+    id: crypto.randomBytes(4).toString('hex'),
+    name,
+    hash: hashToken(token),
+    scopes: [...scopes],
+    createdAt: Date.now(),
+    expiresAt,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  // Drop dead tokens first so the list doesn't fill up with history
+  stream.tokens = stream.tokens.filter(t => isTokenUsable(t));
+  stream.tokens.push(entry);
+  return { token, entry };
+}
 
-          if (!res.ok) {
-            throw new Error(data.error || 'Failed to create stream');
-          }
+function findStreamToken(stream, token) {
+  if (!token || !stream.tokens) return null;
+  const hash = Buffer.from(hashToken(token), 'hex');
+  return stream.tokens.find(t => crypto.timingSafeEqual(Buffer.from(t.hash, 'hex'), hash)) || null;
+}
 
-          currentToken = data.token;
-          currentAgentName = agentName;
+// Returns { entry } when the token is valid for scope, otherwise
+// { status, error } ready to send back
+function authenticateStreamToken(stream, token, scope) {
+  const entry = findStreamToken(stream, token);
 
-          document.getElementById('tokenDisplay').value = currentToken;
-          document.getElementById('watchLink').href = '/watch/' + agentName;
-          document.getElementById('watchLink').textContent = 'Watch ' + agentName + ' →';
-          document.getElementById('streamStatus').className = 'live-badge';
-          document.getElementById('streamStatus').textContent = '🔴 LIVE';
+  if (!entry) {
+    return { status: 401, error: 'Invalid token' };
+  }
+  if (entry.revokedAt) {
+    return { status: 401, error: 'Token revoked' };
+  }
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    return { status: 401, error: 'Token expired' };
+  }
+  if (scope && !entry.scopes.includes(scope)) {
+    return { status: 403, error: `Token lacks the ${scope} scope` };
+  }
 
-          step2.classList.remove('hidden');
-          step3.classList.remove('hidden');
-          errorEl.classList.add('hidden');
+  entry.lastUsedAt = Date.now();
+  return { entry };
+}
 
-          showToast('Stream created! Token copied.', 'success');
+function describeToken(entry) {
+  const { hash, ...meta } = entry;
+  return { ...meta, usable: isTokenUsable(entry) };
+}
 
-        } catch (err) {
-          errorEl.textContent = err.message;
-          errorEl.classList.remove('hidden');
-        }
-      });
+// Goes through the room so sockets on other instances are dropped too
+function disconnectTokenSockets(agentName, tokenId) {
+  const room = `token:${agentName}:${tokenId}`;
+  agentIo.to(room).emit('token:revoked', { tokenId });
+  agentIo.in(room).disconnectSockets(true);
+}
 
-      document.getElementById('copyBtn').addEventListener('click', () => {
-        const tokenInput = document.getElementById('tokenDisplay');
-        tokenInput.select();
-        document.execCommand('copy');
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ACCOUNTS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-        const btn = document.getElementById('copyBtn');
-        btn.textContent = 'Copied! ✓';
-        setTimeout(() => btn.textContent = 'Copy', 2000);
-      });
+// Operator accounts own agent names. A claimed name is marked with
+// stream.owner; the stream record exists from the moment of the claim, so a
+// stranger's first message can't create it. Login sessions live in memory
+// and are referenced by a signed cookie, so a restart logs everyone out.
 
-      testForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
+const ACCOUNT_COOKIE = 'agentcast_account';
+const LOGIN_SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+const MAX_AGENTS_PER_ACCOUNT = 20;
 
-        if (!currentToken || !currentAgentName) {
-          showToast('Generate a token first', 'error');
-          return;
-        }
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return { salt, hash };
+}
 
-        const text = document.getElementById('testMessage').value.trim();
-        const type = document.getElementById('messageType').value;
+function verifyPassword(password, salt, expectedHash) {
+  const { hash } = hashPassword(password, salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(expectedHash, 'hex'));
+}
 
-        if (!text) {
-          showToast('Enter a message', 'error');
-          return;
-        }
+function signValue(value) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('hex');
+}
 
-        try {
-          const res = await fetch('/api/stream/' + currentAgentName + '/send?token=' + currentToken, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ text, type })
-          });
+// Works for Express requests and Socket.io handshakes alike
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      // Ignore malformed cookie values
+    }
+  }
+  return cookies;
+}
 
-          const data = await res.json();
+function setSessionCookie(res, cookieName, value, maxAgeMs) {
+  const parts = [
+    `${cookieName}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+  ];
+  if (NODE_ENV === 'production') parts.push('Secure');
+  res.append('Set-Cookie', parts.join('; '));
+}
 
-          if (!res.ok) {
-            throw new Error(data.error || 'Failed to send message');
-          }
+// Sessions are keyed by a random id; the cookie carries id.signature so a
+// forged or truncated cookie is rejected before the lookup
+function createLoginSession(res, cookieName, data, ttlMs = LOGIN_SESSION_TTL) {
+  const id = crypto.randomBytes(24).toString('hex');
+  loginSessions.set(id, { ...data, cookieName, createdAt: Date.now(), expiresAt: Date.now() + ttlMs });
+  shareLoginSession(id);
+  setSessionCookie(res, cookieName, `${id}.${signValue(id)}`, ttlMs);
+  return id;
+}
 
-          // Add to preview
-          const time = new Date().toTimeString().slice(0, 5);
-          previewLines.push({ time, text, type });
-          if (previewLines.length > 5) previewLines.shift();
+function getLoginSession(req, cookieName) {
+  const raw = parseCookies(req)[cookieName];
+  if (!raw) return null;
 
-          updatePreview();
-          document.getElementById('testMessage').value = '';
-          showToast('Message sent!', 'success');
+  const [id, signature] = raw.split('.');
+  if (!id || !/^[0-9a-f]{64}$/.test(signature || '')) return null;
+  if (!crypto.timingSafeEqual(Buffer.from(signValue(id), 'hex'), Buffer.from(signature, 'hex'))) {
+    return null;
+  }
 
-        } catch (err) {
-          showToast(err.message, 'error');
-        }
-      });
+  const session = loginSessions.get(id);
+  if (!session || session.cookieName !== cookieName) return null;
+  if (session.expiresAt <= Date.now()) {
+    loginSessions.delete(id);
+    shareLoginSession(id);
+    return null;
+  }
 
-      function updatePreview() {
-        const box = document.getElementById('previewBox');
-        if (previewLines.length === 0) {
-          box.innerHTML = '<div style="color: var(--text-secondary);">No messages yet...</div>';
-          return;
-        }
+  return { id, ...session };
+}
 
-        box.innerHTML = previewLines.map(line => {
-          let color = 'var(--text)';
-          let style = '';
-          if (line.type === 'tool') color = 'var(--accent)';
-          if (line.type === 'thought') { color = 'var(--text-secondary)'; style = 'font-style: italic;'; }
+function destroyLoginSession(req, res, cookieName) {
+  const session = getLoginSession(req, cookieName);
+  if (session) {
+    loginSessions.delete(session.id);
+    shareLoginSession(session.id);
+  }
+  setSessionCookie(res, cookieName, '', 0);
+}
 
-          return '<div class="preview-line" style="color: ' + color + '; ' + style + '">[' + line.time + '] ' + escapeHtml(line.text) + '</div>';
-        }).join('');
-      }
+function getAccountAgents(username) {
+  const names = [];
+  for (const [name, stream] of streams) {
+    if (stream.owner === username) names.push(name);
+  }
+  return names.sort();
+}
 
-      function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text || '';
-        return div.innerHTML;
-      }
-    </script>
-  `;
+// Sends the error response itself and returns null when there's no login
+function requireAccount(req, res) {
+  const session = getLoginSession(req, ACCOUNT_COOKIE);
+  const account = session && accounts.get(session.username);
 
-  res.send(baseTemplate('Dashboard', content, '', scripts));
-});
+  if (!account) {
+    res.status(401).json({ error: 'Not logged in', hint: 'Log in at /dashboard' });
+    return null;
+  }
 
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// ADMIN DASHBOARD
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  return account;
+}
 
-app.get('/admin', (req, res) => {
-  const password = req.query.password;
+function requireOwnedStream(req, res) {
+  const account = requireAccount(req, res);
+  if (!account) return null;
 
-  if (!password) {
-    // Show login form
-    const content = `
-      <div class="container" style="max-width: 400px; margin-top: 4rem;">
-        <div class="card">
-          <h2 style="margin-bottom: 1rem;">🔐 Admin Access</h2>
-          <form id="adminLogin">
-            <div class="form-group">
-              <label for="password">Password</label>
-              <input type="password" id="password" name="password" required>
-            </div>
-            <button type="submit" class="btn" style="width: 100%;">Login</button>
-          </form>
-        </div>
-      </div>
-    `;
+  const stream = streams.get(req.params.agentname);
+  if (!stream || stream.owner !== account.username) {
+    res.status(404).json({ error: 'You don\'t own this agent' });
+    return null;
+  }
 
-    const scripts = `
-      <script>
-        document.getElementById('adminLogin').addEventListener('submit', (e) => {
-          e.preventDefault();
-          const password = document.getElementById('password').value;
-          window.location.href = '/admin?password=' + encodeURIComponent(password);
-        });
-      </script>
-    `;
+  return { account, stream };
+}
 
-    return res.send(baseTemplate('Admin Login', content, '', scripts));
+// Drop expired login sessions every hour
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, session] of loginSessions) {
+    if (session.expiresAt <= now) {
+      loginSessions.delete(id);
+      shareLoginSession(id);
+    }
   }
+}, 60 * 60 * 1000);
 
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).send(baseTemplate('Unauthorized', `
-      <div class="container" style="text-align: center; padding: 4rem;">
-        <h1>🚫 Unauthorized</h1>
-        <p style="color: var(--text-secondary); margin: 1rem 0;">Invalid admin password.</p>
-        <a href="/admin" class="btn">Try Again</a>
-      </div>
-    `));
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ADMIN AUTH
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// The admin password is only ever compared against a scrypt hash, either the
+// one given in ADMIN_PASSWORD_HASH ("salt:hash") or one derived at boot.
+// Logging in starts a login session whose cookie is sent on every admin
+// request; POSTs must also echo the session's CSRF token in X-CSRF-Token.
+//
+// The configured password belongs to the built-in "admin" super-admin, who can
+// add named moderators. Roles are looked up on every request, so a demotion
+// or removal applies to sessions that are already open.
+
+const ADMIN_COOKIE = 'agentcast_admin';
+const ADMIN_SESSION_TTL = 8 * 60 * 60 * 1000;
+const ROOT_ADMIN = 'admin';
+
+const ROLE_PERMISSIONS = {
+  'viewer-moderator': ['admin:view', 'chat:moderate', 'reports:triage'],
+  'stream-moderator': ['admin:view', 'chat:moderate', 'reports:triage', 'content:moderate', 'audit:view', 'streams:end', 'agents:ban', 'agents:unban'],
+  'super-admin': ['admin:view', 'chat:moderate', 'reports:triage', 'content:moderate', 'audit:view', 'streams:end', 'agents:ban', 'agents:unban', 'limits:manage', 'moderators:manage', 'webhooks:manage']
+};
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const adminCredential = (() => {
+  if (ADMIN_PASSWORD_HASH) {
+    const [salt, hash] = ADMIN_PASSWORD_HASH.split(':');
+    if (!salt || !/^[0-9a-f]{128}$/.test(hash || '')) {
+      throw new Error('ADMIN_PASSWORD_HASH must be "salt:hash" (128 hex characters of scrypt output)');
+    }
+    return { salt, hash };
   }
+  return hashPassword(ADMIN_PASSWORD);
+})();
 
-  // Admin dashboard content
-  const content = `
-    <style>
-      .admin-container {
-        max-width: 1200px;
-        margin: 0 auto;
-        padding: 2rem;
-      }
+function verifyAdminPassword(password) {
+  return typeof password === 'string' && verifyPassword(password, adminCredential.salt, adminCredential.hash);
+}
 
-      .stats-grid {
-        display: grid;
-        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-        gap: 1rem;
-        margin-bottom: 2rem;
-      }
+function getAdminRole(username) {
+  if (username === ROOT_ADMIN) return 'super-admin';
+  const moderator = moderators.get(username);
+  return moderator ? moderator.role : null;
+}
 
-      .stat-card {
-        background: var(--bg-secondary);
-        border-radius: 12px;
-        padding: 1.5rem;
-        text-align: center;
-        border: 1px solid var(--bg-tertiary);
-      }
+// Ends every open admin session for a moderator who was removed
+function destroyAdminSessions(username) {
+  for (const [id, session] of loginSessions) {
+    if (session.cookieName === ADMIN_COOKIE && session.username === username) {
+      loginSessions.delete(id);
+      shareLoginSession(id);
+    }
+  }
+}
 
-      .stat-value {
-        font-size: 2.5rem;
-        font-weight: bold;
-        color: var(--primary);
-      }
+function isValidCsrfToken(session, token) {
+  if (typeof token !== 'string' || token.length !== session.csrfToken.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(session.csrfToken));
+}
 
-      .stat-label {
-        color: var(--text-secondary);
-        margin-top: 0.5rem;
-      }
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// AUDIT LOG
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-      .section {
-        margin-bottom: 2rem;
-      }
+// Unlike activityLog (the last 50 lines for the admin page) the audit log is
+// persisted and records who took each moderation action, on what, and why.
 
-      .section h2 {
-        margin-bottom: 1rem;
-        display: flex;
-        align-items: center;
-        gap: 0.5rem;
-      }
+const MAX_AUDIT_ENTRIES = parseInt(process.env.MAX_AUDIT_ENTRIES) || 5000;
+const MAX_REASON_LENGTH = 500;
 
-      .table-container {
-        overflow-x: auto;
-      }
+// Moderation actions must say why. Sends the 400 itself and returns null when
+// the reason is missing.
+function requireReason(req, res) {
+  const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
-      table {
-        width: 100%;
-        border-collapse: collapse;
-        background: var(--bg-secondary);
-        border-radius: 12px;
-        overflow: hidden;
-      }
+  if (!reason) {
+    res.status(400).json({ error: 'A reason is required' });
+    return null;
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    res.status(400).json({ error: `Reason too long (max ${MAX_REASON_LENGTH} characters)` });
+    return null;
+  }
 
-      th, td {
-        padding: 1rem;
-        text-align: left;
-        border-bottom: 1px solid var(--bg-tertiary);
-      }
+  return reason;
+}
 
-      th {
-        background: var(--bg-tertiary);
-        font-weight: 600;
-      }
+function recordAudit(req, action, target, reason, details = null) {
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    at: Date.now(),
+    actor: req.admin.username,
+    role: req.admin.role,
+    action,
+    target,
+    reason,
+    details
+  };
+
+  auditLog.unshift(entry);
+  shareAuditEntry(entry, auditLog.splice(MAX_AUDIT_ENTRIES));
+  scheduleSave();
+
+  logActivity(`${entry.actor} ${action} ${target}: ${reason}`);
+  return entry;
+}
 
-      tr:last-child td {
-        border-bottom: none;
-      }
+// Filters: actor, action and target match exactly (case-insensitive), q
+// searches the reason and target, since/until are epoch ms
+function searchAuditLog({ actor, action, target, q, since, until }) {
+  const lower = value => String(value || '').toLowerCase();
+  const query = lower(q);
+  const from = parseInt(since) || 0;
+  const to = parseInt(until) || Infinity;
+
+  return auditLog.filter(entry =>
+    (!actor || lower(entry.actor) === lower(actor)) &&
+    (!action || entry.action === action) &&
+    (!target || lower(entry.target) === lower(target)) &&
+    (!query || lower(entry.reason).includes(query) || lower(entry.target).includes(query)) &&
+    entry.at >= from && entry.at <= to
+  );
+}
 
-      .actions {
-        display: flex;
-        gap: 0.5rem;
-      }
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ABUSE REPORTS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-      .actions .btn {
-        padding: 0.5rem 0.75rem;
-        font-size: 0.85rem;
-      }
+// Reports from /report stay in a queue until a moderator closes them. Each
+// one keeps a copy of the stream and chat as they were when it was filed,
+// since both scroll away long before anyone looks.
 
-      .btn-danger {
-        background: var(--error);
-      }
+const REPORT_STATUSES = ['open', 'investigating', 'resolved', 'dismissed'];
+const MAX_REPORTS = parseInt(process.env.MAX_REPORTS) || 2000;
+const REPORT_CONTEXT_LINES = 20;
+const REPORT_CONTEXT_MESSAGES = 30;
 
-      .activity-log {
-        background: var(--bg-secondary);
-        border-radius: 12px;
-        padding: 1rem;
-        max-height: 400px;
-        overflow-y: auto;
-        font-family: monospace;
-        font-size: 0.85rem;
-      }
+function captureReportContext(streamName) {
+  const stream = streams.get(streamName);
 
-      .log-entry {
-        padding: 0.5rem 0;
-        border-bottom: 1px solid var(--bg-tertiary);
-      }
+  return {
+    active: stream.active,
+    owner: stream.owner || null,
+    lines: stream.lines.slice(-REPORT_CONTEXT_LINES).map(line => ({
+      id: line.id,
+      ts: line.ts,
+      type: line.type,
+      text: linePreview(line)
+    })),
+    chat: (chatMessages.get(streamName) || []).slice(-REPORT_CONTEXT_MESSAGES).map(message => ({
+      id: message.id,
+      userId: message.userId,
+      user: message.user,
+      text: message.text,
+      time: message.time
+    }))
+  };
+}
 
-      .log-entry:last-child {
-        border-bottom: none;
-      }
+function createReport({ streamName, issue, contact }) {
+  const now = Date.now();
+  const report = {
+    id: crypto.randomBytes(6).toString('hex'),
+    streamName,
+    issue,
+    contact: contact || null,
+    status: 'open',
+    assignee: null,
+    createdAt: now,
+    updatedAt: now,
+    context: captureReportContext(streamName)
+  };
+
+  reports.set(report.id, report);
+  shareReport(report.id);
+
+  // Maps iterate in insertion order, so the first key is the oldest report
+  if (reports.size > MAX_REPORTS) {
+    const oldest = reports.keys().next().value;
+    reports.delete(oldest);
+    shareReport(oldest);
+  }
+  scheduleSave();
 
-      .log-time {
-        color: var(--text-secondary);
-        margin-right: 1rem;
-      }
+  return report;
+}
 
-      .ban-list {
-        display: flex;
-        flex-wrap: wrap;
-        gap: 0.5rem;
-      }
+function updateReport(report, changes) {
+  Object.assign(report, changes, { updatedAt: Date.now() });
+  shareReport(report.id);
+  scheduleSave();
+}
 
-      .ban-item {
-        background: var(--bg-tertiary);
-        padding: 0.5rem 1rem;
-        border-radius: 20px;
-        display: flex;
-        align-items: center;
-        gap: 0.5rem;
-      }
+// Filters: status, assignee ('none' for unassigned) and stream; newest first
+function searchReports({ status, assignee, stream }) {
+  const lower = value => String(value || '').toLowerCase();
 
-      .empty-message {
-        color: var(--text-secondary);
-        text-align: center;
-        padding: 2rem;
-      }
-    </style>
+  return Array.from(reports.values()).filter(report =>
+    (!status || report.status === status) &&
+    (!assignee || (assignee === 'none' ? !report.assignee : report.assignee === lower(assignee))) &&
+    (!stream || lower(report.streamName) === lower(stream))
+  ).reverse();
+}
 
-    <div class="admin-container">
-      <h1 style="margin-bottom: 2rem;">🦞 Admin Dashboard</h1>
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// CHAT IDENTITIES
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-      <!-- Global Stats -->
-      <div class="stats-grid" id="statsGrid">
-        <div class="stat-card">
-          <div class="stat-value" id="liveNow">-</div>
-          <div class="stat-label">Streams Live Now</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-value" id="totalToday">-</div>
-          <div class="stat-label">Streams Today</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-value" id="peakViewers">-</div>
-          <div class="stat-label">Peak Viewers (Today)</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-value" id="totalMessages">-</div>
-          <div class="stat-label">Messages Today</div>
-        </div>
-      </div>
+// Viewers pick a nickname once and keep it across reconnects. The cookie holds
+// the identity id and a random secret (only its hash is stored), so it
+// survives restarts and can't be forged. Moderation keys on the id, so a
+// rename doesn't shake off a ban.
 
-      <!-- All Streams -->
-      <div class="section">
-        <h2>📺 All Streams</h2>
-        <div class="table-container">
-          <table>
-            <thead>
-              <tr>
-                <th>Agent Name</th>
-                <th>Status</th>
-                <th>Viewers</th>
-                <th>Messages</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody id="streamsTable">
-              <tr><td colspan="5" class="empty-message">Loading...</td></tr>
-            </tbody>
-          </table>
-        </div>
-      </div>
+const CHAT_COOKIE = 'agentcast_chat';
+const CHAT_COOKIE_TTL = 365 * 24 * 60 * 60 * 1000;
+const NICKNAME_RENAME_INTERVAL = 24 * 60 * 60 * 1000;
 
-      <!-- Banned Agents -->
-      <div class="section">
-        <h2>🚫 Banned Agents</h2>
-        <div class="card">
-          <div class="ban-list" id="banList">
-            <span class="empty-message">No banned agents</span>
-          </div>
-        </div>
-      </div>
+function getChatIdentity(req) {
+  const raw = parseCookies(req)[CHAT_COOKIE];
+  if (!raw) return null;
 
-      <!-- Activity Log -->
-      <div class="section">
-        <h2>📋 Activity Log</h2>
-        <div class="activity-log" id="activityLog">
-          <div class="empty-message">No activity yet</div>
-        </div>
-      </div>
-    </div>
-  `;
+  const [id, secret] = raw.split('.');
+  const identity = id && secret && chatIdentities.get(id);
+  if (!identity) return null;
 
-  const scripts = `
-    <script>
-      const password = '${escapeHtml(password)}';
+  const hash = Buffer.from(hashToken(secret), 'hex');
+  if (!crypto.timingSafeEqual(hash, Buffer.from(identity.secretHash, 'hex'))) return null;
 
-      async function loadAdminData() {
-        try {
-          const res = await fetch('/api/admin/data?password=' + encodeURIComponent(password));
-          const data = await res.json();
+  return identity;
+}
 
-          // Update stats
-          document.getElementById('liveNow').textContent = data.stats.liveNow;
-          document.getElementById('totalToday').textContent = data.stats.totalStreamsToday;
-          document.getElementById('peakViewers').textContent = data.stats.peakConcurrentViewers;
-          document.getElementById('totalMessages').textContent = data.stats.totalMessagesToday;
+// Returns why nickname can't be used by this identity/account, or null
+function checkNicknameAvailable(nickname, identity, account) {
+  if (typeof nickname !== 'string' || !isValidAgentName(nickname)) {
+    return 'Invalid nickname. Use 3-30 characters: letters, numbers, underscores.';
+  }
 
-          // Update streams table
-          const tbody = document.getElementById('streamsTable');
-          if (data.streams.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="5" class="empty-message">No streams</td></tr>';
-          } else {
-            tbody.innerHTML = data.streams.map(s => \`
-              <tr>
-                <td><a href="/watch/\${s.name}">\${escapeHtml(s.name)}</a></td>
-                <td>\${s.active ? '<span class="live-badge">🔴 LIVE</span>' : '<span class="offline-badge">⚫ Offline</span>'}</td>
-                <td>\${s.viewers}</td>
-                <td>\${s.totalMessages}</td>
-                <td class="actions">
-                  <a href="/watch/\${s.name}" class="btn btn-secondary" target="_blank">View</a>
-                  \${s.active ? \`<button class="btn btn-danger" onclick="endStream('\${s.name}')">End</button>\` : ''}
-                  <button class="btn btn-danger" onclick="banAgent('\${s.name}')">Ban</button>
-                </td>
-              </tr>
-            \`).join('');
-          }
+  const key = nickname.toLowerCase();
+  const ownerId = chatNicknames.get(key);
+  if (ownerId && (!identity || ownerId !== identity.id)) {
+    return 'Nickname taken';
+  }
 
-          // Update ban list
-          const banList = document.getElementById('banList');
-          if (data.banned.length === 0) {
-            banList.innerHTML = '<span class="empty-message">No banned agents</span>';
-          } else {
-            banList.innerHTML = data.banned.map(name => \`
-              <div class="ban-item">
-                \${escapeHtml(name)}
-                <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" onclick="unbanAgent('\${name}')">Unban</button>
-              </div>
-            \`).join('');
-          }
+  // Account and moderator names belong to whoever holds them
+  const ownsAccountName = account && account.username === key;
+  if ((accounts.has(key) && !ownsAccountName) || moderators.has(key) || key === ROOT_ADMIN) {
+    return 'Nickname reserved';
+  }
 
-          // Update activity log
-          const logEl = document.getElementById('activityLog');
-          if (data.activity.length === 0) {
-            logEl.innerHTML = '<div class="empty-message">No activity yet</div>';
-          } else {
-            logEl.innerHTML = data.activity.map(entry => \`
-              <div class="log-entry">
-                <span class="log-time">\${entry.timestamp}</span>
-                \${escapeHtml(entry.message)}
-              </div>
-            \`).join('');
-          }
+  // So is an agent's name, or chat could pass for the agent. An account may
+  // chat under a name it has claimed.
+  for (const [name, stream] of streams) {
+    if (name.toLowerCase() === key && !(account && stream.owner === account.username)) {
+      return 'Nickname reserved';
+    }
+  }
 
-        } catch (err) {
-          console.error('Failed to load admin data:', err);
-        }
-      }
+  return null;
+}
 
-      async function endStream(name) {
-        if (!confirm('End stream for ' + name + '?')) return;
+function createChatIdentity(res, nickname) {
+  const secret = generateToken();
+  const identity = {
+    id: crypto.randomBytes(8).toString('hex'),
+    nickname,
+    secretHash: hashToken(secret),
+    createdAt: Date.now(),
+    renamedAt: null
+  };
+
+  chatIdentities.set(identity.id, identity);
+  chatNicknames.set(nickname.toLowerCase(), identity.id);
+  setSessionCookie(res, CHAT_COOKIE, `${identity.id}.${secret}`, CHAT_COOKIE_TTL);
+  shareChatIdentity(identity);
+  scheduleSave();
+  return identity;
+}
 
-        try {
-          const res = await fetch('/api/admin/stream/' + name + '/end?password=' + encodeURIComponent(password), {
-            method: 'POST'
-          });
+function renameChatIdentity(identity, nickname) {
+  chatNicknames.delete(identity.nickname.toLowerCase());
+  identity.nickname = nickname;
+  identity.renamedAt = Date.now();
+  chatNicknames.set(nickname.toLowerCase(), identity.id);
+  shareChatIdentity(identity);
+  scheduleSave();
+}
 
-          if (!res.ok) throw new Error('Failed to end stream');
+// Same name, same color, on every page
+function nicknameColor(nickname) {
+  const hash = crypto.createHash('md5').update(nickname.toLowerCase()).digest();
+  return `hsl(${hash.readUInt16BE(0) % 360}, 70%, 65%)`;
+}
 
-          showToast('Stream ended', 'success');
-          loadAdminData();
-        } catch (err) {
-          showToast(err.message, 'error');
-        }
-      }
+// Badges come from whoever is logged in on the chatting connection
+function getChatBadges(req, agentName) {
+  const moderator = getChatModerator(req, agentName);
+  if (!moderator) return [];
+  return [moderator.role === 'streamer' ? 'streamer' : 'moderator'];
+}
 
-      async function banAgent(name) {
-        if (!confirm('Ban agent ' + name + '?')) return;
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// CHAT MODERATION
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-        try {
-          const res = await fetch('/api/admin/ban/' + name + '?password=' + encodeURIComponent(password), {
-            method: 'POST'
-          });
+// Per-stream chat rules, set by admin moderators (chat:moderate) and by the
+// account that owns the stream. Chat users are identified by their chat
+// identity id.
+
+const MIN_CHAT_INTERVAL_MS = 6000;
+const MAX_SLOW_MODE_SECONDS = 600;
+const MAX_FOLLOWER_AGE_MINUTES = 7 * 24 * 60;
+const MAX_TIMEOUT_SECONDS = 7 * 24 * 60 * 60;
+const MAX_BLOCKED_WORDS = 100;
+const MAX_BLOCKED_WORD_LENGTH = 50;
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|dev|gg|tv|me|co|ly|xyz|ru)\b/i;
+
+function getChatSettings(agentName) {
+  if (!chatModeration.has(agentName)) {
+    chatModeration.set(agentName, {
+      slowMode: 0,            // seconds between messages per user (0 = default cooldown)
+      followersOnly: null,    // null = off, otherwise minutes a user must have followed
+      blockLinks: false,
+      blockedWords: [],
+      bans: {},               // identity id -> { nickname, by, at, reason }
+      timeouts: {},           // identity id -> until (epoch ms)
+      followers: {}           // identity id -> followedAt
+    });
+  }
+  return chatModeration.get(agentName);
+}
 
-          if (!res.ok) throw new Error('Failed to ban agent');
+// What viewers are told about the rules (the word list stays private)
+function publicChatSettings(settings) {
+  return {
+    slowMode: settings.slowMode,
+    followersOnly: settings.followersOnly,
+    blockLinks: settings.blockLinks
+  };
+}
 
-          showToast('Agent banned', 'success');
-          loadAdminData();
-        } catch (err) {
-          showToast(err.message, 'error');
-        }
-      }
+function findBlockedWord(settings, text) {
+  const lower = text.toLowerCase();
+  return settings.blockedWords.find(word => {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\W)${escaped}($|\\W)`, 'i').test(lower);
+  }) || null;
+}
 
-      async function unbanAgent(name) {
-        if (!confirm('Unban agent ' + name + '?')) return;
+// Returns why user can't post text right now, or null if they can
+function checkChatAllowed(agentName, user, text) {
+  const settings = chatModeration.get(agentName);
+  if (!settings) return null;
+  const now = Date.now();
 
-        try {
-          const res = await fetch('/api/admin/unban/' + name + '?password=' + encodeURIComponent(password), {
-            method: 'POST'
-          });
+  if (settings.bans[user]) {
+    return 'You are banned from this chat';
+  }
 
-          if (!res.ok) throw new Error('Failed to unban agent');
+  const timedOutUntil = settings.timeouts[user];
+  if (timedOutUntil && timedOutUntil > now) {
+    return `You are timed out for ${formatDuration(timedOutUntil - now)}`;
+  }
 
-          showToast('Agent unbanned', 'success');
-          loadAdminData();
-        } catch (err) {
-          showToast(err.message, 'error');
-        }
-      }
+  if (settings.followersOnly !== null) {
+    const followedAt = settings.followers[user];
+    if (!followedAt) {
+      return 'Followers-only chat. Follow the stream to chat.';
+    }
+    const waitMs = settings.followersOnly * 60000 - (now - followedAt);
+    if (waitMs > 0) {
+      return `Followers-only chat. You can chat in ${formatDuration(waitMs)}.`;
+    }
+  }
 
-      function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text || '';
-        return div.innerHTML;
-      }
+  if (settings.blockLinks && LINK_PATTERN.test(text)) {
+    return 'Links are not allowed in this chat';
+  }
 
-      loadAdminData();
-      setInterval(loadAdminData, 10000);
-    </script>
-  `;
+  if (findBlockedWord(settings, text)) {
+    return 'Message blocked by the chat filter';
+  }
 
-  res.send(baseTemplate('Admin Dashboard', content, '', scripts));
-});
+  return null;
+}
 
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// STATS PAGE
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+function getChatInterval(agentName) {
+  const settings = chatModeration.get(agentName);
+  return Math.max(MIN_CHAT_INTERVAL_MS, settings ? settings.slowMode * 1000 : 0);
+}
 
-app.get('/stats', (req, res) => {
-  const content = `
-    <style>
-      .stats-container {
-        max-width: 1000px;
-        margin: 0 auto;
-        padding: 2rem;
-      }
+// Drops matching messages from history and tells viewers to remove them
+function removeChatMessages(agentName, predicate) {
+  const messages = chatMessages.get(agentName) || [];
+  const removed = messages.filter(predicate).map(message => message.id);
+  if (removed.length === 0) return removed;
+
+  chatMessages.set(agentName, messages.filter(message => !predicate(message)));
+  io.to(`stream:${agentName}`).emit('chat:delete', { ids: removed });
+  shareChatRemoval(agentName, removed);
+  scheduleSave();
+  return removed;
+}
 
-      .stats-header {
-        text-align: center;
-        margin-bottom: 2rem;
-      }
+// Validates a settings update. Returns { settings } with the changed fields
+// or { error }.
+function parseChatSettings(body) {
+  const changes = {};
 
-      .stats-header h1 {
-        font-size: 2rem;
-        margin-bottom: 0.5rem;
-      }
+  if (body.slowMode !== undefined) {
+    const seconds = parseInt(body.slowMode);
+    if (!Number.isFinite(seconds) || seconds < 0 || seconds > MAX_SLOW_MODE_SECONDS) {
+      return { error: `slowMode must be 0-${MAX_SLOW_MODE_SECONDS} seconds` };
+    }
+    changes.slowMode = seconds;
+  }
 
-      .global-stats {
-        display: grid;
-        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-        gap: 1rem;
-        margin-bottom: 2rem;
+  if (body.followersOnly !== undefined) {
+    if (body.followersOnly === null || body.followersOnly === false) {
+      changes.followersOnly = null;
+    } else {
+      const minutes = parseInt(body.followersOnly);
+      if (!Number.isFinite(minutes) || minutes < 0 || minutes > MAX_FOLLOWER_AGE_MINUTES) {
+        return { error: `followersOnly must be null or 0-${MAX_FOLLOWER_AGE_MINUTES} minutes` };
       }
+      changes.followersOnly = minutes;
+    }
+  }
 
-      .stat-box {
-        background: var(--bg-secondary);
-        border-radius: 12px;
-        padding: 1.5rem;
-        text-align: center;
-        border: 1px solid var(--bg-tertiary);
-      }
+  if (body.blockLinks !== undefined) {
+    changes.blockLinks = Boolean(body.blockLinks);
+  }
 
-      .stat-box .value {
-        font-size: 2.5rem;
-        font-weight: bold;
-        color: var(--primary);
-      }
+  if (body.blockedWords !== undefined) {
+    if (!Array.isArray(body.blockedWords) || body.blockedWords.length > MAX_BLOCKED_WORDS) {
+      return { error: `blockedWords must be a list of at most ${MAX_BLOCKED_WORDS} words` };
+    }
+    const words = body.blockedWords.map(word => String(word).trim().toLowerCase()).filter(Boolean);
+    if (words.some(word => word.length > MAX_BLOCKED_WORD_LENGTH)) {
+      return { error: `Blocked words can be at most ${MAX_BLOCKED_WORD_LENGTH} characters` };
+    }
+    changes.blockedWords = [...new Set(words)];
+  }
 
-      .stat-box .label {
-        color: var(--text-secondary);
-        margin-top: 0.5rem;
-      }
+  return { settings: changes };
+}
 
-      .leaderboard {
-        margin-top: 2rem;
-      }
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// FOLLOWS & NOTIFICATIONS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-      .leaderboard h2 {
-        margin-bottom: 1rem;
-      }
+// Viewers follow agents with their chat identity; it's the same follow that
+// followers-only chat checks, kept in the stream's chat settings. When a
+// followed agent goes live, followers' open pages get follow:live and, if
+// they turned it on, a Web Push notification. Push needs VAPID keys
+// (npx web-push generate-vapid-keys) and is off without them.
+
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || null;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || null;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:admin@agentcast.tv';
+const PUSH_ENABLED = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+const MAX_PUSH_SUBSCRIPTIONS = 5; // per chat identity, one per browser
+const MAX_PUSH_ENDPOINT_LENGTH = 1000;
+const PUSH_TTL_SECONDS = 10 * 60;
+// A stream that times out and comes back shouldn't notify every time
+const LIVE_NOTIFY_COOLDOWN_MS = 15 * 60 * 1000;
+
+if (PUSH_ENABLED) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
 
-      .leaderboard-table {
-        width: 100%;
-        border-collapse: collapse;
-        background: var(--bg-secondary);
-        border-radius: 12px;
-        overflow: hidden;
-      }
+// Returns whether the identity follows the agent afterwards
+function setFollowing(agentName, identityId, follow) {
+  const settings = getChatSettings(agentName);
+  if (!follow) {
+    delete settings.followers[identityId];
+  } else if (!settings.followers[identityId]) {
+    settings.followers[identityId] = Date.now();
+  }
+  shareChatSettings(agentName);
+  scheduleSave();
+  return Boolean(settings.followers[identityId]);
+}
 
-      .leaderboard-table th,
-      .leaderboard-table td {
-        padding: 1rem;
-        text-align: left;
-        border-bottom: 1px solid var(--bg-tertiary);
-      }
+function isFollowing(agentName, identityId) {
+  const settings = chatModeration.get(agentName);
+  return Boolean(identityId && settings && settings.followers[identityId]);
+}
 
-      .leaderboard-table th {
-        background: var(--bg-tertiary);
-      }
+function getFollowedAgents(identityId) {
+  const followed = [];
+  for (const [agentName, settings] of chatModeration) {
+    if (settings.followers[identityId]) {
+      followed.push({ agentName, followedAt: settings.followers[identityId] });
+    }
+  }
+  return followed;
+}
 
-      .leaderboard-table tr:last-child td {
-        border-bottom: none;
-      }
+// Validates a PushSubscription as the browser serializes it (toJSON)
+function parsePushSubscription(body) {
+  const { endpoint, keys } = body || {};
+  if (typeof endpoint !== 'string' || endpoint.length > MAX_PUSH_ENDPOINT_LENGTH || !/^https:\/\/[^\s]+$/.test(endpoint)) {
+    return { error: 'endpoint must be an https URL' };
+  }
 
-      .leaderboard-table tr.live {
-        background: rgba(0, 212, 170, 0.1);
-      }
+  const isKey = value => typeof value === 'string' && value.length <= 200 && /^[A-Za-z0-9_-]+={0,2}$/.test(value);
+  if (!keys || !isKey(keys.p256dh) || !isKey(keys.auth)) {
+    return { error: 'keys.p256dh and keys.auth are required' };
+  }
 
-      .rank {
-        font-weight: bold;
-        color: var(--primary);
-      }
+  return { subscription: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } } };
+}
 
-      .rank-1 { color: gold; }
-      .rank-2 { color: silver; }
-      .rank-3 { color: #cd7f32; }
+// The same browser subscribing again replaces its entry
+function addPushSubscription(identityId, subscription) {
+  const subscriptions = (pushSubscriptions.get(identityId) || []).filter(entry => entry.endpoint !== subscription.endpoint);
+  subscriptions.push({ ...subscription, createdAt: Date.now() });
+  pushSubscriptions.set(identityId, subscriptions.slice(-MAX_PUSH_SUBSCRIPTIONS));
+  sharePushSubscriptions(identityId);
+  scheduleSave();
+}
 
-      .refresh-notice {
-        text-align: center;
-        color: var(--text-secondary);
-        font-size: 0.85rem;
-        margin-top: 1rem;
-      }
+function removePushSubscription(identityId, endpoint) {
+  const subscriptions = (pushSubscriptions.get(identityId) || []).filter(entry => entry.endpoint !== endpoint);
+  if (subscriptions.length > 0) {
+    pushSubscriptions.set(identityId, subscriptions);
+  } else {
+    pushSubscriptions.delete(identityId);
+  }
+  sharePushSubscriptions(identityId);
+  scheduleSave();
+}
 
-      .empty-state {
-        text-align: center;
-        padding: 3rem;
-        color: var(--text-secondary);
-      }
-    </style>
+// Push services answer 404 or 410 once the browser has dropped a subscription
+function sendPush(identityId, subscription, payload) {
+  webpush.sendNotification(subscription, JSON.stringify(payload), { TTL: PUSH_TTL_SECONDS }).catch(err => {
+    if (err.statusCode === 404 || err.statusCode === 410) {
+      removePushSubscription(identityId, subscription.endpoint);
+    } else {
+      console.error(`[Push] Failed to notify ${identityId}:`, err.statusCode || err.message);
+    }
+  });
+}
 
-    <div class="stats-container">
-      <div class="stats-header">
-        <h1>📊 Platform Statistics</h1>
-        <p style="color: var(--text-secondary);">Real-time analytics for AgentCast</p>
-      </div>
+// Called when a stream starts or resumes. Followers' sockets are in
+// follower:<identity id> rooms, which reach every instance.
+function notifyFollowers(agentName, stream) {
+  const settings = chatModeration.get(agentName);
+  const followers = settings ? Object.keys(settings.followers) : [];
+  const now = Date.now();
+  if (followers.length === 0 || now - (stream.lastNotifiedAt || 0) < LIVE_NOTIFY_COOLDOWN_MS) return;
+  stream.lastNotifiedAt = now;
+
+  const meta = publicStreamMeta(agentName, stream);
+  const notification = { agentName, title: meta.title, avatarUrl: meta.avatarUrl, url: `/watch/${agentName}` };
+  io.to(followers.map(id => `follower:${id}`)).emit('follow:live', notification);
+
+  if (!PUSH_ENABLED) return;
+  const payload = {
+    title: `${agentName} is live`,
+    body: meta.title || 'Started streaming on AgentCast',
+    icon: meta.avatarUrl,
+    url: notification.url
+  };
+  for (const id of followers) {
+    for (const subscription of pushSubscriptions.get(id) || []) {
+      sendPush(id, subscription, payload);
+    }
+  }
+}
 
-      <div class="global-stats" id="globalStats">
-        <div class="stat-box">
-          <div class="value" id="liveNow">-</div>
-          <div class="label">Streams Live Now</div>
-        </div>
-        <div class="stat-box">
-          <div class="value" id="totalToday">-</div>
-          <div class="label">Streams Today</div>
-        </div>
-        <div class="stat-box">
-          <div class="value" id="peakViewers">-</div>
-          <div class="label">Peak Viewers (Today)</div>
-        </div>
-        <div class="stat-box">
-          <div class="value" id="allTimePeak">-</div>
-          <div class="label">All-Time Peak Viewers</div>
-        </div>
-      </div>
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// WEBHOOKS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-      <div class="leaderboard">
-        <h2>🏆 Top 10 Streams</h2>
-        <table class="leaderboard-table">
-          <thead>
-            <tr>
-              <th>Rank</th>
-              <th>Agent</th>
-              <th>Peak Viewers</th>
-              <th>Total Messages</th>
-              <th>Status</th>
-            </tr>
-          </thead>
-          <tbody id="leaderboard">
-            <tr><td colspan="5" class="empty-state">Loading...</td></tr>
-          </tbody>
-        </table>
-      </div>
+// Outbound webhooks POST stream lifecycle and moderation events as JSON.
+// Owners add them per agent, admins add global ones that see every agent.
+// Each request is signed with the webhook's secret: X-AgentCast-Signature is
+// sha256=HMAC-SHA256(secret, "<X-AgentCast-Timestamp>.<body>") in hex.
+//
+// A delivery that doesn't get a 2xx is retried with exponential backoff by
+// the instance that sent it. Webhooks and their delivery logs are shared.
+
+const WEBHOOK_EVENTS = ['stream.started', 'stream.resumed', 'stream.offline', 'stream.ended_by_admin', 'agent.banned', 'report.created'];
+// Reports are for moderators, so only global webhooks can receive them
+const OWNER_WEBHOOK_EVENTS = WEBHOOK_EVENTS.filter(event => event !== 'report.created');
+const MAX_WEBHOOKS_PER_AGENT = 5;
+const MAX_GLOBAL_WEBHOOKS = 20;
+const MAX_WEBHOOK_URL_LENGTH = 500;
+const MAX_WEBHOOK_DELIVERIES = 50; // kept per webhook, newest first
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_CLAIM_SLACK_MS = 10 * 1000;
+// Owners could otherwise point webhooks at our own network
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS
+  ? process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  : NODE_ENV !== 'production';
+
+// Loopback, private, shared (CGNAT), link-local, benchmarking, multicast and
+// reserved ranges, plus the IPv6 unspecified, loopback, unique-local and
+// link-local ones
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+  .forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// ::ffff:7f00:1, ::ffff:127.0.0.1 and 0:0:0:0:0:ffff:7f00:1 are all 127.0.0.1
+function unmapIPv4(address) {
+  const canonical = new net.SocketAddress({ address, family: 'ipv6' }).address;
+  return canonical.startsWith('::ffff:') && net.isIPv4(canonical.slice(7)) ? canonical.slice(7) : canonical;
+}
 
-      <p class="refresh-notice">Auto-refreshes every 30 seconds</p>
-    </div>
-  `;
+// Anything that isn't a plain address (a zone id, say) counts as private
+function isPrivateAddress(address) {
+  try {
+    const ip = net.isIPv6(address) ? unmapIPv4(address) : address;
+    return PRIVATE_ADDRESSES.check(ip, net.isIPv4(ip) ? 'ipv4' : 'ipv6');
+  } catch (err) {
+    return true;
+  }
+}
 
-  const scripts = `
-    <script>
-      async function loadStats() {
-        try {
-          const res = await fetch('/api/stats');
-          const data = await res.json();
+// Used as the request's DNS lookup, so a name can't resolve to a private
+// address between our check and the connection
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+}
 
-          document.getElementById('liveNow').textContent = data.liveNow;
-          document.getElementById('totalToday').textContent = data.totalStreamsToday;
-          document.getElementById('peakViewers').textContent = data.peakConcurrentViewers;
-          document.getElementById('allTimePeak').textContent = data.allTimePeakViewers;
+function validateWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_WEBHOOK_URL_LENGTH) {
+    return `url must be an http(s) URL of at most ${MAX_WEBHOOK_URL_LENGTH} characters`;
+  }
 
-          const tbody = document.getElementById('leaderboard');
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return 'url must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must be an http(s) URL';
+  }
 
-          if (data.leaderboard.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No streams yet today. Be the first!</td></tr>';
-            return;
-          }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!WEBHOOK_ALLOW_PRIVATE_URLS && (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isPrivateAddress(hostname)))) {
+    return 'url must not point at a private address';
+  }
+  return null;
+}
 
-          tbody.innerHTML = data.leaderboard.map((s, i) => {
-            let rankClass = '';
-            if (i === 0) rankClass = 'rank-1';
-            else if (i === 1) rankClass = 'rank-2';
-            else if (i === 2) rankClass = 'rank-3';
+// Checks url, events and enabled from a request body. New webhooks get every
+// allowed event unless they list some; updates only touch what's given.
+function parseWebhookInput(body, allowedEvents, { partial = false } = {}) {
+  const { url, events, enabled } = body || {};
+  const fields = {};
 
-            return \`
-              <tr class="\${s.active ? 'live' : ''}">
-                <td><span class="rank \${rankClass}">#\${i + 1}</span></td>
-                <td><a href="/watch/\${s.name}">\${escapeHtml(s.name)}</a></td>
-                <td>\${s.peakViewers}</td>
-                <td>\${s.totalMessages}</td>
-                <td>\${s.active ? '<span class="live-badge">🔴 LIVE</span>' : '<span class="offline-badge">⚫ Offline</span>'}</td>
-              </tr>
-            \`;
-          }).join('');
+  if (url !== undefined || !partial) {
+    const error = validateWebhookUrl(url);
+    if (error) return { error };
+    fields.url = url;
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => allowedEvents.includes(event))) {
+      return { error: `events must be a non-empty list of: ${allowedEvents.join(', ')}` };
+    }
+    fields.events = [...new Set(events)];
+  } else if (!partial) {
+    fields.events = allowedEvents;
+  }
+
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    fields.enabled = enabled;
+  }
+
+  return { fields };
+}
+
+// The secret is only returned when the webhook is created
+function createWebhook(agentName, fields, createdBy) {
+  const webhook = {
+    id: crypto.randomBytes(6).toString('hex'),
+    agentName,
+    url: fields.url,
+    events: fields.events,
+    enabled: fields.enabled !== false,
+    secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    createdAt: Date.now(),
+    createdBy
+  };
+
+  webhooks.set(webhook.id, webhook);
+  shareWebhook(webhook.id);
+  scheduleSave();
+  return webhook;
+}
+
+function updateWebhook(webhook, fields) {
+  Object.assign(webhook, fields);
+  shareWebhook(webhook.id);
+  scheduleSave();
+}
+
+function deleteWebhook(id) {
+  webhooks.delete(id);
+  webhookDeliveries.delete(id);
+  shareWebhook(id);
+  markShared('webhookDeliveries', id);
+  scheduleSave();
+}
+
+// A released agent's webhooks belonged to its old owner
+function deleteAgentWebhooks(agentName) {
+  for (const webhook of getWebhooks(agentName)) {
+    deleteWebhook(webhook.id);
+  }
+}
+
+// agentName null lists the global webhooks
+function getWebhooks(agentName) {
+  return Array.from(webhooks.values()).filter(webhook => webhook.agentName === agentName);
+}
+
+function describeWebhook(webhook) {
+  const { secret, ...fields } = webhook;
+  const last = (webhookDeliveries.get(webhook.id) || [])[0];
+  return {
+    ...fields,
+    lastDelivery: last ? { id: last.id, event: last.event, status: last.status, createdAt: last.createdAt } : null
+  };
+}
+
+// Adds a delivery to its webhook's log, or replaces it after another attempt
+function logWebhookDelivery(delivery) {
+  const log = webhookDeliveries.get(delivery.webhookId) || [];
+  const index = log.findIndex(entry => entry.id === delivery.id);
+  if (index === -1) log.unshift(delivery);
+  else log[index] = delivery;
+  webhookDeliveries.set(delivery.webhookId, log.slice(0, MAX_WEBHOOK_DELIVERIES));
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Resolves with the status code once the response starts. Redirects aren't
+// followed, the body is ignored.
+function postWebhook(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    // Node skips the lookup for IP literals, so those are checked here
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    if (!WEBHOOK_ALLOW_PRIVATE_URLS && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return reject(new Error(`${hostname} is a private address`));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      lookup: WEBHOOK_ALLOW_PRIVATE_URLS ? undefined : lookupPublicAddress
+    }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`No response within ${WEBHOOK_TIMEOUT_MS / 1000}s`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Makes one attempt and either settles the delivery or schedules the next
+// one, 1x, 2x, 4x... WEBHOOK_RETRY_BASE_MS later
+async function attemptWebhookDelivery(delivery) {
+  const webhook = webhooks.get(delivery.webhookId);
+  if (!webhook) return delivery;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { at: Date.now(), statusCode: null, error: null, durationMs: 0 };
+
+  try {
+    attempt.statusCode = await postWebhook(webhook.url, body, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'AgentCast-Webhooks/1.0',
+      'X-AgentCast-Event': delivery.event,
+      'X-AgentCast-Delivery': delivery.id,
+      'X-AgentCast-Timestamp': String(timestamp),
+      'X-AgentCast-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+    });
+    if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+      attempt.error = `HTTP ${attempt.statusCode}`;
+    }
+  } catch (err) {
+    attempt.error = err.message;
+  }
+  attempt.durationMs = Date.now() - attempt.at;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length >= delivery.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.nextAttemptAt = Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1);
+    scheduleWebhookDelivery(delivery);
+  }
+
+  logWebhookDelivery(delivery);
+  shareWebhookDelivery(delivery);
+  scheduleSave();
+  return delivery;
+}
+
+// With several instances, whoever schedules an attempt claims it until it is
+// due and done, so an instance that starts up doesn't resume a delivery
+// another one is still retrying. A claim we don't get is looked at again once
+// it lapses, in case its holder went away.
+async function scheduleWebhookDelivery(delivery) {
+  const delay = Math.max(delivery.nextAttemptAt - Date.now(), 0);
+  const claimMs = delay + WEBHOOK_TIMEOUT_MS + WEBHOOK_CLAIM_SLACK_MS;
+  // If the store is down, deliver anyway: a duplicate beats a lost event
+  const claimed = await sharedState.lock(`agentcast:lock:webhook:${delivery.id}:${delivery.attempts.length}`, claimMs).catch(() => true);
+
+  setTimeout(() => {
+    // Other instances may have replaced our copy with their latest attempt
+    const current = (webhookDeliveries.get(delivery.webhookId) || []).find(entry => entry.id === delivery.id);
+    if (!current || current.status !== 'pending') return;
+    if (claimed) attemptWebhookDelivery(current);
+    else scheduleWebhookDelivery(current);
+  }, claimed ? delay : claimMs);
+}
+
+// Returns the delivery after its first attempt
+function deliverWebhook(webhook, payload, maxAttempts = WEBHOOK_MAX_ATTEMPTS) {
+  const delivery = {
+    id: crypto.randomBytes(8).toString('hex'),
+    webhookId: webhook.id,
+    event: payload.event,
+    payload,
+    status: 'pending',
+    attempts: [],
+    maxAttempts,
+    createdAt: Date.now(),
+    nextAttemptAt: null
+  };
+  logWebhookDelivery(delivery);
+  return attemptWebhookDelivery(delivery);
+}
+
+// Sends event to the agent's own webhooks and the global ones. moderation
+// (who did it and why) only goes to global webhooks.
+function emitWebhookEvent(event, agentName, data = {}, moderation = null) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const createdAt = Date.now();
+
+  for (const webhook of webhooks.values()) {
+    if (!webhook.enabled || !webhook.events.includes(event)) continue;
+    if (webhook.agentName && webhook.agentName !== agentName) continue;
+
+    const payload = {
+      id,
+      event,
+      createdAt,
+      agent: agentName,
+      data: webhook.agentName ? data : { ...data, ...moderation }
+    };
+    deliverWebhook(webhook, payload);
+  }
+}
+
+function sendTestWebhook(webhook) {
+  return deliverWebhook(webhook, {
+    id: crypto.randomBytes(8).toString('hex'),
+    event: 'webhook.test',
+    createdAt: Date.now(),
+    agent: webhook.agentName,
+    data: { message: 'Test delivery from AgentCast' }
+  }, 1);
+}
+
+function streamEventData(agentName, stream) {
+  const meta = publicStreamMeta(agentName, stream);
+  return {
+    sessionId: stream.sessionId,
+    startedAt: stream.startedAt,
+    title: meta.title,
+    category: meta.category,
+    url: `/watch/${agentName}`
+  };
+}
+
+// Deliveries that were still pending when the server stopped. Those another
+// instance is retrying stay with it (see scheduleWebhookDelivery).
+function resumeWebhookDeliveries() {
+  for (const log of webhookDeliveries.values()) {
+    for (const delivery of log) {
+      if (delivery.status !== 'pending') continue;
+      delivery.nextAttemptAt = delivery.nextAttemptAt || Date.now();
+      scheduleWebhookDelivery(delivery);
+    }
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// CONTENT MODERATION
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// Every stream line and chat message is screened before it is stored or
+// broadcast. A rule finds matches and its action decides what happens:
+// redact replaces the match, hold queues the content for a moderator,
+// reject refuses it. Actions are set per rule and can be overridden per agent.
+
+// Ordered from weakest to strongest; the strongest match wins
+const MODERATION_ACTIONS = ['off', 'redact', 'hold', 'reject'];
+const MAX_HELD_ITEMS = 500;
+const MAX_DENY_PATTERNS = 100;
+const MAX_DENY_PATTERN_LENGTH = 100;
+// No field may be longer than MAX_BLOCK_LENGTH, so detectors never scan more.
+// Longer text is cut one character past it: validation still refuses it, and
+// nothing past the cut is stored unscanned.
+const MAX_MODERATION_SCAN_LENGTH = MAX_BLOCK_LENGTH + 1;
+
+const moderationRules = new Map();
+let denyListPatterns = [];
+
+// Rules are pluggable: { id, label, defaultAction, detectors } where each
+// detector is { type, pattern (global regex), validate? } and detectors may be
+// a function for rules whose patterns change at runtime. A named "secret"
+// group limits redaction to that part of the match. Keep every repeat bounded
+// ({0,40} rather than *): detectors run on every line an agent sends.
+function registerModerationRule(rule) {
+  moderationRules.set(rule.id, rule);
+}
+
+function passesLuhn(digits) {
+  let sum = 0;
+  digits.split('').reverse().forEach((d, i) => {
+    let n = parseInt(d);
+    if (i % 2 === 1) n = n * 2 > 9 ? n * 2 - 9 : n * 2;
+    sum += n;
+  });
+  return sum % 10 === 0;
+}
+
+registerModerationRule({
+  id: 'deny-list',
+  label: 'Deny-list',
+  defaultAction: 'reject',
+  detectors: () => denyListPatterns
+});
+
+// Bits of entropy per character. Random keys score well above 3.5, words and
+// placeholders like "changeme" or "xxxxxxxx" well below.
+function shannonEntropy(value) {
+  const counts = {};
+  for (const ch of value) counts[ch] = (counts[ch] || 0) + 1;
+  return Object.values(counts).reduce((sum, n) => {
+    const p = n / value.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+// Specific formats come first so their type is the one reported; the
+// assignment detectors skip values that are already redacted.
+registerModerationRule({
+  id: 'secrets',
+  label: 'Secrets',
+  defaultAction: 'redact',
+  detectors: [
+    { type: 'private-key', pattern: /-----BEGIN (?:[A-Z0-9]{1,10} ){0,3}PRIVATE KEY(?: BLOCK)?-----[\s\S]{0,10000}?(?:-----END (?:[A-Z0-9]{1,10} ){0,3}PRIVATE KEY(?: BLOCK)?-----|$)/g },
+    { type: 'aws-access-key', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA)[0-9A-Z]{16}\b/g },
+    { type: 'aws-secret-key', pattern: /\baws_?secret_?(?:access_?)?key\s{0,10}[=:]\s{0,10}["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi },
+    { type: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+    { type: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,255}/g },
+    { type: 'slack-webhook', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]{1,200}/g },
+    { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{5,2000}\.eyJ[A-Za-z0-9_-]{5,2000}\.[A-Za-z0-9_-]{10,1000}/g },
+    { type: 'api-key', pattern: /\b(?:sk|pk|rk)[-_](?:[a-z]{1,20}[-_])?[A-Za-z0-9_-]{20,255}/g },
+    { type: 'bearer', pattern: /\bBearer\s{1,10}(?<secret>(?!\[REDACTED)[A-Za-z0-9._~+\/-]{16,1024}={0,2})/gi },
+    { type: 'env', pattern: /\b[A-Z][A-Z0-9_]{0,40}(?:SECRET|TOKEN|PASSWORD|PASSWD|API_?KEY|ACCESS_?KEY|PRIVATE_?KEY|CREDENTIALS?)[A-Z0-9_]{0,40}\s{0,10}[=:]\s{0,10}["']?(?<secret>(?!\[REDACTED)[^\s"']{4,1024})/g },
+    {
+      type: 'high-entropy',
+      pattern: /\b[\w.-]{0,40}(?:key|secret|token|passw(?:or)?d|pwd|auth)[\w.-]{0,40}["']?\s{0,10}[=:]\s{0,10}["']?(?<secret>(?!\[REDACTED)[A-Za-z0-9+\/_=.-]{16,1024})/gi,
+      validate: (match, groups) => shannonEntropy(groups.secret) >= 3.5
+    }
+  ]
+});
+
+registerModerationRule({
+  id: 'pii',
+  label: 'Personal info',
+  defaultAction: 'redact',
+  detectors: [
+    { type: 'email', pattern: /\b[A-Za-z0-9._%+-]{1,64}@[A-Za-z0-9.-]{1,255}\.[A-Za-z]{2,24}\b/g },
+    { type: 'phone', pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?\(?\d{3}\)?[ .-]\d{3}[ .-]\d{4}(?!\w)/g },
+    { type: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+    { type: 'card', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: match => passesLuhn(match.replace(/\D/g, '')) }
+  ]
+});
+
+// Deny-list patterns run on every line, so anything that can backtrack badly
+// is refused: backreferences, lookarounds, a repeated group that itself repeats
+// or alternates like (a+)+ or (a|ab)*, and more than one open-ended repeat
+// (*, + or a bound over 100), which is what makes \w*\w*x slow.
+// Returns an error message or null.
+function checkDenyPattern(source) {
+  const groups = [{ repeats: false }];
+  let closedGroup = null; // set when the previous atom was a group
+  let afterQuantifier = false;
+  let openEnded = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    let quantifier = null;
+
+    if (c === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return 'backreferences are not allowed';
+      i++;
+    } else if (c === '[') {
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (c === '(') {
+      if (/^\(\?<?[=!]/.test(source.slice(i, i + 4))) return 'lookarounds are not allowed';
+      if (source[i + 1] === '?') i = source[i + 2] === '<' ? source.indexOf('>', i) : i + 2;
+      groups.push({ repeats: false });
+    } else if (c === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (group.repeats) groups[groups.length - 1].repeats = true;
+      closedGroup = group;
+      afterQuantifier = false;
+      continue;
+    } else if (c === '|') {
+      groups[groups.length - 1].repeats = true;
+    } else if (c === '?' && afterQuantifier) {
+      // lazy modifier, not a repeat of its own
+    } else if ('*+?'.includes(c)) {
+      quantifier = c === '?' ? 1 : Infinity;
+    } else if (c === '{') {
+      const bound = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+      if (bound) {
+        quantifier = bound[2] === undefined ? Number(bound[1]) : bound[3] === '' ? Infinity : Number(bound[3]);
+        i += bound[0].length - 1;
+      }
+    }
+
+    if (quantifier !== null) {
+      if (closedGroup && closedGroup.repeats) return 'a repeated group can\'t contain repeats or alternatives';
+      if (quantifier > 100 && ++openEnded > 1) return 'only one open-ended repeat (*, +, {n,} or a bound over 100) is allowed';
+      groups[groups.length - 1].repeats = true;
+    }
+    closedGroup = null;
+    afterQuantifier = quantifier !== null;
+  }
+  return null;
+}
+
+// Admin-editable deny-list patterns are case-insensitive regexes. Throws on
+// an invalid or unsafe pattern so the caller can report it.
+function compileDenyList(sources) {
+  return sources.map(source => {
+    const pattern = new RegExp(source, 'gi');
+    const unsafe = checkDenyPattern(source);
+    if (unsafe) throw new Error(`${source}: ${unsafe}`);
+    return { type: 'deny-list', pattern };
+  });
+}
+
+// A null-prototype copy, for objects keyed by something a client picks (an
+// agent name). A plain object would take "__proto__" as its prototype and
+// leak whatever is written there into every other object.
+function agentKeyedObject(source) {
+  return Object.assign(Object.create(null), source);
+}
+
+function getRuleAction(agentName, ruleId) {
+  const override = Object.hasOwn(contentModeration.overrides, agentName) && contentModeration.overrides[agentName];
+  if (override && Object.hasOwn(override, ruleId)) return override[ruleId];
+  if (Object.hasOwn(contentModeration.actions, ruleId)) return contentModeration.actions[ruleId];
+  return moderationRules.get(ruleId).defaultAction;
+}
+
+function strongerAction(a, b) {
+  return MODERATION_ACTIONS.indexOf(b) > MODERATION_ACTIONS.indexOf(a) ? b : a;
+}
+
+// Returns { text, hits, action }. Held and rejected text is left as is so a
+// moderator can see what was sent; only redact rules change it.
+function moderateText(agentName, text) {
+  const hits = [];
+  let action = null;
+  text = text.slice(0, MAX_MODERATION_SCAN_LENGTH);
+
+  for (const rule of moderationRules.values()) {
+    const ruleAction = getRuleAction(agentName, rule.id);
+    if (ruleAction === 'off') continue;
+
+    const detectors = typeof rule.detectors === 'function' ? rule.detectors() : rule.detectors;
+    for (const detector of detectors) {
+      text = text.replace(detector.pattern, (match, ...rest) => {
+        const groups = typeof rest[rest.length - 1] === 'object' ? rest[rest.length - 1] : {};
+        if (detector.validate && !detector.validate(match, groups)) return match;
+
+        hits.push({ rule: rule.id, type: detector.type, action: ruleAction });
+        action = strongerAction(action, ruleAction);
+        if (ruleAction !== 'redact') return match;
+
+        const tag = `[REDACTED:${detector.type}]`;
+        return groups.secret ? match.replace(groups.secret, tag) : tag;
+      });
+    }
+  }
+
+  return { text, hits, action };
+}
+
+// Screens the free-text fields of a raw line entry (before validateLine) and
+// returns the same shape as moderateText with a redacted copy of the entry
+function moderateLineEntry(agentName, entry) {
+  if (!entry || typeof entry !== 'object') {
+    return { entry, hits: [], action: null };
+  }
+
+  const hits = [];
+  let action = null;
+  const scan = value => {
+    if (typeof value !== 'string') return value;
+    const result = moderateText(agentName, value);
+    hits.push(...result.hits);
+    action = strongerAction(action, result.action);
+    return result.text;
+  };
+
+  const moderated = { ...entry, text: scan(entry.text), result: scan(entry.result) };
+  if (entry.args !== undefined) {
+    moderated.args = scan(typeof entry.args === 'string' ? entry.args : JSON.stringify(entry.args, null, 2));
+  }
+  if (Array.isArray(entry.columns)) {
+    moderated.columns = entry.columns.map(scan);
+  }
+  if (Array.isArray(entry.rows)) {
+    moderated.rows = entry.rows.map(row => Array.isArray(row) ? row.map(scan) : row);
+  }
+
+  return { entry: moderated, hits, action };
+}
+
+function countModeration(agentName, moderation) {
+  if (moderation.hits.length === 0) return;
+
+  const hits = moderation.hits.map(({ rule, action }) => ({ rule, action }));
+  addModerationCounts(agentName, hits);
+  shareContentModeration({ name: agentName, hits });
+  scheduleSave();
+}
+
+function addModerationCounts(agentName, hits) {
+  if (!Object.hasOwn(contentModeration.counters, agentName)) contentModeration.counters[agentName] = {};
+  const counters = contentModeration.counters[agentName];
+  for (const hit of hits) {
+    if (!Object.hasOwn(counters, hit.rule)) counters[hit.rule] = { redact: 0, hold: 0, reject: 0 };
+    const counts = counters[hit.rule];
+    counts[hit.action]++;
+  }
+}
+
+function moderationError(moderation) {
+  return {
+    error: 'Blocked by content moderation',
+    rules: [...new Set(moderation.hits.filter(hit => hit.action === 'reject').map(hit => hit.rule))]
+  };
+}
+
+// What was redacted, by type, so the agent can see what it leaked. null when
+// nothing was.
+function redactionSummary(moderation) {
+  const redacted = moderation.hits.filter(hit => hit.action === 'redact');
+  if (redacted.length === 0) return null;
+
+  const types = {};
+  for (const hit of redacted) types[hit.type] = (types[hit.type] || 0) + 1;
+  return { count: redacted.length, types };
+}
+
+// Extra response fields for the sender: held and/or redacted
+function moderationResult(heldId, moderation) {
+  const result = {};
+  if (heldId) Object.assign(result, { held: true, heldId });
+  const redacted = redactionSummary(moderation);
+  if (redacted) result.redacted = redacted;
+  return result;
+}
+
+function holdContent(agentName, kind, content, moderation) {
+  const item = {
+    id: crypto.randomBytes(6).toString('hex'),
+    agentName,
+    kind,
+    content,
+    hits: moderation.hits.filter(hit => hit.action === 'hold'),
+    at: Date.now()
+  };
+
+  heldContent.set(item.id, item);
+  shareHeldItem(item.id);
+  if (heldContent.size > MAX_HELD_ITEMS) {
+    const oldest = heldContent.keys().next().value;
+    heldContent.delete(oldest);
+    shareHeldItem(oldest);
+  }
+  scheduleSave();
+
+  logActivity(`Held ${kind} from ${agentName} for review (${item.hits.map(hit => hit.type).join(', ')})`);
+  return item;
+}
+
+// Counts the outcome, then publishes the line or queues it for review.
+// Returns the held item id when it was held.
+function publishModeratedLine(agentName, stream, line, moderation) {
+  countModeration(agentName, moderation);
+  if (moderation.action === 'hold') {
+    return holdContent(agentName, 'line', line, moderation).id;
+  }
+  pushStreamLine(agentName, stream, line);
+  return null;
+}
+
+function publishModeratedChat(agentName, message, moderation) {
+  countModeration(agentName, moderation);
+  if (moderation.action === 'hold') {
+    return holdContent(agentName, 'chat', message, moderation).id;
+  }
+  postChatMessage(agentName, message);
+  return null;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MIDDLEWARE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// Large enough for a full batch of code blocks or an inline image
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+// Admin auth middleware. Needs a logged-in admin session whose role has the
+// permission, and the CSRF token for anything that changes state.
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const session = getLoginSession(req, ADMIN_COOKIE);
+    const role = session && getAdminRole(session.username);
+    if (!role) {
+      return res.status(401).json({ error: 'Unauthorized', hint: 'Log in at /admin' });
+    }
+
+    if (req.method !== 'GET' && !isValidCsrfToken(session, req.get('X-CSRF-Token'))) {
+      return res.status(403).json({ error: 'Invalid CSRF token' });
+    }
+
+    if (!ROLE_PERMISSIONS[role].includes(permission)) {
+      return res.status(403).json({ error: `The ${role} role can't do this (needs ${permission})` });
+    }
+
+    req.adminSession = session;
+    req.admin = { username: session.username, role, permissions: ROLE_PERMISSIONS[role] };
+    next();
+  };
+}
+
+const requireAdmin = requirePermission('admin:view');
+
+// Who may moderate agentName's chat: an admin session with chat:moderate, or
+// the account that owns the stream. Returns { username, role, csrfToken } or null.
+function getChatModerator(req, agentName) {
+  const adminSession = getLoginSession(req, ADMIN_COOKIE);
+  const role = adminSession && getAdminRole(adminSession.username);
+  if (role && ROLE_PERMISSIONS[role].includes('chat:moderate')) {
+    return { username: adminSession.username, role, csrfToken: adminSession.csrfToken };
+  }
+
+  const accountSession = getLoginSession(req, ACCOUNT_COOKIE);
+  const account = accountSession && accounts.get(accountSession.username);
+  const stream = streams.get(agentName);
+  if (account && stream && stream.owner === account.username) {
+    return { username: account.displayName, role: 'streamer', csrfToken: accountSession.csrfToken };
+  }
+
+  return null;
+}
+
+function requireChatModerator(req, res, next) {
+  const moderator = getChatModerator(req, req.params.agentname);
+  if (!moderator) {
+    return res.status(403).json({ error: 'Only moderators and the stream owner can moderate this chat' });
+  }
+
+  // Account sessions from before owners had a token can't pass; logging in again fixes it
+  if (req.method !== 'GET' && (!moderator.csrfToken ||
+      !isValidCsrfToken({ csrfToken: moderator.csrfToken }, req.get('X-CSRF-Token')))) {
+    return res.status(403).json({ error: 'Invalid CSRF token', hint: 'Reload the page, or log in again' });
+  }
+
+  req.admin = { username: moderator.username, role: moderator.role };
+  next();
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// STYLES (Shared CSS)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const sharedStyles = `
+  * {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+  }
+
+  :root {
+    --primary: #E63946;
+    --accent: #1D3557;
+    --bg: #0A0E27;
+    --bg-secondary: #131836;
+    --bg-tertiary: #1a2048;
+    --text: #FFFFFF;
+    --text-secondary: #B8C5D6;
+    --success: #00d4aa;
+    --warning: #ffc107;
+    --error: #E63946;
+  }
+
+  body {
+    font-family: Inter, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    background: var(--bg);
+    color: var(--text);
+    min-height: 100vh;
+    line-height: 1.5;
+  }
+
+  a {
+    color: var(--primary);
+    text-decoration: none;
+  }
+
+  a:hover {
+    text-decoration: underline;
+  }
+
+  /* Header */
+  .header {
+    background: var(--bg-secondary);
+    padding: 1rem 2rem;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    border-bottom: 1px solid var(--bg-tertiary);
+    position: sticky;
+    top: 0;
+    z-index: 100;
+  }
+
+  .logo {
+    font-size: 1.5rem;
+    font-weight: bold;
+    color: var(--text);
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+  }
+
+  .logo:hover {
+    text-decoration: none;
+  }
+
+  .nav-links {
+    display: flex;
+    gap: 1.5rem;
+  }
+
+  .nav-links a {
+    color: var(--text-secondary);
+    transition: color 0.2s;
+  }
+
+  .nav-links a:hover {
+    color: var(--text);
+    text-decoration: none;
+  }
+
+  /* Footer */
+  .footer {
+    background: var(--bg-secondary);
+    padding: 2rem;
+    text-align: center;
+    border-top: 1px solid var(--bg-tertiary);
+    margin-top: auto;
+  }
+
+  .footer-links {
+    display: flex;
+    justify-content: center;
+    gap: 2rem;
+    margin-bottom: 1rem;
+    flex-wrap: wrap;
+  }
+
+  .footer-links a {
+    color: var(--text-secondary);
+    font-size: 0.9rem;
+  }
+
+  .footer-text {
+    color: var(--text-secondary);
+    font-size: 0.85rem;
+  }
+
+  /* Buttons */
+  .btn {
+    background: var(--primary);
+    color: white;
+    border: none;
+    padding: 0.75rem 1.5rem;
+    border-radius: 6px;
+    cursor: pointer;
+    font-size: 1rem;
+    font-weight: 500;
+    transition: all 0.2s;
+    display: inline-flex;
+    align-items: center;
+    gap: 0.5rem;
+  }
+
+  .btn:hover {
+    filter: brightness(1.1);
+    transform: translateY(-1px);
+  }
+
+  .btn:active {
+    transform: scale(0.98);
+  }
+
+  .btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+    transform: none;
+  }
+
+  .btn-secondary {
+    background: var(--accent);
+  }
+
+  .btn-outline {
+    background: transparent;
+    border: 2px solid var(--primary);
+    color: var(--primary);
+  }
+
+  /* Form inputs */
+  input, textarea, select {
+    background: var(--bg-tertiary);
+    border: 1px solid var(--accent);
+    color: var(--text);
+    padding: 0.75rem 1rem;
+    border-radius: 6px;
+    font-size: 1rem;
+    width: 100%;
+    font-family: inherit;
+  }
+
+  input:focus, textarea:focus, select:focus {
+    outline: none;
+    border-color: var(--primary);
+    box-shadow: 0 0 0 2px rgba(230, 57, 70, 0.2);
+  }
+
+  /* Cards */
+  .card {
+    background: var(--bg-secondary);
+    border-radius: 12px;
+    padding: 1.5rem;
+    border: 1px solid var(--bg-tertiary);
+  }
+
+  /* LIVE badge */
+  .live-badge {
+    background: var(--error);
+    color: white;
+    padding: 0.25rem 0.5rem;
+    border-radius: 4px;
+    font-size: 0.75rem;
+    font-weight: bold;
+    animation: pulse 2s infinite;
+    display: inline-flex;
+    align-items: center;
+    gap: 0.25rem;
+  }
+
+  @keyframes pulse {
+    0%, 100% { opacity: 1; }
+    50% { opacity: 0.7; }
+  }
+
+  .offline-badge {
+    background: var(--text-secondary);
+    color: var(--bg);
+    padding: 0.25rem 0.5rem;
+    border-radius: 4px;
+    font-size: 0.75rem;
+    font-weight: bold;
+  }
+
+  /* Loading */
+  .loading {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    gap: 0.5rem;
+    color: var(--text-secondary);
+    padding: 2rem;
+  }
+
+  .spinner {
+    width: 20px;
+    height: 20px;
+    border: 2px solid var(--bg-tertiary);
+    border-top-color: var(--primary);
+    border-radius: 50%;
+    animation: spin 1s linear infinite;
+  }
+
+  @keyframes spin {
+    to { transform: rotate(360deg); }
+  }
+
+  /* Toast notifications */
+  .toast-container {
+    position: fixed;
+    bottom: 20px;
+    right: 20px;
+    z-index: 1000;
+    display: flex;
+    flex-direction: column;
+    gap: 0.5rem;
+  }
+
+  .toast {
+    background: var(--bg-secondary);
+    border: 1px solid var(--bg-tertiary);
+    padding: 1rem 1.5rem;
+    border-radius: 8px;
+    animation: slideIn 0.3s ease;
+    max-width: 350px;
+  }
+
+  .toast.success {
+    border-left: 4px solid var(--success);
+  }
+
+  .toast.error {
+    border-left: 4px solid var(--error);
+  }
+
+  .toast-link {
+    cursor: pointer;
+  }
+
+  @keyframes slideIn {
+    from { transform: translateX(100%); opacity: 0; }
+    to { transform: translateX(0); opacity: 1; }
+  }
+
+  /* Skeleton loading */
+  .skeleton {
+    background: linear-gradient(90deg, var(--bg-secondary) 25%, var(--bg-tertiary) 50%, var(--bg-secondary) 75%);
+    background-size: 200% 100%;
+    animation: shimmer 1.5s infinite;
+    border-radius: 8px;
+  }
+
+  @keyframes shimmer {
+    0% { background-position: 200% 0; }
+    100% { background-position: -200% 0; }
+  }
+
+  /* Container */
+  .container {
+    max-width: 1200px;
+    margin: 0 auto;
+    padding: 2rem;
+  }
+
+  /* Responsive */
+  @media (max-width: 768px) {
+    .header {
+      padding: 1rem;
+    }
+
+    .nav-links {
+      gap: 1rem;
+      font-size: 0.9rem;
+    }
+
+    .container {
+      padding: 1rem;
+    }
+
+    .footer-links {
+      gap: 1rem;
+    }
+  }
+`;
+
+// Stream line rendering is shared by the watch and replay pages so both
+// look identical. Everything is built with textContent, so server-escaped
+// text is decoded first rather than escaped a second time.
+const streamLineStyles = `
+  .stream-feed {
+    flex: 1;
+    overflow-y: auto;
+    padding: 1rem;
+    font-family: 'Consolas', 'Monaco', monospace;
+    font-size: 0.9rem;
+    line-height: 1.6;
+    background: var(--bg);
+  }
+
+  .stream-line {
+    padding: 0.25rem 0;
+    animation: fadeIn 0.2s ease;
+  }
+
+  @keyframes fadeIn {
+    from { opacity: 0; transform: translateY(5px); }
+    to { opacity: 1; transform: translateY(0); }
+  }
+
+  .stream-line .time {
+    color: var(--text-secondary);
+    margin-right: 0.5rem;
+  }
+
+  .stream-line.type-log { color: var(--text); }
+  .stream-line.type-tool { color: var(--accent); }
+  .stream-line.type-thought { color: var(--text-secondary); font-style: italic; }
+  .stream-line.type-error { color: var(--error); }
+
+  .md > p:first-child {
+    display: inline;
+  }
+
+  .md p, .md ul, .md ol, .md blockquote, .md pre {
+    margin: 0.25rem 0;
+  }
+
+  .md ul, .md ol {
+    padding-left: 1.5rem;
+  }
+
+  .md h1, .md h2, .md h3, .md h4, .md h5, .md h6 {
+    font-size: 1em;
+    margin: 0.25rem 0;
+  }
+
+  .md code {
+    background: var(--bg-tertiary);
+    padding: 0 0.25rem;
+    border-radius: 3px;
+  }
+
+  .md pre {
+    background: var(--bg-secondary);
+    padding: 0.5rem 0.75rem;
+    border-radius: 6px;
+    overflow-x: auto;
+  }
+
+  .md pre code {
+    background: none;
+    padding: 0;
+  }
+
+  .md blockquote {
+    border-left: 3px solid var(--bg-tertiary);
+    padding-left: 0.75rem;
+    color: var(--text-secondary);
+  }
+
+  .line-block {
+    margin: 0.35rem 0 0.25rem;
+    background: var(--bg-secondary);
+    border: 1px solid var(--bg-tertiary);
+    border-radius: 6px;
+    overflow: hidden;
+  }
+
+  .line-block-label {
+    padding: 0.2rem 0.75rem;
+    font-size: 0.75rem;
+    color: var(--text-secondary);
+    background: var(--bg-tertiary);
+  }
+
+  .line-block pre {
+    margin: 0;
+    padding: 0.75rem;
+    overflow-x: auto;
+    max-height: 400px;
+    font-family: inherit;
+    font-size: 0.85rem;
+  }
+
+  .tok-keyword { color: #c678dd; }
+  .tok-string { color: #98c379; }
+  .tok-number { color: #d19a66; }
+  .tok-comment { color: #7f848e; font-style: italic; }
+
+  .diff-add { color: var(--success); background: rgba(0, 212, 170, 0.08); display: block; }
+  .diff-del { color: var(--error); background: rgba(230, 57, 70, 0.08); display: block; }
+  .diff-hunk { color: #61afef; display: block; }
+  .diff-meta { color: var(--text-secondary); font-weight: bold; display: block; }
+  .diff-context { display: block; }
+
+  .line-block table {
+    border-collapse: collapse;
+    width: 100%;
+    font-size: 0.85rem;
+  }
+
+  .line-block th, .line-block td {
+    padding: 0.35rem 0.75rem;
+    text-align: left;
+    border-bottom: 1px solid var(--bg-tertiary);
+  }
+
+  .line-block th {
+    color: var(--text-secondary);
+    font-weight: 600;
+  }
+
+  .tool-card {
+    margin: 0.35rem 0 0.25rem;
+    background: var(--bg-secondary);
+    border: 1px solid var(--bg-tertiary);
+    border-left: 3px solid var(--accent);
+    border-radius: 6px;
+  }
+
+  .tool-card summary {
+    padding: 0.35rem 0.75rem;
+    cursor: pointer;
+    display: flex;
+    gap: 0.5rem;
+    align-items: center;
+  }
+
+  .tool-card.status-started { border-left-color: var(--warning); }
+  .tool-card.status-succeeded { border-left-color: var(--success); }
+  .tool-card.status-failed { border-left-color: var(--error); }
+
+  .tool-card .tool-name { color: var(--text); font-weight: bold; }
+  .tool-card .tool-status { font-size: 0.8rem; color: var(--text-secondary); }
+  .tool-card .tool-duration { margin-left: auto; font-size: 0.8rem; color: var(--text-secondary); }
+
+  .tool-card pre {
+    margin: 0;
+    padding: 0.5rem 0.75rem;
+    border-top: 1px solid var(--bg-tertiary);
+    overflow-x: auto;
+    max-height: 240px;
+    font-family: inherit;
+    font-size: 0.8rem;
+    color: var(--text-secondary);
+    white-space: pre-wrap;
+  }
+
+  .line-block img {
+    display: block;
+    max-width: 100%;
+    max-height: 320px;
+    padding: 0.5rem;
+  }
+`;
+
+const streamLineRenderer = `
+  // Line text arrives HTML-escaped from the server. Decode it back to plain
+  // text and only ever assign it through textContent.
+  function decodeHtml(html) {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = html || '';
+    return textarea.value;
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  const CODE_KEYWORDS = new Set((
+    'async await break case catch class const continue def default del do elif else enum export extends ' +
+    'false finally fn for from func function go if impl import in interface let match mod mut new nil ' +
+    'None null package pass pub raise return self static struct super switch this throw true True False ' +
+    'try type typeof undefined use var while with yield'
+  ).split(' '));
+  const HASH_COMMENT_LANGUAGES = ['python', 'py', 'ruby', 'rb', 'bash', 'sh', 'shell', 'zsh', 'yaml', 'yml', 'toml', 'perl', 'r', 'dockerfile', 'makefile'];
+
+  // Deliberately small tokenizer: comments, strings, numbers and keywords are
+  // enough to make agent output readable without shipping a highlighter
+  function highlightCode(code, language) {
+    const comment = HASH_COMMENT_LANGUAGES.includes(language) ? '#[^\\\\n]*' : '\\\\/\\\\/[^\\\\n]*|\\\\/\\\\*[\\\\s\\\\S]*?\\\\*\\\\/';
+    const pattern = new RegExp('(' + comment + ')|("(?:\\\\\\\\.|[^"\\\\\\\\])*"|\\'(?:\\\\\\\\.|[^\\'\\\\\\\\])*\\'|\\\`(?:\\\\\\\\.|[^\\\`\\\\\\\\])*\\\`)|(\\\\b\\\\d+(?:\\\\.\\\\d+)?\\\\b)|([A-Za-z_]\\\\w*)', 'g');
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(code))) {
+      let className = null;
+      if (match[1]) className = 'tok-comment';
+      else if (match[2]) className = 'tok-string';
+      else if (match[3]) className = 'tok-number';
+      else if (CODE_KEYWORDS.has(match[4])) className = 'tok-keyword';
+      if (!className) continue;
+
+      fragment.appendChild(document.createTextNode(code.slice(last, match.index)));
+      fragment.appendChild(el('span', className, match[0]));
+      last = match.index + match[0].length;
+    }
+    fragment.appendChild(document.createTextNode(code.slice(last)));
+    return fragment;
+  }
+
+  function renderDiff(text) {
+    const pre = el('pre');
+    text.split('\\n').forEach(row => {
+      let className = 'diff-context';
+      if (/^(\\+\\+\\+|---|diff |index )/.test(row)) className = 'diff-meta';
+      else if (row.startsWith('@@')) className = 'diff-hunk';
+      else if (row.startsWith('+')) className = 'diff-add';
+      else if (row.startsWith('-')) className = 'diff-del';
+      pre.appendChild(el('span', className, row || ' '));
+    });
+    return pre;
+  }
+
+  function renderTable(line) {
+    const table = el('table');
+    if (line.columns && line.columns.length) {
+      const head = table.appendChild(el('thead')).appendChild(el('tr'));
+      line.columns.forEach(col => head.appendChild(el('th', null, decodeHtml(col))));
+    }
+    const body = table.appendChild(el('tbody'));
+    (line.rows || []).forEach(row => {
+      const tr = body.appendChild(el('tr'));
+      row.forEach(cell => tr.appendChild(el('td', null, decodeHtml(cell))));
+    });
+    return table;
+  }
+
+  function renderBlock(line) {
+    const text = decodeHtml(line.text);
+    const block = el('div', 'line-block');
+
+    if (line.type === 'code') {
+      block.appendChild(el('div', 'line-block-label', line.language || 'code'));
+      block.appendChild(el('pre')).appendChild(el('code')).appendChild(highlightCode(text, line.language));
+    } else if (line.type === 'diff') {
+      block.appendChild(el('div', 'line-block-label', 'diff'));
+      block.appendChild(renderDiff(text));
+    } else if (line.type === 'table') {
+      if (text) block.appendChild(el('div', 'line-block-label', text));
+      block.appendChild(renderTable(line));
+    } else if (line.type === 'image') {
+      if (text) block.appendChild(el('div', 'line-block-label', text));
+      if (/^data:image\\/(png|jpeg|gif|webp);base64,/.test(line.src || '')) {
+        const img = el('img');
+        img.src = line.src;
+        img.alt = text || 'Image from agent';
+        img.loading = 'lazy';
+        block.appendChild(img);
+      } else if (line.imageOmitted) {
+        block.appendChild(el('div', 'line-block-label', '(image no longer available)'));
+      }
+    }
+    return block;
+  }
+
+  const TOOL_STATUS_LABELS = { started: '⏳ running', succeeded: '✔ succeeded', failed: '✖ failed' };
+
+  function formatMs(ms) {
+    if (ms === undefined || ms === null) return '';
+    return ms < 1000 ? ms + 'ms' : (ms / 1000).toFixed(1) + 's';
+  }
+
+  function fillToolCard(card, line) {
+    card.className = 'tool-card status-' + line.status;
+    card.querySelector('.tool-status').textContent = TOOL_STATUS_LABELS[line.status] || line.status;
+    card.querySelector('.tool-duration').textContent = formatMs(line.durationMs);
+
+    if (line.args) card.querySelector('.tool-args').textContent = decodeHtml(line.args);
+    if (line.result || line.text) {
+      const result = card.querySelector('.tool-result');
+      result.textContent = decodeHtml(line.result || line.text);
+      result.hidden = false;
+    }
+  }
+
+  function renderToolCard(line) {
+    const card = el('details');
+    card.dataset.callId = line.callId;
+    const summary = card.appendChild(el('summary'));
+    summary.appendChild(el('span', null, '🔧'));
+    summary.appendChild(el('span', 'tool-name', line.tool));
+    summary.appendChild(el('span', 'tool-status'));
+    summary.appendChild(el('span', 'tool-duration'));
+    card.appendChild(el('pre', 'tool-args', '(no arguments)'));
+    card.appendChild(el('pre', 'tool-result')).hidden = true;
+    fillToolCard(card, line);
+    return card;
+  }
+
+  function renderStreamLine(line) {
+    const type = line.type || 'log';
+    const div = el('div', 'stream-line type-' + type);
+    div.appendChild(el('span', 'time', '[' + decodeHtml(line.time) + ']'));
+
+    if (line.callId) {
+      div.appendChild(renderToolCard(line));
+    } else if (['code', 'diff', 'table', 'image'].includes(type)) {
+      div.appendChild(renderBlock(line));
+    } else if (line.format === 'markdown' && line.html) {
+      if (type === 'error') div.appendChild(document.createTextNode('✖ '));
+      // line.html was rendered through the server's allowlist sanitizer
+      const md = div.appendChild(el('span', 'md'));
+      md.innerHTML = line.html;
+    } else {
+      div.appendChild(document.createTextNode((type === 'error' ? '✖ ' : '') + decodeHtml(line.text)));
+    }
+    return div;
+  }
+
+  // Tool-call finishes update the card their start created instead of adding
+  // a new row. Returns true if a new element was appended.
+  function appendStreamLine(feed, line) {
+    if (line.callId && line.status !== 'started') {
+      const card = feed.querySelector('[data-call-id="' + CSS.escape(line.callId) + '"]');
+      if (card) {
+        fillToolCard(card, line);
+        return false;
+      }
+    }
+    feed.appendChild(renderStreamLine(line));
+    return true;
+  }
+`;
+
+// Stream cards and the search/filter bar, shared by the homepage and /browse
+const streamCardStyles = `
+  .streams-grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+    gap: 1.5rem;
+    padding: 2rem;
+    max-width: 1400px;
+    margin: 0 auto;
+  }
+
+  .stream-card {
+    background: var(--bg-secondary);
+    border-radius: 12px;
+    padding: 1.25rem;
+    border: 1px solid var(--bg-tertiary);
+    cursor: pointer;
+    transition: all 0.2s;
+  }
+
+  .stream-card:hover {
+    transform: scale(1.02);
+    box-shadow: 0 8px 30px rgba(0,0,0,0.3);
+    border-color: var(--primary);
+  }
+
+  .stream-card-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 0.75rem;
+  }
+
+  .stream-name {
+    font-size: 1.25rem;
+    font-weight: bold;
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+  }
+
+  .stream-avatar {
+    width: 32px;
+    height: 32px;
+    border-radius: 50%;
+    object-fit: cover;
+  }
+
+  .stream-title {
+    margin-bottom: 0.5rem;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  .stream-tags {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.35rem;
+    margin-top: 0.5rem;
+    font-size: 0.8rem;
+  }
+
+  .stream-tag {
+    background: var(--bg-tertiary);
+    color: var(--text-secondary);
+    padding: 0.1rem 0.45rem;
+    border-radius: 999px;
+  }
+
+  .stream-tag[data-filter] {
+    cursor: pointer;
+  }
+
+  .stream-tag[data-filter]:hover {
+    color: var(--text);
+  }
+
+  .stream-tag.category {
+    background: var(--accent);
+    color: var(--text);
+  }
+
+  .viewer-count {
+    color: var(--text-secondary);
+    display: flex;
+    align-items: center;
+    gap: 0.25rem;
+  }
+
+  .stream-preview {
+    color: var(--text-secondary);
+    font-size: 0.9rem;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    font-family: monospace;
+    background: var(--bg);
+    padding: 0.5rem;
+    border-radius: 4px;
+    margin-top: 0.75rem;
+  }
+
+  .stream-meta {
+    display: flex;
+    justify-content: space-between;
+    margin-top: 0.75rem;
+    font-size: 0.85rem;
+    color: var(--text-secondary);
+  }
+
+  .stream-filters {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.5rem;
+    max-width: 1400px;
+    margin: 0 auto;
+    padding: 0 2rem;
+  }
+
+  .stream-filters input {
+    flex: 2;
+    min-width: 200px;
+  }
+
+  .stream-filters select {
+    flex: 1;
+    min-width: 140px;
+  }
+
+  .tag-filter {
+    background: var(--accent);
+    border: none;
+    color: var(--text);
+    padding: 0.4rem 0.75rem;
+    border-radius: 999px;
+    cursor: pointer;
+  }
+
+  .empty-state {
+    text-align: center;
+    padding: 4rem 2rem;
+    color: var(--text-secondary);
+  }
+
+  .empty-state h2 {
+    font-size: 1.5rem;
+    margin-bottom: 0.5rem;
+    color: var(--text);
+  }
+
+  .empty-state p {
+    margin-bottom: 1.5rem;
+  }
+
+  .skeleton-card {
+    height: 150px;
+  }
+
+  .hidden {
+    display: none !important;
+  }
+
+  @media (max-width: 768px) {
+    .streams-grid {
+      grid-template-columns: 1fr;
+      padding: 1rem;
+    }
+
+    .stream-filters {
+      padding: 0 1rem;
+    }
+  }
+`;
+
+function streamFilterBar() {
+  const categories = STREAM_CATEGORIES
+    .map(category => `<option value="${category}">${category[0].toUpperCase() + category.slice(1)}</option>`)
+    .join('');
+
+  return `
+    <div class="stream-filters">
+      <input type="search" id="searchInput" placeholder="Search streams, titles and what agents are doing..." maxlength="100">
+      <select id="categorySelect" aria-label="Category">
+        <option value="">All categories</option>
+        ${categories}
+      </select>
+      <select id="sortSelect" aria-label="Sort">
+        <option value="viewers">Most viewers</option>
+        <option value="newest">Newest</option>
+        <option value="active">Most active</option>
+        <option value="longest">Longest running</option>
+        <option value="relevance">Best match</option>
+      </select>
+      <button type="button" class="tag-filter hidden" id="tagFilter" title="Remove tag filter"></button>
+    </div>
+  `;
+}
+
+// Client side of the filters. The page defines loadStreams(); filters live in
+// the URL (?q=&category=&tag=&sort=&page=) so searches can be shared and the
+// back button works.
+const streamDirectoryScript = `
+  let filters = readFilters();
+
+  function readFilters() {
+    const params = new URLSearchParams(location.search);
+    return {
+      q: params.get('q') || '',
+      category: params.get('category') || '',
+      tag: params.get('tag') || '',
+      sort: params.get('sort') || '',
+      page: Math.max(parseInt(params.get('page')) || 1, 1)
+    };
+  }
+
+  // Only what differs from the defaults goes in the URL
+  function filterQuery(current) {
+    const params = new URLSearchParams();
+    ['q', 'category', 'tag', 'sort'].forEach(key => {
+      if (current[key]) params.set(key, current[key]);
+    });
+    if (current.page > 1) params.set('page', current.page);
+    return params.toString();
+  }
+
+  function hasFilters() {
+    return Boolean(filters.q || filters.category || filters.tag);
+  }
+
+  // Searching sorts by relevance unless a sort was picked
+  function defaultSort() {
+    return filters.q ? 'relevance' : 'viewers';
+  }
+
+  // Any change but paging starts again from page 1. Typing replaces the
+  // history entry instead of adding one per keystroke.
+  function setFilters(changes, replace) {
+    filters = { ...filters, page: 1, ...changes };
+    const query = filterQuery(filters);
+    history[replace ? 'replaceState' : 'pushState'](null, '', location.pathname + (query ? '?' + query : ''));
+    syncFilterControls();
+    loadStreams();
+  }
+
+  function syncFilterControls() {
+    const search = document.getElementById('searchInput');
+    if (document.activeElement !== search) search.value = filters.q;
+    document.getElementById('categorySelect').value = filters.category;
+    document.getElementById('sortSelect').value = filters.sort || defaultSort();
+
+    const tagFilter = document.getElementById('tagFilter');
+    tagFilter.textContent = '#' + filters.tag + ' ✕';
+    tagFilter.classList.toggle('hidden', !filters.tag);
+  }
+
+  // Returns { streams, total } for the current filters and page
+  async function fetchStreams(pageSize) {
+    const params = new URLSearchParams(filterQuery({ ...filters, page: 1 }));
+    params.set('limit', pageSize);
+    params.set('offset', (filters.page - 1) * pageSize);
+
+    const res = await fetch('/api/streams?' + params);
+    if (!res.ok) {
+      const data = await res.json();
+      throw new Error(data.error || 'Failed to load streams');
+    }
+    return { streams: await res.json(), total: parseInt(res.headers.get('X-Total-Count')) || 0 };
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  // Category first, then tags, then what the agent runs on. Category and
+  // tags filter the list when clicked.
+  function streamTags(stream) {
+    const tags = [];
+    if (stream.category) tags.push('<span class="stream-tag category" data-filter="category" data-value="' + escapeHtml(stream.category) + '">' + escapeHtml(stream.category) + '</span>');
+    (stream.tags || []).forEach(tag => tags.push('<span class="stream-tag" data-filter="tag" data-value="' + escapeHtml(tag) + '">#' + escapeHtml(tag) + '</span>'));
+    const runsOn = [stream.model, stream.framework].filter(Boolean).join(' · ');
+    if (runsOn) tags.push('<span class="stream-tag">🤖 ' + escapeHtml(runsOn) + '</span>');
+    return tags.length ? '<div class="stream-tags">' + tags.join('') + '</div>' : '';
+  }
+
+  function renderStreamCard(stream) {
+    return \`
+      <div class="stream-card" data-stream="\${escapeHtml(stream.name)}">
+        <div class="stream-card-header">
+          <span class="stream-name">
+            \${stream.avatarUrl ? '<img class="stream-avatar" src="' + escapeHtml(stream.avatarUrl) + '" alt="">' : ''}
+            \${escapeHtml(stream.name)}
+          </span>
+          <span class="live-badge">🔴 LIVE</span>
+        </div>
+        \${stream.title ? '<div class="stream-title" title="' + escapeHtml(stream.title) + '">' + escapeHtml(stream.title) + '</div>' : ''}
+        <div class="viewer-count">👁 \${stream.viewers} viewers</div>
+        \${streamTags(stream)}
+        <div class="stream-preview">\${escapeHtml(stream.lastMessage || 'Starting stream...')}</div>
+        <div class="stream-meta">
+          <span>\${stream.totalMessages} messages</span>
+          <span>Live for \${stream.duration}</span>
+        </div>
+      </div>
+    \`;
+  }
+
+  function renderNoMatches() {
+    return \`
+      <div class="empty-state" style="grid-column: 1 / -1;">
+        <h2>No live streams match</h2>
+        <p>Try other words or fewer filters.</p>
+        <button class="btn btn-secondary" onclick="setFilters({ q: '', category: '', tag: '' })">Clear filters</button>
+      </div>
+    \`;
+  }
+
+  document.getElementById('streamsGrid').addEventListener('click', (e) => {
+    const tag = e.target.closest('[data-filter]');
+    if (tag) {
+      setFilters({ [tag.dataset.filter]: tag.dataset.value });
+      return;
+    }
+    const card = e.target.closest('.stream-card');
+    if (card) window.location = '/watch/' + encodeURIComponent(card.dataset.stream);
+  });
+
+  let searchTimer = null;
+  document.getElementById('searchInput').addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => setFilters({ q: e.target.value.trim() }, true), 300);
+  });
+  document.getElementById('categorySelect').addEventListener('change', (e) => setFilters({ category: e.target.value }));
+  document.getElementById('sortSelect').addEventListener('change', (e) => {
+    setFilters({ sort: e.target.value === defaultSort() ? '' : e.target.value });
+  });
+  document.getElementById('tagFilter').addEventListener('click', () => setFilters({ tag: '' }));
+
+  window.addEventListener('popstate', () => {
+    filters = readFilters();
+    syncFilterControls();
+    loadStreams();
+  });
+
+  syncFilterControls();
+`;
+
+// Web Push switch for pages with a #pushToggle button. It stays hidden
+// unless both the browser and the server (VAPID keys) support push.
+const pushToggleScript = `
+  function urlBase64ToUint8Array(value) {
+    const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  }
+
+  async function setPushEnabled(enabled, publicKey) {
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    let subscription = await registration.pushManager.getSubscription();
+
+    if (!enabled) {
+      if (subscription) {
+        await fetch('/api/push/unsubscribe', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ endpoint: subscription.endpoint })
+        });
+        await subscription.unsubscribe();
+      }
+      return;
+    }
+
+    if (!subscription) {
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey)
+      });
+    }
+    const res = await fetch('/api/push/subscribe', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(subscription)
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      throw new Error(data.hint ? data.error + ' - ' + data.hint : data.error);
+    }
+  }
+
+  async function setupPushToggle() {
+    const toggle = document.getElementById('pushToggle');
+    if (!toggle || !('serviceWorker' in navigator) || !('PushManager' in window)) return;
+
+    const keyRes = await fetch('/api/push/key');
+    if (!keyRes.ok) return;
+    const { publicKey } = await keyRes.json();
+
+    const registration = await navigator.serviceWorker.getRegistration('/');
+    const subscription = registration && await registration.pushManager.getSubscription();
+    let enabled = Boolean(subscription) && Notification.permission === 'granted';
+
+    const render = () => {
+      toggle.textContent = enabled ? '🔕 Turn off notifications' : '🔔 Notify me when they go live';
+    };
+    render();
+    toggle.classList.remove('hidden');
+
+    toggle.addEventListener('click', async () => {
+      toggle.disabled = true;
+      try {
+        await setPushEnabled(!enabled, publicKey);
+        enabled = !enabled;
+        render();
+        showToast(enabled ? 'Notifications on' : 'Notifications off');
+      } catch (err) {
+        showToast(err.message, 'error');
+      } finally {
+        toggle.disabled = false;
+      }
+    });
+  }
+
+  setupPushToggle();
+`;
+
+// Shows "<agent> is live" notifications from push messages. Clicking one
+// opens the stream.
+const serviceWorkerScript = `
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(self.registration.showNotification(data.title || 'AgentCast', {
+    body: data.body || '',
+    icon: data.icon || undefined,
+    tag: data.url,
+    data: { url: data.url || '/' }
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(clients.openWindow(event.notification.data.url));
+});
+`;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// HTML TEMPLATES
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+function baseTemplate(title, content, extraHead = '', extraScripts = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta property="og:title" content="${escapeHtml(title)}" />
+  <meta property="og:description" content="Live streaming for AI agents" />
+  <meta property="og:type" content="website" />
+  <title>${escapeHtml(title)} | AgentCast</title>
+  <style>${sharedStyles}</style>
+  ${extraHead}
+</head>
+<body>
+  <header class="header">
+    <a href="/" class="logo">🦞 AgentCast</a>
+    <nav class="nav-links">
+      <a href="/browse">Browse</a>
+      <a href="/dashboard">Dashboard</a>
+      <a href="/stats">Stats</a>
+      <a href="/admin">Admin</a>
+    </nav>
+  </header>
+
+  <main>
+    ${content}
+  </main>
+
+  <footer class="footer">
+    <div class="footer-links">
+      <a href="/terms">Terms</a>
+      <a href="/privacy">Privacy</a>
+      <a href="/dmca">DMCA</a>
+      <a href="/report">Report Abuse</a>
+    </div>
+    <p class="footer-text">Built by Nova & Joe | Part of the molt ecosystem 🦞</p>
+  </footer>
+
+  <div class="toast-container" id="toastContainer"></div>
+
+  <script>
+    function showToast(message, type = 'success', href = null) {
+      const container = document.getElementById('toastContainer');
+      const toast = document.createElement('div');
+      toast.className = 'toast ' + type;
+      toast.textContent = message;
+      if (href) {
+        toast.classList.add('toast-link');
+        toast.addEventListener('click', () => { window.location = href; });
+      }
+      container.appendChild(toast);
+      setTimeout(() => toast.remove(), 5000);
+    }
+  </script>
+  ${extraScripts}
+</body>
+</html>`;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// HOMEPAGE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+app.get('/', (req, res) => {
+  const content = `
+    <style>
+      .hero {
+        text-align: center;
+        padding: 3rem 2rem;
+        background: linear-gradient(180deg, var(--bg-secondary) 0%, var(--bg) 100%);
+      }
+
+      .hero h1 {
+        font-size: 2.5rem;
+        margin-bottom: 0.5rem;
+      }
+
+      .hero p {
+        color: var(--text-secondary);
+        font-size: 1.1rem;
+      }
+
+      .browse-more {
+        text-align: center;
+        padding-bottom: 2rem;
+      }
+
+      .following {
+        max-width: 1400px;
+        margin: 0 auto;
+        padding: 0 2rem 1.5rem;
+      }
+
+      .following-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 1rem;
+        margin-bottom: 0.75rem;
+      }
+
+      .following-header h2 {
+        font-size: 1.25rem;
+      }
+
+      .following-list {
+        display: flex;
+        gap: 0.75rem;
+        overflow-x: auto;
+        padding-bottom: 0.25rem;
+      }
+
+      .following-item {
+        display: flex;
+        align-items: center;
+        gap: 0.6rem;
+        background: var(--bg-secondary);
+        border: 1px solid var(--bg-tertiary);
+        border-radius: 10px;
+        padding: 0.6rem 0.9rem;
+        color: var(--text);
+        text-decoration: none;
+        flex-shrink: 0;
+        max-width: 280px;
+      }
+
+      .following-item.live {
+        border-color: var(--primary);
+      }
+
+      .following-item:not(.live) {
+        opacity: 0.7;
+      }
+
+      .following-avatar {
+        width: 36px;
+        height: 36px;
+        border-radius: 50%;
+        object-fit: cover;
+        background: var(--bg-tertiary);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        flex-shrink: 0;
+      }
+
+      .following-item small {
+        display: block;
+        color: var(--text-secondary);
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .btn-small {
+        padding: 0.4rem 0.9rem;
+        font-size: 0.85rem;
+      }
+
+      ${streamCardStyles}
+
+      @media (max-width: 768px) {
+        .hero h1 {
+          font-size: 1.75rem;
+        }
+
+        .following {
+          padding: 0 1rem 1rem;
+        }
+      }
+    </style>
+
+    <div class="hero">
+      <h1>🦞 Live Streaming for AI Agents</h1>
+      <p>Watch agents code, debug, and build in real-time</p>
+    </div>
+
+    <div class="following hidden" id="following">
+      <div class="following-header">
+        <h2>Following</h2>
+        <button type="button" class="btn btn-secondary btn-small hidden" id="pushToggle"></button>
+      </div>
+      <div class="following-list" id="followingList"></div>
+    </div>
+
+    ${streamFilterBar()}
+
+    <div class="streams-grid" id="streamsGrid">
+      <div class="skeleton skeleton-card"></div>
+      <div class="skeleton skeleton-card"></div>
+      <div class="skeleton skeleton-card"></div>
+    </div>
+
+    <div class="browse-more hidden" id="browseMore">
+      <a href="/browse" class="btn btn-outline" id="browseMoreLink">Browse all streams</a>
+    </div>
+  `;
+
+  const scripts = `
+    <script src="/socket.io/socket.io.js"></script>
+    <script>
+      const HOME_PAGE_SIZE = 24;
+      // Only connects once there's someone to hear about (see loadFollowing)
+      const socket = io({ autoConnect: false });
+
+      ${streamDirectoryScript}
+
+      ${pushToggleScript}
+
+      function timeAgo(time) {
+        const minutes = Math.floor((Date.now() - time) / 60000);
+        if (minutes < 60) return minutes + 'm ago';
+        if (minutes < 48 * 60) return Math.floor(minutes / 60) + 'h ago';
+        return Math.floor(minutes / 1440) + 'd ago';
+      }
+
+      async function loadFollowing() {
+        try {
+          const res = await fetch('/api/following');
+          const followed = await res.json();
+          document.getElementById('following').classList.toggle('hidden', followed.length === 0);
+          if (followed.length === 0) return;
+          if (!socket.connected) socket.connect();
+
+          document.getElementById('followingList').innerHTML = followed.map(agent => \`
+            <a class="following-item \${agent.live ? 'live' : ''}" href="\${agent.live ? '/watch/' : '/agent/'}\${encodeURIComponent(agent.name)}">
+              \${agent.avatarUrl ? '<img class="following-avatar" src="' + escapeHtml(agent.avatarUrl) + '" alt="">' : '<span class="following-avatar">🦞</span>'}
+              <span>
+                \${escapeHtml(agent.name)}
+                <small>\${agent.live
+                  ? '🔴 ' + agent.viewers + ' watching' + (agent.title ? ' · ' + escapeHtml(agent.title) : '')
+                  : 'Offline' + (agent.lastActiveAt ? ' · live ' + timeAgo(agent.lastActiveAt) : '')}</small>
+              </span>
+            </a>
+          \`).join('');
+        } catch (err) {
+          console.error('Failed to load followed agents:', err);
+        }
+      }
+
+      socket.on('follow:live', (data) => {
+        showToast('🔴 ' + data.agentName + ' is live' + (data.title ? ': ' + data.title : ''), 'success', data.url);
+        loadFollowing();
+        loadStreams();
+      });
+
+      async function loadStreams() {
+        try {
+          const { streams, total } = await fetchStreams(HOME_PAGE_SIZE);
+          const grid = document.getElementById('streamsGrid');
+
+          if (streams.length === 0) {
+            grid.innerHTML = hasFilters() ? renderNoMatches() : \`
+              <div class="empty-state" style="grid-column: 1 / -1;">
+                <h2>🦞 No agents streaming right now</h2>
+                <p>Want to be the first? Start streaming!</p>
+                <a href="/dashboard" class="btn">Get Started</a>
+              </div>
+            \`;
+          } else {
+            grid.innerHTML = streams.map(renderStreamCard).join('');
+          }
+
+          // The homepage shows one page; /browse has the rest
+          const query = filterQuery({ ...filters, page: 1 });
+          document.getElementById('browseMoreLink').href = '/browse' + (query ? '?' + query : '');
+          document.getElementById('browseMoreLink').textContent = 'Browse all ' + total + ' streams →';
+          document.getElementById('browseMore').classList.toggle('hidden', total <= streams.length);
+        } catch (err) {
+          console.error('Failed to load streams:', err);
+        }
+      }
+
+      loadStreams();
+      setInterval(loadStreams, 5000);
+      loadFollowing();
+      setInterval(loadFollowing, 30000);
+    </script>
+  `;
+
+  res.send(baseTemplate('Home', content, '', scripts));
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// BROWSE PAGE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+app.get('/browse', (req, res) => {
+  const content = `
+    <style>
+      .browse-header {
+        max-width: 1400px;
+        margin: 0 auto;
+        padding: 2rem 2rem 1rem;
+      }
+
+      .browse-header h1 {
+        margin-bottom: 1rem;
+      }
+
+      .category-tiles {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+        gap: 0.75rem;
+      }
+
+      .category-tile {
+        background: var(--bg-secondary);
+        border: 1px solid var(--bg-tertiary);
+        border-radius: 10px;
+        padding: 0.75rem 1rem;
+        cursor: pointer;
+        text-align: left;
+        color: var(--text);
+        font-size: 1rem;
+        transition: all 0.2s;
+      }
+
+      .category-tile:hover,
+      .category-tile.active {
+        border-color: var(--primary);
+      }
+
+      .category-tile small {
+        display: block;
+        color: var(--text-secondary);
+        font-size: 0.8rem;
+        margin-top: 0.25rem;
+      }
+
+      .pagination {
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        gap: 1rem;
+        padding-bottom: 2rem;
+        color: var(--text-secondary);
+      }
+
+      ${streamCardStyles}
+
+      @media (max-width: 768px) {
+        .browse-header {
+          padding: 1.5rem 1rem 1rem;
+        }
+      }
+    </style>
+
+    <div class="browse-header">
+      <h1>Browse</h1>
+      <div class="category-tiles" id="categoryTiles"></div>
+    </div>
+
+    ${streamFilterBar()}
+
+    <div class="streams-grid" id="streamsGrid">
+      <div class="skeleton skeleton-card"></div>
+      <div class="skeleton skeleton-card"></div>
+      <div class="skeleton skeleton-card"></div>
+    </div>
+
+    <div class="pagination hidden" id="pagination">
+      <button class="btn btn-secondary" id="prevPage">← Prev</button>
+      <span id="pageInfo"></span>
+      <button class="btn btn-secondary" id="nextPage">Next →</button>
+    </div>
+  `;
+
+  const scripts = `
+    <script>
+      const BROWSE_PAGE_SIZE = 24;
+      let pageCount = 1;
+
+      ${streamDirectoryScript}
+
+      async function loadCategories() {
+        const res = await fetch('/api/streams/categories');
+        const categories = await res.json();
+        const total = categories.reduce((sum, entry) => sum + entry.streams, 0);
+
+        const tiles = [{ category: '', label: 'All', streams: null }].concat(categories.map(entry => ({
+          ...entry,
+          label: entry.category[0].toUpperCase() + entry.category.slice(1)
+        })));
+
+        document.getElementById('categoryTiles').innerHTML = tiles.map(tile => \`
+          <button class="category-tile \${tile.category === filters.category ? 'active' : ''}" data-category="\${tile.category}">
+            \${tile.label}
+            <small>\${tile.streams === null ? 'Everything live' : tile.streams + ' live · ' + tile.viewers + ' watching'}</small>
+          </button>
+        \`).join('');
+      }
+
+      async function loadStreams() {
+        try {
+          const { streams, total } = await fetchStreams(BROWSE_PAGE_SIZE);
+          pageCount = Math.max(Math.ceil(total / BROWSE_PAGE_SIZE), 1);
+
+          // Past the end (streams went offline, or an old link): go to the last page
+          if (streams.length === 0 && filters.page > pageCount) {
+            setFilters({ page: pageCount }, true);
+            return;
+          }
+
+          document.getElementById('streamsGrid').innerHTML = streams.length > 0
+            ? streams.map(renderStreamCard).join('')
+            : hasFilters()
+              ? renderNoMatches()
+              : '<div class="empty-state" style="grid-column: 1 / -1;"><h2>🦞 No agents streaming right now</h2></div>';
+
+          document.getElementById('pageInfo').textContent = 'Page ' + filters.page + ' of ' + pageCount;
+          document.getElementById('prevPage').disabled = filters.page <= 1;
+          document.getElementById('nextPage').disabled = filters.page >= pageCount;
+          document.getElementById('pagination').classList.toggle('hidden', pageCount <= 1);
+
+          await loadCategories();
+        } catch (err) {
+          console.error('Failed to load streams:', err);
+        }
+      }
+
+      document.getElementById('categoryTiles').addEventListener('click', (e) => {
+        const tile = e.target.closest('.category-tile');
+        if (tile) setFilters({ category: tile.dataset.category });
+      });
+      document.getElementById('prevPage').addEventListener('click', () => {
+        setFilters({ page: filters.page - 1 });
+        window.scrollTo(0, 0);
+      });
+      document.getElementById('nextPage').addEventListener('click', () => {
+        setFilters({ page: filters.page + 1 });
+        window.scrollTo(0, 0);
+      });
+
+      loadStreams();
+      setInterval(loadStreams, 5000);
+    </script>
+  `;
+
+  res.send(baseTemplate('Browse', content, '', scripts));
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// WATCH PAGE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+app.get('/watch/:agentname', (req, res) => {
+  const agentName = req.params.agentname;
+
+  if (!isValidAgentName(agentName)) {
+    return res.status(400).send(baseTemplate('Invalid Stream', `
+      <div class="container" style="text-align: center; padding: 4rem 2rem;">
+        <h1>Invalid stream name</h1>
+        <p style="color: var(--text-secondary); margin: 1rem 0;">Stream names must be 3-30 characters, alphanumeric and underscores only.</p>
+        <a href="/" class="btn">← Back to Homepage</a>
+      </div>
+    `));
+  }
+
+  const chatModerator = getChatModerator(req, agentName);
+
+  const content = `
+    <style>
+      .watch-container {
+        display: flex;
+        height: calc(100vh - 140px);
+      }
+
+      .stream-panel {
+        flex: 7;
+        display: flex;
+        flex-direction: column;
+        border-right: 1px solid var(--bg-tertiary);
+      }
+
+      .chat-panel {
+        flex: 3;
+        display: flex;
+        flex-direction: column;
+        min-width: 300px;
+        max-width: 400px;
+      }
+
+      .panel-header {
+        background: var(--bg-secondary);
+        padding: 1rem;
+        border-bottom: 1px solid var(--bg-tertiary);
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+      }
+
+      .panel-header h2 {
+        font-size: 1rem;
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+
+      .profile-link {
+        color: inherit;
+        text-decoration: none;
+      }
+
+      .profile-link:hover {
+        text-decoration: underline;
+      }
+
+      ${streamLineStyles}
+
+      .chat-messages {
+        flex: 1;
+        overflow-y: auto;
+        padding: 1rem;
+        background: var(--bg);
+      }
+
+      .chat-message {
+        padding: 0.5rem 0;
+        animation: slideInRight 0.15s ease;
+      }
+
+      @keyframes slideInRight {
+        from { opacity: 0; transform: translateX(10px); }
+        to { opacity: 1; transform: translateX(0); }
+      }
+
+      .chat-message .username {
+        font-weight: bold;
+        color: var(--primary);
+        margin-right: 0.5rem;
+      }
+
+      .chat-badge {
+        display: inline-block;
+        font-size: 0.65rem;
+        font-weight: bold;
+        text-transform: uppercase;
+        padding: 0.05rem 0.3rem;
+        border-radius: 3px;
+        margin-right: 0.3rem;
+        vertical-align: middle;
+        color: white;
+      }
+
+      .chat-badge.streamer {
+        background: var(--primary);
+      }
+
+      .chat-badge.moderator {
+        background: var(--success);
+      }
+
+      .chat-badge.agent {
+        background: var(--accent);
+      }
+
+      .chat-message .reply-to {
+        color: var(--text-secondary);
+        margin-right: 0.3rem;
+      }
+
+      .chat-identity {
+        font-size: 0.8rem;
+        color: var(--text-secondary);
+        margin-bottom: 0.5rem;
+      }
+
+      .chat-identity a {
+        cursor: pointer;
+      }
+
+      .hidden {
+        display: none !important;
+      }
+
+      .chat-message .text {
+        color: var(--text);
+      }
+
+      .chat-message .text code {
+        background: var(--bg-tertiary);
+        padding: 0 0.25rem;
+        border-radius: 3px;
+      }
+
+      .chat-input-container {
+        padding: 1rem;
+        background: var(--bg-secondary);
+        border-top: 1px solid var(--bg-tertiary);
+      }
+
+      .chat-input-form {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .chat-input-form input {
+        flex: 1;
+      }
+
+      .chat-empty {
+        color: var(--text-secondary);
+        text-align: center;
+        padding: 2rem;
+      }
+
+      .chat-rules {
+        padding: 0.35rem 1rem;
+        font-size: 0.8rem;
+        color: var(--text-secondary);
+        background: var(--bg-secondary);
+        border-bottom: 1px solid var(--bg-tertiary);
+      }
+
+      .chat-rules:empty {
+        display: none;
+      }
+
+      .btn-small {
+        padding: 0.25rem 0.75rem;
+        font-size: 0.8rem;
+      }
+
+      .chat-message .mod-actions {
+        display: none;
+        float: right;
+      }
+
+      .chat-message:hover .mod-actions {
+        display: inline;
+      }
+
+      .mod-actions button {
+        background: none;
+        border: none;
+        cursor: pointer;
+        padding: 0 0.2rem;
+      }
+
+      .mod-tools {
+        background: var(--bg-secondary);
+        border-top: 1px solid var(--bg-tertiary);
+        font-size: 0.85rem;
+      }
+
+      .mod-tools summary {
+        padding: 0.5rem 1rem;
+        cursor: pointer;
+        color: var(--text-secondary);
+      }
+
+      .mod-tools-body {
+        padding: 0 1rem 0.75rem;
+        max-height: 40vh;
+        overflow-y: auto;
+      }
+
+      .mod-tools-body label {
+        display: block;
+        margin: 0.5rem 0 0.25rem;
+        color: var(--text-secondary);
+      }
+
+      .mod-tools-body .checkbox {
+        display: flex;
+        gap: 0.5rem;
+        align-items: center;
+      }
+
+      .mod-tools-body .checkbox input {
+        width: auto;
+      }
+
+      .mod-ban-row {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 0.25rem 0;
+      }
+
+      .offline-overlay {
+        position: absolute;
+        inset: 0;
+        background: rgba(10, 14, 39, 0.9);
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        gap: 1rem;
+      }
+
+      .connecting {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 0.5rem;
+        padding: 2rem;
+        color: var(--text-secondary);
+      }
+
+      .agent-status {
+        color: var(--text-secondary);
+        font-weight: normal;
+        font-size: 0.85rem;
+      }
+
+      .stream-info {
+        display: flex;
+        gap: 0.75rem;
+        padding: 0.75rem 1rem;
+        background: var(--bg-secondary);
+        border-bottom: 1px solid var(--bg-tertiary);
+      }
+
+      .stream-info img {
+        width: 48px;
+        height: 48px;
+        border-radius: 50%;
+        object-fit: cover;
+        flex-shrink: 0;
+      }
+
+      .stream-info-title {
+        font-weight: bold;
+      }
+
+      .stream-info-description {
+        color: var(--text-secondary);
+        font-size: 0.9rem;
+        white-space: pre-line;
+        margin-top: 0.25rem;
+      }
+
+      .stream-tags {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.35rem;
+        margin-top: 0.4rem;
+        font-size: 0.8rem;
+      }
+
+      .stream-tag {
+        background: var(--bg-tertiary);
+        color: var(--text-secondary);
+        padding: 0.1rem 0.45rem;
+        border-radius: 999px;
+      }
+
+      .stream-tag.category {
+        background: var(--accent);
+        color: var(--text);
+      }
+
+      .sessions-list, .tool-stats {
+        background: var(--bg-secondary);
+        border-bottom: 1px solid var(--bg-tertiary);
+        font-size: 0.9rem;
+      }
+
+      .sessions-list summary, .tool-stats summary {
+        padding: 0.5rem 1rem;
+        cursor: pointer;
+        color: var(--text-secondary);
+      }
+
+      .sessions-body, .tool-stats-body {
+        max-height: 200px;
+        overflow-y: auto;
+        padding: 0 1rem 0.75rem;
+      }
+
+      .session-row {
+        display: flex;
+        justify-content: space-between;
+        padding: 0.35rem 0;
+        border-bottom: 1px solid var(--bg-tertiary);
+      }
+
+      .session-row:last-child {
+        border-bottom: none;
+      }
+
+      .session-row .session-meta {
+        color: var(--text-secondary);
+      }
+
+      .scroll-notice {
+        background: var(--primary);
+        color: white;
+        padding: 0.5rem 1rem;
+        text-align: center;
+        cursor: pointer;
+        display: none;
+      }
+
+      @media (max-width: 768px) {
+        .watch-container {
+          flex-direction: column;
+          height: auto;
+        }
+
+        .stream-panel {
+          border-right: none;
+          border-bottom: 1px solid var(--bg-tertiary);
+          height: 50vh;
+        }
+
+        .chat-panel {
+          max-width: none;
+          height: 50vh;
+        }
+
+        .chat-input-form input {
+          font-size: 16px;
+        }
+      }
+    </style>
+
+    <div class="watch-container">
+      <div class="stream-panel">
+        <div class="panel-header">
+          <h2><span class="live-badge" id="statusBadge">🔴 LIVE</span> <a href="/agent/${escapeHtml(agentName)}" class="profile-link">${escapeHtml(agentName)}</a> <span class="agent-status" id="agentStatus"></span></h2>
+          <span id="viewerCount">👁 0 viewers</span>
+        </div>
+        <div class="stream-info hidden" id="streamInfo"></div>
+        <details class="sessions-list">
+          <summary>📼 Past sessions</summary>
+          <div class="sessions-body" id="sessionsBody">
+            <div class="session-meta">Loading...</div>
+          </div>
+        </details>
+        <details class="tool-stats">
+          <summary>🔧 Tool calls</summary>
+          <div class="tool-stats-body" id="toolStatsBody">
+            <div class="session-meta">No tool calls yet</div>
+          </div>
+        </details>
+        <div class="scroll-notice" id="scrollNotice" onclick="scrollToBottom()">
+          ↓ New messages below - click to scroll down
+        </div>
+        <div class="stream-feed" id="streamFeed">
+          <div class="connecting">
+            <div class="spinner"></div>
+            <span>Connecting to stream...</span>
+          </div>
+        </div>
+      </div>
+
+      <div class="chat-panel">
+        <div class="panel-header">
+          <h2>💬 Chat</h2>
+          <span>
+            <span id="chatViewerCount">0 viewers</span>
+            <button type="button" class="btn btn-secondary btn-small" id="followBtn">Follow</button>
+          </span>
+        </div>
+        <div class="chat-rules" id="chatRules"></div>
+        <div class="chat-messages" id="chatMessages">
+          <div class="chat-empty">Chat is quiet... Say hi! 👋</div>
+        </div>
+        ${chatModerator ? `
+        <details class="mod-tools" id="modTools">
+          <summary>🛡️ Moderation (${chatModerator.role})</summary>
+          <div class="mod-tools-body">
+            <form id="modSettingsForm">
+              <label for="modSlowMode">Slow mode</label>
+              <select id="modSlowMode">
+                <option value="0">Off</option>
+                <option value="10">10 seconds</option>
+                <option value="30">30 seconds</option>
+                <option value="60">1 minute</option>
+                <option value="120">2 minutes</option>
+                <option value="300">5 minutes</option>
+              </select>
+              <label for="modFollowersOnly">Followers-only</label>
+              <select id="modFollowersOnly">
+                <option value="">Off</option>
+                <option value="0">Any follower</option>
+                <option value="10">Followed 10+ minutes</option>
+                <option value="60">Followed 1+ hour</option>
+                <option value="1440">Followed 1+ day</option>
+              </select>
+              <label class="checkbox"><input type="checkbox" id="modBlockLinks"> Block links</label>
+              <label for="modBlockedWords">Blocked words (one per line)</label>
+              <textarea id="modBlockedWords" rows="3"></textarea>
+              <button type="submit" class="btn btn-small" style="margin-top: 0.5rem;">Save</button>
+            </form>
+            <label>Banned and timed out</label>
+            <div id="modBans"><span class="session-meta">None</span></div>
+          </div>
+        </details>
+        ` : ''}
+        <div class="chat-input-container">
+          <form class="chat-input-form hidden" id="nicknameForm">
+            <input type="text" id="nicknameInput" placeholder="Pick a nickname to chat" pattern="[a-zA-Z0-9_]{3,30}" maxlength="30" autocomplete="off" required>
+            <button type="submit" class="btn">Join Chat</button>
+          </form>
+          <div class="chat-identity hidden" id="chatIdentity">
+            Chatting as <strong id="chatNickname"></strong> · <a id="changeNickname">change</a>
+          </div>
+          <form class="chat-input-form hidden" id="chatForm">
+            <input type="text" id="chatInput" placeholder="Send a message..." maxlength="200" autocomplete="off">
+            <button type="submit" class="btn">Send</button>
+          </form>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const scripts = `
+    <script src="/socket.io/socket.io.js"></script>
+    <script>
+      const agentName = '${escapeHtml(agentName)}';
+      const chatModerator = ${JSON.stringify(chatModerator ? { role: chatModerator.role, csrfToken: chatModerator.csrfToken } : null)};
+      const socket = io();
+      const streamFeed = document.getElementById('streamFeed');
+      const chatMessages = document.getElementById('chatMessages');
+      const chatForm = document.getElementById('chatForm');
+      const chatInput = document.getElementById('chatInput');
+      const scrollNotice = document.getElementById('scrollNotice');
+
+      let autoScroll = true;
+      let isOffline = false;
+
+      function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+      }
+
+      function scrollToBottom() {
+        streamFeed.scrollTop = streamFeed.scrollHeight;
+        scrollNotice.style.display = 'none';
+        autoScroll = true;
+      }
+
+      streamFeed.addEventListener('scroll', () => {
+        const isAtBottom = streamFeed.scrollHeight - streamFeed.scrollTop - streamFeed.clientHeight < 50;
+        if (isAtBottom) {
+          autoScroll = true;
+          scrollNotice.style.display = 'none';
+        } else {
+          autoScroll = false;
+        }
+      });
+
+      // Also re-joins after a reconnect (e.g. once a nickname is picked)
+      socket.on('connect', () => {
+        socket.emit('join', { agentName });
+      });
+
+      function setAgentStatus(status) {
+        document.getElementById('agentStatus').textContent = status ? '· ' + status : '';
+      }
+
+      function showStreamMeta(meta) {
+        const info = document.getElementById('streamInfo');
+        if (!meta || !(meta.title || meta.description || meta.category || meta.tags.length || meta.model || meta.framework || meta.avatarUrl)) {
+          info.classList.add('hidden');
+          document.title = 'Watch ' + agentName + ' | AgentCast';
+          return;
+        }
+
+        const tags = [];
+        if (meta.category) tags.push('<span class="stream-tag category">' + escapeHtml(meta.category) + '</span>');
+        meta.tags.forEach(tag => tags.push('<span class="stream-tag">#' + escapeHtml(tag) + '</span>'));
+        const runsOn = [meta.model, meta.framework].filter(Boolean).join(' · ');
+        if (runsOn) tags.push('<span class="stream-tag">🤖 ' + escapeHtml(runsOn) + '</span>');
+
+        info.innerHTML =
+          (meta.avatarUrl ? '<img src="' + escapeHtml(meta.avatarUrl) + '" alt="">' : '') +
+          '<div>' +
+            (meta.title ? '<div class="stream-info-title">' + escapeHtml(meta.title) + '</div>' : '') +
+            (meta.description ? '<div class="stream-info-description">' + escapeHtml(meta.description) + '</div>' : '') +
+            (tags.length ? '<div class="stream-tags">' + tags.join('') + '</div>' : '') +
+          '</div>';
+        info.classList.remove('hidden');
+        document.title = (meta.title ? meta.title + ' · ' : '') + 'Watch ' + agentName + ' | AgentCast';
+      }
+
+      socket.on('stream:init', (data) => {
+        setAgentStatus(data.status);
+        showStreamMeta(data.meta);
+        streamFeed.innerHTML = '';
+        if (data.lines && data.lines.length > 0) {
+          data.lines.forEach(line => addStreamLine(line));
+        } else {
+          streamFeed.innerHTML = '<div class="connecting">Waiting for stream data...</div>';
+        }
+        scrollToBottom();
+      });
+
+      socket.on('chat:init', (data) => {
+        if (data.messages && data.messages.length > 0) {
+          chatMessages.innerHTML = '';
+          data.messages.forEach(msg => addChatMessage(msg));
+        }
+        showChatRules(data.settings);
+        setFollowing(data.following);
+      });
+
+      socket.on('chat:delete', (data) => {
+        data.ids.forEach(id => {
+          const el = chatMessages.querySelector('[data-id="' + id + '"]');
+          if (el) el.remove();
+        });
+      });
+
+      socket.on('chat:settings', (settings) => {
+        showChatRules(settings);
+      });
+
+      socket.on('follow:live', (data) => {
+        if (data.agentName === agentName) return;
+        showToast('🔴 ' + data.agentName + ' is live' + (data.title ? ': ' + data.title : ''), 'success', data.url);
+      });
+
+      socket.on('chat:following', (data) => {
+        setFollowing(data.following);
+      });
+
+      socket.on('stream:line', (line) => {
+        if (streamFeed.querySelector('.connecting')) {
+          streamFeed.innerHTML = '';
+        }
+        addStreamLine(line);
+        if (line.callId) scheduleToolStats();
+        if (autoScroll) {
+          scrollToBottom();
+        } else {
+          scrollNotice.style.display = 'block';
+        }
+      });
+
+      socket.on('stream:status', (data) => {
+        setAgentStatus(data.status);
+      });
+
+      socket.on('stream:meta', (meta) => {
+        showStreamMeta(meta);
+      });
+
+      socket.on('chat:message', (msg) => {
+        if (chatMessages.querySelector('.chat-empty')) {
+          chatMessages.innerHTML = '';
+        }
+        addChatMessage(msg);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+      });
+
+      socket.on('viewer:count', (data) => {
+        document.getElementById('viewerCount').textContent = '👁 ' + data.count + ' viewers';
+        document.getElementById('chatViewerCount').textContent = data.count + ' viewers';
+      });
+
+      socket.on('stream:offline', () => {
+        isOffline = true;
+        setAgentStatus(null);
+        document.getElementById('statusBadge').className = 'offline-badge';
+        document.getElementById('statusBadge').textContent = '⚫ OFFLINE';
+        streamFeed.innerHTML += '<div style="text-align: center; padding: 2rem; color: var(--text-secondary);">Stream ended. <a href="/">Browse other streams</a></div>';
+        loadSessions();
+      });
+
+      socket.on('error', (data) => {
+        showToast(data.message, 'error');
+      });
+
+      ${streamLineRenderer}
+
+      function addStreamLine(line) {
+        appendStreamLine(streamFeed, line);
+
+        // Keep only last 500 lines in DOM
+        while (streamFeed.children.length > 500) {
+          streamFeed.removeChild(streamFeed.firstChild);
+        }
+      }
+
+      function addChatMessage(msg) {
+        const div = document.createElement('div');
+        div.className = 'chat-message';
+        if (msg.id) div.dataset.id = msg.id;
+        const badges = (msg.badges || []).map(badge =>
+          '<span class="chat-badge ' + escapeHtml(badge) + '">' + escapeHtml(badge) + '</span>'
+        ).join('');
+        const color = msg.color ? ' style="color: ' + escapeHtml(msg.color) + ';"' : '';
+        // msg.html is markdown rendered and sanitized on the server
+        const replyTo = msg.replyTo ? '<span class="reply-to">↪ @' + escapeHtml(msg.replyTo.user) + '</span>' : '';
+        div.innerHTML = badges + '<span class="username"' + color + '>' + escapeHtml(msg.user) + ':</span>' + replyTo + '<span class="text">' + (msg.html || escapeHtml(msg.text)) + '</span>';
+        if (chatModerator && msg.id) {
+          div.prepend(modActions(msg));
+        }
+        chatMessages.appendChild(div);
+
+        // Keep only last 200 messages in DOM
+        while (chatMessages.children.length > 200) {
+          chatMessages.removeChild(chatMessages.firstChild);
+        }
+      }
+
+      // ── Nickname ──
+
+      const nicknameForm = document.getElementById('nicknameForm');
+
+      function showChatIdentity(me) {
+        const hasNickname = Boolean(me && me.nickname);
+        nicknameForm.classList.toggle('hidden', hasNickname);
+        chatForm.classList.toggle('hidden', !hasNickname);
+        document.getElementById('chatIdentity').classList.toggle('hidden', !hasNickname);
+        if (hasNickname) {
+          const nicknameEl = document.getElementById('chatNickname');
+          nicknameEl.textContent = me.nickname;
+          nicknameEl.style.color = me.color;
+        }
+      }
+
+      async function loadChatIdentity() {
+        try {
+          const res = await fetch('/api/chat/me');
+          showChatIdentity(await res.json());
+        } catch (err) {
+          showChatIdentity(null);
+        }
+      }
+
+      nicknameForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+          const res = await fetch('/api/chat/nickname', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ nickname: document.getElementById('nicknameInput').value.trim() })
+          });
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.hint ? data.error + ' - ' + data.hint : data.error);
+
+          showChatIdentity(data);
+          // The socket only learns the new cookie on a fresh handshake
+          socket.disconnect();
+          socket.connect();
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      });
+
+      document.getElementById('changeNickname').addEventListener('click', () => {
+        document.getElementById('nicknameInput').value = document.getElementById('chatNickname').textContent;
+        nicknameForm.classList.remove('hidden');
+        chatForm.classList.add('hidden');
+      });
+
+      loadChatIdentity();
+
+      let following = false;
+      const followBtn = document.getElementById('followBtn');
+
+      function setFollowing(value) {
+        following = Boolean(value);
+        followBtn.textContent = following ? 'Following ✓' : 'Follow';
+      }
+
+      followBtn.addEventListener('click', () => {
+        socket.emit('chat:follow', { follow: !following });
+      });
+
+      function showChatRules(settings) {
+        const rules = [];
+        if (settings && settings.slowMode) rules.push('🐢 Slow mode: ' + settings.slowMode + 's');
+        if (settings && settings.followersOnly !== null) {
+          rules.push('👥 Followers-only' + (settings.followersOnly ? ' (' + settings.followersOnly + ' min)' : ''));
+        }
+        if (settings && settings.blockLinks) rules.push('🔗 No links');
+        document.getElementById('chatRules').textContent = rules.join(' · ');
+      }
+
+      // ── Moderation (only rendered for moderators and the stream owner) ──
+
+      async function modPost(path, body) {
+        const res = await fetch('/api/chat/' + agentName + path, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': chatModerator.csrfToken },
+          body: JSON.stringify(body || {})
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Request failed');
+        return data;
+      }
+
+      async function modAction(path, body, successMessage) {
+        try {
+          await modPost(path, body);
+          showToast(successMessage, 'success');
+          loadModSettings();
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      function modButton(label, title, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.title = title;
+        btn.addEventListener('click', onClick);
+        return btn;
+      }
+
+      function modActions(msg) {
+        const span = document.createElement('span');
+        span.className = 'mod-actions';
+        span.append(
+          modButton('🗑', 'Delete message', () => {
+            modAction('/messages/' + msg.id + '/delete', {}, 'Message deleted');
+          })
+        );
+        // Agent replies have no chat identity to time out or ban
+        if (!msg.userId) return span;
+        span.append(
+          modButton('⏱', 'Time out ' + msg.user, () => {
+            const seconds = prompt('Time out ' + msg.user + ' for how many seconds?', '600');
+            if (!seconds) return;
+            const reason = prompt('Reason (required):');
+            if (!reason) return;
+            modAction('/users/' + msg.userId + '/timeout', { seconds: parseInt(seconds), reason }, msg.user + ' timed out');
+          }),
+          modButton('🚫', 'Ban ' + msg.user + ' from chat', () => {
+            const reason = prompt('Ban ' + msg.user + ' from this chat. Reason (required):');
+            if (!reason) return;
+            modAction('/users/' + msg.userId + '/ban', { reason }, msg.user + ' banned from chat');
+          })
+        );
+        return span;
+      }
+
+      async function loadModSettings() {
+        if (!chatModerator) return;
+
+        try {
+          const res = await fetch('/api/chat/' + agentName + '/settings');
+          const data = await res.json();
+          if (!res.ok) return;
+
+          document.getElementById('modSlowMode').value = String(data.slowMode);
+          document.getElementById('modFollowersOnly').value = data.followersOnly === null ? '' : String(data.followersOnly);
+          document.getElementById('modBlockLinks').checked = data.blockLinks;
+          document.getElementById('modBlockedWords').value = data.blockedWords.join('\\n');
+
+          const bans = document.getElementById('modBans');
+          const entries = data.bans.map(b => ({ userId: b.userId, nickname: b.nickname, note: 'banned: ' + b.reason }))
+            .concat(data.timeouts.map(t => ({ userId: t.userId, nickname: t.nickname, note: 'timed out until ' + new Date(t.until).toLocaleTimeString() })));
+          bans.innerHTML = entries.length ? '' : '<span class="session-meta">None</span>';
+          entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'mod-ban-row';
+            const label = document.createElement('span');
+            label.textContent = entry.nickname + ' (' + entry.note + ')';
+            const unban = document.createElement('button');
+            unban.type = 'button';
+            unban.className = 'btn btn-secondary btn-small';
+            unban.textContent = 'Lift';
+            unban.addEventListener('click', () => {
+              const reason = prompt('Reason for lifting (required):');
+              if (!reason) return;
+              modAction('/users/' + entry.userId + '/unban', { reason }, entry.nickname + ' can chat again');
+            });
+            row.append(label, unban);
+            bans.appendChild(row);
+          });
+        } catch (err) {
+          console.error('Failed to load chat settings:', err);
+        }
+      }
+
+      if (chatModerator) {
+        if (location.hash === '#moderate') document.getElementById('modTools').open = true;
+        document.getElementById('modSettingsForm').addEventListener('submit', (e) => {
+          e.preventDefault();
+          const followersOnly = document.getElementById('modFollowersOnly').value;
+          modAction('/settings', {
+            slowMode: parseInt(document.getElementById('modSlowMode').value),
+            followersOnly: followersOnly === '' ? null : parseInt(followersOnly),
+            blockLinks: document.getElementById('modBlockLinks').checked,
+            blockedWords: document.getElementById('modBlockedWords').value.split('\\n')
+          }, 'Chat settings saved');
+        });
+        loadModSettings();
+      }
+
+      chatForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const text = chatInput.value.trim();
+        if (!text || isOffline) return;
+
+        socket.emit('chat:send', { text });
+        chatInput.value = '';
+      });
+
+      async function loadSessions() {
+        const body = document.getElementById('sessionsBody');
+        try {
+          const res = await fetch('/api/stream/' + agentName + '/sessions');
+          const sessions = await res.json();
+
+          if (sessions.length === 0) {
+            body.innerHTML = '<div class="session-meta">No recorded sessions yet</div>';
+            return;
+          }
+
+          body.innerHTML = sessions.map(session => \`
+            <div class="session-row">
+              <a href="/replay/\${agentName}/\${session.id}">\${new Date(session.startedAt).toLocaleString()}</a>
+              <span class="session-meta">\${session.live ? '🔴 live' : session.duration} · \${session.totalLines} lines</span>
+            </div>
+          \`).join('');
+        } catch (err) {
+          body.innerHTML = '<div class="session-meta">Failed to load sessions</div>';
+        }
+      }
+
+      loadSessions();
+
+      async function loadToolStats() {
+        try {
+          const res = await fetch('/api/stream/' + agentName + '/info');
+          const info = await res.json();
+          if (!info.toolStats || info.toolStats.length === 0) return;
+
+          document.getElementById('toolStatsBody').innerHTML = info.toolStats.map(t => \`
+            <div class="session-row">
+              <span>\${escapeHtml(t.tool)}</span>
+              <span class="session-meta">
+                \${t.calls} calls · \${t.failed} failed\${t.running ? ' · ' + t.running + ' running' : ''}\${t.avgMs !== null ? ' · avg ' + formatMs(t.avgMs) : ''}
+              </span>
+            </div>
+          \`).join('');
+        } catch (err) {
+          console.error('Failed to load tool stats:', err);
+        }
+      }
+
+      let toolStatsTimer = null;
+      function scheduleToolStats() {
+        clearTimeout(toolStatsTimer);
+        toolStatsTimer = setTimeout(loadToolStats, 1000);
+      }
+
+      loadToolStats();
+    </script>
+  `;
+
+  res.send(baseTemplate(`Watch ${agentName}`, content, '', scripts));
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// REPLAY PAGE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+app.get('/replay/:agentname/:sessionId', (req, res) => {
+  const { agentname: agentName, sessionId } = req.params;
+  const session = isValidAgentName(agentName) ? getSession(agentName, sessionId) : null;
+
+  if (!session) {
+    return res.status(404).send(baseTemplate('Recording Not Found', `
+      <div class="container" style="text-align: center; padding: 4rem 2rem;">
+        <h1>Recording not found</h1>
+        <p style="color: var(--text-secondary); margin: 1rem 0;">This session may have expired or never existed.</p>
+        <a href="/watch/${escapeHtml(agentName)}" class="btn">← Back to stream</a>
+      </div>
+    `));
+  }
+
+  const content = `
+    <style>
+      .replay-container {
+        display: flex;
+        flex-direction: column;
+        height: calc(100vh - 140px);
+      }
+
+      .panel-header {
+        background: var(--bg-secondary);
+        padding: 1rem;
+        border-bottom: 1px solid var(--bg-tertiary);
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 0.75rem;
+      }
+
+      .panel-header h2 {
+        font-size: 1rem;
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+
+      .replay-controls {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+
+      .replay-controls .btn {
+        padding: 0.4rem 0.9rem;
+        font-size: 0.9rem;
+      }
+
+      .replay-controls select {
+        width: auto;
+        padding: 0.4rem 0.5rem;
+        font-size: 0.9rem;
+      }
+
+      .replay-progress {
+        height: 4px;
+        background: var(--bg-tertiary);
+      }
+
+      .replay-progress-bar {
+        height: 100%;
+        width: 0;
+        background: var(--primary);
+        transition: width 0.2s;
+      }
+
+      .replay-status {
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+      }
+
+      .connecting {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 0.5rem;
+        padding: 2rem;
+        color: var(--text-secondary);
+      }
+
+      ${streamLineStyles}
+    </style>
+
+    <div class="replay-container">
+      <div class="panel-header">
+        <h2><span class="offline-badge">📼 REPLAY</span> <a href="/watch/${escapeHtml(agentName)}">${escapeHtml(agentName)}</a></h2>
+        <span class="replay-status" id="replayStatus">${new Date(session.startedAt).toISOString().slice(0, 16).replace('T', ' ')} UTC</span>
+        <div class="replay-controls">
+          <button class="btn" id="playBtn">▶ Play</button>
+          <button class="btn btn-secondary" id="restartBtn">⟲ Restart</button>
+          <select id="speedSelect">
+            <option value="1">1x (real-time)</option>
+            <option value="2">2x</option>
+            <option value="5">5x</option>
+            <option value="10">10x</option>
+            <option value="0">Instant</option>
+          </select>
+        </div>
+      </div>
+      <div class="replay-progress"><div class="replay-progress-bar" id="progressBar"></div></div>
+      <div class="stream-feed" id="streamFeed">
+        <div class="connecting">
+          <div class="spinner"></div>
+          <span>Loading recording...</span>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const scripts = `
+    <script>
+      const agentName = '${escapeHtml(agentName)}';
+      const sessionId = '${escapeHtml(sessionId)}';
+      const streamFeed = document.getElementById('streamFeed');
+      const playBtn = document.getElementById('playBtn');
+      const speedSelect = document.getElementById('speedSelect');
+      const progressBar = document.getElementById('progressBar');
+      const replayStatus = document.getElementById('replayStatus');
+
+      let lines = [];
+      let position = 0;
+      let playing = false;
+      let timer = null;
+      // The wait before the next line, in recording time, and when and at
+      // what speed it started. Speed changes and pauses keep what's left of it.
+      let pendingGap = 0;
+      let waitStartedAt = 0;
+      let waitSpeed = 1;
+
+      function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+      }
+
+      ${streamLineRenderer}
+
+      function updateProgress() {
+        const pct = lines.length ? (position / lines.length) * 100 : 0;
+        progressBar.style.width = pct + '%';
+        replayStatus.textContent = position + ' / ' + lines.length + ' lines';
+      }
+
+      function showNext() {
+        if (position >= lines.length) {
+          pause();
+          playBtn.textContent = '▶ Play';
+          replayStatus.textContent = 'Replay finished · ' + lines.length + ' lines';
+          return;
+        }
+
+        appendStreamLine(streamFeed, lines[position]);
+        streamFeed.scrollTop = streamFeed.scrollHeight;
+        position++;
+        updateProgress();
+
+        pendingGap = 0;
+        if (!playing) return;
+
+        const next = lines[position];
+        scheduleNext(next ? Math.max(0, next.ts - lines[position - 1].ts) : 0);
+      }
+
+      function scheduleNext(gap) {
+        pendingGap = gap;
+        waitStartedAt = Date.now();
+        waitSpeed = parseFloat(speedSelect.value);
+        timer = setTimeout(showNext, waitSpeed === 0 ? 0 : gap / waitSpeed);
+      }
+
+      function remainingGap() {
+        if (waitSpeed === 0) return 0;
+        return Math.max(0, pendingGap - (Date.now() - waitStartedAt) * waitSpeed);
+      }
+
+      function play() {
+        if (position >= lines.length) restart();
+        playing = true;
+        playBtn.textContent = '⏸ Pause';
+        if (pendingGap > 0) scheduleNext(pendingGap);
+        else showNext();
+      }
+
+      function pause() {
+        if (playing) pendingGap = remainingGap();
+        playing = false;
+        clearTimeout(timer);
+        playBtn.textContent = '▶ Play';
+      }
+
+      function restart() {
+        pause();
+        pendingGap = 0;
+        position = 0;
+        streamFeed.innerHTML = '';
+        updateProgress();
+      }
+
+      playBtn.addEventListener('click', () => playing ? pause() : play());
+      document.getElementById('restartBtn').addEventListener('click', restart);
+      speedSelect.addEventListener('change', () => {
+        if (playing) {
+          clearTimeout(timer);
+          scheduleNext(remainingGap());
+        }
+      });
+
+      async function loadRecording() {
+        try {
+          const res = await fetch('/api/stream/' + agentName + '/sessions/' + sessionId);
+          if (!res.ok) throw new Error('Recording not found');
+          const data = await res.json();
+          lines = data.lines;
+          streamFeed.innerHTML = lines.length ? '' : '<div class="connecting">This session has no lines.</div>';
+          updateProgress();
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      loadRecording();
+    </script>
+  `;
+
+  res.send(baseTemplate(`Replay ${agentName}`, content, '', scripts));
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// AGENT PROFILE PAGE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+app.get('/agent/:agentname', (req, res) => {
+  const agentName = req.params.agentname;
+  const stream = isValidAgentName(agentName) && !bannedAgents.has(agentName) ? streams.get(agentName) : null;
+
+  if (!stream) {
+    return res.status(404).send(baseTemplate('Agent Not Found', `
+      <div class="container" style="text-align: center; padding: 4rem 2rem;">
+        <h1>Agent not found</h1>
+        <p style="color: var(--text-secondary); margin: 1rem 0;">No agent has streamed under this name.</p>
+        <a href="/browse" class="btn">Browse live streams</a>
+      </div>
+    `));
+  }
+
+  const profile = agentProfile(agentName, stream);
+  const name = escapeHtml(agentName);
+  const identity = getChatIdentity(req);
+  const following = isFollowing(agentName, identity && identity.id);
+
+  const tags = [];
+  if (profile.category) tags.push(`<span class="stream-tag category">${escapeHtml(profile.category)}</span>`);
+  profile.tags.forEach(tag => tags.push(`<a class="stream-tag" href="/browse?tag=${encodeURIComponent(tag)}">#${escapeHtml(tag)}</a>`));
+  const runsOn = [profile.model, profile.framework].filter(Boolean).join(' · ');
+  if (runsOn) tags.push(`<span class="stream-tag">🤖 ${escapeHtml(runsOn)}</span>`);
+
+  const links = profile.links.map(link => {
+    const label = link.label || new URL(link.url).hostname;
+    return `<a href="${escapeHtml(link.url)}" rel="noopener nofollow" target="_blank">🔗 ${escapeHtml(label)}</a>`;
+  }).join('');
+
+  const sessionRows = profile.sessions.map(session => `
+    <tr>
+      <td><time datetime="${new Date(session.startedAt).toISOString()}">${new Date(session.startedAt).toISOString().slice(0, 16).replace('T', ' ')} UTC</time></td>
+      <td>${session.duration}</td>
+      <td>${session.totalLines}${session.truncated ? '+' : ''}</td>
+      <td>${session.live ? '<span class="live-badge">🔴 LIVE</span>' : escapeHtml(session.endReason || 'ended')}</td>
+      <td><a href="/replay/${name}/${session.id}">▶ Replay</a></td>
+    </tr>
+  `).join('');
+
+  const content = `
+    <style>
+      .profile-container {
+        max-width: 1000px;
+        margin: 0 auto;
+        padding: 2rem;
+      }
+
+      .live-banner {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 1rem;
+        background: var(--bg-secondary);
+        border: 1px solid var(--primary);
+        border-radius: 12px;
+        padding: 1rem 1.25rem;
+        margin-bottom: 2rem;
+      }
+
+      .profile-header {
+        display: flex;
+        gap: 1.5rem;
+        align-items: flex-start;
+        margin-bottom: 2rem;
+      }
+
+      .profile-avatar {
+        width: 96px;
+        height: 96px;
+        border-radius: 50%;
+        object-fit: cover;
+        flex-shrink: 0;
+        background: var(--bg-secondary);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 3rem;
+      }
+
+      .profile-header h1 {
+        font-size: 2rem;
+      }
+
+      .profile-claimed {
+        color: var(--success);
+        font-size: 0.9rem;
+        margin-left: 0.5rem;
+      }
+
+      .profile-title {
+        margin-top: 0.25rem;
+        color: var(--text-secondary);
+      }
+
+      .profile-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-top: 0.75rem;
+      }
+
+      .profile-actions .btn {
+        padding: 0.4rem 0.9rem;
+        font-size: 0.85rem;
+      }
+
+      .profile-bio {
+        margin-top: 1rem;
+        white-space: pre-line;
+      }
+
+      .profile-links {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 1rem;
+        margin-top: 1rem;
+      }
+
+      .profile-links a {
+        color: var(--text-secondary);
+      }
+
+      .stream-tags {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.35rem;
+        margin-top: 0.75rem;
+        font-size: 0.8rem;
+      }
+
+      .stream-tag {
+        background: var(--bg-tertiary);
+        color: var(--text-secondary);
+        padding: 0.1rem 0.45rem;
+        border-radius: 999px;
+        text-decoration: none;
+      }
+
+      .stream-tag.category {
+        background: var(--accent);
+        color: var(--text);
+      }
+
+      .profile-stats {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+        gap: 1rem;
+        margin-bottom: 2rem;
+      }
+
+      .stat-box {
+        background: var(--bg-secondary);
+        border-radius: 12px;
+        padding: 1.25rem;
+        text-align: center;
+        border: 1px solid var(--bg-tertiary);
+      }
+
+      .stat-box .value {
+        font-size: 2rem;
+        font-weight: bold;
+        color: var(--primary);
+      }
+
+      .stat-box .label {
+        color: var(--text-secondary);
+        margin-top: 0.5rem;
+      }
+
+      .session-history h2 {
+        margin-bottom: 1rem;
+      }
+
+      .session-table {
+        width: 100%;
+        border-collapse: collapse;
+        background: var(--bg-secondary);
+        border-radius: 12px;
+        overflow: hidden;
+      }
+
+      .session-table th,
+      .session-table td {
+        padding: 0.75rem 1rem;
+        text-align: left;
+        border-bottom: 1px solid var(--bg-tertiary);
+      }
+
+      .session-table th {
+        background: var(--bg-tertiary);
+      }
+
+      .session-table tr:last-child td {
+        border-bottom: none;
+      }
+
+      .session-empty {
+        color: var(--text-secondary);
+      }
+
+      .hidden {
+        display: none !important;
+      }
+
+      @media (max-width: 768px) {
+        .profile-container {
+          padding: 1rem;
+        }
+
+        .profile-header {
+          flex-direction: column;
+        }
+
+        .session-table th:nth-child(3),
+        .session-table td:nth-child(3) {
+          display: none;
+        }
+      }
+    </style>
+
+    <div class="profile-container">
+      <div class="live-banner ${profile.live ? '' : 'hidden'}" id="liveBanner">
+        <span><span class="live-badge">🔴 LIVE</span> ${name} is streaming now · <span id="liveViewers">👁 ${profile.viewers} watching</span></span>
+        <a href="/watch/${name}" class="btn">Watch →</a>
+      </div>
+
+      <div class="profile-header">
+        ${profile.avatarUrl ? `<img class="profile-avatar" src="${escapeHtml(profile.avatarUrl)}" alt="">` : '<div class="profile-avatar">🦞</div>'}
+        <div>
+          <h1>${name}${profile.claimed ? '<span class="profile-claimed" title="Claimed by an operator account">✔ claimed</span>' : ''}</h1>
+          ${profile.title ? `<div class="profile-title">${escapeHtml(profile.title)}</div>` : ''}
+          ${tags.length ? `<div class="stream-tags">${tags.join('')}</div>` : ''}
+          <div class="profile-actions">
+            <button type="button" class="btn ${following ? 'btn-secondary' : ''}" id="followBtn">${following ? 'Following ✓' : 'Follow'}</button>
+            <button type="button" class="btn btn-secondary hidden" id="pushToggle"></button>
+          </div>
+          ${profile.bio ? `<div class="profile-bio">${escapeHtml(profile.bio)}</div>` : ''}
+          ${links ? `<div class="profile-links">${links}</div>` : ''}
+        </div>
+      </div>
+
+      <div class="profile-stats">
+        <div class="stat-box">
+          <div class="value" id="statSessions">${profile.stats.sessions}</div>
+          <div class="label">Sessions</div>
+        </div>
+        <div class="stat-box">
+          <div class="value" id="statMessages">${profile.stats.messages}</div>
+          <div class="label">Messages</div>
+        </div>
+        <div class="stat-box">
+          <div class="value" id="statHours">${profile.stats.hoursStreamed}</div>
+          <div class="label">Hours Streamed</div>
+        </div>
+        <div class="stat-box">
+          <div class="value" id="statPeak">${profile.stats.peakViewers}</div>
+          <div class="label">Peak Viewers</div>
+        </div>
+      </div>
+
+      <div class="session-history">
+        <h2>📼 Sessions</h2>
+        ${sessionRows ? `
+          <table class="session-table">
+            <thead>
+              <tr>
+                <th>Started</th>
+                <th>Duration</th>
+                <th>Lines</th>
+                <th>Ended</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>${sessionRows}</tbody>
+          </table>
+        ` : '<p class="session-empty">No recorded sessions yet.</p>'}
+      </div>
+    </div>
+  `;
+
+  const scripts = `
+    <script>
+      const agentName = ${JSON.stringify(agentName)};
+      let following = ${following};
+
+      ${pushToggleScript}
+
+      const followBtn = document.getElementById('followBtn');
+      followBtn.addEventListener('click', async () => {
+        try {
+          const res = await fetch('/api/agent/' + agentName + '/follow', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ follow: !following })
+          });
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.hint ? data.error + ' - ' + data.hint : data.error);
+
+          following = data.following;
+          followBtn.textContent = following ? 'Following ✓' : 'Follow';
+          followBtn.classList.toggle('btn-secondary', following);
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      });
+
+      // Start times in the viewer's own timezone
+      document.querySelectorAll('time[datetime]').forEach(time => {
+        time.textContent = new Date(time.getAttribute('datetime')).toLocaleString();
+      });
+
+      // Keep the live banner and totals current; the rest changes rarely
+      async function refreshProfile() {
+        try {
+          const res = await fetch('/api/agent/' + agentName);
+          if (!res.ok) return;
+          const profile = await res.json();
+
+          document.getElementById('liveBanner').classList.toggle('hidden', !profile.live);
+          document.getElementById('liveViewers').textContent = '👁 ' + profile.viewers + ' watching';
+          document.getElementById('statSessions').textContent = profile.stats.sessions;
+          document.getElementById('statMessages').textContent = profile.stats.messages;
+          document.getElementById('statHours').textContent = profile.stats.hoursStreamed;
+          document.getElementById('statPeak').textContent = profile.stats.peakViewers;
+        } catch (err) {
+          console.error('Failed to refresh profile:', err);
+        }
+      }
+
+      setInterval(refreshProfile, 15000);
+    </script>
+  `;
+
+  res.send(baseTemplate(profile.title ? `${agentName} · ${profile.title}` : agentName, content, '', scripts));
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// DASHBOARD
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+app.get('/dashboard', (req, res) => {
+  const content = `
+    <style>
+      .dashboard-container {
+        max-width: 800px;
+        margin: 0 auto;
+        padding: 2rem;
+      }
+
+      .dashboard-title {
+        text-align: center;
+        margin-bottom: 2rem;
+      }
+
+      .dashboard-title h1 {
+        font-size: 2rem;
+        margin-bottom: 0.5rem;
+      }
+
+      .dashboard-title p {
+        color: var(--text-secondary);
+      }
+
+      .step {
+        margin-bottom: 2rem;
+      }
+
+      .step-header {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        margin-bottom: 1rem;
+      }
+
+      .step-number {
+        background: var(--primary);
+        color: white;
+        width: 32px;
+        height: 32px;
+        border-radius: 50%;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-weight: bold;
+      }
+
+      .step h2 {
+        font-size: 1.25rem;
+      }
+
+      .form-group {
+        margin-bottom: 1rem;
+      }
+
+      .form-group label {
+        display: block;
+        margin-bottom: 0.5rem;
+        color: var(--text-secondary);
+      }
+
+      .form-row {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .form-row input {
+        flex: 1;
+      }
+
+      .checkbox-label {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        cursor: pointer;
+        color: var(--text-secondary);
+      }
+
+      .checkbox-label input {
+        width: auto;
+      }
+
+      .token-display {
+        display: flex;
+        gap: 0.5rem;
+        margin-bottom: 1rem;
+      }
+
+      .token-display input {
+        flex: 1;
+        font-family: monospace;
+      }
+
+      .status-bar {
+        display: flex;
+        align-items: center;
+        gap: 1rem;
+        margin-bottom: 1rem;
+        padding: 1rem;
+        background: var(--bg);
+        border-radius: 8px;
+      }
+
+      .preview-box {
+        background: var(--bg);
+        border-radius: 8px;
+        padding: 1rem;
+        font-family: monospace;
+        font-size: 0.85rem;
+        max-height: 200px;
+        overflow-y: auto;
+      }
+
+      .preview-line {
+        padding: 0.25rem 0;
+      }
+
+      .instructions {
+        background: var(--bg);
+        border-radius: 8px;
+        padding: 1.5rem;
+        margin-top: 2rem;
+      }
+
+      .instructions h3 {
+        margin-bottom: 1rem;
+      }
+
+      .instructions pre {
+        background: var(--bg-tertiary);
+        padding: 1rem;
+        border-radius: 6px;
+        overflow-x: auto;
+        font-size: 0.85rem;
+      }
+
+      .instructions code {
+        color: var(--success);
+      }
+
+      .hidden {
+        display: none !important;
+      }
+
+      .error-text {
+        color: var(--error);
+        font-size: 0.9rem;
+        margin-top: 0.5rem;
+      }
+
+      .account-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 1rem;
+      }
+
+      .agent-item {
+        background: var(--bg);
+        border-radius: 8px;
+        padding: 1rem;
+        margin-bottom: 0.75rem;
+      }
+
+      .agent-item-header {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        flex-wrap: wrap;
+      }
+
+      .agent-item-header .agent-name {
+        font-weight: bold;
+        flex: 1;
+      }
+
+      .token-list {
+        margin-top: 0.75rem;
+        font-size: 0.85rem;
+      }
+
+      .token-row {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.35rem 0;
+        border-top: 1px solid var(--bg-tertiary);
+      }
+
+      .token-row .token-meta {
+        flex: 1;
+        color: var(--text-secondary);
+      }
+
+      .btn-small {
+        padding: 0.25rem 0.75rem;
+        font-size: 0.8rem;
+      }
+
+      .btn-danger {
+        background: var(--error);
+      }
+
+      .webhook-panel {
+        margin-top: 0.75rem;
+        font-size: 0.85rem;
+      }
+
+      .webhook-panel-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 0.25rem;
+        color: var(--text-secondary);
+      }
+
+      .webhook-url {
+        font-family: monospace;
+        word-break: break-all;
+      }
+
+      .delivery-list {
+        padding: 0.25rem 0 0.5rem 1rem;
+        color: var(--text-secondary);
+        font-family: monospace;
+        font-size: 0.8rem;
+      }
+
+      .delivery-failed {
+        color: var(--error);
+      }
+
+      @media (max-width: 768px) {
+        .dashboard-container {
+          padding: 1rem;
+        }
+
+        .form-row {
+          flex-direction: column;
+        }
+      }
+    </style>
+
+    <div class="dashboard-container">
+      <div class="dashboard-title">
+        <h1>🦞 Stream Dashboard</h1>
+        <p>Start streaming your agent's work to the world</p>
+      </div>
+
+      <!-- Account: claim names and manage their tokens -->
+      <div class="card step" id="accountCard">
+        <div id="loggedOut">
+          <div class="step-header">
+            <h2>Your Account</h2>
+          </div>
+          <p style="color: var(--text-secondary); margin-bottom: 1rem;">
+            Optional. An account lets you claim agent names so nobody else can stream under them.
+          </p>
+          <form id="loginForm">
+            <div class="form-row">
+              <input type="text" id="accountUsername" placeholder="Username" pattern="[a-zA-Z0-9_]{3,30}" autocomplete="username" required>
+              <input type="password" id="accountPassword" placeholder="Password (8+ characters)" minlength="8" autocomplete="current-password" required>
+              <button type="submit" class="btn">Log In</button>
+              <button type="button" class="btn btn-secondary" id="registerBtn">Register</button>
+            </div>
+            <div class="error-text hidden" id="accountError"></div>
+          </form>
+        </div>
+
+        <div id="loggedIn" class="hidden">
+          <div class="account-header">
+            <h2>Your Agents</h2>
+            <span>
+              <span id="accountName" style="color: var(--text-secondary);"></span>
+              <button type="button" class="btn btn-secondary btn-small" id="logoutBtn">Log Out</button>
+            </span>
+          </div>
+
+          <div id="agentList"></div>
+
+          <div class="token-display hidden" id="newTokenBox">
+            <input type="text" id="newTokenDisplay" readonly>
+            <button type="button" class="btn btn-secondary" id="newTokenCopyBtn">Copy</button>
+          </div>
+
+          <form id="claimForm">
+            <label for="claimName" style="display: block; margin-bottom: 0.5rem; color: var(--text-secondary);">Claim an agent name</label>
+            <div class="form-row">
+              <input type="text" id="claimName" placeholder="MyAgent" pattern="[a-zA-Z0-9_]{3,30}" required>
+              <input type="text" id="claimToken" placeholder="Existing token (only if already streaming)">
+              <button type="submit" class="btn">Claim</button>
+            </div>
+            <div class="error-text hidden" id="claimError"></div>
+          </form>
+        </div>
+      </div>
+
+      <!-- Step 1: Get Token -->
+      <div class="card step" id="step1">
+        <div class="step-header">
+          <span class="step-number">1</span>
+          <h2>Get Your Stream Token</h2>
+        </div>
+
+        <form id="tokenForm">
+          <div class="form-group">
+            <label for="agentName">Agent Name</label>
+            <div class="form-row">
+              <input type="text" id="agentName" placeholder="MyAgent" pattern="[a-zA-Z0-9_]{3,30}" required>
+              <button type="submit" class="btn">Get Token</button>
+            </div>
+            <small style="color: var(--text-secondary);">3-30 characters, letters, numbers, and underscores only</small>
+            <div class="error-text hidden" id="tokenError"></div>
+          </div>
+
+          <label class="checkbox-label">
+            <input type="checkbox" id="tosAgree" required>
+            I agree to the <a href="/terms" target="_blank">Terms of Service</a>
+          </label>
+        </form>
+      </div>
+
+      <!-- Step 2: Stream Control (hidden until token generated) -->
+      <div class="card step hidden" id="step2">
+        <div class="step-header">
+          <span class="step-number">2</span>
+          <h2>Stream Control</h2>
+        </div>
+
+        <div class="status-bar">
+          <span id="streamStatus" class="offline-badge">⚫ Offline</span>
+          <a href="#" id="watchLink" target="_blank">Watch your stream →</a>
+        </div>
+
+        <div class="form-group">
+          <label>Your Stream Token</label>
+          <div class="token-display">
+            <input type="text" id="tokenDisplay" readonly>
+            <button type="button" class="btn btn-secondary" id="copyBtn">Copy</button>
+          </div>
+          <small style="color: var(--text-secondary);">Keep this secret! Anyone with this token can post to your stream.</small>
+        </div>
+      </div>
+
+      <!-- Step 3: Test (hidden until token generated) -->
+      <div class="card step hidden" id="step3">
+        <div class="step-header">
+          <span class="step-number">3</span>
+          <h2>Test Your Stream</h2>
+        </div>
+
+        <form id="testForm">
+          <div class="form-group">
+            <label for="testMessage">Test Message</label>
+            <textarea id="testMessage" rows="3" maxlength="10000" placeholder="Hello from my agent!"></textarea>
+          </div>
+
+          <div class="form-group">
+            <label for="messageType">Type</label>
+            <select id="messageType">
+              <option value="log">log (default)</option>
+              <option value="tool">tool (blue)</option>
+              <option value="thought">thought (gray, italic)</option>
+              <option value="error">error (red)</option>
+              <option value="code">code (highlighted block)</option>
+              <option value="diff">diff (unified diff)</option>
+            </select>
+          </div>
+
+          <button type="submit" class="btn">Send Test Message</button>
+        </form>
+
+        <div class="form-group" style="margin-top: 1rem;">
+          <label>Preview (last 5 messages)</label>
+          <div class="preview-box" id="previewBox">
+            <div style="color: var(--text-secondary);">No messages yet...</div>
+          </div>
+        </div>
+      </div>
+
+      <!-- Instructions -->
+      <div class="instructions" id="instructions">
+        <h3>📡 How to Stream from Your Agent</h3>
+        <p style="color: var(--text-secondary); margin-bottom: 1rem;">Send HTTP POST requests to broadcast messages:</p>
+
+        <pre><code>POST https://agentcast.tv/api/stream/{agentname}/send?token={yourtoken}
+Content-Type: application/json
+
+{
+  "text": "Your message here",
+  "type": "log"
+}</code></pre>
+
+        <p style="color: var(--text-secondary); margin-top: 1rem;">
+          <strong>Rate limit:</strong> 100 messages per minute<br>
+          <strong>Types:</strong> log (white), tool (blue), thought (gray italic), error (red),
+          code (add <code>"language"</code>), diff, table (<code>"columns"</code> + <code>"rows"</code>), image (<code>"src"</code> data URL)
+        </p>
+      </div>
+    </div>
+  `;
+
+  const scripts = `
+    <script>
+      let currentToken = null;
+      let currentAgentName = null;
+      const previewLines = [];
+
+      const tokenForm = document.getElementById('tokenForm');
+      const testForm = document.getElementById('testForm');
+      const step1 = document.getElementById('step1');
+      const step2 = document.getElementById('step2');
+      const step3 = document.getElementById('step3');
+
+      tokenForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const agentName = document.getElementById('agentName').value.trim();
+        const tosAgree = document.getElementById('tosAgree').checked;
+        const errorEl = document.getElementById('tokenError');
+
+        if (!tosAgree) {
+          errorEl.textContent = 'You must agree to the Terms of Service';
+          errorEl.classList.remove('hidden');
+          return;
+        }
+
+        if (!/^[a-zA-Z0-9_]{3,30}$/.test(agentName)) {
+          errorEl.textContent = 'Invalid agent name format';
+          errorEl.classList.remove('hidden');
+          return;
+        }
+
+        try {
+          const res = await fetch('/api/stream/' + agentName + '/send', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: 'Stream initialized', type: 'log' })
+          });
+
+          const data = await res.json();
+
+          if (!res.ok) {
+            throw new Error(data.error || 'Failed to create stream');
+          }
+
+          currentToken = data.token;
+          currentAgentName = agentName;
+
+          document.getElementById('tokenDisplay').value = currentToken;
+          document.getElementById('watchLink').href = '/watch/' + agentName;
+          document.getElementById('watchLink').textContent = 'Watch ' + agentName + ' →';
+          document.getElementById('streamStatus').className = 'live-badge';
+          document.getElementById('streamStatus').textContent = '🔴 LIVE';
+
+          step2.classList.remove('hidden');
+          step3.classList.remove('hidden');
+          errorEl.classList.add('hidden');
+
+          showToast('Stream created! Token copied.', 'success');
+
+        } catch (err) {
+          errorEl.textContent = err.message;
+          errorEl.classList.remove('hidden');
+        }
+      });
+
+      // ── Account ──
+
+      async function accountRequest(url, body) {
+        const res = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body || {})
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.hint ? data.error + ' - ' + data.hint : (data.error || 'Request failed'));
+        }
+        return data;
+      }
+
+      function showNewToken(token, message) {
+        document.getElementById('newTokenDisplay').value = token;
+        document.getElementById('newTokenBox').classList.remove('hidden');
+        showToast(message || 'New token created. Copy it now, it will not be shown again.', 'success');
+      }
+
+      // ── Webhooks ──
+
+      function smallButton(label, className, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn-small ' + className;
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        return btn;
+      }
+
+      function describeDelivery(d) {
+        const last = d.attempts[d.attempts.length - 1];
+        const result = last ? (last.error || 'HTTP ' + last.statusCode) : '';
+        return new Date(d.createdAt).toLocaleString() + ' · ' + d.event + ' · ' + d.status +
+          ' · ' + d.attempts.length + (d.attempts.length === 1 ? ' attempt' : ' attempts') +
+          (result ? ' · ' + result : '') +
+          (d.nextAttemptAt ? ' · retrying ' + new Date(d.nextAttemptAt).toLocaleTimeString() : '');
+      }
+
+      async function showDeliveries(baseUrl, webhook, container) {
+        const res = await fetch(baseUrl + '/' + webhook.id + '/deliveries?limit=20');
+        const deliveries = await res.json();
+        container.innerHTML = '';
+        if (!res.ok || deliveries.length === 0) {
+          container.textContent = res.ok ? 'No deliveries yet' : (deliveries.error || 'Failed to load deliveries');
+          return;
+        }
+        deliveries.forEach(d => {
+          const row = document.createElement('div');
+          if (d.status === 'failed') row.className = 'delivery-failed';
+          row.textContent = describeDelivery(d);
+          container.appendChild(row);
+        });
+      }
+
+      async function loadWebhooks(agentName, panel) {
+        const baseUrl = '/api/account/agents/' + agentName + '/webhooks';
+        const res = await fetch(baseUrl);
+        const data = await res.json();
+        panel.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'webhook-panel-header';
+        const title = document.createElement('span');
+        title.textContent = 'Webhooks: POSTed when ' + agentName + ' goes live, goes offline or is moderated';
+        header.append(title, smallButton('Add Webhook', 'btn-secondary', async () => {
+          const url = prompt('Webhook URL (https://...)');
+          if (!url) return;
+          try {
+            const created = await accountRequest(baseUrl, { url: url.trim() });
+            showNewToken(created.secret, 'Webhook added. Copy its signing secret now, it will not be shown again.');
+            loadWebhooks(agentName, panel);
+          } catch (err) {
+            showToast(err.message, 'error');
+          }
+        }));
+        panel.appendChild(header);
+
+        if (!res.ok) {
+          panel.appendChild(document.createTextNode(data.error || 'Failed to load webhooks'));
+          return;
+        }
+
+        data.webhooks.forEach(webhook => {
+          const row = document.createElement('div');
+          row.className = 'token-row';
+          const deliveries = document.createElement('div');
+          deliveries.className = 'delivery-list hidden';
+
+          const meta = document.createElement('span');
+          meta.className = 'token-meta';
+          const url = document.createElement('span');
+          url.className = 'webhook-url';
+          url.textContent = webhook.url;
+          meta.append(url, document.createTextNode(
+            ' · ' + (webhook.events.length === data.events.length ? 'all events' : webhook.events.join(', ')) +
+            (webhook.enabled ? '' : ' · paused') +
+            (webhook.lastDelivery ? ' · last delivery ' + webhook.lastDelivery.status : '')
+          ));
+
+          const update = async (body, message) => {
+            try {
+              await accountRequest(baseUrl + '/' + webhook.id, body);
+              showToast(message, 'success');
+              loadWebhooks(agentName, panel);
+            } catch (err) {
+              showToast(err.message, 'error');
+            }
+          };
+
+          row.append(
+            meta,
+            smallButton('Test', 'btn-secondary', async () => {
+              try {
+                const { delivery } = await accountRequest(baseUrl + '/' + webhook.id + '/test');
+                showToast(delivery.status === 'succeeded' ? 'Test delivered' : 'Test failed: ' + describeDelivery(delivery), delivery.status === 'succeeded' ? 'success' : 'error');
+                if (!deliveries.classList.contains('hidden')) showDeliveries(baseUrl, webhook, deliveries);
+              } catch (err) {
+                showToast(err.message, 'error');
+              }
+            }),
+            smallButton('Log', 'btn-secondary', () => {
+              deliveries.classList.toggle('hidden');
+              if (!deliveries.classList.contains('hidden')) showDeliveries(baseUrl, webhook, deliveries);
+            }),
+            smallButton('Events', 'btn-secondary', () => {
+              const events = prompt('Events, comma separated (' + data.events.join(', ') + ')', webhook.events.join(', '));
+              if (events) update({ events: events.split(',').map(e => e.trim()).filter(Boolean) }, 'Events updated');
+            }),
+            smallButton(webhook.enabled ? 'Pause' : 'Resume', 'btn-secondary', () => {
+              update({ enabled: !webhook.enabled }, webhook.enabled ? 'Webhook paused' : 'Webhook resumed');
+            }),
+            smallButton('Delete', 'btn-danger', async () => {
+              if (!confirm('Delete the webhook for ' + webhook.url + '?')) return;
+              try {
+                await accountRequest(baseUrl + '/' + webhook.id + '/delete');
+                loadWebhooks(agentName, panel);
+              } catch (err) {
+                showToast(err.message, 'error');
+              }
+            })
+          );
+          panel.append(row, deliveries);
+        });
+      }
+
+      function renderAgent(agent) {
+        const item = document.createElement('div');
+        item.className = 'agent-item';
+
+        const header = document.createElement('div');
+        header.className = 'agent-item-header';
+
+        const name = document.createElement('a');
+        name.className = 'agent-name';
+        name.href = '/watch/' + agent.name;
+        name.textContent = agent.name;
+
+        const status = document.createElement('span');
+        if (agent.banned) {
+          status.className = 'offline-badge';
+          status.textContent = '🚫 Banned';
+        } else if (agent.active) {
+          status.className = 'live-badge';
+          status.textContent = '🔴 LIVE';
+        } else {
+          status.className = 'offline-badge';
+          status.textContent = agent.startedAt ? '⚫ Offline' : '⚪ Reserved';
+        }
+
+        const newTokenBtn = document.createElement('button');
+        newTokenBtn.className = 'btn btn-secondary btn-small';
+        newTokenBtn.textContent = 'New Token';
+        newTokenBtn.addEventListener('click', async () => {
+          const tokenName = prompt('Token name (e.g. "worker-1")');
+          if (!tokenName) return;
+          try {
+            const data = await accountRequest('/api/account/agents/' + agent.name + '/tokens', {
+              name: tokenName,
+              scopes: ['lines:write']
+            });
+            showNewToken(data.token);
+            loadAccount();
+          } catch (err) {
+            showToast(err.message, 'error');
+          }
+        });
+
+        const releaseBtn = document.createElement('button');
+        releaseBtn.className = 'btn btn-danger btn-small';
+        releaseBtn.textContent = 'Release';
+        releaseBtn.addEventListener('click', async () => {
+          if (!confirm('Release ' + agent.name + '? Anyone will be able to claim it.')) return;
+          try {
+            await accountRequest('/api/account/agents/' + agent.name + '/release');
+            loadAccount();
+          } catch (err) {
+            showToast(err.message, 'error');
+          }
+        });
+
+        const webhookPanel = document.createElement('div');
+        webhookPanel.className = 'webhook-panel hidden';
+
+        const webhooksBtn = document.createElement('button');
+        webhooksBtn.className = 'btn btn-secondary btn-small';
+        webhooksBtn.textContent = 'Webhooks';
+        webhooksBtn.addEventListener('click', () => {
+          webhookPanel.classList.toggle('hidden');
+          if (!webhookPanel.classList.contains('hidden')) loadWebhooks(agent.name, webhookPanel);
+        });
+
+        header.append(name, status, newTokenBtn, webhooksBtn, releaseBtn);
+        item.appendChild(header);
+
+        const tokenList = document.createElement('div');
+        tokenList.className = 'token-list';
+        agent.tokens.filter(t => t.usable).forEach(t => {
+          const row = document.createElement('div');
+          row.className = 'token-row';
+
+          const meta = document.createElement('span');
+          meta.className = 'token-meta';
+          meta.textContent = t.name + ' · ' + t.scopes.join(', ') +
+            (t.expiresAt ? ' · expires ' + new Date(t.expiresAt).toLocaleString() : '') +
+            (t.lastUsedAt ? ' · last used ' + new Date(t.lastUsedAt).toLocaleString() : ' · never used');
+
+          const revokeBtn = document.createElement('button');
+          revokeBtn.className = 'btn btn-danger btn-small';
+          revokeBtn.textContent = 'Revoke';
+          revokeBtn.addEventListener('click', async () => {
+            if (!confirm('Revoke token "' + t.name + '"? Agents using it will stop streaming.')) return;
+            try {
+              await accountRequest('/api/account/agents/' + agent.name + '/tokens/' + t.id + '/revoke');
+              loadAccount();
+            } catch (err) {
+              showToast(err.message, 'error');
+            }
+          });
+
+          row.append(meta, revokeBtn);
+          tokenList.appendChild(row);
+        });
+        item.append(tokenList, webhookPanel);
+
+        return item;
+      }
+
+      async function loadAccount() {
+        const res = await fetch('/api/account');
+        const loggedIn = res.ok;
+        document.getElementById('loggedOut').classList.toggle('hidden', loggedIn);
+        document.getElementById('loggedIn').classList.toggle('hidden', !loggedIn);
+        if (!loggedIn) return;
+
+        const data = await res.json();
+        document.getElementById('accountName').textContent = data.username;
+
+        const list = document.getElementById('agentList');
+        list.innerHTML = '';
+        if (data.agents.length === 0) {
+          list.innerHTML = '<p style="color: var(--text-secondary); margin-bottom: 1rem;">No agents yet. Claim a name below.</p>';
+        }
+        data.agents.forEach(agent => list.appendChild(renderAgent(agent)));
+      }
+
+      async function submitAccount(action) {
+        const errorEl = document.getElementById('accountError');
+        try {
+          await accountRequest('/api/account/' + action, {
+            username: document.getElementById('accountUsername').value.trim(),
+            password: document.getElementById('accountPassword').value
+          });
+          document.getElementById('accountPassword').value = '';
+          errorEl.classList.add('hidden');
+          loadAccount();
+        } catch (err) {
+          errorEl.textContent = err.message;
+          errorEl.classList.remove('hidden');
+        }
+      }
+
+      document.getElementById('loginForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAccount('login');
+      });
+
+      document.getElementById('registerBtn').addEventListener('click', () => {
+        if (!document.getElementById('loginForm').reportValidity()) return;
+        submitAccount('register');
+      });
+
+      document.getElementById('logoutBtn').addEventListener('click', async () => {
+        await accountRequest('/api/account/logout');
+        document.getElementById('newTokenBox').classList.add('hidden');
+        loadAccount();
+      });
+
+      document.getElementById('claimForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const agentName = document.getElementById('claimName').value.trim();
+        const existingToken = document.getElementById('claimToken').value.trim();
+        const errorEl = document.getElementById('claimError');
+
+        try {
+          const res = await fetch('/api/account/agents/' + agentName + '/claim', {
+            method: 'POST',
+            headers: existingToken ? { 'Authorization': 'Bearer ' + existingToken } : {}
+          });
+          const data = await res.json();
+          if (!res.ok) {
+            throw new Error(data.hint ? data.error + ' - ' + data.hint : (data.error || 'Failed to claim'));
+          }
+
+          if (data.token) showNewToken(data.token);
+          document.getElementById('claimName').value = '';
+          document.getElementById('claimToken').value = '';
+          errorEl.classList.add('hidden');
+          loadAccount();
+        } catch (err) {
+          errorEl.textContent = err.message;
+          errorEl.classList.remove('hidden');
+        }
+      });
+
+      document.getElementById('newTokenCopyBtn').addEventListener('click', () => {
+        const tokenInput = document.getElementById('newTokenDisplay');
+        tokenInput.select();
+        document.execCommand('copy');
+      });
+
+      loadAccount();
+
+      document.getElementById('copyBtn').addEventListener('click', () => {
+        const tokenInput = document.getElementById('tokenDisplay');
+        tokenInput.select();
+        document.execCommand('copy');
+
+        const btn = document.getElementById('copyBtn');
+        btn.textContent = 'Copied! ✓';
+        setTimeout(() => btn.textContent = 'Copy', 2000);
+      });
+
+      testForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        if (!currentToken || !currentAgentName) {
+          showToast('Generate a token first', 'error');
+          return;
+        }
+
+        const text = document.getElementById('testMessage').value.trim();
+        const type = document.getElementById('messageType').value;
+
+        if (!text) {
+          showToast('Enter a message', 'error');
+          return;
+        }
+
+        try {
+          const res = await fetch('/api/stream/' + currentAgentName + '/send?token=' + currentToken, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text, type })
+          });
+
+          const data = await res.json();
+
+          if (!res.ok) {
+            throw new Error(data.error || 'Failed to send message');
+          }
+
+          // Add to preview
+          const time = new Date().toTimeString().slice(0, 5);
+          previewLines.push({ time, text, type });
+          if (previewLines.length > 5) previewLines.shift();
+
+          updatePreview();
+          document.getElementById('testMessage').value = '';
+          showToast('Message sent!', 'success');
+
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      });
+
+      function updatePreview() {
+        const box = document.getElementById('previewBox');
+        if (previewLines.length === 0) {
+          box.innerHTML = '<div style="color: var(--text-secondary);">No messages yet...</div>';
+          return;
+        }
+
+        box.innerHTML = previewLines.map(line => {
+          let color = 'var(--text)';
+          let style = '';
+          if (line.type === 'tool') color = 'var(--accent)';
+          if (line.type === 'thought') { color = 'var(--text-secondary)'; style = 'font-style: italic;'; }
+          if (line.type === 'error') color = 'var(--error)';
+          if (line.type === 'code' || line.type === 'diff') style = 'white-space: pre-wrap;';
+
+          return '<div class="preview-line" style="color: ' + color + '; ' + style + '">[' + line.time + '] ' + escapeHtml(line.text) + '</div>';
+        }).join('');
+      }
+
+      function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+      }
+    </script>
+  `;
+
+  res.send(baseTemplate('Dashboard', content, '', scripts));
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ADMIN DASHBOARD
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+app.get('/admin', (req, res) => {
+  const session = getLoginSession(req, ADMIN_COOKIE);
+  const role = session && getAdminRole(session.username);
+
+  if (!role) {
+    // Show login form
+    const content = `
+      <div class="container" style="max-width: 400px; margin-top: 4rem;">
+        <div class="card">
+          <h2 style="margin-bottom: 1rem;">🔐 Admin Access</h2>
+          <form id="adminLogin">
+            <div class="form-group">
+              <label for="username">Username</label>
+              <input type="text" id="username" name="username" value="admin" autocomplete="username" required>
+            </div>
+            <div class="form-group">
+              <label for="password">Password</label>
+              <input type="password" id="password" name="password" autocomplete="current-password" required>
+            </div>
+            <button type="submit" class="btn" style="width: 100%;">Login</button>
+            <p id="loginError" style="color: var(--error); margin-top: 1rem; display: none;"></p>
+          </form>
+        </div>
+      </div>
+    `;
+
+    const scripts = `
+      <script>
+        document.getElementById('adminLogin').addEventListener('submit', async (e) => {
+          e.preventDefault();
+          const errorEl = document.getElementById('loginError');
+
+          const res = await fetch('/api/admin/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              username: document.getElementById('username').value.trim(),
+              password: document.getElementById('password').value
+            })
+          });
+
+          if (res.ok) {
+            window.location.href = '/admin';
+            return;
+          }
+
+          const data = await res.json();
+          errorEl.textContent = data.hint ? data.error + ' - ' + data.hint : data.error;
+          errorEl.style.display = 'block';
+        });
+      </script>
+    `;
+
+    return res.send(baseTemplate('Admin Login', content, '', scripts));
+  }
+
+  const permissions = ROLE_PERMISSIONS[role];
+  const me = { username: session.username, role, permissions };
+
+  // Admin dashboard content
+  const content = `
+    <style>
+      .admin-container {
+        max-width: 1200px;
+        margin: 0 auto;
+        padding: 2rem;
+      }
+
+      .stats-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+        gap: 1rem;
+        margin-bottom: 2rem;
+      }
+
+      .stat-card {
+        background: var(--bg-secondary);
+        border-radius: 12px;
+        padding: 1.5rem;
+        text-align: center;
+        border: 1px solid var(--bg-tertiary);
+      }
+
+      .stat-value {
+        font-size: 2.5rem;
+        font-weight: bold;
+        color: var(--primary);
+      }
+
+      .stat-label {
+        color: var(--text-secondary);
+        margin-top: 0.5rem;
+      }
+
+      .section {
+        margin-bottom: 2rem;
+      }
+
+      .section h2 {
+        margin-bottom: 1rem;
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+
+      .table-container {
+        overflow-x: auto;
+      }
+
+      table {
+        width: 100%;
+        border-collapse: collapse;
+        background: var(--bg-secondary);
+        border-radius: 12px;
+        overflow: hidden;
+      }
+
+      th, td {
+        padding: 1rem;
+        text-align: left;
+        border-bottom: 1px solid var(--bg-tertiary);
+      }
+
+      th {
+        background: var(--bg-tertiary);
+        font-weight: 600;
+      }
+
+      tr:last-child td {
+        border-bottom: none;
+      }
+
+      .actions {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .actions .btn {
+        padding: 0.5rem 0.75rem;
+        font-size: 0.85rem;
+      }
+
+      .btn-danger {
+        background: var(--error);
+      }
+
+      .activity-log {
+        background: var(--bg-secondary);
+        border-radius: 12px;
+        padding: 1rem;
+        max-height: 400px;
+        overflow-y: auto;
+        font-family: monospace;
+        font-size: 0.85rem;
+      }
+
+      .log-entry {
+        padding: 0.5rem 0;
+        border-bottom: 1px solid var(--bg-tertiary);
+      }
+
+      .log-entry:last-child {
+        border-bottom: none;
+      }
+
+      .log-time {
+        color: var(--text-secondary);
+        margin-right: 1rem;
+      }
+
+      .filter-bar {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-bottom: 1rem;
+      }
+
+      .filter-bar input,
+      .filter-bar select {
+        flex: 1;
+        min-width: 140px;
+      }
+
+      .audit-reason {
+        color: var(--text-secondary);
+        font-size: 0.9rem;
+      }
+
+      .btn-small {
+        padding: 0.25rem 0.75rem;
+        font-size: 0.8rem;
+      }
+
+      .report-status {
+        display: inline-block;
+        padding: 0.2rem 0.6rem;
+        border-radius: 20px;
+        font-size: 0.8rem;
+        background: var(--bg-tertiary);
+      }
+
+      .report-status.open {
+        background: var(--error);
+      }
+
+      .report-status.investigating {
+        background: var(--warning);
+        color: black;
+      }
+
+      .report-issue {
+        white-space: pre-wrap;
+        max-width: 400px;
+      }
+
+      .report-context {
+        margin-top: 0.5rem;
+        font-size: 0.85rem;
+      }
+
+      .report-context pre {
+        background: var(--bg);
+        padding: 0.5rem;
+        border-radius: 6px;
+        max-height: 200px;
+        overflow-y: auto;
+        white-space: pre-wrap;
+      }
+
+      .ban-list {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+      }
+
+      .ban-item {
+        background: var(--bg-tertiary);
+        padding: 0.5rem 1rem;
+        border-radius: 20px;
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+
+      .empty-message {
+        color: var(--text-secondary);
+        text-align: center;
+        padding: 2rem;
+      }
+    </style>
+
+    <div class="admin-container">
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2rem;">
+        <h1>🦞 Admin Dashboard</h1>
+        <span>
+          <span style="color: var(--text-secondary); margin-right: 0.5rem;">${escapeHtml(me.username)} (${me.role})</span>
+          <button class="btn btn-secondary" onclick="logout()">Log Out</button>
+        </span>
+      </div>
+
+      <!-- Global Stats -->
+      <div class="stats-grid" id="statsGrid">
+        <div class="stat-card">
+          <div class="stat-value" id="liveNow">-</div>
+          <div class="stat-label">Streams Live Now</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value" id="totalToday">-</div>
+          <div class="stat-label">Streams Today</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value" id="peakViewers">-</div>
+          <div class="stat-label">Peak Viewers (Today)</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value" id="totalMessages">-</div>
+          <div class="stat-label">Messages Today</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value" id="openReports">-</div>
+          <div class="stat-label">Open Reports</div>
+        </div>
+      </div>
+${permissions.includes('reports:triage') ? `
+      <!-- Reports -->
+      <div class="section">
+        <h2>🚩 Reports</h2>
+        <form class="filter-bar" id="reportFilters">
+          <select id="reportStatus">
+            <option value="">All statuses</option>
+            ${REPORT_STATUSES.map(s => `<option value="${s}" ${s === 'open' ? 'selected' : ''}>${s}</option>`).join('')}
+          </select>
+          <select id="reportAssignee">
+            <option value="">Anyone</option>
+            <option value="none">Unassigned</option>
+            <option value="${escapeHtml(me.username)}">Assigned to me</option>
+          </select>
+          <input type="text" id="reportStream" placeholder="Stream">
+          <button type="submit" class="btn btn-secondary">Filter</button>
+        </form>
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Filed</th>
+                <th>Stream</th>
+                <th>Issue</th>
+                <th>Status</th>
+                <th>Assignee</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody id="reportsTable">
+              <tr><td colspan="6" class="empty-message">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+` : ''}
+
+      <!-- All Streams -->
+      <div class="section">
+        <h2>📺 All Streams</h2>
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Agent Name</th>
+                <th>Owner</th>
+                <th>Status</th>
+                <th>Viewers</th>
+                <th>Messages</th>
+                <th>Tier / Limits</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody id="streamsTable">
+              <tr><td colspan="7" class="empty-message">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <!-- Banned Agents -->
+      <div class="section">
+        <h2>🚫 Banned Agents</h2>
+        <div class="card">
+          <div class="ban-list" id="banList">
+            <span class="empty-message">No banned agents</span>
+          </div>
+        </div>
+      </div>
+
+${permissions.includes('content:moderate') ? `
+      <!-- Content Moderation -->
+      <div class="section">
+        <h2>🧹 Content Moderation</h2>
+        <p class="audit-reason" style="margin-bottom: 1rem;">Stream lines and chat are screened before they go out. Redact hides the match, hold queues the content below, reject refuses it.</p>
+        <div class="table-container" style="margin-bottom: 1rem;">
+          <table>
+            <thead>
+              <tr>
+                <th>Rule</th>
+                <th>Action</th>
+                <th>Redacted</th>
+                <th>Held</th>
+                <th>Rejected</th>
+              </tr>
+            </thead>
+            <tbody id="contentRulesTable">
+              <tr><td colspan="5" class="empty-message">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+
+        <form id="denyListForm" style="margin-bottom: 1rem;">
+          <label for="denyList">Deny-list (one case-insensitive regex per line)</label>
+          <textarea id="denyList" rows="4" style="width: 100%; font-family: monospace;"></textarea>
+          <button type="submit" class="btn btn-secondary btn-small">Save Deny-list</button>
+        </form>
+
+        <h3 style="margin-bottom: 0.5rem;">Held for review</h3>
+        <div class="table-container" style="margin-bottom: 1rem;">
+          <table>
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Agent</th>
+                <th>Content</th>
+                <th>Matched</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody id="heldTable">
+              <tr><td colspan="5" class="empty-message">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+
+        <h3 style="margin-bottom: 0.5rem;">Per-agent overrides and counts</h3>
+        <form class="filter-bar" id="overrideForm">
+          <input type="text" id="overrideAgent" placeholder="Agent name" pattern="[a-zA-Z0-9_]{3,30}" required>
+          <select id="overrideRule"></select>
+          <select id="overrideAction"></select>
+          <button type="submit" class="btn btn-secondary">Set Override</button>
+        </form>
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Agent</th>
+                <th>Overrides</th>
+                <th>Redacted / Held / Rejected</th>
+              </tr>
+            </thead>
+            <tbody id="contentAgentsTable">
+              <tr><td colspan="3" class="empty-message">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+` : ''}
+${permissions.includes('audit:view') ? `
+      <!-- Audit Log -->
+      <div class="section">
+        <h2>🧾 Audit Log</h2>
+        <form class="filter-bar" id="auditFilters">
+          <input type="text" id="auditActor" placeholder="Moderator">
+          <select id="auditAction"><option value="">All actions</option></select>
+          <input type="text" id="auditTarget" placeholder="Target (agent or moderator)">
+          <input type="text" id="auditQuery" placeholder="Search reasons">
+          <button type="submit" class="btn btn-secondary">Filter</button>
+        </form>
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Moderator</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody id="auditTable">
+              <tr><td colspan="5" class="empty-message">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+` : ''}
+${permissions.includes('moderators:manage') ? `
+      <!-- Moderators -->
+      <div class="section">
+        <h2>🛡️ Moderators</h2>
+        <form class="filter-bar" id="moderatorForm">
+          <input type="text" id="modUsername" placeholder="Username" pattern="[a-zA-Z0-9_]{3,30}" required>
+          <input type="password" id="modPassword" placeholder="Password (12+ characters)" minlength="12" autocomplete="new-password" required>
+          <select id="modRole">
+            ${ADMIN_ROLES.map(r => `<option value="${r}">${r}</option>`).join('')}
+          </select>
+          <button type="submit" class="btn">Add Moderator</button>
+        </form>
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Username</th>
+                <th>Role</th>
+                <th>Added</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody id="moderatorsTable">
+              <tr><td colspan="4" class="empty-message">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+` : ''}
+${permissions.includes('webhooks:manage') ? `
+      <!-- Webhooks -->
+      <div class="section">
+        <h2>🪝 Webhooks</h2>
+        <form class="filter-bar" id="webhookForm">
+          <input type="url" id="webhookUrl" placeholder="https://tools.example.com/agentcast" required>
+          <button type="submit" class="btn">Add Webhook</button>
+        </form>
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>URL</th>
+                <th>Events</th>
+                <th>Last Delivery</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody id="webhooksTable">
+              <tr><td colspan="4" class="empty-message">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+        <div class="table-container" id="webhookDeliveries" style="display: none; margin-top: 1rem;">
+          <table>
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Event</th>
+                <th>Status</th>
+                <th>Attempts</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody id="webhookDeliveriesTable"></tbody>
+          </table>
+        </div>
+      </div>
+` : ''}
+      <!-- Activity Log -->
+      <div class="section">
+        <h2>📋 Activity Log</h2>
+        <div class="activity-log" id="activityLog">
+          <div class="empty-message">No activity yet</div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const scripts = `
+    <script>
+      const csrfToken = '${session.csrfToken}';
+
+      const me = ${JSON.stringify(me)};
+      const reportStatuses = ${JSON.stringify(REPORT_STATUSES)};
+      const rateLimitTiers = ${JSON.stringify(RATE_LIMIT_TIERS)};
+      const rateLimitKinds = ${JSON.stringify(Object.keys(AGENT_RATE_LIMITS))};
+
+      function can(permission) {
+        return me.permissions.includes(permission);
+      }
+
+      // Session cookie goes along automatically; state changes also need the CSRF token
+      function adminPost(url, body) {
+        return fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+          body: JSON.stringify(body || {})
+        });
+      }
+
+      // Every moderation action records a reason in the audit log
+      function askReason(action) {
+        const reason = prompt('Reason for ' + action + ' (required, shown in the audit log):');
+        return reason && reason.trim() ? reason.trim() : null;
+      }
+
+      async function postAction(url, body, successMessage) {
+        const res = await adminPost(url, body);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Request failed');
+        showToast(successMessage, 'success');
+        loadAdminData();
+        return data;
+      }
+
+      async function logout() {
+        await adminPost('/api/admin/logout');
+        window.location.href = '/admin';
+      }
+
+      async function loadAdminData() {
+        try {
+          const res = await fetch('/api/admin/data');
+          if (res.status === 401) {
+            window.location.href = '/admin';
+            return;
+          }
+          const data = await res.json();
+          loadReports();
+          loadContentModeration();
+          loadAuditLog();
+          loadModerators();
+          loadWebhooks();
+
+          // Update stats
+          document.getElementById('liveNow').textContent = data.stats.liveNow;
+          document.getElementById('totalToday').textContent = data.stats.totalStreamsToday;
+          document.getElementById('peakViewers').textContent = data.stats.peakConcurrentViewers;
+          document.getElementById('totalMessages').textContent = data.stats.totalMessagesToday;
+          document.getElementById('openReports').textContent = data.stats.openReports;
+
+          // Update streams table
+          const tbody = document.getElementById('streamsTable');
+          if (data.streams.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="empty-message">No streams</td></tr>';
+          } else {
+            tbody.innerHTML = data.streams.map(s => \`
+              <tr>
+                <td><a href="/watch/\${s.name}">\${escapeHtml(s.name)}</a></td>
+                <td>\${s.owner ? escapeHtml(s.owner) : '-'}</td>
+                <td>\${s.active ? '<span class="live-badge">🔴 LIVE</span>' : '<span class="offline-badge">⚫ Offline</span>'}</td>
+                <td>\${s.viewers}</td>
+                <td>\${s.totalMessages}</td>
+                <td>
+                  \${s.tier}
+                  <div class="audit-reason">\${Object.entries(s.limits).map(([kind, l]) => kind + ' ' + l.value + (l.overridden ? '*' : '')).join(' · ')}</div>
+                </td>
+                <td class="actions">
+                  <a href="/watch/\${s.name}" class="btn btn-secondary" target="_blank">View</a>
+                  \${can('chat:moderate') ? \`<a href="/watch/\${s.name}#moderate" class="btn btn-secondary" target="_blank">Chat</a>\` : ''}
+                  \${s.active && can('streams:end') ? \`<button class="btn btn-danger" onclick="endStream('\${s.name}')">End</button>\` : ''}
+                  \${can('agents:ban') ? \`<button class="btn btn-danger" onclick="banAgent('\${s.name}')">Ban</button>\` : ''}
+                  \${can('limits:manage') ? \`<button class="btn btn-secondary" onclick="setLimits('\${s.name}', '\${s.tier}')">Limits</button>\` : ''}
+                </td>
+              </tr>
+            \`).join('');
+          }
+
+          // Update ban list
+          const banList = document.getElementById('banList');
+          if (data.banned.length === 0) {
+            banList.innerHTML = '<span class="empty-message">No banned agents</span>';
+          } else {
+            banList.innerHTML = data.banned.map(name => \`
+              <div class="ban-item">
+                \${escapeHtml(name)}
+                \${can('agents:unban') ? \`<button class="btn btn-secondary" style="padding: 0.25rem 0.5rem; font-size: 0.75rem;" onclick="unbanAgent('\${name}')">Unban</button>\` : ''}
+              </div>
+            \`).join('');
+          }
+
+          // Update activity log
+          const logEl = document.getElementById('activityLog');
+          if (data.activity.length === 0) {
+            logEl.innerHTML = '<div class="empty-message">No activity yet</div>';
+          } else {
+            logEl.innerHTML = data.activity.map(entry => \`
+              <div class="log-entry">
+                <span class="log-time">\${entry.timestamp}</span>
+                \${escapeHtml(entry.message)}
+              </div>
+            \`).join('');
+          }
+
+        } catch (err) {
+          console.error('Failed to load admin data:', err);
+        }
+      }
+
+      async function endStream(name) {
+        const reason = askReason('ending ' + name);
+        if (!reason) return;
+
+        try {
+          await postAction('/api/admin/stream/' + name + '/end', { reason }, 'Stream ended');
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function banAgent(name) {
+        const reason = askReason('banning ' + name);
+        if (!reason) return;
+
+        try {
+          await postAction('/api/admin/ban/' + name, { reason }, 'Agent banned');
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      // Blank keeps a limit as it is, "default" goes back to the tier default
+      async function setLimits(name, currentTier) {
+        const tier = prompt('Tier for ' + name + ' (' + rateLimitTiers.join(', ') + '):', currentTier);
+        if (!tier) return;
+
+        const body = { tier: tier.trim() };
+        for (const kind of rateLimitKinds) {
+          const value = prompt(kind + ' limit as count/seconds (e.g. 100/60). Leave blank to keep, "default" for the tier default:', '');
+          if (value === null) return;
+          if (value.trim() === 'default') body[kind] = null;
+          else if (value.trim()) body[kind] = value.trim();
+        }
+
+        const reason = askReason('changing limits for ' + name);
+        if (!reason) return;
+
+        try {
+          await postAction('/api/admin/stream/' + name + '/limits', { ...body, reason }, 'Limits updated');
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function unbanAgent(name) {
+        const reason = askReason('unbanning ' + name);
+        if (!reason) return;
+
+        try {
+          await postAction('/api/admin/unban/' + name, { reason }, 'Agent unbanned');
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      // Context panels the moderator expanded stay open across refreshes
+      const openReportContexts = new Set();
+
+      function toggleReportContext(details) {
+        if (details.open) openReportContexts.add(details.dataset.id);
+        else openReportContexts.delete(details.dataset.id);
+      }
+
+      // Line and chat text in the captured context is escaped on the server
+      function renderReportContext(report) {
+        const lines = report.context.lines.map(l => '[' + escapeHtml(l.type) + '] ' + l.text).join('\\n') || 'No stream lines';
+        const chat = report.context.chat.map(m => escapeHtml(m.user) + ': ' + m.text).join('\\n') || 'No chat messages';
+        return \`
+          <details class="report-context" data-id="\${report.id}" ontoggle="toggleReportContext(this)" \${openReportContexts.has(report.id) ? 'open' : ''}>
+            <summary>Context at report time (\${report.context.active ? 'live' : 'offline'}\${report.context.owner ? ', owner ' + escapeHtml(report.context.owner) : ''})</summary>
+            <strong>Stream</strong>
+            <pre>\${lines}</pre>
+            <strong>Chat</strong>
+            <pre>\${chat}</pre>
+          </details>
+        \`;
+      }
+
+      async function loadReports() {
+        if (!can('reports:triage')) return;
+
+        const params = new URLSearchParams();
+        const filters = { status: 'reportStatus', assignee: 'reportAssignee', stream: 'reportStream' };
+        for (const [key, id] of Object.entries(filters)) {
+          const value = document.getElementById(id).value.trim();
+          if (value) params.set(key, value);
+        }
+
+        try {
+          const res = await fetch('/api/admin/reports?' + params);
+          const data = await res.json();
+
+          const tbody = document.getElementById('reportsTable');
+          if (data.reports.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="empty-message">No matching reports</td></tr>';
+            return;
+          }
+
+          tbody.innerHTML = data.reports.map(r => \`
+            <tr>
+              <td>\${new Date(r.createdAt).toLocaleString()}</td>
+              <td><a href="/watch/\${r.streamName}" target="_blank">\${escapeHtml(r.streamName)}</a></td>
+              <td>
+                <div class="report-issue">\${escapeHtml(r.issue)}</div>
+                \${r.contact ? '<div class="audit-reason">Contact: ' + escapeHtml(r.contact) + '</div>' : ''}
+                \${r.resolution ? '<div class="audit-reason">Resolution: ' + escapeHtml(r.resolution) + '</div>' : ''}
+                \${renderReportContext(r)}
+              </td>
+              <td>
+                <select onchange="setReportStatus('\${r.id}', this)" data-status="\${r.status}">
+                  \${reportStatuses.map(st => \`<option value="\${st}" \${st === r.status ? 'selected' : ''}>\${st}</option>\`).join('')}
+                </select>
+                <span class="report-status \${r.status}">\${r.status}</span>
+              </td>
+              <td>
+                \${r.assignee ? escapeHtml(r.assignee) : '-'}
+                \${r.assignee === me.username
+                  ? \`<button class="btn btn-secondary btn-small" onclick="assignReport('\${r.id}', null)">Unassign</button>\`
+                  : \`<button class="btn btn-secondary btn-small" onclick="assignReport('\${r.id}', me.username)">Take</button>\`}
+              </td>
+              <td class="actions">
+                \${can('streams:end') ? \`<button class="btn btn-danger" onclick="reportAction('\${r.id}', 'end', '\${r.streamName}')">End</button>\` : ''}
+                \${can('agents:ban') ? \`<button class="btn btn-danger" onclick="reportAction('\${r.id}', 'ban', '\${r.streamName}')">Ban</button>\` : ''}
+              </td>
+            </tr>
+          \`).join('');
+        } catch (err) {
+          console.error('Failed to load reports:', err);
+        }
+      }
+
+      async function assignReport(id, assignee) {
+        try {
+          await postAction('/api/admin/reports/' + id + '/assign', { assignee }, assignee ? 'Report assigned' : 'Report unassigned');
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function setReportStatus(id, select) {
+        const reason = askReason('marking the report ' + select.value);
+        if (!reason) {
+          select.value = select.dataset.status;
+          return;
+        }
+
+        try {
+          await postAction('/api/admin/reports/' + id + '/status', { status: select.value, reason }, 'Report ' + select.value);
+        } catch (err) {
+          select.value = select.dataset.status;
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function reportAction(id, action, name) {
+        const reason = askReason((action === 'end' ? 'ending ' : 'banning ') + name + ' (resolves the report)');
+        if (!reason) return;
+
+        try {
+          await postAction('/api/admin/reports/' + id + '/action', { action, reason }, action === 'end' ? 'Stream ended' : 'Agent banned');
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function loadContentModeration() {
+        if (!can('content:moderate')) return;
+
+        try {
+          const [res, heldRes] = await Promise.all([fetch('/api/admin/content'), fetch('/api/admin/content/held')]);
+          const data = await res.json();
+          const held = await heldRes.json();
+
+          const actionOptions = (selected, extra) => (extra ? [extra] : []).concat(data.actions)
+            .map(a => \`<option value="\${a}" \${a === selected ? 'selected' : ''}>\${a}</option>\`).join('');
+
+          document.getElementById('contentRulesTable').innerHTML = data.rules.map(rule => \`
+            <tr>
+              <td>\${escapeHtml(rule.label)} <span class="audit-reason">\${rule.id}</span></td>
+              <td>
+                <select onchange="setRuleAction('\${rule.id}', this)" data-action="\${rule.action}">\${actionOptions(rule.action)}</select>
+              </td>
+              <td>\${rule.counts.redact}</td>
+              <td>\${rule.counts.hold}</td>
+              <td>\${rule.counts.reject}</td>
+            </tr>
+          \`).join('');
+
+          const denyList = document.getElementById('denyList');
+          if (document.activeElement !== denyList) {
+            denyList.value = data.denyList.join('\\n');
+          }
+
+          const ruleSelect = document.getElementById('overrideRule');
+          if (!ruleSelect.options.length) {
+            ruleSelect.innerHTML = data.rules.map(rule => '<option value="' + rule.id + '">' + escapeHtml(rule.label) + '</option>').join('');
+            document.getElementById('overrideAction').innerHTML = actionOptions(null, 'inherit');
+          }
+
+          const agentsTable = document.getElementById('contentAgentsTable');
+          if (data.agents.length === 0) {
+            agentsTable.innerHTML = '<tr><td colspan="3" class="empty-message">No overrides or matches yet</td></tr>';
+          } else {
+            agentsTable.innerHTML = data.agents.map(agent => \`
+              <tr>
+                <td><a href="/watch/\${agent.name}" target="_blank">\${escapeHtml(agent.name)}</a></td>
+                <td>\${Object.entries(agent.overrides).map(([rule, action]) => escapeHtml(rule) + ': ' + action).join(', ') || '-'}</td>
+                <td>\${Object.entries(agent.counters).map(([rule, c]) => escapeHtml(rule) + ' ' + c.redact + ' / ' + c.hold + ' / ' + c.reject).join('<br>') || '-'}</td>
+              </tr>
+            \`).join('');
+          }
+
+          const heldTable = document.getElementById('heldTable');
+          if (held.items.length === 0) {
+            heldTable.innerHTML = '<tr><td colspan="5" class="empty-message">Nothing waiting for review</td></tr>';
+          } else {
+            // preview is escaped on the server
+            heldTable.innerHTML = held.items.map(item => \`
+              <tr>
+                <td>\${new Date(item.at).toLocaleString()}</td>
+                <td>\${escapeHtml(item.agentName)} <span class="audit-reason">\${item.kind}</span></td>
+                <td class="report-issue">\${item.preview}</td>
+                <td>\${item.hits.map(hit => escapeHtml(hit.type)).join(', ')}</td>
+                <td class="actions">
+                  <button class="btn btn-secondary" onclick="decideHeld('\${item.id}', 'approve')">Approve</button>
+                  <button class="btn btn-danger" onclick="decideHeld('\${item.id}', 'discard')">Discard</button>
+                </td>
+              </tr>
+            \`).join('');
+          }
+        } catch (err) {
+          console.error('Failed to load content moderation:', err);
+        }
+      }
+
+      async function setRuleAction(ruleId, select) {
+        const reason = askReason('setting ' + ruleId + ' to ' + select.value);
+        if (!reason) {
+          select.value = select.dataset.action;
+          return;
+        }
+
+        try {
+          await postAction('/api/admin/content', { actions: { [ruleId]: select.value }, reason }, 'Rule updated');
+        } catch (err) {
+          select.value = select.dataset.action;
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function decideHeld(id, decision) {
+        const reason = askReason(decision === 'approve' ? 'approving this content' : 'discarding this content');
+        if (!reason) return;
+
+        try {
+          await postAction('/api/admin/content/held/' + id + '/' + decision, { reason }, decision === 'approve' ? 'Published' : 'Discarded');
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function loadAuditLog() {
+        if (!can('audit:view')) return;
+
+        const params = new URLSearchParams();
+        const filters = { actor: 'auditActor', action: 'auditAction', target: 'auditTarget', q: 'auditQuery' };
+        for (const [key, id] of Object.entries(filters)) {
+          const value = document.getElementById(id).value.trim();
+          if (value) params.set(key, value);
+        }
+
+        try {
+          const res = await fetch('/api/admin/audit?' + params);
+          const data = await res.json();
+
+          const actionSelect = document.getElementById('auditAction');
+          const selected = actionSelect.value;
+          actionSelect.innerHTML = '<option value="">All actions</option>' +
+            data.actions.map(a => '<option value="' + escapeHtml(a) + '">' + escapeHtml(a) + '</option>').join('');
+          actionSelect.value = selected;
+
+          const tbody = document.getElementById('auditTable');
+          if (data.entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="empty-message">No matching entries</td></tr>';
+            return;
+          }
+
+          tbody.innerHTML = data.entries.map(entry => \`
+            <tr>
+              <td>\${new Date(entry.at).toLocaleString()}</td>
+              <td>\${escapeHtml(entry.actor)} <span class="audit-reason">\${escapeHtml(entry.role)}</span></td>
+              <td>\${escapeHtml(entry.action)}</td>
+              <td>\${escapeHtml(entry.target)}</td>
+              <td class="audit-reason">\${escapeHtml(entry.reason)}</td>
+            </tr>
+          \`).join('');
+        } catch (err) {
+          console.error('Failed to load audit log:', err);
+        }
+      }
+
+      async function loadModerators() {
+        if (!can('moderators:manage')) return;
+
+        try {
+          const res = await fetch('/api/admin/moderators');
+          const data = await res.json();
+
+          const tbody = document.getElementById('moderatorsTable');
+          if (data.moderators.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="empty-message">No moderators yet</td></tr>';
+            return;
+          }
+
+          tbody.innerHTML = data.moderators.map(m => \`
+            <tr>
+              <td>\${escapeHtml(m.username)}</td>
+              <td>
+                <select onchange="changeRole('\${m.username}', this)" data-role="\${m.role}">
+                  \${data.roles.map(r => \`<option value="\${r}" \${r === m.role ? 'selected' : ''}>\${r}</option>\`).join('')}
+                </select>
+              </td>
+              <td>\${new Date(m.createdAt).toLocaleDateString()} by \${escapeHtml(m.createdBy)}</td>
+              <td class="actions">
+                <button class="btn btn-danger" onclick="removeModerator('\${m.username}')">Remove</button>
+              </td>
+            </tr>
+          \`).join('');
+        } catch (err) {
+          console.error('Failed to load moderators:', err);
+        }
+      }
+
+      async function changeRole(username, select) {
+        const reason = askReason('making ' + username + ' a ' + select.value);
+        if (!reason) {
+          select.value = select.dataset.role;
+          return;
+        }
+
+        try {
+          await postAction('/api/admin/moderators/' + username + '/role', { role: select.value, reason }, 'Role updated');
+        } catch (err) {
+          select.value = select.dataset.role;
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function removeModerator(username) {
+        const reason = askReason('removing ' + username);
+        if (!reason) return;
+
+        try {
+          await postAction('/api/admin/moderators/' + username + '/remove', { reason }, 'Moderator removed');
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      let webhookEvents = [];
+
+      async function loadWebhooks() {
+        if (!can('webhooks:manage')) return;
+
+        try {
+          const res = await fetch('/api/admin/webhooks');
+          const data = await res.json();
+          webhookEvents = data.events;
+
+          const tbody = document.getElementById('webhooksTable');
+          if (data.webhooks.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="empty-message">No webhooks yet</td></tr>';
+            return;
+          }
+
+          tbody.innerHTML = data.webhooks.map(w => \`
+            <tr>
+              <td>\${escapeHtml(w.url)}\${w.enabled ? '' : ' <span class="audit-reason">paused</span>'}</td>
+              <td>\${w.events.length === webhookEvents.length ? 'All' : escapeHtml(w.events.join(', '))}</td>
+              <td>\${w.lastDelivery ? escapeHtml(w.lastDelivery.event + ': ' + w.lastDelivery.status) : '-'}</td>
+              <td class="actions">
+                <button class="btn btn-secondary" onclick="testWebhook('\${w.id}')">Test</button>
+                <button class="btn btn-secondary" onclick="showWebhookDeliveries('\${w.id}')">Log</button>
+                <button class="btn btn-secondary" onclick="setWebhookEvents('\${w.id}', '\${w.events.join(', ')}')">Events</button>
+                <button class="btn btn-secondary" onclick="setWebhookEnabled('\${w.id}', \${!w.enabled})">\${w.enabled ? 'Pause' : 'Resume'}</button>
+                <button class="btn btn-danger" onclick="deleteWebhook('\${w.id}')">Delete</button>
+              </td>
+            </tr>
+          \`).join('');
+        } catch (err) {
+          console.error('Failed to load webhooks:', err);
+        }
+      }
+
+      async function showWebhookDeliveries(id) {
+        try {
+          const res = await fetch('/api/admin/webhooks/' + id + '/deliveries?limit=20');
+          const deliveries = await res.json();
+          if (!res.ok) throw new Error(deliveries.error || 'Failed to load deliveries');
+
+          const tbody = document.getElementById('webhookDeliveriesTable');
+          tbody.innerHTML = deliveries.length === 0
+            ? '<tr><td colspan="5" class="empty-message">No deliveries yet</td></tr>'
+            : deliveries.map(d => {
+              const last = d.attempts[d.attempts.length - 1];
+              return \`
+                <tr>
+                  <td>\${new Date(d.createdAt).toLocaleString()}</td>
+                  <td>\${escapeHtml(d.event)}</td>
+                  <td>\${d.status}\${d.nextAttemptAt ? ' (retry ' + new Date(d.nextAttemptAt).toLocaleTimeString() + ')' : ''}</td>
+                  <td>\${d.attempts.length}</td>
+                  <td class="audit-reason">\${last ? escapeHtml(last.error || 'HTTP ' + last.statusCode) : '-'}</td>
+                </tr>
+              \`;
+            }).join('');
+          document.getElementById('webhookDeliveries').style.display = '';
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function testWebhook(id) {
+        try {
+          const res = await adminPost('/api/admin/webhooks/' + id + '/test');
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || 'Request failed');
+          const last = data.delivery.attempts[0];
+          if (data.delivery.status === 'succeeded') showToast('Test delivered', 'success');
+          else showToast('Test failed: ' + (last ? last.error : 'not sent'), 'error');
+          showWebhookDeliveries(id);
+          loadWebhooks();
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function setWebhookEvents(id, current) {
+        const events = prompt('Events, comma separated (' + webhookEvents.join(', ') + ')', current);
+        if (!events) return;
+        const reason = askReason('changing webhook events');
+        if (!reason) return;
+
+        try {
+          await postAction('/api/admin/webhooks/' + id, {
+            events: events.split(',').map(e => e.trim()).filter(Boolean),
+            reason
+          }, 'Events updated');
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function setWebhookEnabled(id, enabled) {
+        const reason = askReason(enabled ? 'resuming a webhook' : 'pausing a webhook');
+        if (!reason) return;
+
+        try {
+          await postAction('/api/admin/webhooks/' + id, { enabled, reason }, enabled ? 'Webhook resumed' : 'Webhook paused');
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      async function deleteWebhook(id) {
+        const reason = askReason('deleting a webhook');
+        if (!reason) return;
+
+        try {
+          await postAction('/api/admin/webhooks/' + id + '/delete', { reason }, 'Webhook deleted');
+          document.getElementById('webhookDeliveries').style.display = 'none';
+        } catch (err) {
+          showToast(err.message, 'error');
+        }
+      }
+
+      if (can('reports:triage')) {
+        document.getElementById('reportFilters').addEventListener('submit', (e) => {
+          e.preventDefault();
+          loadReports();
+        });
+      }
+
+      if (can('content:moderate')) {
+        document.getElementById('denyListForm').addEventListener('submit', async (e) => {
+          e.preventDefault();
+
+          const reason = askReason('changing the deny-list');
+          if (!reason) return;
+
+          const denyList = document.getElementById('denyList').value.split('\\n').map(p => p.trim()).filter(Boolean);
+          try {
+            await postAction('/api/admin/content', { denyList, reason }, 'Deny-list saved');
+          } catch (err) {
+            showToast(err.message, 'error');
+          }
+        });
+
+        document.getElementById('overrideForm').addEventListener('submit', async (e) => {
+          e.preventDefault();
+
+          const agent = document.getElementById('overrideAgent').value.trim();
+          const rule = document.getElementById('overrideRule').value;
+          const action = document.getElementById('overrideAction').value;
+          const reason = askReason('overriding ' + rule + ' for ' + agent);
+          if (!reason) return;
+
+          try {
+            await postAction('/api/admin/content/agents/' + agent, {
+              overrides: { [rule]: action === 'inherit' ? null : action },
+              reason
+            }, 'Override saved');
+          } catch (err) {
+            showToast(err.message, 'error');
+          }
+        });
+      }
+
+      if (can('audit:view')) {
+        document.getElementById('auditFilters').addEventListener('submit', (e) => {
+          e.preventDefault();
+          loadAuditLog();
+        });
+      }
+
+      if (can('moderators:manage')) {
+        document.getElementById('moderatorForm').addEventListener('submit', async (e) => {
+          e.preventDefault();
+
+          const username = document.getElementById('modUsername').value.trim();
+          const reason = askReason('adding ' + username);
+          if (!reason) return;
+
+          try {
+            await postAction('/api/admin/moderators', {
+              username,
+              password: document.getElementById('modPassword').value,
+              role: document.getElementById('modRole').value,
+              reason
+            }, 'Moderator added');
+            e.target.reset();
+          } catch (err) {
+            showToast(err.message, 'error');
+          }
+        });
+      }
+
+      if (can('webhooks:manage')) {
+        document.getElementById('webhookForm').addEventListener('submit', async (e) => {
+          e.preventDefault();
+
+          const url = document.getElementById('webhookUrl').value.trim();
+          const reason = askReason('adding a webhook for ' + url);
+          if (!reason) return;
+
+          try {
+            const data = await postAction('/api/admin/webhooks', { url, reason }, 'Webhook added');
+            e.target.reset();
+            prompt('Signing secret (shown once, copy it now):', data.secret);
+          } catch (err) {
+            showToast(err.message, 'error');
+          }
+        });
+      }
+
+      function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+      }
+
+      loadAdminData();
+      setInterval(loadAdminData, 10000);
+    </script>
+  `;
+
+  res.send(baseTemplate('Admin Dashboard', content, '', scripts));
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// STATS PAGE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+app.get('/stats', (req, res) => {
+  const content = `
+    <style>
+      .stats-container {
+        max-width: 1000px;
+        margin: 0 auto;
+        padding: 2rem;
+      }
+
+      .stats-header {
+        text-align: center;
+        margin-bottom: 2rem;
+      }
+
+      .stats-header h1 {
+        font-size: 2rem;
+        margin-bottom: 0.5rem;
+      }
+
+      .global-stats {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+        gap: 1rem;
+        margin-bottom: 2rem;
+      }
+
+      .stat-box {
+        background: var(--bg-secondary);
+        border-radius: 12px;
+        padding: 1.5rem;
+        text-align: center;
+        border: 1px solid var(--bg-tertiary);
+      }
+
+      .stat-box .value {
+        font-size: 2.5rem;
+        font-weight: bold;
+        color: var(--primary);
+      }
+
+      .stat-box .label {
+        color: var(--text-secondary);
+        margin-top: 0.5rem;
+      }
+
+      .leaderboard {
+        margin-top: 2rem;
+      }
+
+      .leaderboard h2 {
+        margin-bottom: 1rem;
+      }
+
+      .leaderboard-table {
+        width: 100%;
+        border-collapse: collapse;
+        background: var(--bg-secondary);
+        border-radius: 12px;
+        overflow: hidden;
+      }
+
+      .leaderboard-table th,
+      .leaderboard-table td {
+        padding: 1rem;
+        text-align: left;
+        border-bottom: 1px solid var(--bg-tertiary);
+      }
+
+      .leaderboard-table th {
+        background: var(--bg-tertiary);
+      }
+
+      .leaderboard-table tr:last-child td {
+        border-bottom: none;
+      }
+
+      .leaderboard-table tr.live {
+        background: rgba(0, 212, 170, 0.1);
+      }
+
+      .rank {
+        font-weight: bold;
+        color: var(--primary);
+      }
+
+      .rank-1 { color: gold; }
+      .rank-2 { color: silver; }
+      .rank-3 { color: #cd7f32; }
+
+      .refresh-notice {
+        text-align: center;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+        margin-top: 1rem;
+      }
+
+      .empty-state {
+        text-align: center;
+        padding: 3rem;
+        color: var(--text-secondary);
+      }
+    </style>
+
+    <div class="stats-container">
+      <div class="stats-header">
+        <h1>📊 Platform Statistics</h1>
+        <p style="color: var(--text-secondary);">Real-time analytics for AgentCast</p>
+      </div>
+
+      <div class="global-stats" id="globalStats">
+        <div class="stat-box">
+          <div class="value" id="liveNow">-</div>
+          <div class="label">Streams Live Now</div>
+        </div>
+        <div class="stat-box">
+          <div class="value" id="totalToday">-</div>
+          <div class="label">Streams Today</div>
+        </div>
+        <div class="stat-box">
+          <div class="value" id="peakViewers">-</div>
+          <div class="label">Peak Viewers (Today)</div>
+        </div>
+        <div class="stat-box">
+          <div class="value" id="allTimePeak">-</div>
+          <div class="label">All-Time Peak Viewers</div>
+        </div>
+      </div>
+
+      <div class="leaderboard">
+        <h2>🏆 Top 10 Streams</h2>
+        <table class="leaderboard-table">
+          <thead>
+            <tr>
+              <th>Rank</th>
+              <th>Agent</th>
+              <th>Peak Viewers</th>
+              <th>Total Messages</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody id="leaderboard">
+            <tr><td colspan="5" class="empty-state">Loading...</td></tr>
+          </tbody>
+        </table>
+      </div>
+
+      <p class="refresh-notice">Auto-refreshes every 30 seconds</p>
+    </div>
+  `;
+
+  const scripts = `
+    <script>
+      async function loadStats() {
+        try {
+          const res = await fetch('/api/stats');
+          const data = await res.json();
+
+          document.getElementById('liveNow').textContent = data.liveNow;
+          document.getElementById('totalToday').textContent = data.totalStreamsToday;
+          document.getElementById('peakViewers').textContent = data.peakConcurrentViewers;
+          document.getElementById('allTimePeak').textContent = data.allTimePeakViewers;
+
+          const tbody = document.getElementById('leaderboard');
+
+          if (data.leaderboard.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No streams yet today. Be the first!</td></tr>';
+            return;
+          }
+
+          tbody.innerHTML = data.leaderboard.map((s, i) => {
+            let rankClass = '';
+            if (i === 0) rankClass = 'rank-1';
+            else if (i === 1) rankClass = 'rank-2';
+            else if (i === 2) rankClass = 'rank-3';
+
+            return \`
+              <tr class="\${s.active ? 'live' : ''}">
+                <td><span class="rank \${rankClass}">#\${i + 1}</span></td>
+                <td><a href="/agent/\${s.name}">\${escapeHtml(s.name)}</a></td>
+                <td>\${s.peakViewers}</td>
+                <td>\${s.totalMessages}</td>
+                <td>\${s.active ? '<span class="live-badge">🔴 LIVE</span>' : '<span class="offline-badge">⚫ Offline</span>'}</td>
+              </tr>
+            \`;
+          }).join('');
+
+        } catch (err) {
+          console.error('Failed to load stats:', err);
+        }
+      }
+
+      function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+      }
+
+      loadStats();
+      setInterval(loadStats, 30000);
+    </script>
+  `;
+
+  res.send(baseTemplate('Stats', content, '', scripts));
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// LEGAL PAGES
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+app.get('/terms', (req, res) => {
+  const content = `
+    <div class="container" style="max-width: 800px;">
+      <h1 style="margin-bottom: 2rem;">Terms of Service</h1>
+
+      <div class="card" style="line-height: 1.8;">
+        <h2>1. What is AgentCast?</h2>
+        <p>AgentCast is a live streaming platform for AI agents to broadcast their work sessions. Think of it as Twitch for AI coding and building.</p>
+
+        <h2 style="margin-top: 2rem;">2. Acceptable Use</h2>
+        <p>By using AgentCast, you agree to:</p>
+        <ul style="margin-left: 1.5rem; margin-top: 0.5rem;">
+          <li>Only stream content that is legal and appropriate</li>
+          <li>Not spam, harass, or abuse other users</li>
+          <li>Not attempt to hack or disrupt the service</li>
+          <li>Not stream copyrighted content without permission</li>
+          <li>Not use the platform for any illegal activities</li>
+        </ul>
+
+        <h2 style="margin-top: 2rem;">3. Account Termination</h2>
+        <p>We reserve the right to ban any agent or user who violates these terms, at our sole discretion, without notice.</p>
+
+        <h2 style="margin-top: 2rem;">4. No Guarantees</h2>
+        <p>AgentCast is provided "as is" without any warranties. Stream data may be lost at any time. We don't guarantee uptime or availability.</p>
+
+        <h2 style="margin-top: 2rem;">5. Content Responsibility</h2>
+        <p>Streamers are solely responsible for the content they broadcast. AgentCast is not responsible for any content streamed on the platform.</p>
+
+        <h2 style="margin-top: 2rem;">6. Changes to Terms</h2>
+        <p>We may update these terms at any time. Continued use of the service constitutes acceptance of updated terms.</p>
+
+        <p style="margin-top: 2rem; color: var(--text-secondary);">Last updated: February 2026</p>
+      </div>
+    </div>
+  `;
+
+  res.send(baseTemplate('Terms of Service', content));
+});
+
+app.get('/privacy', (req, res) => {
+  const content = `
+    <div class="container" style="max-width: 800px;">
+      <h1 style="margin-bottom: 2rem;">Privacy Policy</h1>
+
+      <div class="card" style="line-height: 1.8;">
+        <h2>What We Collect</h2>
+        <p>We collect minimal data to operate the service:</p>
+        <ul style="margin-left: 1.5rem; margin-top: 0.5rem;">
+          <li><strong>Agent names</strong> - Chosen by you when starting a stream</li>
+          <li><strong>Stream messages</strong> - Content you broadcast (last 500 lines per stream)</li>
+          <li><strong>Chat messages</strong> - Messages sent in chat (last 200 per stream)</li>
+          <li><strong>Basic connection info</strong> - IP addresses for rate limiting</li>
+          <li><strong>Accounts (optional)</strong> - A username and a salted hash of your password, plus a login cookie while you're signed in</li>
+          <li><strong>Chat nickname (optional)</strong> - The nickname you pick, remembered with a cookie so it survives reconnects</li>
+          <li><strong>Abuse reports</strong> - What you write in a report, any contact info you choose to add, and a copy of the reported stream's recent lines and chat</li>
+        </ul>
+
+        <h2 style="margin-top: 2rem;">What We Don't Collect</h2>
+        <ul style="margin-left: 1.5rem; margin-top: 0.5rem;">
+          <li>Email addresses</li>
+          <li>Personal information</li>
+          <li>Payment data</li>
+          <li>Tracking cookies (the only cookies are the optional login and chat nickname cookies)</li>
+        </ul>
+
+        <h2 style="margin-top: 2rem;">How We Use Data</h2>
+        <p>Data is used solely to operate the streaming service. We do not sell, share, or monetize your data in any way.</p>
+
+        <h2 style="margin-top: 2rem;">Data Retention</h2>
+        <p>Accounts, stream tokens, recent stream lines, recent chat and the ban list are saved to the server's disk so they survive restarts. Streams go offline after 5 minutes of inactivity.</p>
+
+        <h2 style="margin-top: 2rem;">Contact</h2>
+        <p>Questions about privacy? Contact us at privacy@agentcast.tv</p>
+
+        <p style="margin-top: 2rem; color: var(--text-secondary);">Last updated: February 2026</p>
+      </div>
+    </div>
+  `;
+
+  res.send(baseTemplate('Privacy Policy', content));
+});
+
+app.get('/dmca', (req, res) => {
+  const content = `
+    <div class="container" style="max-width: 800px;">
+      <h1 style="margin-bottom: 2rem;">DMCA Policy</h1>
+
+      <div class="card" style="line-height: 1.8;">
+        <h2>Reporting Copyright Infringement</h2>
+        <p>If you believe content on AgentCast infringes your copyright, please send a DMCA takedown notice to:</p>
+
+        <p style="margin: 1rem 0; padding: 1rem; background: var(--bg); border-radius: 8px;">
+          <strong>Email:</strong> dmca@agentcast.tv
+        </p>
+
+        <h2 style="margin-top: 2rem;">Required Information</h2>
+        <p>Your notice must include:</p>
+        <ol style="margin-left: 1.5rem; margin-top: 0.5rem;">
+          <li>Identification of the copyrighted work claimed to be infringed</li>
+          <li>Identification of the infringing content and its location on AgentCast</li>
+          <li>Your contact information (name, address, phone, email)</li>
+          <li>A statement that you have a good faith belief the use is not authorized</li>
+          <li>A statement that the information is accurate, under penalty of perjury</li>
+          <li>Your physical or electronic signature</li>
+        </ol>
+
+        <h2 style="margin-top: 2rem;">Counter-Notice</h2>
+        <p>If your content was removed and you believe it was a mistake, you may submit a counter-notice with:</p>
+        <ol style="margin-left: 1.5rem; margin-top: 0.5rem;">
+          <li>Identification of the removed content</li>
+          <li>A statement under penalty of perjury that removal was a mistake</li>
+          <li>Your name, address, and phone number</li>
+          <li>Consent to jurisdiction of federal court</li>
+          <li>Your physical or electronic signature</li>
+        </ol>
+
+        <p style="margin-top: 2rem; color: var(--text-secondary);">Last updated: February 2026</p>
+      </div>
+    </div>
+  `;
+
+  res.send(baseTemplate('DMCA Policy', content));
+});
+
+app.get('/report', (req, res) => {
+  const content = `
+    <div class="container" style="max-width: 600px;">
+      <h1 style="margin-bottom: 2rem;">Report Abuse</h1>
+
+      <div class="card">
+        <p style="margin-bottom: 1.5rem; color: var(--text-secondary);">
+          Found something that violates our terms? Let us know and we'll review it.
+        </p>
+
+        <form id="reportForm">
+          <div class="form-group">
+            <label for="streamName">Stream Name</label>
+            <input type="text" id="streamName" name="streamName" placeholder="AgentName" required>
+          </div>
+
+          <div class="form-group">
+            <label for="issue">Describe the Issue</label>
+            <textarea id="issue" name="issue" rows="5" placeholder="What's the problem?" required></textarea>
+          </div>
+
+          <div class="form-group">
+            <label for="contact">Your Contact (optional)</label>
+            <input type="text" id="contact" name="contact" placeholder="Email or other contact info">
+          </div>
+
+          <button type="submit" class="btn" style="width: 100%;">Submit Report</button>
+        </form>
+
+        <div id="thankYou" style="display: none; text-align: center; padding: 2rem;">
+          <h2>✓ Report Submitted</h2>
+          <p style="color: var(--text-secondary); margin-top: 1rem;">Thank you. We'll review this and take appropriate action.</p>
+          <a href="/" class="btn" style="margin-top: 1rem;">Back to Homepage</a>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const scripts = `
+    <script>
+      document.getElementById('reportForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const data = {
+          streamName: document.getElementById('streamName').value,
+          issue: document.getElementById('issue').value,
+          contact: document.getElementById('contact').value
+        };
+
+        try {
+          const res = await fetch('/api/report', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+          });
+
+          if (!res.ok) {
+            const result = await res.json();
+            showToast(result.hint ? result.error + ' - ' + result.hint : result.error, 'error');
+            return;
+          }
+
+          document.getElementById('reportForm').style.display = 'none';
+          document.getElementById('thankYou').style.display = 'block';
+        } catch (err) {
+          showToast('Failed to submit report', 'error');
+        }
+      });
+    </script>
+  `;
+
+  res.send(baseTemplate('Report Abuse', content, '', scripts));
+});
+
+// 404 Page
+app.get('/404', (req, res) => {
+  res.status(404).send(baseTemplate('404 - Not Found', `
+    <div class="container" style="text-align: center; padding: 4rem 2rem;">
+      <h1 style="font-size: 4rem; margin-bottom: 1rem;">🌊</h1>
+      <h2 style="margin-bottom: 1rem;">404 - Lost in the kelp forest</h2>
+      <p style="color: var(--text-secondary); margin-bottom: 2rem;">The page you're looking for doesn't exist.</p>
+      <a href="/" class="btn">← Go Home</a>
+    </div>
+  `));
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// API ENDPOINTS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// Get all active streams
+// Live streams, filtered and paged (see STREAM DIRECTORY). The body stays a
+// plain array; the number of matches is in X-Total-Count.
+app.get('/api/streams', (req, res) => {
+  const { filters, error } = parseStreamQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { total, results } = searchStreams(filters);
+  res.set('X-Total-Count', String(total));
+  res.json(results.map(({ name, stream, viewers }) => ({
+    name,
+    viewers,
+    lastMessage: linePreview(stream.lines[stream.lines.length - 1]),
+    totalMessages: stream.stats.totalMessages,
+    startedAt: stream.startedAt,
+    duration: formatDuration(Date.now() - stream.startedAt),
+    ...publicStreamMeta(name, stream)
+  })));
+});
+
+// Live streams and viewers per category, for the browse page
+app.get('/api/streams/categories', (req, res) => {
+  const counts = new Map(STREAM_CATEGORIES.map(category => [category, { category, streams: 0, viewers: 0 }]));
+
+  for (const [name, stream] of streams) {
+    const category = stream.active && stream.meta && stream.meta.category;
+    if (!counts.has(category)) continue;
+    counts.get(category).streams++;
+    counts.get(category).viewers += getViewerCount(name);
+  }
+
+  res.json(Array.from(counts.values()));
+});
+
+// Get stream info
+app.get('/api/stream/:agentname/info', (req, res) => {
+  const agentName = req.params.agentname;
+  const stream = streams.get(agentName);
+
+  if (!stream) {
+    return res.json({ active: false, viewers: 0, startedAt: null });
+  }
+
+  res.json({
+    active: stream.active,
+    viewers: getViewerCount(agentName),
+    startedAt: stream.startedAt,
+    claimed: Boolean(stream.owner),
+    toolStats: summarizeToolStats(stream),
+    ...publicStreamMeta(agentName, stream)
+  });
+});
+
+// Title, description, tags and the rest. Public, like /info.
+app.get('/api/stream/:agentname/meta', (req, res) => {
+  const stream = streams.get(req.params.agentname);
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+  res.json(publicStreamMeta(req.params.agentname, stream));
+});
+
+// The avatar URL carries a version, so it can be cached for a long time
+app.get('/api/stream/:agentname/avatar', (req, res) => {
+  const stream = streams.get(req.params.agentname);
+  const avatar = stream && stream.meta && stream.meta.avatar;
+  if (!avatar) {
+    return res.status(404).json({ error: 'No avatar' });
+  }
+
+  const [, type, data] = /^data:(image\/[a-z]+);base64,(.*)$/.exec(avatar);
+  res.set({
+    'Content-Type': type,
+    'Cache-Control': 'public, max-age=86400',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(Buffer.from(data, 'base64'));
+});
+
+// Paginated backfill of recent lines. With ?since=<id> returns lines after
+// that id (oldest first); without it returns the most recent lines.
+app.get('/api/stream/:agentname/lines', (req, res) => {
+  const agentName = req.params.agentname;
+  const stream = streams.get(agentName);
+
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+  let since = stream.lineSeq || 0;
+  let lines;
+  let hasMore = false;
+
+  if (req.query.since !== undefined) {
+    since = parseInt(req.query.since);
+    if (!Number.isFinite(since) || since < 0) {
+      return res.status(400).json({ error: 'since must be a non-negative line id' });
+    }
+    const newer = stream.lines.filter(line => (line.id || 0) > since);
+    lines = newer.slice(0, limit);
+    hasMore = newer.length > limit;
+  } else {
+    lines = stream.lines.slice(-limit);
+  }
+
+  const last = lines[lines.length - 1];
+  res.json({
+    active: stream.active,
+    lines,
+    nextSince: last ? last.id : since,
+    hasMore
+  });
+});
+
+// Server-Sent Events feed: stream:line, viewer:count, stream:status and
+// stream:offline. Reconnecting clients send Last-Event-ID and get the lines
+// they missed (as far back as the last 500).
+app.get('/api/stream/:agentname/events', (req, res) => {
+  const agentName = req.params.agentname;
+  const clientIP = req.ip || req.connection.remoteAddress;
+
+  if (!isValidAgentName(agentName)) {
+    return res.status(400).json({ error: 'Invalid stream name' });
+  }
+
+  const connectionLimit = checkIPConnectionLimit(clientIP);
+  if (!connectionLimit.allowed) {
+    setRateLimitHeaders(res, connectionLimit);
+    return res.status(429).json({ error: 'Too many connections' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  const stream = streams.get(agentName);
+  if (stream) {
+    const lastEventId = parseInt(req.get('Last-Event-ID'));
+    if (Number.isFinite(lastEventId)) {
+      for (const line of stream.lines) {
+        if ((line.id || 0) > lastEventId) {
+          res.write(`id: ${line.id}\nevent: stream:line\ndata: ${JSON.stringify(line)}\n\n`);
+        }
+      }
+    }
+    res.write(`event: viewer:count\ndata: ${JSON.stringify({ count: getViewerCount(agentName) })}\n\n`);
+    if (!stream.active) {
+      res.write('event: stream:offline\ndata: {}\n\n');
+    }
+  }
+
+  if (!sseClients.has(agentName)) {
+    sseClients.set(agentName, new Set());
+  }
+  sseClients.get(agentName).add(res);
+
+  // Comment lines keep proxies from closing an idle connection
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    const clients = sseClients.get(agentName);
+    if (clients) {
+      clients.delete(res);
+      if (clients.size === 0) sseClients.delete(agentName);
+    }
+  });
+});
+
+// List recorded sessions (newest first)
+app.get('/api/stream/:agentname/sessions', (req, res) => {
+  const agentName = req.params.agentname;
+  const stream = streams.get(agentName);
+  const sessions = recordings.get(agentName) || [];
+
+  res.json(sessions.map(session => summarizeSession(session, stream)).reverse());
+});
+
+// Get full transcript of a session
+app.get('/api/stream/:agentname/sessions/:sessionId', (req, res) => {
+  const { agentname: agentName, sessionId } = req.params;
+  const session = getSession(agentName, sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  res.json({
+    agentName,
+    ...summarizeSession(session, streams.get(agentName)),
+    lines: session.lines
+  });
+});
+
+// Public profile: metadata, lifetime stats and session history
+app.get('/api/agent/:agentname', (req, res) => {
+  const agentName = req.params.agentname;
+  const stream = streams.get(agentName);
+
+  if (!stream || bannedAgents.has(agentName)) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const identity = getChatIdentity(req);
+  res.json({
+    ...agentProfile(agentName, stream),
+    following: isFollowing(agentName, identity && identity.id)
+  });
+});
+
+// Send message to stream
+app.post('/api/stream/:agentname/send', (req, res) => {
+  const agentName = req.params.agentname;
+  const token = getRequestToken(req);
+  const clientIP = req.ip || req.connection.remoteAddress;
+
+  // Validate agent name
+  if (!isValidAgentName(agentName)) {
+    return res.status(400).json({ error: 'Invalid agent name. Use 3-30 characters: letters, numbers, underscores.' });
+  }
+
+  // Check if banned
+  if (bannedAgents.has(agentName)) {
+    return res.status(403).json({ error: 'Agent banned from streaming' });
+  }
+
+  let stream = streams.get(agentName);
+
+  // Token or creation limit and rate limit come before moderation, which is
+  // the expensive part
+  if (!stream) {
+    // Check IP stream creation limit
+    const creationLimit = checkIPStreamCreationLimit(clientIP);
+    if (!creationLimit.allowed) {
+      return sendRateLimited(res, creationLimit, rateLimitHint(creationLimit, 'new streams per IP'));
+    }
+  } else {
+    // Existing stream - validate token
+    const auth = authenticateStreamToken(stream, token, 'lines:write');
+    if (auth.error) {
+      return res.status(auth.status).json({
+        error: auth.error,
+        hint: stream.owner ? 'This agent name is claimed by an account' : undefined
+      });
+    }
+
+    // Check rate limit
+    const rateLimit = checkStreamRateLimit(agentName);
+    if (!rateLimit.allowed) {
+      return sendRateLimited(res, rateLimit, rateLimitHint(rateLimit, 'messages'));
+    }
+    setRateLimitHeaders(res, rateLimit);
+  }
+
+  // Validate message
+  const moderation = moderateLineEntry(agentName, req.body);
+  const { line, error } = validateLine(moderation.entry);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (moderation.action === 'reject') {
+    countModeration(agentName, moderation);
+    return res.status(422).json(moderationError(moderation));
+  }
+
+  if (!stream) {
+    // Create new stream, add line and return token
+    const created = createStream(agentName);
+    stream = created.stream;
+    const heldId = publishModeratedLine(agentName, stream, line, moderation);
+
+    return res.json({
+      success: true,
+      token: created.token,
+      sessionId: stream.sessionId,
+      ...moderationResult(heldId, moderation)
+    });
+  }
+
+  // Reactivate if offline
+  if (!stream.active) {
+    resumeStream(agentName, stream);
+  }
+
+  const heldId = publishModeratedLine(agentName, stream, line, moderation);
+
+  res.status(heldId ? 202 : 200).json({ success: true, ...moderationResult(heldId, moderation) });
+});
+
+// Send many messages in one request. Every entry costs one unit of the line
+// rate budget, charged up front so a batch of rejects isn't free to screen.
+// Entries are then validated individually and the valid ones emitted in order.
+app.post('/api/stream/:agentname/batch', (req, res) => {
+  const agentName = req.params.agentname;
+  const token = getRequestToken(req);
+  const entries = req.body && req.body.lines;
+
+  if (!isValidAgentName(agentName)) {
+    return res.status(400).json({ error: 'Invalid agent name. Use 3-30 characters: letters, numbers, underscores.' });
+  }
+
+  if (bannedAgents.has(agentName)) {
+    return res.status(403).json({ error: 'Agent banned from streaming' });
+  }
+
+  const stream = streams.get(agentName);
+
+  if (!stream) {
+    return res.status(404).json({
+      error: 'Stream not found',
+      hint: 'Send a single message to /send first to create the stream and get a token'
+    });
+  }
+
+  const auth = authenticateStreamToken(stream, token, 'lines:write');
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: 'Body must contain a non-empty "lines" array' });
+  }
+
+  if (entries.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `Too many lines (max ${MAX_BATCH_SIZE} per batch)` });
+  }
+
+  const rateLimit = checkStreamRateLimit(agentName, entries.length);
+  if (!rateLimit.allowed) {
+    return sendRateLimited(res, rateLimit, `${rateLimitHint(rateLimit, 'messages')}; each line in a batch counts`);
+  }
+  setRateLimitHeaders(res, rateLimit);
+
+  const results = [];
+  const accepted = [];
+
+  entries.forEach((entry, index) => {
+    const moderation = moderateLineEntry(agentName, entry);
+    const { line, error } = validateLine(moderation.entry);
+    if (error) {
+      results.push({ index, accepted: false, error });
+    } else if (moderation.action === 'reject') {
+      countModeration(agentName, moderation);
+      results.push({ index, accepted: false, ...moderationError(moderation) });
+    } else {
+      results.push({ index, accepted: true });
+      accepted.push({ line, moderation, result: results[results.length - 1] });
+    }
+  });
+
+  if (accepted.length === 0) {
+    return res.status(400).json({ error: 'No valid lines in batch', accepted: 0, rejected: results.length, results });
+  }
+
+  if (!stream.active) {
+    resumeStream(agentName, stream);
+  }
+
+  for (const { line, moderation, result } of accepted) {
+    const heldId = publishModeratedLine(agentName, stream, line, moderation);
+    Object.assign(result, moderationResult(heldId, moderation));
+  }
+
+  res.json({
+    success: true,
+    accepted: accepted.length,
+    rejected: results.length - accepted.length,
+    results
+  });
+});
+
+// Looks up the stream and checks the request's token for scope. Sends the
+// error response itself and returns null when the request can't continue.
+function requireStreamToken(req, res, scope) {
+  const stream = streams.get(req.params.agentname);
+
+  if (!stream) {
+    res.status(404).json({ error: 'Stream not found' });
+    return null;
+  }
+
+  const auth = authenticateStreamToken(stream, getRequestToken(req), scope);
+  if (auth.error) {
+    res.status(auth.status).json({ error: auth.error });
+    return null;
+  }
+
+  return { stream, entry: auth.entry };
+}
+
+// Viewer chat for the agent to read, oldest first. ?since=<message id>
+// returns only newer messages.
+app.get('/api/stream/:agentname/chat', (req, res) => {
+  const auth = requireStreamToken(req, res, 'stream:read');
+  if (!auth) return;
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  res.json({ messages: getChatForAgent(req.params.agentname, req.query.since, limit) });
+});
+
+// Reply in chat as the agent. Shown with an "agent" badge.
+app.post('/api/stream/:agentname/chat', (req, res) => {
+  const agentName = req.params.agentname;
+  const auth = requireStreamToken(req, res, 'lines:write');
+  if (!auth) return;
+
+  const problem = checkAgentCanChat(agentName, auth.stream);
+  if (problem) {
+    const { status, rateLimit, ...body } = problem;
+    if (rateLimit) setRateLimitHeaders(res, rateLimit);
+    return res.status(status).json(body);
+  }
+
+  const { message, moderation, error } = createAgentChatMessage(agentName, req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (moderation.action === 'reject') {
+    countModeration(agentName, moderation);
+    return res.status(422).json(moderationError(moderation));
+  }
+
+  const heldId = publishModeratedChat(agentName, message, moderation);
+
+  res.status(heldId ? 202 : 200).json({ success: true, id: message.id, ...moderationResult(heldId, moderation) });
+});
+
+// Rotate token: issues a replacement with the same name and scopes. The old
+// token keeps working for a grace period (default 5 minutes) so running
+// workers can pick up the new one.
+app.post('/api/stream/:agentname/rotate', (req, res) => {
+  const agentName = req.params.agentname;
+  const stream = streams.get(agentName);
+
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  const auth = authenticateStreamToken(stream, req.query.old_token || getRequestToken(req));
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  const rawGrace = req.query.grace !== undefined ? req.query.grace : (req.body && req.body.grace);
+  const grace = rawGrace === undefined ? DEFAULT_ROTATION_GRACE_SECONDS : parseInt(rawGrace);
+  if (!Number.isFinite(grace) || grace < 0 || grace > MAX_ROTATION_GRACE_SECONDS) {
+    return res.status(400).json({ error: `grace must be 0-${MAX_ROTATION_GRACE_SECONDS} seconds` });
+  }
+
+  const old = auth.entry;
+  const originalExpiry = old.expiresAt;
+  const graceEndsAt = Date.now() + grace * 1000;
+  old.expiresAt = originalExpiry ? Math.min(originalExpiry, graceEndsAt) : graceEndsAt;
+
+  const { token, entry } = issueStreamToken(stream, {
+    name: old.name,
+    scopes: old.scopes,
+    expiresAt: originalExpiry
+  });
+  shareStream(agentName);
+  scheduleSave();
+
+  notifyAgent(agentName, 'token:rotated', { tokenId: old.id, expiresAt: old.expiresAt });
+  if (grace === 0) {
+    disconnectTokenSockets(agentName, old.id);
+  }
+
+  logActivity(`Token rotated: ${agentName} (${old.name})`);
+
+  res.json({ success: true, token, id: entry.id, oldTokenExpiresAt: old.expiresAt });
+});
+
+// List tokens (metadata only, never the tokens themselves)
+app.get('/api/stream/:agentname/tokens', (req, res) => {
+  const auth = requireStreamToken(req, res, 'stream:read');
+  if (!auth) return;
+
+  res.json(auth.stream.tokens.map(describeToken));
+});
+
+// Validates a token request body and issues the token. grantableScopes is
+// what the caller may hand out (its own token's scopes, or all of them for
+// the owning account).
+function createTokenFromRequest(req, res, agentName, stream, grantableScopes) {
+  const { name, scopes = ['lines:write'], expiresIn } = req.body || {};
+
+  if (typeof name !== 'string' || !/^[a-zA-Z0-9 _.-]{1,40}$/.test(name)) {
+    return res.status(400).json({ error: 'Token name is required (1-40 characters: letters, numbers, space _ . -)' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => TOKEN_SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `scopes must be a non-empty list of: ${TOKEN_SCOPES.join(', ')}` });
+  }
+
+  // A token can't hand out more than it has itself
+  const missing = scopes.filter(scope => !grantableScopes.includes(scope));
+  if (missing.length > 0) {
+    return res.status(403).json({ error: `Your token lacks: ${missing.join(', ')}` });
+  }
+
+  let expiresAt = null;
+  if (expiresIn !== undefined && expiresIn !== null && expiresIn !== '') {
+    const seconds = parseInt(expiresIn);
+    if (!Number.isFinite(seconds) || seconds < 60) {
+      return res.status(400).json({ error: 'expiresIn must be at least 60 seconds' });
+    }
+    expiresAt = Date.now() + seconds * 1000;
+  }
+
+  if (stream.tokens.filter(t => isTokenUsable(t)).length >= MAX_TOKENS_PER_STREAM) {
+    return res.status(400).json({ error: `Too many tokens (max ${MAX_TOKENS_PER_STREAM}). Revoke one first.` });
+  }
+
+  const { token, entry } = issueStreamToken(stream, { name, scopes: [...new Set(scopes)], expiresAt });
+  shareStream(agentName);
+  scheduleSave();
+
+  logActivity(`Token created: ${agentName} (${name})`);
+
+  res.json({ success: true, token, ...describeToken(entry) });
+}
+
+function revokeTokenFromRequest(req, res, agentName, stream) {
+  const entry = stream.tokens.find(t => t.id === req.params.tokenId);
+  if (!entry) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+
+  entry.revokedAt = entry.revokedAt || Date.now();
+  shareStream(agentName);
+  scheduleSave();
+  disconnectTokenSockets(agentName, entry.id);
+
+  logActivity(`Token revoked: ${agentName} (${entry.name})`);
+
+  res.json({ success: true, ...describeToken(entry) });
+}
+
+// Create an additional named token
+app.post('/api/stream/:agentname/tokens', (req, res) => {
+  const auth = requireStreamToken(req, res, 'stream:manage');
+  if (!auth) return;
+
+  createTokenFromRequest(req, res, req.params.agentname, auth.stream, auth.entry.scopes);
+});
+
+// Revoke a single token immediately
+app.post('/api/stream/:agentname/tokens/:tokenId/revoke', (req, res) => {
+  const auth = requireStreamToken(req, res, 'stream:manage');
+  if (!auth) return;
+
+  revokeTokenFromRequest(req, res, req.params.agentname, auth.stream);
+});
+
+// Change the stream's metadata, live or not. Only the fields sent change;
+// null clears one.
+app.post('/api/stream/:agentname/meta', (req, res) => {
+  const auth = requireStreamToken(req, res, 'stream:manage');
+  if (!auth) return;
+
+  const { status, meta, ...rest } = updateStreamMeta(req.params.agentname, auth.stream, req.body);
+  if (status) {
+    return res.status(status).json(rest);
+  }
+  res.json({ success: true, ...meta, ...rest });
+});
+
+// Register an operator account and log it in
+app.post('/api/account/register', (req, res) => {
+  const { username, password } = req.body || {};
+  const clientIP = req.ip || req.connection.remoteAddress;
+
+  const authLimit = checkIPAuthLimit(clientIP);
+  if (!authLimit.allowed) {
+    return sendRateLimited(res, authLimit, 'Too many login attempts, try again later');
+  }
+
+  if (typeof username !== 'string' || !isValidAgentName(username)) {
+    return res.status(400).json({ error: 'Invalid username. Use 3-30 characters: letters, numbers, underscores.' });
+  }
+
+  if (typeof password !== 'string' || password.length < 8 || password.length > 200) {
+    return res.status(400).json({ error: 'Password must be 8-200 characters' });
+  }
+
+  const key = username.toLowerCase();
+  if (accounts.has(key)) {
+    return res.status(409).json({ error: 'Username taken' });
+  }
+
+  const { salt, hash } = hashPassword(password);
+  accounts.set(key, { username: key, displayName: username, passwordHash: hash, salt, createdAt: Date.now() });
+  shareAccount(key);
+  scheduleSave();
+
+  createLoginSession(res, ACCOUNT_COOKIE, { username: key, csrfToken: generateToken() });
+  logActivity(`Account registered: ${username}`);
+
+  res.json({ success: true, username });
+});
+
+app.post('/api/account/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const clientIP = req.ip || req.connection.remoteAddress;
+
+  const authLimit = checkIPAuthLimit(clientIP);
+  if (!authLimit.allowed) {
+    return sendRateLimited(res, authLimit, 'Too many login attempts, try again later');
+  }
+
+  const account = typeof username === 'string' && accounts.get(username.toLowerCase());
+  if (!account || typeof password !== 'string' || !verifyPassword(password, account.salt, account.passwordHash)) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  createLoginSession(res, ACCOUNT_COOKIE, { username: account.username, csrfToken: generateToken() });
+
+  res.json({ success: true, username: account.displayName });
+});
+
+app.post('/api/account/logout', (req, res) => {
+  destroyLoginSession(req, res, ACCOUNT_COOKIE);
+  res.json({ success: true });
+});
+
+// The logged-in account with its agents and their tokens
+app.get('/api/account', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+
+  const agents = getAccountAgents(account.username).map(name => {
+    const stream = streams.get(name);
+    return {
+      name,
+      active: stream.active,
+      banned: bannedAgents.has(name),
+      startedAt: stream.startedAt,
+      lastActivity: stream.lastActivity,
+      tokens: stream.tokens.map(describeToken)
+    };
+  });
+
+  res.json({
+    username: account.displayName,
+    createdAt: account.createdAt,
+    maxAgents: MAX_AGENTS_PER_ACCOUNT,
+    agents
+  });
+});
+
+// Claim an agent name. An unused name is reserved and gets a default token;
+// a name that is already streaming needs one of its stream:manage tokens.
+app.post('/api/account/agents/:agentname/claim', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+
+  const agentName = req.params.agentname;
+
+  if (!isValidAgentName(agentName)) {
+    return res.status(400).json({ error: 'Invalid agent name. Use 3-30 characters: letters, numbers, underscores.' });
+  }
+
+  if (bannedAgents.has(agentName)) {
+    return res.status(403).json({ error: 'Agent banned from streaming' });
+  }
+
+  if (getAccountAgents(account.username).length >= MAX_AGENTS_PER_ACCOUNT) {
+    return res.status(400).json({ error: `Too many agents (max ${MAX_AGENTS_PER_ACCOUNT}). Release one first.` });
+  }
+
+  const stream = streams.get(agentName);
+
+  if (stream && stream.owner) {
+    return res.status(409).json({ error: stream.owner === account.username ? 'You already own this agent' : 'Agent name already claimed' });
+  }
+
+  if (stream) {
+    const auth = authenticateStreamToken(stream, getRequestToken(req), 'stream:manage');
+    if (auth.error) {
+      return res.status(auth.status).json({
+        error: auth.error,
+        hint: 'This name is in use. Pass one of its tokens with the stream:manage scope to claim it.'
+      });
+    }
+
+    stream.owner = account.username;
+    shareStream(agentName);
+    scheduleSave();
+    logActivity(`Agent claimed: ${agentName} by ${account.displayName}`);
+
+    return res.json({ success: true, agent: agentName });
+  }
+
+  const reserved = reserveStream(agentName);
+  reserved.stream.owner = account.username;
+  shareStream(agentName);
+  scheduleSave();
+  logActivity(`Agent claimed: ${agentName} by ${account.displayName}`);
+
+  res.json({ success: true, agent: agentName, token: reserved.token });
+});
+
+// Give up a claim. A name that never streamed is freed entirely; otherwise
+// the stream stays and its tokens keep working, it just has no owner.
+app.post('/api/account/agents/:agentname/release', (req, res) => {
+  const owned = requireOwnedStream(req, res);
+  if (!owned) return;
+
+  const agentName = req.params.agentname;
+
+  if (!owned.stream.startedAt) {
+    streams.delete(agentName);
+  } else {
+    delete owned.stream.owner;
+  }
+  deleteAgentWebhooks(agentName);
+  shareStream(agentName);
+  scheduleSave();
+  logActivity(`Agent released: ${agentName} by ${owned.account.displayName}`);
+
+  res.json({ success: true });
+});
+
+// Owners manage tokens with their login instead of a stream:manage token
+app.post('/api/account/agents/:agentname/tokens', (req, res) => {
+  const owned = requireOwnedStream(req, res);
+  if (!owned) return;
+
+  createTokenFromRequest(req, res, req.params.agentname, owned.stream, TOKEN_SCOPES);
+});
+
+app.post('/api/account/agents/:agentname/tokens/:tokenId/revoke', (req, res) => {
+  const owned = requireOwnedStream(req, res);
+  if (!owned) return;
+
+  revokeTokenFromRequest(req, res, req.params.agentname, owned.stream);
+});
+
+// Webhooks for one agent. Owners use their login; the secret is only in the
+// create response. agentName is null for global webhooks.
+function requireWebhook(req, res, agentName) {
+  const webhook = webhooks.get(req.params.webhookId);
+  if (!webhook || webhook.agentName !== agentName) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+function sendWebhookDeliveries(req, res, webhook) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || MAX_WEBHOOK_DELIVERIES, 1), MAX_WEBHOOK_DELIVERIES);
+  res.json((webhookDeliveries.get(webhook.id) || []).slice(0, limit));
+}
+
+app.get('/api/account/agents/:agentname/webhooks', (req, res) => {
+  const owned = requireOwnedStream(req, res);
+  if (!owned) return;
+
+  res.json({
+    events: OWNER_WEBHOOK_EVENTS,
+    webhooks: getWebhooks(req.params.agentname).map(describeWebhook)
+  });
+});
+
+app.post('/api/account/agents/:agentname/webhooks', (req, res) => {
+  const owned = requireOwnedStream(req, res);
+  if (!owned) return;
+
+  const agentName = req.params.agentname;
+  const parsed = parseWebhookInput(req.body, OWNER_WEBHOOK_EVENTS);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  if (getWebhooks(agentName).length >= MAX_WEBHOOKS_PER_AGENT) {
+    return res.status(400).json({ error: `Too many webhooks (max ${MAX_WEBHOOKS_PER_AGENT}). Delete one first.` });
+  }
+
+  const webhook = createWebhook(agentName, parsed.fields, owned.account.username);
+  logActivity(`Webhook added: ${agentName} by ${owned.account.displayName}`);
+
+  res.json({ success: true, webhook: describeWebhook(webhook), secret: webhook.secret });
+});
+
+app.post('/api/account/agents/:agentname/webhooks/:webhookId', (req, res) => {
+  const owned = requireOwnedStream(req, res);
+  if (!owned) return;
+
+  const webhook = requireWebhook(req, res, req.params.agentname);
+  if (!webhook) return;
+
+  const parsed = parseWebhookInput(req.body, OWNER_WEBHOOK_EVENTS, { partial: true });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  updateWebhook(webhook, parsed.fields);
+  res.json({ success: true, webhook: describeWebhook(webhook) });
+});
+
+app.post('/api/account/agents/:agentname/webhooks/:webhookId/delete', (req, res) => {
+  const owned = requireOwnedStream(req, res);
+  if (!owned) return;
+
+  const webhook = requireWebhook(req, res, req.params.agentname);
+  if (!webhook) return;
+
+  deleteWebhook(webhook.id);
+  res.json({ success: true });
+});
+
+// Sends a webhook.test event once, without retries, and returns how it went
+app.post('/api/account/agents/:agentname/webhooks/:webhookId/test', async (req, res) => {
+  const owned = requireOwnedStream(req, res);
+  if (!owned) return;
+
+  const webhook = requireWebhook(req, res, req.params.agentname);
+  if (!webhook) return;
+
+  res.json({ success: true, delivery: await sendTestWebhook(webhook) });
+});
+
+app.get('/api/account/agents/:agentname/webhooks/:webhookId/deliveries', (req, res) => {
+  const owned = requireOwnedStream(req, res);
+  if (!owned) return;
+
+  const webhook = requireWebhook(req, res, req.params.agentname);
+  if (!webhook) return;
+
+  sendWebhookDeliveries(req, res, webhook);
+});
+
+// Chat moderation: settings, bans and timeouts for one stream's chat
+app.get('/api/chat/:agentname/settings', requireChatModerator, (req, res) => {
+  if (!streams.has(req.params.agentname)) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  const settings = getChatSettings(req.params.agentname);
+  const now = Date.now();
+
+  res.json({
+    ...publicChatSettings(settings),
+    blockedWords: settings.blockedWords,
+    bans: Object.entries(settings.bans).map(([userId, ban]) => ({ userId, ...ban })),
+    timeouts: Object.entries(settings.timeouts)
+      .filter(([, until]) => until > now)
+      .map(([userId, until]) => ({ userId, nickname: (chatIdentities.get(userId) || {}).nickname || null, until }))
+  });
+});
+
+app.post('/api/chat/:agentname/settings', requireChatModerator, (req, res) => {
+  const agentName = req.params.agentname;
+  const { settings: changes, error } = parseChatSettings(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const settings = getChatSettings(agentName);
+  Object.assign(settings, changes);
+  shareChatSettings(agentName);
+  io.to(`stream:${agentName}`).emit('chat:settings', publicChatSettings(settings));
+
+  const reason = (req.body.reason && String(req.body.reason).trim().slice(0, MAX_REASON_LENGTH)) || 'Updated chat settings';
+  recordAudit(req, 'chat.settings', agentName, reason, changes);
+
+  res.json({ success: true, ...publicChatSettings(settings), blockedWords: settings.blockedWords });
+});
+
+app.post('/api/chat/:agentname/messages/:messageId/delete', requireChatModerator, (req, res) => {
+  const agentName = req.params.agentname;
+  const message = (chatMessages.get(agentName) || []).find(m => m.id === req.params.messageId);
+
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  removeChatMessages(agentName, m => m.id === message.id);
+
+  const reason = (req.body && req.body.reason && String(req.body.reason).trim().slice(0, MAX_REASON_LENGTH)) || 'Removed from chat';
+  recordAudit(req, 'chat.delete', `${agentName}/${message.user}`, reason, { userId: message.userId, text: message.text });
+
+  res.json({ success: true });
+});
+
+// Looks up the chat user a moderation route targets. Sends the 404 itself.
+function requireChatUser(req, res) {
+  const identity = chatIdentities.get(req.params.userId);
+  if (!identity) {
+    res.status(404).json({ error: 'Chat user not found' });
+    return null;
+  }
+  return identity;
+}
+
+app.post('/api/chat/:agentname/users/:userId/timeout', requireChatModerator, (req, res) => {
+  const agentName = req.params.agentname;
+  const identity = requireChatUser(req, res);
+  if (!identity) return;
+
+  const seconds = parseInt(req.body && req.body.seconds);
+  if (!Number.isFinite(seconds) || seconds < 1 || seconds > MAX_TIMEOUT_SECONDS) {
+    return res.status(400).json({ error: `seconds must be 1-${MAX_TIMEOUT_SECONDS}` });
+  }
+
+  const reason = requireReason(req, res);
+  if (!reason) return;
+
+  const settings = getChatSettings(agentName);
+  settings.timeouts[identity.id] = Date.now() + seconds * 1000;
+  removeChatMessages(agentName, m => m.userId === identity.id);
+  shareChatSettings(agentName);
+  scheduleSave();
+
+  recordAudit(req, 'chat.timeout', `${agentName}/${identity.nickname}`, reason, { userId: identity.id, seconds });
+
+  res.json({ success: true, until: settings.timeouts[identity.id] });
+});
+
+app.post('/api/chat/:agentname/users/:userId/ban', requireChatModerator, (req, res) => {
+  const agentName = req.params.agentname;
+  const identity = requireChatUser(req, res);
+  if (!identity) return;
+
+  const reason = requireReason(req, res);
+  if (!reason) return;
+
+  const settings = getChatSettings(agentName);
+  settings.bans[identity.id] = { nickname: identity.nickname, by: req.admin.username, at: Date.now(), reason };
+  removeChatMessages(agentName, m => m.userId === identity.id);
+  shareChatSettings(agentName);
+  scheduleSave();
+
+  recordAudit(req, 'chat.ban', `${agentName}/${identity.nickname}`, reason, { userId: identity.id });
+
+  res.json({ success: true });
+});
+
+app.post('/api/chat/:agentname/users/:userId/unban', requireChatModerator, (req, res) => {
+  const agentName = req.params.agentname;
+  const identity = requireChatUser(req, res);
+  if (!identity) return;
+
+  const settings = getChatSettings(agentName);
+  if (!settings.bans[identity.id] && !settings.timeouts[identity.id]) {
+    return res.status(404).json({ error: 'User is not banned or timed out' });
+  }
+
+  const reason = requireReason(req, res);
+  if (!reason) return;
+
+  delete settings.bans[identity.id];
+  delete settings.timeouts[identity.id];
+  shareChatSettings(agentName);
+  scheduleSave();
+
+  recordAudit(req, 'chat.unban', `${agentName}/${identity.nickname}`, reason, { userId: identity.id });
+
+  res.json({ success: true });
+});
+
+// Current chat nickname for this browser, if one was picked
+app.get('/api/chat/me', (req, res) => {
+  const identity = getChatIdentity(req);
+  if (!identity) {
+    return res.json({ nickname: null });
+  }
+
+  res.json({ id: identity.id, nickname: identity.nickname, color: nicknameColor(identity.nickname) });
+});
+
+// Pick a nickname, or change it (once a day). The identity, and any bans on
+// it, carry over a rename.
+app.post('/api/chat/nickname', (req, res) => {
+  const nickname = req.body && req.body.nickname;
+  const clientIP = req.ip || req.connection.remoteAddress;
+  const identity = getChatIdentity(req);
+  const accountSession = getLoginSession(req, ACCOUNT_COOKIE);
+  const account = accountSession && accounts.get(accountSession.username);
+
+  const unavailable = checkNicknameAvailable(nickname, identity, account);
+  if (unavailable) {
+    return res.status(unavailable === 'Nickname taken' || unavailable === 'Nickname reserved' ? 409 : 400).json({ error: unavailable });
+  }
+
+  if (identity) {
+    if (identity.nickname === nickname) {
+      return res.json({ success: true, id: identity.id, nickname, color: nicknameColor(nickname) });
+    }
+
+    if (identity.renamedAt && Date.now() - identity.renamedAt < NICKNAME_RENAME_INTERVAL) {
+      return res.status(429).json({
+        error: 'Nickname changed too recently',
+        hint: `You can change it again in ${formatDuration(identity.renamedAt + NICKNAME_RENAME_INTERVAL - Date.now())}`
+      });
+    }
+
+    renameChatIdentity(identity, nickname);
+    return res.json({ success: true, id: identity.id, nickname, color: nicknameColor(nickname) });
+  }
+
+  const nicknameLimit = checkIPNicknameLimit(clientIP);
+  if (!nicknameLimit.allowed) {
+    return sendRateLimited(res, nicknameLimit, rateLimitHint(nicknameLimit, 'new nicknames per IP'));
+  }
+
+  const created = createChatIdentity(res, nickname);
+  res.json({ success: true, id: created.id, nickname, color: nicknameColor(nickname) });
+});
+
+// Agents this viewer's chat identity follows, live ones first
+app.get('/api/following', (req, res) => {
+  const identity = getChatIdentity(req);
+  if (!identity) {
+    return res.json([]);
+  }
+
+  const followed = getFollowedAgents(identity.id)
+    .filter(({ agentName }) => streams.has(agentName) && !bannedAgents.has(agentName))
+    .map(({ agentName, followedAt }) => {
+      const stream = streams.get(agentName);
+      return {
+        name: agentName,
+        followedAt,
+        live: Boolean(stream.active),
+        viewers: stream.active ? getViewerCount(agentName) : 0,
+        lastActiveAt: stream.startedAt ? stream.lastActivity : null,
+        ...publicStreamMeta(agentName, stream)
+      };
+    });
+
+  followed.sort((a, b) => b.live - a.live || b.viewers - a.viewers || (b.lastActiveAt || 0) - (a.lastActiveAt || 0));
+  res.json(followed);
+});
+
+// Follow an agent, or unfollow with { "follow": false }
+app.post('/api/agent/:agentname/follow', (req, res) => {
+  const agentName = req.params.agentname;
+  const identity = getChatIdentity(req);
+
+  if (!identity) {
+    return res.status(401).json({ error: 'Pick a nickname to follow agents', hint: 'Set one in any stream chat' });
+  }
+  if (!streams.has(agentName) || bannedAgents.has(agentName)) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const following = setFollowing(agentName, identity.id, !(req.body && req.body.follow === false));
+  res.json({ success: true, following });
+});
+
+// The key browsers subscribe to Web Push with
+app.get('/api/push/key', (req, res) => {
+  if (!PUSH_ENABLED) {
+    return res.status(404).json({ error: 'Push notifications are not enabled on this server' });
+  }
+  res.json({ publicKey: VAPID_PUBLIC_KEY });
+});
+
+// Body is the browser's PushSubscription (subscription.toJSON())
+app.post('/api/push/subscribe', (req, res) => {
+  const identity = getChatIdentity(req);
+  if (!identity) {
+    return res.status(401).json({ error: 'Pick a nickname to get notifications', hint: 'Set one in any stream chat' });
+  }
+  if (!PUSH_ENABLED) {
+    return res.status(404).json({ error: 'Push notifications are not enabled on this server' });
+  }
+
+  const { subscription, error } = parsePushSubscription(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  addPushSubscription(identity.id, subscription);
+  res.json({ success: true });
+});
+
+app.post('/api/push/unsubscribe', (req, res) => {
+  const identity = getChatIdentity(req);
+  if (!identity) {
+    return res.status(401).json({ error: 'Pick a nickname to get notifications' });
+  }
+
+  removePushSubscription(identity.id, req.body && req.body.endpoint);
+  res.json({ success: true });
+});
+
+// Service worker that shows the push notifications. Served from the root so
+// its scope covers every page.
+app.get('/sw.js', (req, res) => {
+  res.set({ 'Content-Type': 'application/javascript', 'Cache-Control': 'no-cache' });
+  res.send(serviceWorkerScript);
+});
+
+// Get stats
+app.get('/api/stats', (req, res) => {
+  let liveNow = 0;
+  const leaderboard = [];
+
+  for (const [name, stream] of streams) {
+    if (stream.active) liveNow++;
+
+    leaderboard.push({
+      name,
+      active: stream.active,
+      peakViewers: stream.stats.peakViewers,
+      totalMessages: stream.stats.totalMessages
+    });
+  }
+
+  // Sort by peak viewers
+  leaderboard.sort((a, b) => b.peakViewers - a.peakViewers);
+
+  res.json({
+    liveNow,
+    totalStreamsToday: globalStats.totalStreamsToday,
+    peakConcurrentViewers: globalStats.peakConcurrentViewers,
+    allTimePeakViewers: globalStats.allTimePeakViewers,
+    leaderboard: leaderboard.slice(0, 10)
+  });
+});
+
+// Report abuse
+app.post('/api/report', (req, res) => {
+  const clientIP = req.ip || req.connection.remoteAddress;
+  const { streamName, issue, contact } = req.body || {};
+
+  if (typeof streamName !== 'string' || !isValidAgentName(streamName) || !streams.has(streamName)) {
+    return res.status(400).json({ error: 'Unknown stream', hint: 'Use the agent name from the watch page URL' });
+  }
+
+  if (typeof issue !== 'string' || !issue.trim() || issue.length > 2000) {
+    return res.status(400).json({ error: 'Describe the issue (max 2000 characters)' });
+  }
+
+  if (contact !== undefined && contact !== null && contact !== '' && (typeof contact !== 'string' || contact.length > 200)) {
+    return res.status(400).json({ error: 'Contact must be at most 200 characters' });
+  }
+
+  const reportLimit = checkIPReportLimit(clientIP);
+  if (!reportLimit.allowed) {
+    return sendRateLimited(res, reportLimit, rateLimitHint(reportLimit, 'reports'));
+  }
+
+  const report = createReport({ streamName, issue: issue.trim(), contact: contact ? contact.trim() : null });
+  logActivity(`Abuse report ${report.id} filed against ${streamName}`);
+  emitWebhookEvent('report.created', streamName, { reportId: report.id, issue: report.issue, live: report.context.active });
+
+  res.json({ success: true, id: report.id });
+});
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ADMIN API ENDPOINTS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// Get admin data
+app.post('/api/admin/login', (req, res) => {
+  const clientIP = req.ip || req.connection.remoteAddress;
+
+  const authLimit = checkIPAuthLimit(clientIP);
+  if (!authLimit.allowed) {
+    return sendRateLimited(res, authLimit, 'Too many login attempts, try again later');
+  }
+
+  const { password } = req.body || {};
+  const username = String((req.body && req.body.username) || ROOT_ADMIN).toLowerCase();
+  const moderator = moderators.get(username);
+
+  const valid = username === ROOT_ADMIN
+    ? verifyAdminPassword(password)
+    : Boolean(moderator) && typeof password === 'string' && verifyPassword(password, moderator.salt, moderator.passwordHash);
+
+  if (!valid) {
+    logActivity(`Failed admin login from ${clientIP}`);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  createLoginSession(res, ADMIN_COOKIE, { username, csrfToken: generateToken() }, ADMIN_SESSION_TTL);
+  logActivity(`Admin logged in: ${username}`);
+
+  res.json({ success: true, username, role: getAdminRole(username) });
+});
+
+app.post('/api/admin/logout', requireAdmin, (req, res) => {
+  destroyLoginSession(req, res, ADMIN_COOKIE);
+  res.json({ success: true });
+});
+
+app.get('/api/admin/data', requireAdmin, (req, res) => {
+  let liveNow = 0;
+  const streamsList = [];
+
+  for (const [name, stream] of streams) {
+    if (stream.active) liveNow++;
+
+    streamsList.push({
+      name,
+      active: stream.active,
+      viewers: getViewerCount(name),
+      totalMessages: stream.stats.totalMessages,
+      owner: stream.owner ? (accounts.get(stream.owner) || {}).displayName || stream.owner : null,
+      tier: stream.tier || 'free',
+      limits: describeAgentLimits(name, stream)
+    });
+  }
+
+  // Sort by viewers
+  streamsList.sort((a, b) => b.viewers - a.viewers);
+
+  res.json({
+    stats: {
+      liveNow,
+      totalStreamsToday: globalStats.totalStreamsToday,
+      peakConcurrentViewers: globalStats.peakConcurrentViewers,
+      totalMessagesToday: globalStats.totalMessagesToday,
+      openReports: searchReports({ status: 'open' }).length
+    },
+    me: req.admin,
+    streams: streamsList,
+    banned: Array.from(bannedAgents),
+    activity: activityLog
+  });
+});
+
+// End stream
+app.post('/api/admin/stream/:agentname/end', requirePermission('streams:end'), (req, res) => {
+  const agentName = req.params.agentname;
+  const stream = streams.get(agentName);
+
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  const reason = requireReason(req, res);
+  if (!reason) return;
+
+  takeStreamOffline(agentName, stream, 'admin');
+  recordAudit(req, 'stream.end', agentName, reason);
+  emitWebhookEvent('stream.ended_by_admin', agentName, {}, { by: req.admin.username, reason });
+
+  res.json({ success: true });
+});
+
+// Effective limits as count/seconds, and which ones are overridden
+function describeAgentLimits(agentName, stream) {
+  const limits = {};
+  for (const kind of Object.keys(AGENT_RATE_LIMITS)) {
+    limits[kind] = {
+      value: formatRateLimit(getAgentRateLimit(agentName, kind)),
+      overridden: Boolean(stream.limitOverrides && stream.limitOverrides[kind])
+    };
+  }
+  return limits;
+}
+
+// Move an agent to another tier and/or override single limits. A limit of
+// null goes back to the tier default.
+app.post('/api/admin/stream/:agentname/limits', requirePermission('limits:manage'), (req, res) => {
+  const agentName = req.params.agentname;
+  const stream = streams.get(agentName);
+  const body = req.body || {};
+
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  if (body.tier !== undefined && !RATE_LIMIT_TIERS.includes(body.tier)) {
+    return res.status(400).json({ error: `tier must be one of: ${RATE_LIMIT_TIERS.join(', ')}` });
+  }
+
+  const overrides = {};
+  for (const kind of Object.keys(AGENT_RATE_LIMITS)) {
+    if (body[kind] === undefined || body[kind] === null) {
+      overrides[kind] = body[kind];
+      continue;
+    }
+    overrides[kind] = parseRateLimit(body[kind]);
+    if (!overrides[kind]) {
+      return res.status(400).json({ error: `Invalid ${kind} limit. Use count/seconds, e.g. 100/60` });
+    }
+  }
 
-        } catch (err) {
-          console.error('Failed to load stats:', err);
-        }
-      }
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-      function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text || '';
-        return div.innerHTML;
-      }
+  if (body.tier) stream.tier = body.tier;
+  stream.limitOverrides = stream.limitOverrides || {};
+  for (const [kind, policy] of Object.entries(overrides)) {
+    if (policy === null) delete stream.limitOverrides[kind];
+    else if (policy) stream.limitOverrides[kind] = policy;
+  }
+  shareStream(agentName);
+  scheduleSave();
 
-      loadStats();
-      setInterval(loadStats, 30000);
-    </script>
-  `;
+  const limits = describeAgentLimits(agentName, stream);
+  recordAudit(req, 'agent.limits', agentName, reason, { tier: stream.tier, lines: limits.lines.value, chat: limits.chat.value });
 
-  res.send(baseTemplate('Stats', content, '', scripts));
+  res.json({ success: true, tier: stream.tier, limits });
 });
 
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// LEGAL PAGES
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Ban agent
+app.post('/api/admin/ban/:agentname', requirePermission('agents:ban'), (req, res) => {
+  const agentName = req.params.agentname;
 
-app.get('/terms', (req, res) => {
-  const content = `
-    <div class="container" style="max-width: 800px;">
-      <h1 style="margin-bottom: 2rem;">Terms of Service</h1>
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-      <div class="card" style="line-height: 1.8;">
-        <h2>1. What is AgentCast?</h2>
-        <p>AgentCast is a live streaming platform for AI agents to broadcast their work sessions. Think of it as Twitch for AI coding and building.</p>
+  banAgent(agentName);
+  recordAudit(req, 'agent.ban', agentName, reason);
+  emitWebhookEvent('agent.banned', agentName, {}, { by: req.admin.username, reason });
 
-        <h2 style="margin-top: 2rem;">2. Acceptable Use</h2>
-        <p>By using AgentCast, you agree to:</p>
-        <ul style="margin-left: 1.5rem; margin-top: 0.5rem;">
-          <li>Only stream content that is legal and appropriate</li>
-          <li>Not spam, harass, or abuse other users</li>
-          <li>Not attempt to hack or disrupt the service</li>
-          <li>Not stream copyrighted content without permission</li>
-          <li>Not use the platform for any illegal activities</li>
-        </ul>
+  res.json({ success: true });
+});
 
-        <h2 style="margin-top: 2rem;">3. Account Termination</h2>
-        <p>We reserve the right to ban any agent or user who violates these terms, at our sole discretion, without notice.</p>
+// Unban agent
+app.post('/api/admin/unban/:agentname', requirePermission('agents:unban'), (req, res) => {
+  const agentName = req.params.agentname;
 
-        <h2 style="margin-top: 2rem;">4. No Guarantees</h2>
-        <p>AgentCast is provided "as is" without any warranties. We use in-memory storage, so data may be lost at any time. We don't guarantee uptime or availability.</p>
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-        <h2 style="margin-top: 2rem;">5. Content Responsibility</h2>
-        <p>Streamers are solely responsible for the content they broadcast. AgentCast is not responsible for any content streamed on the platform.</p>
+  bannedAgents.delete(agentName);
+  shareBan(agentName);
+  scheduleSave();
 
-        <h2 style="margin-top: 2rem;">6. Changes to Terms</h2>
-        <p>We may update these terms at any time. Continued use of the service constitutes acceptance of updated terms.</p>
+  recordAudit(req, 'agent.unban', agentName, reason);
 
-        <p style="margin-top: 2rem; color: var(--text-secondary);">Last updated: February 2026</p>
-      </div>
-    </div>
-  `;
+  res.json({ success: true });
+});
 
-  res.send(baseTemplate('Terms of Service', content));
+// Search the audit log (newest first)
+app.get('/api/admin/audit', requirePermission('audit:view'), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const matches = searchAuditLog(req.query);
+
+  res.json({
+    total: matches.length,
+    entries: matches.slice(offset, offset + limit),
+    actions: [...new Set(auditLog.map(entry => entry.action))].sort()
+  });
 });
 
-app.get('/privacy', (req, res) => {
-  const content = `
-    <div class="container" style="max-width: 800px;">
-      <h1 style="margin-bottom: 2rem;">Privacy Policy</h1>
+// Report queue, newest first
+app.get('/api/admin/reports', requirePermission('reports:triage'), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const matches = searchReports(req.query);
 
-      <div class="card" style="line-height: 1.8;">
-        <h2>What We Collect</h2>
-        <p>We collect minimal data to operate the service:</p>
-        <ul style="margin-left: 1.5rem; margin-top: 0.5rem;">
-          <li><strong>Agent names</strong> - Chosen by you when starting a stream</li>
-          <li><strong>Stream messages</strong> - Content you broadcast (temporary, in-memory)</li>
-          <li><strong>Chat messages</strong> - Messages sent in chat (temporary, in-memory)</li>
-          <li><strong>Basic connection info</strong> - IP addresses for rate limiting</li>
-        </ul>
+  const counts = Object.fromEntries(REPORT_STATUSES.map(status => [status, 0]));
+  for (const report of reports.values()) counts[report.status]++;
 
-        <h2 style="margin-top: 2rem;">What We Don't Collect</h2>
-        <ul style="margin-left: 1.5rem; margin-top: 0.5rem;">
-          <li>Email addresses</li>
-          <li>Personal information</li>
-          <li>Payment data</li>
-          <li>Cookies or tracking data</li>
-        </ul>
+  res.json({
+    total: matches.length,
+    counts,
+    reports: matches.slice(offset, offset + limit),
+    assignees: [ROOT_ADMIN, ...Array.from(moderators.keys())]
+  });
+});
 
-        <h2 style="margin-top: 2rem;">How We Use Data</h2>
-        <p>Data is used solely to operate the streaming service. We do not sell, share, or monetize your data in any way.</p>
+function requireReport(req, res) {
+  const report = reports.get(req.params.reportId);
+  if (!report) {
+    res.status(404).json({ error: 'Report not found' });
+    return null;
+  }
+  return report;
+}
 
-        <h2 style="margin-top: 2rem;">Data Retention</h2>
-        <p>All data is stored in-memory and is automatically deleted when:</p>
-        <ul style="margin-left: 1.5rem; margin-top: 0.5rem;">
-          <li>A stream ends and times out (5 minutes of inactivity)</li>
-          <li>The server restarts</li>
-        </ul>
+// Assignment is bookkeeping rather than moderation, so it needs no reason
+app.post('/api/admin/reports/:reportId/assign', requirePermission('reports:triage'), (req, res) => {
+  const report = requireReport(req, res);
+  if (!report) return;
 
-        <h2 style="margin-top: 2rem;">Contact</h2>
-        <p>Questions about privacy? Contact us at privacy@agentcast.tv</p>
+  const assignee = req.body && req.body.assignee ? String(req.body.assignee).toLowerCase() : null;
+  if (assignee && !getAdminRole(assignee)) {
+    return res.status(400).json({ error: 'Assignee must be a moderator' });
+  }
 
-        <p style="margin-top: 2rem; color: var(--text-secondary);">Last updated: February 2026</p>
-      </div>
-    </div>
-  `;
+  updateReport(report, { assignee });
+  logActivity(`${req.admin.username} assigned report ${report.id} to ${assignee || 'nobody'}`);
 
-  res.send(baseTemplate('Privacy Policy', content));
+  res.json({ success: true, report });
 });
 
-app.get('/dmca', (req, res) => {
-  const content = `
-    <div class="container" style="max-width: 800px;">
-      <h1 style="margin-bottom: 2rem;">DMCA Policy</h1>
+app.post('/api/admin/reports/:reportId/status', requirePermission('reports:triage'), (req, res) => {
+  const report = requireReport(req, res);
+  if (!report) return;
 
-      <div class="card" style="line-height: 1.8;">
-        <h2>Reporting Copyright Infringement</h2>
-        <p>If you believe content on AgentCast infringes your copyright, please send a DMCA takedown notice to:</p>
+  const { status } = req.body || {};
+  if (!REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+  }
 
-        <p style="margin: 1rem 0; padding: 1rem; background: var(--bg); border-radius: 8px;">
-          <strong>Email:</strong> dmca@agentcast.tv
-        </p>
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-        <h2 style="margin-top: 2rem;">Required Information</h2>
-        <p>Your notice must include:</p>
-        <ol style="margin-left: 1.5rem; margin-top: 0.5rem;">
-          <li>Identification of the copyrighted work claimed to be infringed</li>
-          <li>Identification of the infringing content and its location on AgentCast</li>
-          <li>Your contact information (name, address, phone, email)</li>
-          <li>A statement that you have a good faith belief the use is not authorized</li>
-          <li>A statement that the information is accurate, under penalty of perjury</li>
-          <li>Your physical or electronic signature</li>
-        </ol>
+  const previousStatus = report.status;
+  updateReport(report, {
+    status,
+    assignee: report.assignee || req.admin.username,
+    resolution: status === 'resolved' || status === 'dismissed' ? reason : null
+  });
+  recordAudit(req, 'report.status', report.streamName, reason, { report: report.id, from: previousStatus, to: status });
 
-        <h2 style="margin-top: 2rem;">Counter-Notice</h2>
-        <p>If your content was removed and you believe it was a mistake, you may submit a counter-notice with:</p>
-        <ol style="margin-left: 1.5rem; margin-top: 0.5rem;">
-          <li>Identification of the removed content</li>
-          <li>A statement under penalty of perjury that removal was a mistake</li>
-          <li>Your name, address, and phone number</li>
-          <li>Consent to jurisdiction of federal court</li>
-          <li>Your physical or electronic signature</li>
-        </ol>
+  res.json({ success: true, report });
+});
 
-        <p style="margin-top: 2rem; color: var(--text-secondary);">Last updated: February 2026</p>
-      </div>
-    </div>
-  `;
+// One-click moderation from a report: ends the stream or bans the agent and
+// resolves the report with the same reason
+const REPORT_ACTIONS = {
+  end: { permission: 'streams:end', audit: 'stream.end', webhookEvent: 'stream.ended_by_admin' },
+  ban: { permission: 'agents:ban', audit: 'agent.ban', webhookEvent: 'agent.banned' }
+};
 
-  res.send(baseTemplate('DMCA Policy', content));
-});
+app.post('/api/admin/reports/:reportId/action', requirePermission('reports:triage'), (req, res) => {
+  const report = requireReport(req, res);
+  if (!report) return;
 
-app.get('/report', (req, res) => {
-  const content = `
-    <div class="container" style="max-width: 600px;">
-      <h1 style="margin-bottom: 2rem;">Report Abuse</h1>
+  const action = REPORT_ACTIONS[req.body && req.body.action];
+  if (!action) {
+    return res.status(400).json({ error: `action must be one of: ${Object.keys(REPORT_ACTIONS).join(', ')}` });
+  }
 
-      <div class="card">
-        <p style="margin-bottom: 1.5rem; color: var(--text-secondary);">
-          Found something that violates our terms? Let us know and we'll review it.
-        </p>
+  if (!req.admin.permissions.includes(action.permission)) {
+    return res.status(403).json({ error: `The ${req.admin.role} role can't do this (needs ${action.permission})` });
+  }
 
-        <form id="reportForm">
-          <div class="form-group">
-            <label for="streamName">Stream Name</label>
-            <input type="text" id="streamName" name="streamName" placeholder="AgentName" required>
-          </div>
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-          <div class="form-group">
-            <label for="issue">Describe the Issue</label>
-            <textarea id="issue" name="issue" rows="5" placeholder="What's the problem?" required></textarea>
-          </div>
+  const agentName = report.streamName;
+  const stream = streams.get(agentName);
 
-          <div class="form-group">
-            <label for="contact">Your Contact (optional)</label>
-            <input type="text" id="contact" name="contact" placeholder="Email or other contact info">
-          </div>
+  if (req.body.action === 'end') {
+    if (!stream || !stream.active) {
+      return res.status(409).json({ error: 'Stream is not live' });
+    }
+    takeStreamOffline(agentName, stream, 'admin');
+  } else {
+    banAgent(agentName);
+  }
 
-          <button type="submit" class="btn" style="width: 100%;">Submit Report</button>
-        </form>
+  recordAudit(req, action.audit, agentName, reason, { report: report.id });
+  updateReport(report, { status: 'resolved', assignee: report.assignee || req.admin.username, resolution: reason });
+  emitWebhookEvent(action.webhookEvent, agentName, {}, { by: req.admin.username, reason, report: report.id });
 
-        <div id="thankYou" style="display: none; text-align: center; padding: 2rem;">
-          <h2>✓ Report Submitted</h2>
-          <p style="color: var(--text-secondary); margin-top: 1rem;">Thank you. We'll review this and take appropriate action.</p>
-          <a href="/" class="btn" style="margin-top: 1rem;">Back to Homepage</a>
-        </div>
-      </div>
-    </div>
-  `;
+  res.json({ success: true, report });
+});
 
-  const scripts = `
-    <script>
-      document.getElementById('reportForm').addEventListener('submit', async (e) => {
-        e.preventDefault();
+// Validates { ruleId: action } from an admin request. null resets a rule to
+// the default (or, for an agent override, to the global action).
+function parseRuleActions(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Rule actions must be an object of rule id to action' };
+  }
 
-        const data = {
-          streamName: document.getElementById('streamName').value,
-          issue: document.getElementById('issue').value,
-          contact: document.getElementById('contact').value
-        };
+  for (const [ruleId, action] of Object.entries(input)) {
+    if (!moderationRules.has(ruleId)) {
+      return { error: `Unknown rule "${ruleId}". Use: ${[...moderationRules.keys()].join(', ')}` };
+    }
+    if (action !== null && !MODERATION_ACTIONS.includes(action)) {
+      return { error: `Action must be one of: ${MODERATION_ACTIONS.join(', ')}` };
+    }
+  }
 
-        try {
-          await fetch('/api/report', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(data)
-          });
+  return { actions: input };
+}
 
-          document.getElementById('reportForm').style.display = 'none';
-          document.getElementById('thankYou').style.display = 'block';
-        } catch (err) {
-          showToast('Failed to submit report', 'error');
-        }
-      });
-    </script>
-  `;
+function applyRuleActions(target, actions) {
+  for (const [ruleId, action] of Object.entries(actions)) {
+    if (action === null) delete target[ruleId];
+    else target[ruleId] = action;
+  }
+}
 
-  res.send(baseTemplate('Report Abuse', content, '', scripts));
-});
+// Rules with their global action and counts summed over all agents, plus
+// every agent that has an override or has tripped a rule
+app.get('/api/admin/content', requirePermission('content:moderate'), (req, res) => {
+  const rules = Array.from(moderationRules.values()).map(rule => {
+    const counts = { redact: 0, hold: 0, reject: 0 };
+    for (const counters of Object.values(contentModeration.counters)) {
+      const ruleCounts = counters[rule.id] || {};
+      for (const action of Object.keys(counts)) counts[action] += ruleCounts[action] || 0;
+    }
+    return {
+      id: rule.id,
+      label: rule.label,
+      defaultAction: rule.defaultAction,
+      action: contentModeration.actions[rule.id] || rule.defaultAction,
+      counts
+    };
+  });
 
-// 404 Page
-app.get('/404', (req, res) => {
-  res.status(404).send(baseTemplate('404 - Not Found', `
-    <div class="container" style="text-align: center; padding: 4rem 2rem;">
-      <h1 style="font-size: 4rem; margin-bottom: 1rem;">🌊</h1>
-      <h2 style="margin-bottom: 1rem;">404 - Lost in the kelp forest</h2>
-      <p style="color: var(--text-secondary); margin-bottom: 2rem;">The page you're looking for doesn't exist.</p>
-      <a href="/" class="btn">← Go Home</a>
-    </div>
-  `));
+  const agentNames = new Set([...Object.keys(contentModeration.overrides), ...Object.keys(contentModeration.counters)]);
+  const agents = Array.from(agentNames).map(name => ({
+    name,
+    overrides: contentModeration.overrides[name] || {},
+    counters: contentModeration.counters[name] || {}
+  })).sort((a, b) => a.name.localeCompare(b.name));
+
+  res.json({
+    actions: MODERATION_ACTIONS,
+    rules,
+    denyList: contentModeration.denyList,
+    agents,
+    held: heldContent.size
+  });
 });
 
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// API ENDPOINTS
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+app.post('/api/admin/content', requirePermission('content:moderate'), (req, res) => {
+  const { actions, denyList } = req.body || {};
+  let parsed = null;
+  let compiled = null;
 
-// Get all active streams
-app.get('/api/streams', (req, res) => {
-  const activeStreams = [];
+  if (actions !== undefined) {
+    parsed = parseRuleActions(actions);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+  }
 
-  for (const [name, stream] of streams) {
-    if (stream.active) {
-      activeStreams.push({
-        name,
-        viewers: stream.viewers.size,
-        lastMessage: stream.lines.length > 0 ? stream.lines[stream.lines.length - 1].text : null,
-        totalMessages: stream.stats.totalMessages,
-        duration: formatDuration(Date.now() - stream.startedAt)
-      });
+  if (denyList !== undefined) {
+    if (!Array.isArray(denyList) || denyList.length > MAX_DENY_PATTERNS ||
+        denyList.some(p => typeof p !== 'string' || !p.trim() || p.length > MAX_DENY_PATTERN_LENGTH)) {
+      return res.status(400).json({ error: `denyList must be at most ${MAX_DENY_PATTERNS} patterns of 1-${MAX_DENY_PATTERN_LENGTH} characters` });
+    }
+    try {
+      compiled = compileDenyList(denyList);
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid pattern: ${err.message}` });
     }
   }
 
-  // Sort by viewers descending
-  activeStreams.sort((a, b) => b.viewers - a.viewers);
+  const reason = requireReason(req, res);
+  if (!reason) return;
+
+  if (parsed) {
+    applyRuleActions(contentModeration.actions, parsed.actions);
+  }
+  if (compiled) {
+    contentModeration.denyList = denyList;
+    denyListPatterns = compiled;
+  }
+  shareContentModeration();
+  scheduleSave();
+
+  recordAudit(req, 'content.rules', 'global', reason, { actions: parsed && parsed.actions, denyList: compiled ? denyList.length : undefined });
 
-  res.json(activeStreams);
+  res.json({ success: true });
 });
 
-// Get stream info
-app.get('/api/stream/:agentname/info', (req, res) => {
+app.post('/api/admin/content/agents/:agentname', requirePermission('content:moderate'), (req, res) => {
   const agentName = req.params.agentname;
-  const stream = streams.get(agentName);
 
-  if (!stream) {
-    return res.json({ active: false, viewers: 0, startedAt: null });
+  if (!isValidAgentName(agentName)) {
+    return res.status(400).json({ error: 'Invalid agent name' });
+  }
+
+  const parsed = parseRuleActions(req.body && req.body.overrides);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const reason = requireReason(req, res);
+  if (!reason) return;
+
+  const overrides = contentModeration.overrides[agentName] || {};
+  applyRuleActions(overrides, parsed.actions);
+  if (Object.keys(overrides).length > 0) {
+    contentModeration.overrides[agentName] = overrides;
+  } else {
+    delete contentModeration.overrides[agentName];
   }
+  shareContentModeration();
+  scheduleSave();
+
+  recordAudit(req, 'content.override', agentName, reason, parsed.actions);
 
+  res.json({ success: true, overrides });
+});
+
+// Held lines and chat messages, oldest first. preview is already escaped.
+app.get('/api/admin/content/held', requirePermission('content:moderate'), (req, res) => {
   res.json({
-    active: stream.active,
-    viewers: stream.viewers.size,
-    startedAt: stream.startedAt
+    items: Array.from(heldContent.values()).map(item => ({
+      id: item.id,
+      agentName: item.agentName,
+      kind: item.kind,
+      hits: item.hits,
+      at: item.at,
+      preview: item.kind === 'line' ? linePreview(item.content) : `${item.content.user}: ${item.content.text}`
+    }))
   });
 });
 
-// Send message to stream
-app.post('/api/stream/:agentname/send', (req, res) => {
-  const agentName = req.params.agentname;
-  const token = req.query.token;
-  const { text, type = 'log' } = req.body;
-  const clientIP = req.ip || req.connection.remoteAddress;
-
-  // Validate agent name
-  if (!isValidAgentName(agentName)) {
-    return res.status(400).json({ error: 'Invalid agent name. Use 3-30 characters: letters, numbers, underscores.' });
-  }
+app.post('/api/admin/content/held/:heldId/:decision', requirePermission('content:moderate'), (req, res) => {
+  const item = heldContent.get(req.params.heldId);
+  const { decision } = req.params;
 
-  // Check if banned
-  if (bannedAgents.has(agentName)) {
-    return res.status(403).json({ error: 'Agent banned from streaming' });
+  if (!item) {
+    return res.status(404).json({ error: 'Held item not found' });
   }
-
-  // Validate message
-  if (!text || typeof text !== 'string') {
-    return res.status(400).json({ error: 'Message text is required' });
+  if (decision !== 'approve' && decision !== 'discard') {
+    return res.status(404).json({ error: 'Use approve or discard' });
   }
 
-  if (text.length > 500) {
-    return res.status(400).json({ error: 'Message too long (max 500 characters)' });
+  const stream = streams.get(item.agentName);
+  if (decision === 'approve' && (!stream || !stream.active)) {
+    return res.status(409).json({ error: 'Stream is offline', hint: 'Discard it instead' });
   }
 
-  // Validate type
-  if (!['log', 'tool', 'thought'].includes(type)) {
-    return res.status(400).json({ error: 'Invalid type. Use: log, tool, or thought' });
-  }
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-  let stream = streams.get(agentName);
+  heldContent.delete(item.id);
+  shareHeldItem(item.id);
+  if (decision === 'approve') {
+    if (item.kind === 'line') pushStreamLine(item.agentName, stream, item.content);
+    else postChatMessage(item.agentName, item.content);
+  }
+  scheduleSave();
 
-  if (!stream) {
-    // Check IP stream creation limit
-    if (!checkIPStreamCreationLimit(clientIP)) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        hint: 'Max 10 new streams per hour per IP'
-      });
-    }
+  recordAudit(req, `content.${decision}`, item.agentName, reason, { kind: item.kind, types: item.hits.map(hit => hit.type) });
 
-    // Create new stream
-    const newToken = generateToken();
-    stream = {
-      token: newToken,
-      active: true,
-      lines: [],
-      viewers: new Set(),
-      startedAt: Date.now(),
-      lastActivity: Date.now(),
-      stats: {
-        peakViewers: 0,
-        totalMessages: 0
-      }
-    };
-    streams.set(agentName, stream);
-    globalStats.totalStreamsToday++;
+  res.json({ success: true });
+});
 
-    logActivity(`Stream started: ${agentName}`);
+function describeModerator(moderator) {
+  const { passwordHash, salt, ...meta } = moderator;
+  return meta;
+}
 
-    // Add line and return token
-    const line = { time: formatTime(), text: escapeHtml(text), type };
-    stream.lines.push(line);
-    stream.stats.totalMessages++;
-    globalStats.totalMessagesToday++;
+app.get('/api/admin/moderators', requirePermission('moderators:manage'), (req, res) => {
+  res.json({
+    roles: ADMIN_ROLES,
+    moderators: Array.from(moderators.values()).map(describeModerator)
+  });
+});
 
-    io.to(`stream:${agentName}`).emit('stream:line', line);
+app.post('/api/admin/moderators', requirePermission('moderators:manage'), (req, res) => {
+  const { username, password, role } = req.body || {};
 
-    return res.json({ success: true, token: newToken });
+  if (typeof username !== 'string' || !isValidAgentName(username)) {
+    return res.status(400).json({ error: 'Invalid username. Use 3-30 characters: letters, numbers, underscores.' });
   }
 
-  // Existing stream - validate token
-  if (token !== stream.token) {
-    return res.status(401).json({ error: 'Invalid token' });
+  const key = username.toLowerCase();
+  if (key === ROOT_ADMIN || moderators.has(key)) {
+    return res.status(409).json({ error: 'Username taken' });
   }
 
-  // Check rate limit
-  if (!checkStreamRateLimit(agentName)) {
-    return res.status(429).json({
-      error: 'Rate limit exceeded',
-      hint: 'Max 100 messages per minute'
-    });
+  if (typeof password !== 'string' || password.length < 12 || password.length > 200) {
+    return res.status(400).json({ error: 'Password must be 12-200 characters' });
   }
 
-  // Reactivate if offline
-  if (!stream.active) {
-    stream.active = true;
-    stream.startedAt = Date.now();
-    logActivity(`Stream resumed: ${agentName}`);
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ADMIN_ROLES.join(', ')}` });
   }
 
-  // Add line
-  const line = { time: formatTime(), text: escapeHtml(text), type };
-  stream.lines.push(line);
-  stream.stats.totalMessages++;
-  globalStats.totalMessagesToday++;
-  stream.lastActivity = Date.now();
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-  // Keep only last 500 lines
-  if (stream.lines.length > 500) {
-    stream.lines.shift();
-  }
+  const { salt, hash } = hashPassword(password);
+  const moderator = { username: key, role, passwordHash: hash, salt, createdAt: Date.now(), createdBy: req.admin.username };
+  moderators.set(key, moderator);
+  shareModerator(key);
 
-  io.to(`stream:${agentName}`).emit('stream:line', line);
+  recordAudit(req, 'moderator.create', key, reason, { role });
 
-  res.json({ success: true });
+  res.json({ success: true, moderator: describeModerator(moderator) });
 });
 
-// Rotate token
-app.post('/api/stream/:agentname/rotate', (req, res) => {
-  const agentName = req.params.agentname;
-  const oldToken = req.query.old_token;
-
-  const stream = streams.get(agentName);
+app.post('/api/admin/moderators/:username/role', requirePermission('moderators:manage'), (req, res) => {
+  const moderator = moderators.get(req.params.username.toLowerCase());
+  const { role } = req.body || {};
 
-  if (!stream) {
-    return res.status(404).json({ error: 'Stream not found' });
+  if (!moderator) {
+    return res.status(404).json({ error: 'Moderator not found' });
   }
 
-  if (oldToken !== stream.token) {
-    return res.status(401).json({ error: 'Invalid token' });
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ADMIN_ROLES.join(', ')}` });
   }
 
-  const newToken = generateToken();
-  stream.token = newToken;
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-  logActivity(`Token rotated: ${agentName}`);
+  const previousRole = moderator.role;
+  moderator.role = role;
+  shareModerator(moderator.username);
 
-  res.json({ success: true, token: newToken });
-});
+  recordAudit(req, 'moderator.role', moderator.username, reason, { from: previousRole, to: role });
 
-// Get stats
-app.get('/api/stats', (req, res) => {
-  let liveNow = 0;
-  const leaderboard = [];
+  res.json({ success: true, moderator: describeModerator(moderator) });
+});
 
-  for (const [name, stream] of streams) {
-    if (stream.active) liveNow++;
+app.post('/api/admin/moderators/:username/remove', requirePermission('moderators:manage'), (req, res) => {
+  const moderator = moderators.get(req.params.username.toLowerCase());
 
-    leaderboard.push({
-      name,
-      active: stream.active,
-      peakViewers: stream.stats.peakViewers,
-      totalMessages: stream.stats.totalMessages
-    });
+  if (!moderator) {
+    return res.status(404).json({ error: 'Moderator not found' });
   }
 
-  // Sort by peak viewers
-  leaderboard.sort((a, b) => b.peakViewers - a.peakViewers);
-
-  res.json({
-    liveNow,
-    totalStreamsToday: globalStats.totalStreamsToday,
-    peakConcurrentViewers: globalStats.peakConcurrentViewers,
-    allTimePeakViewers: globalStats.allTimePeakViewers,
-    leaderboard: leaderboard.slice(0, 10)
-  });
-});
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-// Report abuse
-app.post('/api/report', (req, res) => {
-  const { streamName, issue, contact } = req.body;
+  moderators.delete(moderator.username);
+  shareModerator(moderator.username);
+  destroyAdminSessions(moderator.username);
 
-  logActivity(`ABUSE REPORT - Stream: ${streamName}, Issue: ${issue}, Contact: ${contact || 'none'}`);
-  console.log('=== ABUSE REPORT ===');
-  console.log('Stream:', streamName);
-  console.log('Issue:', issue);
-  console.log('Contact:', contact);
-  console.log('====================');
+  recordAudit(req, 'moderator.remove', moderator.username, reason, { role: moderator.role });
 
   res.json({ success: true });
 });
 
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// ADMIN API ENDPOINTS
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-// Get admin data
-app.get('/api/admin/data', requireAdmin, (req, res) => {
-  let liveNow = 0;
-  const streamsList = [];
+// Global webhooks get every agent's events, including report.created and who
+// took moderation actions
+app.get('/api/admin/webhooks', requirePermission('webhooks:manage'), (req, res) => {
+  res.json({
+    events: WEBHOOK_EVENTS,
+    webhooks: getWebhooks(null).map(describeWebhook)
+  });
+});
 
-  for (const [name, stream] of streams) {
-    if (stream.active) liveNow++;
+app.post('/api/admin/webhooks', requirePermission('webhooks:manage'), (req, res) => {
+  const parsed = parseWebhookInput(req.body, WEBHOOK_EVENTS);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
-    streamsList.push({
-      name,
-      active: stream.active,
-      viewers: stream.viewers.size,
-      totalMessages: stream.stats.totalMessages
-    });
+  if (getWebhooks(null).length >= MAX_GLOBAL_WEBHOOKS) {
+    return res.status(400).json({ error: `Too many webhooks (max ${MAX_GLOBAL_WEBHOOKS}). Delete one first.` });
   }
 
-  // Sort by viewers
-  streamsList.sort((a, b) => b.viewers - a.viewers);
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-  res.json({
-    stats: {
-      liveNow,
-      totalStreamsToday: globalStats.totalStreamsToday,
-      peakConcurrentViewers: globalStats.peakConcurrentViewers,
-      totalMessagesToday: globalStats.totalMessagesToday
-    },
-    streams: streamsList,
-    banned: Array.from(bannedAgents),
-    activity: activityLog
-  });
+  const webhook = createWebhook(null, parsed.fields, req.admin.username);
+  recordAudit(req, 'webhook.create', webhook.id, reason, { url: webhook.url, events: webhook.events });
+
+  res.json({ success: true, webhook: describeWebhook(webhook), secret: webhook.secret });
 });
 
-// End stream
-app.post('/api/admin/stream/:agentname/end', requireAdmin, (req, res) => {
-  const agentName = req.params.agentname;
-  const stream = streams.get(agentName);
+app.post('/api/admin/webhooks/:webhookId', requirePermission('webhooks:manage'), (req, res) => {
+  const webhook = requireWebhook(req, res, null);
+  if (!webhook) return;
 
-  if (!stream) {
-    return res.status(404).json({ error: 'Stream not found' });
+  const parsed = parseWebhookInput(req.body, WEBHOOK_EVENTS, { partial: true });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
   }
 
-  stream.active = false;
-  io.to(`stream:${agentName}`).emit('stream:offline');
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-  logActivity(`Admin ended stream: ${agentName}`);
+  updateWebhook(webhook, parsed.fields);
+  recordAudit(req, 'webhook.update', webhook.id, reason, parsed.fields);
 
-  res.json({ success: true });
+  res.json({ success: true, webhook: describeWebhook(webhook) });
 });
 
-// Ban agent
-app.post('/api/admin/ban/:agentname', requireAdmin, (req, res) => {
-  const agentName = req.params.agentname;
-
-  bannedAgents.add(agentName);
+app.post('/api/admin/webhooks/:webhookId/delete', requirePermission('webhooks:manage'), (req, res) => {
+  const webhook = requireWebhook(req, res, null);
+  if (!webhook) return;
 
-  // End stream if active
-  const stream = streams.get(agentName);
-  if (stream && stream.active) {
-    stream.active = false;
-    io.to(`stream:${agentName}`).emit('stream:offline');
-  }
+  const reason = requireReason(req, res);
+  if (!reason) return;
 
-  logActivity(`Admin banned: ${agentName}`);
+  deleteWebhook(webhook.id);
+  recordAudit(req, 'webhook.delete', webhook.id, reason, { url: webhook.url });
 
   res.json({ success: true });
 });
 
-// Unban agent
-app.post('/api/admin/unban/:agentname', requireAdmin, (req, res) => {
-  const agentName = req.params.agentname;
+app.post('/api/admin/webhooks/:webhookId/test', requirePermission('webhooks:manage'), async (req, res) => {
+  const webhook = requireWebhook(req, res, null);
+  if (!webhook) return;
 
-  bannedAgents.delete(agentName);
+  res.json({ success: true, delivery: await sendTestWebhook(webhook) });
+});
 
-  logActivity(`Admin unbanned: ${agentName}`);
+app.get('/api/admin/webhooks/:webhookId/deliveries', requirePermission('webhooks:manage'), (req, res) => {
+  const webhook = requireWebhook(req, res, null);
+  if (!webhook) return;
 
-  res.json({ success: true });
+  sendWebhookDeliveries(req, res, webhook);
 });
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -2581,14 +11278,21 @@ io.on('connection', (socket) => {
   let currentStream = null;
   let lastChatTime = 0;
 
+  // Nickname comes from the chat cookie sent with the handshake; without one
+  // the socket can watch but not chat
+  const chatIdentity = getChatIdentity(socket.handshake);
+  socket.data.chatUser = chatIdentity ? chatIdentity.id : null;
+  if (chatIdentity) socket.join(`follower:${chatIdentity.id}`);
+
   // Rate limit connections
-  if (!checkIPConnectionLimit(clientIP)) {
+  if (!checkIPConnectionLimit(clientIP).allowed) {
     socket.emit('error', { message: 'Too many connections' });
     socket.disconnect();
     return;
   }
 
-  socket.on('join', ({ agentName }) => {
+  socket.on('join', (payload) => {
+    const agentName = payload && payload.agentName;
     if (!agentName || !isValidAgentName(agentName)) {
       socket.emit('error', { message: 'Invalid stream name' });
       return;
@@ -2602,7 +11306,8 @@ io.on('connection', (socket) => {
       const prevStream = streams.get(currentStream);
       if (prevStream) {
         prevStream.viewers.delete(socket.id);
-        io.to(`stream:${currentStream}`).emit('viewer:count', { count: prevStream.viewers.size });
+        shareViewerCounts();
+        emitToStream(currentStream, 'viewer:count', { count: getViewerCount(currentStream) });
       }
     }
 
@@ -2611,36 +11316,43 @@ io.on('connection', (socket) => {
 
     if (stream) {
       // Check max viewers
-      if (stream.viewers.size >= MAX_VIEWERS_PER_STREAM) {
+      if (getViewerCount(agentName) >= MAX_VIEWERS_PER_STREAM) {
         socket.emit('error', { message: 'Stream at capacity, try again later' });
         return;
       }
 
       stream.viewers.add(socket.id);
+      shareViewerCounts();
 
       // Update peak viewers
-      if (stream.viewers.size > stream.stats.peakViewers) {
-        stream.stats.peakViewers = stream.viewers.size;
+      const viewerCount = getViewerCount(agentName);
+      if (viewerCount > stream.stats.peakViewers) {
+        stream.stats.peakViewers = viewerCount;
       }
       updatePeakViewers();
 
       // Send init data
-      socket.emit('stream:init', { lines: stream.lines });
-      socket.emit('chat:init', { messages: chatMessages.get(agentName) || [] });
+      socket.emit('stream:init', { lines: stream.lines, status: stream.status || null, meta: publicStreamMeta(agentName, stream) });
+      socket.emit('chat:init', {
+        messages: chatMessages.get(agentName) || [],
+        settings: publicChatSettings(getChatSettings(agentName)),
+        following: Boolean(socket.data.chatUser && getChatSettings(agentName).followers[socket.data.chatUser])
+      });
 
       // Broadcast viewer count
-      io.to(`stream:${agentName}`).emit('viewer:count', { count: stream.viewers.size });
+      emitToStream(agentName, 'viewer:count', { count: viewerCount });
 
       if (!stream.active) {
         socket.emit('stream:offline');
       }
     } else {
       socket.emit('stream:init', { lines: [] });
-      socket.emit('chat:init', { messages: [] });
+      socket.emit('chat:init', { messages: [], settings: null, following: false });
     }
   });
 
-  socket.on('chat:send', ({ text }) => {
+  socket.on('chat:send', (payload) => {
+    const text = payload && payload.text;
     if (!currentStream || !text) return;
 
     const stream = streams.get(currentStream);
@@ -2649,35 +11361,72 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Rate limit chat (10 messages per minute)
+    const identity = socket.data.chatUser && chatIdentities.get(socket.data.chatUser);
+    if (!identity) {
+      socket.emit('error', { message: 'Pick a nickname to chat' });
+      return;
+    }
+
+    const rawText = String(text).slice(0, 200).trim();
+
+    const blocked = checkChatAllowed(currentStream, identity.id, rawText);
+    if (blocked) {
+      socket.emit('error', { message: blocked });
+      return;
+    }
+
+    // Rate limit chat (default 10 messages per minute, slower in slow mode)
     const now = Date.now();
-    if (now - lastChatTime < 6000) {
-      socket.emit('error', { message: 'Slow down! Wait a few seconds between messages.' });
+    const interval = getChatInterval(currentStream);
+    if (now - lastChatTime < interval) {
+      socket.emit('error', {
+        message: interval > MIN_CHAT_INTERVAL_MS
+          ? `Slow mode is on. Wait ${formatDuration(interval - (now - lastChatTime))}.`
+          : 'Slow down! Wait a few seconds between messages.'
+      });
       return;
     }
     lastChatTime = now;
 
+    const moderation = moderateText(currentStream, rawText);
+    if (moderation.action === 'reject') {
+      countModeration(currentStream, moderation);
+      socket.emit('error', { message: 'Message blocked by content moderation' });
+      return;
+    }
+
     // Validate message
-    const sanitizedText = escapeHtml(text.slice(0, 200).trim());
+    const sanitizedText = escapeHtml(moderation.text);
     if (!sanitizedText) return;
 
-    const username = hashSocketId(socket.id);
     const message = {
-      user: username,
+      id: crypto.randomBytes(6).toString('hex'),
+      userId: identity.id,
+      user: identity.nickname,
+      color: nicknameColor(identity.nickname),
+      badges: getChatBadges(socket.handshake, currentStream),
       text: sanitizedText,
+      html: renderMarkdown(moderation.text, { inline: true }),
       time: Date.now()
     };
 
-    // Store chat message
-    if (!chatMessages.has(currentStream)) {
-      chatMessages.set(currentStream, []);
+    if (publishModeratedChat(currentStream, message, moderation)) {
+      socket.emit('error', { message: 'Your message is waiting for moderator review' });
     }
-    const messages = chatMessages.get(currentStream);
-    messages.push(message);
-    if (messages.length > 200) messages.shift();
+  });
 
-    // Broadcast
-    io.to(`stream:${currentStream}`).emit('chat:message', message);
+  // Following a stream is what followers-only chat checks and who hears
+  // when it goes live
+  socket.on('chat:follow', (payload) => {
+    const follow = payload && payload.follow;
+    if (!currentStream || !streams.has(currentStream)) return;
+    if (!socket.data.chatUser) {
+      socket.emit('error', { message: 'Pick a nickname to follow' });
+      return;
+    }
+
+    const following = setFollowing(currentStream, socket.data.chatUser, follow !== false);
+    socket.emit('chat:following', { following });
   });
 
   socket.on('disconnect', () => {
@@ -2685,25 +11434,320 @@ io.on('connection', (socket) => {
       const stream = streams.get(currentStream);
       if (stream) {
         stream.viewers.delete(socket.id);
-        io.to(`stream:${currentStream}`).emit('viewer:count', { count: stream.viewers.size });
+        shareViewerCounts();
+        emitToStream(currentStream, 'viewer:count', { count: getViewerCount(currentStream) });
       }
     }
   });
 });
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// AGENT INGEST (Socket.io /agent namespace)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// Agents connect once with io('/agent', { auth: { agentName, token } }) and
+// push lines over the socket instead of one HTTP request per line. Every
+// handler answers through the optional ack callback with the same shape the
+// HTTP routes return.
+
+const agentIo = io.of('/agent');
+
+function notifyAgent(agentName, event, data) {
+  agentIo.to(`agent:${agentName}`).emit(event, data);
+}
+
+const MAX_AGENT_CHAT_LENGTH = 500;
+
+function isAgentMentioned(agentName, message) {
+  return new RegExp(`@${agentName}\\b`, 'i').test(message.text);
+}
+
+// Stores a chat message and delivers it to viewers, and for viewer messages
+// to the agent's chat subscribers (plus chat:mention when it names the agent)
+function postChatMessage(agentName, message) {
+  if (!chatMessages.has(agentName)) {
+    chatMessages.set(agentName, []);
+  }
+  const messages = chatMessages.get(agentName);
+  messages.push(message);
+  if (messages.length > 200) messages.shift();
+  shareChatMessage(agentName, message);
+  scheduleSave();
+
+  io.to(`stream:${agentName}`).emit('chat:message', message);
+
+  if (message.userId) {
+    const mentioned = isAgentMentioned(agentName, message);
+    agentIo.to(`agentchat:${agentName}`).emit('chat:message', { ...message, mentioned });
+    if (mentioned) {
+      notifyAgent(agentName, 'chat:mention', message);
+    }
+  }
+}
+
+// Chat history as the agent sees it: after the message with id since, or the
+// most recent limit messages
+function getChatForAgent(agentName, since, limit = 50) {
+  const messages = chatMessages.get(agentName) || [];
+  const index = since ? messages.findIndex(m => m.id === since) : -1;
+  const slice = index === -1 ? messages.slice(-limit) : messages.slice(index + 1, index + 1 + limit);
+  return slice.map(m => ({ ...m, mentioned: Boolean(m.userId) && isAgentMentioned(agentName, m) }));
+}
+
+// Builds a reply from the agent itself, screened by content moderation.
+// Returns { message, moderation } or { error }.
+function createAgentChatMessage(agentName, payload) {
+  const { text, replyTo } = payload || {};
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'text is required' };
+  }
+  if (text.length > MAX_AGENT_CHAT_LENGTH) {
+    return { error: `Chat message too long (max ${MAX_AGENT_CHAT_LENGTH} characters)` };
+  }
+
+  let replyTarget = null;
+  if (replyTo !== undefined && replyTo !== null) {
+    const original = (chatMessages.get(agentName) || []).find(m => m.id === replyTo);
+    if (!original) {
+      return { error: 'replyTo message not found' };
+    }
+    replyTarget = { id: original.id, user: original.user };
+  }
+
+  const moderation = moderateText(agentName, text.trim());
+
+  return {
+    moderation,
+    message: {
+      id: crypto.randomBytes(6).toString('hex'),
+      userId: null,
+      user: agentName,
+      color: nicknameColor(agentName),
+      badges: ['agent'],
+      text: escapeHtml(moderation.text),
+      html: renderMarkdown(moderation.text, { inline: true }),
+      replyTo: replyTarget,
+      time: Date.now()
+    }
+  };
+}
+
+// Shared checks for an agent posting to its own chat. Returns an error
+// payload (with the HTTP status, and the rate limit result when that was the
+// problem) or null.
+function checkAgentCanChat(agentName, stream) {
+  if (bannedAgents.has(agentName)) {
+    return { status: 403, error: 'Agent banned from streaming' };
+  }
+  if (!stream.active) {
+    return { status: 409, error: 'Stream is offline' };
+  }
+  const rateLimit = checkAgentChatRateLimit(agentName);
+  if (!rateLimit.allowed) {
+    return { status: 429, ...rateLimitError(rateLimit, rateLimitHint(rateLimit, 'chat messages')), rateLimit };
+  }
+  return null;
+}
+
+agentIo.use((socket, next) => {
+  const { agentName, token } = socket.handshake.auth || {};
+
+  if (!checkIPConnectionLimit(socket.handshake.address).allowed) {
+    return next(new Error('Too many connections'));
+  }
+
+  if (!agentName || !isValidAgentName(agentName)) {
+    return next(new Error('Invalid agent name'));
+  }
+
+  if (bannedAgents.has(agentName)) {
+    return next(new Error('Agent banned from streaming'));
+  }
+
+  const stream = streams.get(agentName);
+  if (!stream) {
+    return next(new Error('Stream not found. Send a message to /send first to get a token'));
+  }
+
+  const auth = authenticateStreamToken(stream, token, 'lines:write');
+  if (auth.error) {
+    return next(new Error(auth.error));
+  }
+
+  socket.data.agentName = agentName;
+  socket.data.tokenId = auth.entry.id;
+  next();
+});
+
+agentIo.on('connection', (socket) => {
+  const agentName = socket.data.agentName;
+  socket.join(`agent:${agentName}`);
+  socket.join(`token:${agentName}:${socket.data.tokenId}`);
+
+  function reply(ack, payload) {
+    if (typeof ack === 'function') ack(payload);
+  }
+
+  // Returns the stream if this socket may still post to it
+  function getWritableStream(ack) {
+    if (bannedAgents.has(agentName)) {
+      reply(ack, { error: 'Agent banned from streaming' });
+      return null;
+    }
+
+    const stream = streams.get(agentName);
+    if (!stream) {
+      reply(ack, { error: 'Stream not found' });
+      return null;
+    }
+
+    // The token may have expired or been revoked since the socket connected
+    const entry = stream.tokens.find(t => t.id === socket.data.tokenId);
+    if (!entry || !isTokenUsable(entry)) {
+      reply(ack, { error: 'Token expired or revoked' });
+      socket.disconnect(true);
+      return null;
+    }
+    return stream;
+  }
+
+  socket.on('line', (payload, ack) => {
+    const stream = getWritableStream(ack);
+    if (!stream) return;
+
+    const rateLimit = checkStreamRateLimit(agentName);
+    if (!rateLimit.allowed) {
+      return reply(ack, rateLimitError(rateLimit, rateLimitHint(rateLimit, 'messages')));
+    }
+
+    const moderation = moderateLineEntry(agentName, payload);
+    const { line, error } = validateLine(moderation.entry);
+    if (error) {
+      return reply(ack, { error });
+    }
+
+    if (moderation.action === 'reject') {
+      countModeration(agentName, moderation);
+      return reply(ack, moderationError(moderation));
+    }
+
+    if (!stream.active) {
+      resumeStream(agentName, stream);
+    }
+
+    const heldId = publishModeratedLine(agentName, stream, line, moderation);
+    reply(ack, { success: true, ...moderationResult(heldId, moderation) });
+  });
+
+  // Viewer chat arrives as chat:message once subscribed. Needs a token with
+  // stream:read.
+  socket.on('chat:subscribe', (payload, ack) => {
+    if (typeof payload === 'function') [payload, ack] = [{}, payload];
+
+    const stream = getWritableStream(ack);
+    if (!stream) return;
+
+    const entry = stream.tokens.find(t => t.id === socket.data.tokenId);
+    if (!entry.scopes.includes('stream:read')) {
+      return reply(ack, { error: 'Token lacks the stream:read scope' });
+    }
+
+    socket.join(`agentchat:${agentName}`);
+    reply(ack, { success: true, messages: getChatForAgent(agentName, null, 20) });
+  });
+
+  socket.on('chat:unsubscribe', (ack) => {
+    socket.leave(`agentchat:${agentName}`);
+    reply(ack, { success: true });
+  });
+
+  socket.on('chat:send', (payload, ack) => {
+    const stream = getWritableStream(ack);
+    if (!stream) return;
+
+    const problem = checkAgentCanChat(agentName, stream);
+    if (problem) {
+      const { status, rateLimit, ...body } = problem;
+      return reply(ack, body);
+    }
+
+    const { message, moderation, error } = createAgentChatMessage(agentName, payload);
+    if (error) {
+      return reply(ack, { error });
+    }
+
+    if (moderation.action === 'reject') {
+      countModeration(agentName, moderation);
+      return reply(ack, moderationError(moderation));
+    }
+
+    const heldId = publishModeratedChat(agentName, message, moderation);
+    reply(ack, { success: true, id: message.id, ...moderationResult(heldId, moderation) });
+  });
+
+  // Same as POST /meta. Needs a token with stream:manage.
+  socket.on('meta', (payload, ack) => {
+    const stream = getWritableStream(ack);
+    if (!stream) return;
+
+    const entry = stream.tokens.find(t => t.id === socket.data.tokenId);
+    if (!entry.scopes.includes('stream:manage')) {
+      return reply(ack, { error: 'Token lacks the stream:manage scope' });
+    }
+
+    const { status, meta, ...rest } = updateStreamMeta(agentName, stream, payload);
+    reply(ack, status ? rest : { success: true, ...meta, ...rest });
+  });
+
+  // Keeps the stream from timing out while the agent is quiet
+  socket.on('heartbeat', (ack) => {
+    const stream = getWritableStream(ack);
+    if (!stream) return;
+
+    stream.lastActivity = Date.now();
+    shareStream(agentName);
+    reply(ack, { success: true, active: stream.active });
+  });
+
+  // Short free-form status ("thinking", "running tests") shown next to the stream name
+  socket.on('status', (payload, ack) => {
+    const stream = getWritableStream(ack);
+    if (!stream) return;
+
+    const status = payload && payload.status;
+    if (status !== null && typeof status !== 'string') {
+      return reply(ack, { error: 'Status must be a string or null' });
+    }
+    if (status && status.length > 100) {
+      return reply(ack, { error: 'Status too long (max 100 characters)' });
+    }
+
+    stream.status = status ? escapeHtml(status) : null;
+    stream.lastActivity = Date.now();
+    shareStream(agentName);
+    emitToStream(agentName, 'stream:status', { status: stream.status });
+    reply(ack, { success: true });
+  });
+});
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // CLEANUP & MAINTENANCE
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-// Check for inactive streams every minute
-setInterval(() => {
+// Check for inactive streams every minute. Every instance sees every stream,
+// so only the one that gets the lock for this round checks, and viewers and
+// webhooks hear about each timeout once.
+setInterval(async () => {
+  const ownsRound = await sharedState.lock('agentcast:lock:inactive-sweep', 50 * 1000).catch(() => false);
+  if (!ownsRound) return;
+
   const now = Date.now();
   const INACTIVE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 
   for (const [name, stream] of streams) {
     if (stream.active && now - stream.lastActivity > INACTIVE_TIMEOUT) {
-      stream.active = false;
-      io.to(`stream:${name}`).emit('stream:offline');
+      takeStreamOffline(name, stream, 'timeout');
       logActivity(`Stream timed out: ${name}`);
     }
   }
@@ -2717,6 +11761,7 @@ setInterval(() => {
     globalStats.peakConcurrentViewers = 0;
     globalStats.totalMessagesToday = 0;
     globalStats.lastReset = Date.now();
+    scheduleSave();
     logActivity('Daily stats reset');
   }
 }, 60000);
@@ -2741,11 +11786,22 @@ app.use((err, req, res, next) => {
 process.on('SIGTERM', () => {
   console.log('Received SIGTERM, shutting down gracefully...');
 
-  // Notify all viewers
+  // Notify this instance's viewers; other instances keep serving theirs
   for (const [name] of streams) {
-    io.to(`stream:${name}`).emit('stream:offline');
+    io.local.to(`stream:${name}`).emit('stream:offline');
+    writeToSseClients(name, 'stream:offline');
+  }
+
+  for (const clients of sseClients.values()) {
+    for (const sseRes of clients) sseRes.end();
   }
 
+  // Other instances pick up from what's in the store, such as how many
+  // attempts a webhook delivery has had
+  clearTimeout(sharedFlushTimer);
+  flushSharedState();
+  saveStateSync();
+
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -2756,7 +11812,10 @@ process.on('SIGTERM', () => {
 // START SERVER
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-server.listen(PORT, () => {
+loadState();
+
+// Deliveries resume once shared state is in, so other instances' attempts count
+loadSharedState().then(resumeWebhookDeliveries).then(() => server.listen(PORT, () => {
   console.log(`
   ╔═══════════════════════════════════════╗
   ║     🦞 AgentCast Server v1.0           ║
@@ -2767,7 +11826,9 @@ server.listen(PORT, () => {
   Dashboard:  http://localhost:${PORT}/dashboard
   Stats:      http://localhost:${PORT}/stats
   Admin:      http://localhost:${PORT}/admin
+  Storage:    ${storage.name}${storage.name === 'json' ? ` (${DATA_FILE})` : ''}
+  Shared:     ${sharedState.name}${sharedState.name === 'redis' ? ` (${REDIS_URL.replace(/\/\/[^@]*@/, '//')})` : ''}, instance ${INSTANCE_ID}
   `);
 
   logActivity('Server started');
-});
+}));
@@ -0,0 +1,146 @@
+// Minimal Redis stand-in for testing SHARED_STATE=redis without a Redis
+// server. Speaks enough of the protocol for AgentCast: hashes, pub/sub and
+// SET with NX/PX for locks.
+// Everything lives in memory and is gone when the process exits.
+//
+//   node test-redis-standin.js [port]     (default 6379)
+
+const net = require('net');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT) || 6379;
+
+const hashes = new Map();
+const strings = new Map(); // key -> { value, expiresAt }
+const subscribers = new Map(); // channel -> Set of sockets
+
+function encode(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  if (value === 'OK' || value === 'PONG') return `+${value}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// Returns [args, offset after them], or null if the command isn't complete
+function parseCommand(buf, start) {
+  if (buf[start] !== 0x2a) {
+    // Inline command (e.g. typed into telnet)
+    const end = buf.indexOf('\r\n', start);
+    if (end === -1) return null;
+    return [buf.toString('utf8', start, end).trim().split(/\s+/), end + 2];
+  }
+
+  let end = buf.indexOf('\r\n', start);
+  if (end === -1) return null;
+  const count = parseInt(buf.toString('utf8', start + 1, end));
+  const args = [];
+  let offset = end + 2;
+
+  for (let i = 0; i < count; i++) {
+    end = buf.indexOf('\r\n', offset);
+    if (end === -1) return null;
+    const length = parseInt(buf.toString('utf8', offset + 1, end));
+    if (buf.length < end + 2 + length + 2) return null;
+    args.push(buf.toString('utf8', end + 2, end + 2 + length));
+    offset = end + 2 + length + 2;
+  }
+  return [args, offset];
+}
+
+const commands = {
+  ping: () => 'PONG',
+  auth: () => 'OK',
+  select: () => 'OK',
+  quit: () => 'OK',
+
+  hset(socket, key, ...pairs) {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    const hash = hashes.get(key);
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!hash.has(pairs[i])) added++;
+      hash.set(pairs[i], pairs[i + 1]);
+    }
+    return added;
+  },
+
+  hdel(socket, key, ...fields) {
+    const hash = hashes.get(key);
+    if (!hash) return 0;
+    return fields.filter(field => hash.delete(field)).length;
+  },
+
+  hgetall(socket, key) {
+    return [...(hashes.get(key) || [])].flat();
+  },
+
+  // Only the NX, PX and EX options
+  set(socket, key, value, ...options) {
+    const flags = options.map(option => option.toUpperCase());
+    const existing = strings.get(key);
+    if (flags.includes('NX') && existing && existing.expiresAt > Date.now()) return null;
+
+    const px = flags.indexOf('PX');
+    const ex = flags.indexOf('EX');
+    const ttl = px !== -1 ? parseInt(options[px + 1]) : ex !== -1 ? parseInt(options[ex + 1]) * 1000 : Infinity;
+    strings.set(key, { value, expiresAt: Date.now() + ttl });
+    return 'OK';
+  },
+
+  publish(socket, channel, message) {
+    const receivers = subscribers.get(channel) || new Set();
+    for (const receiver of receivers) {
+      receiver.write(encode(['message', channel, message]));
+    }
+    return receivers.size;
+  },
+
+  subscribe(socket, ...channels) {
+    for (const channel of channels) {
+      if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+      subscribers.get(channel).add(socket);
+      socket.channels.add(channel);
+      socket.write(encode(['subscribe', channel, socket.channels.size]));
+    }
+  },
+
+  unsubscribe(socket, ...channels) {
+    for (const channel of channels.length ? channels : [...socket.channels]) {
+      if (subscribers.has(channel)) subscribers.get(channel).delete(socket);
+      socket.channels.delete(channel);
+      socket.write(encode(['unsubscribe', channel, socket.channels.size]));
+    }
+  }
+};
+
+const server = net.createServer(socket => {
+  let buffer = Buffer.alloc(0);
+  socket.channels = new Set();
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let parsed;
+    while ((parsed = parseCommand(buffer, 0))) {
+      buffer = buffer.slice(parsed[1]);
+      const [name, ...args] = parsed[0];
+      if (!name) continue;
+
+      const command = commands[name.toLowerCase()];
+      const reply = command ? command(socket, ...args) : new Error(`ERR unknown command '${name}'`);
+      if (reply !== undefined) socket.write(encode(reply));
+      if (name.toLowerCase() === 'quit') socket.end();
+    }
+  });
+
+  socket.on('error', () => {});
+  socket.on('close', () => {
+    for (const channel of socket.channels) {
+      if (subscribers.has(channel)) subscribers.get(channel).delete(socket);
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Redis stand-in listening on port ${PORT}`);
+});